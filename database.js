@@ -1,16 +1,107 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
 const bcrypt = require('bcrypt');
+const { weakPasswordError } = require('./lib/password-policy');
 
-const DB_PATH = path.join(__dirname, 'users.db');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'users.db');
+const FILES_SCHEMA_PATH = path.join(__dirname, 'create_files_table.sql');
+
+// SQL condition matching a folder path and everything below it
+// (params: subtreeParams(folder))
+function subtreeClause(column) {
+    return `(${column} = ? OR substr(${column}, 1, length(?)) = ?)`;
+}
+
+function subtreeParams(folder) {
+    return [folder, folder + '/', folder + '/'];
+}
+
+const GROUP_COLUMNS = `g.id, g.name, g.space_user_id, g.created_at, u.username AS space_username, u.storage_quota_mb,
+                       (SELECT COUNT(*) FROM group_members c WHERE c.group_id = g.id) AS member_count`;
+
+const USER_SHARE_COLUMNS = `s.*, o.username AS owner_username, o.role AS owner_role, gr.name AS group_name,
+                            t.username AS grantee_username, f.original_name, f.folder AS file_folder`;
+const USER_SHARE_JOINS = `JOIN users o ON o.id = s.owner_id
+                          JOIN users t ON t.id = s.grantee_id
+                          LEFT JOIN groups gr ON gr.space_user_id = s.owner_id
+                          LEFT JOIN files f ON f.id = s.file_id`;
 
 class Database {
     constructor() {
         this.db = new sqlite3.Database(DB_PATH);
+        // Transactions waiting for the one in progress (see transaction())
+        this.transactions = [];
         this.init();
     }
 
     init() {
+        this.db.serialize(() => {
+            this.createTables();
+            this.seedAdmin();
+        });
+    }
+
+    // Run work(done) in a transaction: committed when it calls done(null,
+    // result), rolled back when it calls done(err). The connection is shared,
+    // so transactions run one at a time. callback(err, result)
+    transaction(work, callback) {
+        const run = () => {
+            const finish = (err, result) => {
+                this.transactions.shift();
+                if (this.transactions.length > 0) this.transactions[0]();
+                callback(err, result);
+            };
+            
+            this.db.run('BEGIN IMMEDIATE', (err) => {
+                if (err) return finish(err);
+                
+                work((err, result) => {
+                    if (err) return this.db.run('ROLLBACK', () => finish(err));
+                    this.db.run('COMMIT', (err) => {
+                        if (err) return this.db.run('ROLLBACK', () => finish(err));
+                        finish(null, result);
+                    });
+                });
+            });
+        };
+        
+        this.transactions.push(run);
+        if (this.transactions.length === 1) run();
+    }
+
+    // Create default admin user if none exists. Its well-known password
+    // skips the strength policy and has to be changed at first login.
+    seedAdmin() {
+        this.getUserByUsername('admin', (err, user) => {
+            if (err) return console.error('Failed to look up admin user:', err.message);
+            
+            if (!user) {
+                return this.insertUser('admin', 'manni', 'admin', 100, true, (err) => {
+                    if (err) return console.error('Failed to create admin user:', err.message);
+                    console.log('✓ Default admin user created: admin/manni (password change required)');
+                });
+            }
+            
+            // Databases seeded before the flag existed may still use the default
+            bcrypt.compare('manni', user.password_hash, (err, isDefault) => {
+                if (!err && isDefault && !user.must_change_password) {
+                    this.setMustChangePassword(user.id, true, () => {});
+                }
+            });
+        });
+    }
+
+    // Add a column to an existing table (no-op if it is already there)
+    addColumn(table, column, definition) {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+            if (err && !/duplicate column/.test(err.message)) {
+                console.error(`Failed to add ${table}.${column}:`, err.message);
+            }
+        });
+    }
+
+    createTables() {
         // Create users table
         this.db.run(`
             CREATE TABLE IF NOT EXISTS users (
@@ -22,15 +113,288 @@ class Database {
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        this.addColumn('users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0');
+        this.addColumn('users', 'failed_login_count', 'INTEGER NOT NULL DEFAULT 0');
+        this.addColumn('users', 'locked_until', 'DATETIME');
+        this.addColumn('users', 'totp_secret', 'TEXT');
+        this.addColumn('users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+        // Last TOTP time step accepted, so a code cannot be replayed
+        this.addColumn('users', 'totp_last_step', 'INTEGER');
+        // JSON overrides of the server-wide file type lists (see lib/upload-policy.js)
+        this.addColumn('users', 'upload_policy', 'TEXT');
+        // Soft deletion: set when an admin deletes the account, cleared on restore
+        this.addColumn('users', 'deleted_at', 'DATETIME');
+        // Set while an admin has disabled the account (it keeps its data)
+        this.addColumn('users', 'disabled_at', 'DATETIME');
+        // Quota plan the account follows; NULL for a quota of its own
+        this.addColumn('users', 'quota_plan_id', 'INTEGER');
         
-        // Create default admin user if none exists
-        this.getUserByUsername('admin', (err, user) => {
-            if (!user) {
-                this.createUser('admin', 'manni', 'admin', () => {
-                    console.log('✓ Default admin user created: admin/manni');
-                });
-            }
-        });
+        // Create files table (file catalog)
+        this.db.exec(fs.readFileSync(FILES_SCHEMA_PATH, 'utf8'));
+        this.addColumn('files', 'folder', `TEXT NOT NULL DEFAULT ''`);
+        this.addColumn('files', 'upload_link_id', 'INTEGER');
+        this.addColumn('files', 'uploader_name', 'TEXT');
+        // SHA-256 of the content in the blob store; NULL for content stored in
+        // the owner's directory before deduplication (see scripts/dedup.js)
+        this.addColumn('files', 'blob_id', 'TEXT');
+        // When the file is deleted by itself (expires_in at upload), or NULL
+        this.addColumn('files', 'expires_at', 'DATETIME');
+        
+        // Create file_versions table (older revisions of catalogued files)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS file_versions (
+                id TEXT PRIMARY KEY,
+                file_id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                stored_name TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                mime TEXT NOT NULL,
+                sha256 TEXT,
+                created_at DATETIME,
+                uploader_ip TEXT,
+                user_id INTEGER,
+                UNIQUE (file_id, version)
+            )
+        `);
+        this.addColumn('file_versions', 'blob_id', 'TEXT');
+        
+        // Create blobs table (content-addressed store: one row per distinct
+        // content, counting the files, revisions and trashed files using it)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS blobs (
+                sha256 TEXT PRIMARY KEY,
+                size INTEGER NOT NULL,
+                ref_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create trash table (deleted files waiting to be restored or purged;
+        // the stored file and its revisions stay where they were)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS trash (
+                id TEXT PRIMARY KEY,
+                bucket TEXT NOT NULL DEFAULT 'default',
+                original_name TEXT NOT NULL,
+                folder TEXT NOT NULL DEFAULT '',
+                stored_name TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                mime TEXT NOT NULL,
+                sha256 TEXT,
+                created_at DATETIME,
+                uploader_ip TEXT,
+                user_id INTEGER NOT NULL,
+                upload_link_id INTEGER,
+                uploader_name TEXT,
+                deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_trash_user ON trash (user_id, deleted_at)`);
+        this.addColumn('trash', 'blob_id', 'TEXT');
+        // Set for files retention removed: they no longer count toward the quota
+        this.addColumn('trash', 'expired', 'INTEGER NOT NULL DEFAULT 0');
+        
+        // Create upload_links table (inbound "file drop" links)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS upload_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                user_id INTEGER NOT NULL,
+                label TEXT,
+                folder TEXT NOT NULL DEFAULT '',
+                max_file_size_mb INTEGER,
+                max_files INTEGER,
+                allowed_extensions TEXT,
+                expires_at DATETIME,
+                files_received INTEGER DEFAULT 0,
+                bytes_received INTEGER DEFAULT 0,
+                last_upload_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create folders table (explicitly created folders; folders that only
+        // hold files are implied by files.folder)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS folders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                path TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, path)
+            )
+        `);
+        
+        // Create api_tokens table (personal access tokens; only hashes are stored)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                token_prefix TEXT NOT NULL,
+                scopes TEXT NOT NULL,
+                expires_at DATETIME,
+                last_used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create recovery_codes table (one-time 2FA fallback codes; only hashes are stored)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create settings table (server-wide switches changed from the admin panel)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            )
+        `);
+        
+        // Create audit_log table (append-only: rows are only ever inserted,
+        // and removed by the retention sweep)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                actor_id INTEGER,
+                actor TEXT,
+                ip TEXT,
+                action TEXT NOT NULL,
+                target TEXT,
+                result TEXT NOT NULL,
+                details TEXT
+            )
+        `);
+        this.db.run(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_append_only BEFORE UPDATE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END
+        `);
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)`);
+        
+        // Create quarantined_files table (uploads the scanner flagged; the
+        // content sits in the quarantine directory, outside every user's files)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS quarantined_files (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                original_name TEXT NOT NULL,
+                quarantine_name TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                reason TEXT,
+                uploader_ip TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create previews table (thumbnail/snippet jobs and their state, one row
+        // per file; the assets themselves live in the derived-assets directory)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS previews (
+                file_id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                kind TEXT NOT NULL,
+                sha256 TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_previews_status ON previews (status, updated_at)`);
+        
+        // Create share_links table (public download links)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS share_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                file_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                password_hash TEXT,
+                expires_at DATETIME,
+                max_downloads INTEGER,
+                download_count INTEGER DEFAULT 0,
+                last_download_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create groups table (teams with a shared storage space; the space is
+        // a users row with role 'group' that nobody can sign in to)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                space_user_id INTEGER UNIQUE,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create group_members table (role: viewer, contributor or manager)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS group_members (
+                group_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, user_id)
+            )
+        `);
+        
+        // Create user_shares table (a file or a folder of one space shared with
+        // another user; exactly one of file_id and folder is set)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS user_shares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                owner_id INTEGER NOT NULL,
+                file_id TEXT,
+                folder TEXT,
+                grantee_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`CREATE INDEX IF NOT EXISTS idx_user_shares_grantee ON user_shares (grantee_id, owner_id)`);
+        
+        // Create retention_policies table (automatic deletion of a space's
+        // files by age or count; user_id NULL applies to every space)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS retention_policies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                name TEXT NOT NULL,
+                pattern TEXT,
+                folder TEXT NOT NULL DEFAULT '',
+                max_age_days INTEGER,
+                keep_newest INTEGER,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create quota_plans table (named quotas assigned to many users; the
+        // quota is copied to users.storage_quota_mb of everyone on the plan)
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS quota_plans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                storage_quota_mb INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
     }
 
     createUser(username, password, role = 'user', storageQuotaMB = 100, callback) {
@@ -42,20 +406,28 @@ class Database {
                 return callback(new Error(`Username '${username}' already exists`));
             }
             
+            const weak = weakPasswordError(password, username);
+            if (weak) return callback(weak);
+            
             // Username is available, proceed with creation
-            bcrypt.hash(password, 10, (err, hash) => {
+            this.insertUser(username, password, role, storageQuotaMB, false, callback);
+        });
+    }
+
+    // Insert a user without checks (createUser validates first)
+    insertUser(username, password, role, storageQuotaMB, mustChangePassword, callback) {
+        bcrypt.hash(password, 10, (err, hash) => {
+            if (err) return callback(err);
+            
+            const sql = `INSERT INTO users (username, password_hash, role, storage_quota_mb, must_change_password) VALUES (?, ?, ?, ?, ?)`;
+            this.db.run(sql, [username, hash, role, storageQuotaMB, mustChangePassword ? 1 : 0], function(err) {
                 if (err) return callback(err);
                 
-                const sql = `INSERT INTO users (username, password_hash, role, storage_quota_mb) VALUES (?, ?, ?, ?)`;
-                this.db.run(sql, [username, hash, role, storageQuotaMB], function(err) {
-                    if (err) return callback(err);
-                    
-                    callback(null, { 
-                        id: this.lastID, 
-                        username, 
-                        role,
-                        storage_quota_mb: storageQuotaMB 
-                    });
+                callback(null, { 
+                    id: this.lastID, 
+                    username, 
+                    role,
+                    storage_quota_mb: storageQuotaMB 
                 });
             });
         });
@@ -72,40 +444,1276 @@ class Database {
     }
 
     getAllUsers(callback) {
-        const sql = `SELECT id, username, role, storage_quota_mb, created_at FROM users ORDER BY id`;
+        const sql = `SELECT id, username, role, storage_quota_mb, created_at, must_change_password, failed_login_count, locked_until,
+                            totp_enabled, upload_policy, deleted_at
+                     FROM users ORDER BY id`;
         this.db.all(sql, [], callback);
     }
 
+    // Accounts people sign in to (no group spaces), oldest first. filters:
+    // { q (username substring), role, status ('active', 'disabled' or
+    // 'deleted'), plan (plan id, or 'none' for own quotas) }.
+    // page: { limit, offset }. callback(err, { users, total })
+    getUsers(filters, page, callback) {
+        const conditions = [`u.role != 'group'`];
+        const params = [];
+        
+        if (filters.q) {
+            conditions.push(`instr(lower(u.username), lower(?)) > 0`);
+            params.push(filters.q);
+        }
+        if (filters.role) {
+            conditions.push('u.role = ?');
+            params.push(filters.role);
+        }
+        if (filters.status === 'active') conditions.push('u.deleted_at IS NULL AND u.disabled_at IS NULL');
+        if (filters.status === 'disabled') conditions.push('u.deleted_at IS NULL AND u.disabled_at IS NOT NULL');
+        if (filters.status === 'deleted') conditions.push('u.deleted_at IS NOT NULL');
+        if (filters.plan === 'none') {
+            conditions.push('u.quota_plan_id IS NULL');
+        } else if (filters.plan) {
+            conditions.push('u.quota_plan_id = ?');
+            params.push(filters.plan);
+        }
+        
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        this.db.get(`SELECT COUNT(*) AS total FROM users u ${where}`, params, (err, row) => {
+            if (err) return callback(err);
+            
+            const sql = `SELECT u.id, u.username, u.role, u.storage_quota_mb, u.created_at, u.must_change_password, u.failed_login_count,
+                                u.locked_until, u.totp_enabled, u.upload_policy, u.deleted_at, u.disabled_at, u.quota_plan_id,
+                                p.name AS quota_plan
+                         FROM users u LEFT JOIN quota_plans p ON p.id = u.quota_plan_id
+                         ${where} ORDER BY u.id LIMIT ? OFFSET ?`;
+            this.db.all(sql, params.concat([page.limit, page.offset]), (err, users) => {
+                if (err) return callback(err);
+                callback(null, { users, total: row.total });
+            });
+        });
+    }
+
+    // Create an account from an import row: { username, password, role,
+    // storage_quota_mb, quota_plan_id, disabled }. Imported accounts change
+    // their password at first login. callback(err, { id, username })
+    importUser(user, callback) {
+        bcrypt.hash(user.password, 10, (err, hash) => {
+            if (err) return callback(err);
+            
+            const sql = `INSERT INTO users (username, password_hash, role, storage_quota_mb, quota_plan_id, disabled_at, must_change_password)
+                         VALUES (?, ?, ?, ?, ?, ${user.disabled ? 'CURRENT_TIMESTAMP' : 'NULL'}, 1)`;
+            this.db.run(sql, [user.username, hash, user.role, user.storage_quota_mb, user.quota_plan_id || null], function(err) {
+                if (err) return callback(err);
+                callback(null, { id: this.lastID, username: user.username });
+            });
+        });
+    }
+
+    // A quota of the user's own (leaves any plan)
     updateUserQuota(userId, quotaMB, callback) {
-        const sql = `UPDATE users SET storage_quota_mb = ? WHERE id = ?`;
+        const sql = `UPDATE users SET storage_quota_mb = ?, quota_plan_id = NULL WHERE id = ?`;
         this.db.run(sql, [quotaMB, userId], callback);
     }
 
-    deleteUser(id, callback) {
-        const sql = `DELETE FROM users WHERE id = ?`;
+    // Disable or enable an account. callback(err, changed)
+    setUserDisabled(id, disabled, callback) {
+        const sql = disabled
+            ? `UPDATE users SET disabled_at = CURRENT_TIMESTAMP WHERE id = ? AND disabled_at IS NULL`
+            : `UPDATE users SET disabled_at = NULL WHERE id = ? AND disabled_at IS NOT NULL`;
+        this.db.run(sql, [id], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // policy: JSON text, or null to follow the server-wide lists
+    setUploadPolicy(userId, policy, callback) {
+        const sql = `UPDATE users SET upload_policy = ? WHERE id = ?`;
+        this.db.run(sql, [policy, userId], callback);
+    }
+
+    // Soft-delete an account: it cannot sign in and its links stop working,
+    // but everything is kept until it is restored or purged
+    markUserDeleted(id, callback) {
+        const sql = `UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL`;
+        this.db.run(sql, [id], callback);
+    }
+
+    restoreUser(id, callback) {
+        const sql = `UPDATE users SET deleted_at = NULL WHERE id = ?`;
         this.db.run(sql, [id], callback);
     }
 
+    // Soft-deleted accounts due for purging
+    getUsersDeletedBefore(before, callback) {
+        const sql = `SELECT * FROM users WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY deleted_at`;
+        this.db.all(sql, [before], callback);
+    }
+
+    deleteUser(id, callback) {
+        this.db.run(`DELETE FROM api_tokens WHERE user_id = ?`, [id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM recovery_codes WHERE user_id = ?`, [id], (err) => {
+                if (err) return callback(err);
+                this.db.run(`DELETE FROM group_members WHERE user_id = ?`, [id], (err) => {
+                    if (err) return callback(err);
+                    this.db.run(`DELETE FROM user_shares WHERE owner_id = ? OR grantee_id = ?`, [id, id], (err) => {
+                        if (err) return callback(err);
+                        this.db.run(`DELETE FROM retention_policies WHERE user_id = ?`, [id], (err) => {
+                            if (err) return callback(err);
+                            this.db.run(`DELETE FROM users WHERE id = ?`, [id], callback);
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    // Set a new password (subject to the strength policy). Clears the
+    // must-change flag; admin resets set it again afterwards.
     updatePassword(id, newPassword, callback) {
-        bcrypt.hash(newPassword, 10, (err, hash) => {
+        this.getUserById(id, (err, user) => {
             if (err) return callback(err);
+            if (!user) return callback(new Error('User not found'));
             
-            const sql = `UPDATE users SET password_hash = ? WHERE id = ?`;
-            this.db.run(sql, [hash, id], callback);
+            const weak = weakPasswordError(newPassword, user.username);
+            if (weak) return callback(weak);
+            
+            bcrypt.hash(newPassword, 10, (err, hash) => {
+                if (err) return callback(err);
+                
+                const sql = `UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?`;
+                this.db.run(sql, [hash, id], callback);
+            });
         });
     }
 
-    verifyPassword(username, password, callback) {
-        this.getUserByUsername(username, (err, user) => {
+    setMustChangePassword(id, required, callback) {
+        const sql = `UPDATE users SET must_change_password = ? WHERE id = ?`;
+        this.db.run(sql, [required ? 1 : 0, id], callback);
+    }
+
+    // ========== LOGIN ATTEMPTS ==========
+
+    // Count a failed login; retryAt is when the account may try again
+    recordLoginFailure(id, retryAt, callback) {
+        const sql = `UPDATE users SET failed_login_count = failed_login_count + 1, locked_until = ? WHERE id = ?`;
+        this.db.run(sql, [retryAt, id], callback);
+    }
+
+    // Successful login or admin unlock: start counting from zero again
+    clearLoginFailures(id, callback) {
+        const sql = `UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?`;
+        this.db.run(sql, [id], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== TWO-FACTOR AUTHENTICATION ==========
+
+    // Turn on TOTP with a confirmed secret and replace the recovery codes.
+    // lastStep is the step of the code that confirmed it.
+    enableTwoFactor(id, secret, lastStep, recoveryCodeHashes, callback) {
+        const sql = `UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ? WHERE id = ?`;
+        this.db.run(sql, [secret, lastStep, id], (err) => {
+            if (err) return callback(err);
+            this.replaceRecoveryCodes(id, recoveryCodeHashes, callback);
+        });
+    }
+
+    // Turn off TOTP and drop the recovery codes (user or admin reset).
+    // callback(err, updated)
+    disableTwoFactor(id, callback) {
+        const sql = `UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?`;
+        const self = this;
+        this.db.run(sql, [id], function(err) {
+            if (err) return callback(err);
+            const updated = this.changes === 1;
+            self.db.run(`DELETE FROM recovery_codes WHERE user_id = ?`, [id], (err) => {
+                if (err) return callback(err);
+                callback(null, updated);
+            });
+        });
+    }
+
+    recordTotpStep(id, step, callback) {
+        this.db.run(`UPDATE users SET totp_last_step = ? WHERE id = ?`, [step, id], callback);
+    }
+
+    replaceRecoveryCodes(userId, codeHashes, callback) {
+        this.db.serialize(() => {
+            this.db.run(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+            const insert = this.db.prepare(`INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)`);
+            codeHashes.forEach(hash => insert.run([userId, hash]));
+            insert.finalize(callback);
+        });
+    }
+
+    // Mark a recovery code as spent; callback(err, used) is false if it was
+    // unknown or already used
+    useRecoveryCode(userId, codeHash, callback) {
+        const sql = `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+                     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`;
+        this.db.run(sql, [userId, codeHash], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes > 0);
+        });
+    }
+
+    countRecoveryCodes(userId, callback) {
+        const sql = `SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = ? AND used_at IS NULL`;
+        this.db.get(sql, [userId], (err, row) => {
+            if (err) return callback(err);
+            callback(null, row.remaining);
+        });
+    }
+
+    // ========== AUDIT LOG ==========
+
+    addAuditEntry(entry, callback) {
+        const sql = `INSERT INTO audit_log (actor_id, actor, ip, action, target, result, details)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+        const params = [entry.actor_id, entry.actor, entry.ip, entry.action, entry.target, entry.result, entry.details];
+        this.db.run(sql, params, callback);
+    }
+
+    // Newest entries first. filters: { actor, action, target, result, ip, from, to }
+    // where action "file" also matches "file.upload" etc. and target is a
+    // substring. page: { limit, offset }. callback(err, { entries, total })
+    getAuditEntries(filters, page, callback) {
+        const conditions = [];
+        const params = [];
+        
+        if (filters.actor) {
+            conditions.push('actor = ?');
+            params.push(filters.actor);
+        }
+        if (filters.action) {
+            conditions.push(`(action = ? OR substr(action, 1, length(?)) = ?)`);
+            params.push(filters.action, filters.action + '.', filters.action + '.');
+        }
+        if (filters.target) {
+            conditions.push(`instr(target, ?) > 0`);
+            params.push(filters.target);
+        }
+        if (filters.result) {
+            conditions.push('result = ?');
+            params.push(filters.result);
+        }
+        if (filters.ip) {
+            conditions.push('ip = ?');
+            params.push(filters.ip);
+        }
+        if (filters.from) {
+            conditions.push('created_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('created_at <= ?');
+            params.push(filters.to);
+        }
+        
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        this.db.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params, (err, row) => {
             if (err) return callback(err);
-            if (!user) return callback(null, false);
             
-            bcrypt.compare(password, user.password_hash, (err, match) => {
+            const sql = `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`;
+            this.db.all(sql, params.concat([page.limit, page.offset]), (err, entries) => {
                 if (err) return callback(err);
-                callback(null, match ? user : false);
+                callback(null, { entries, total: row.total });
             });
         });
     }
+
+    // Retention: drop entries older than `before`. callback(err, removed)
+    pruneAuditLog(before, callback) {
+        this.db.run(`DELETE FROM audit_log WHERE created_at < ?`, [before], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes);
+        });
+    }
+
+    // ========== QUARANTINE ==========
+
+    createQuarantineRecord(record, callback) {
+        const sql = `INSERT INTO quarantined_files (user_id, original_name, quarantine_name, size, reason, uploader_ip)
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        const params = [record.user_id, record.original_name, record.quarantine_name, record.size, record.reason || null, record.uploader_ip || null];
+        const self = this;
+        this.db.run(sql, params, function(err) {
+            if (err) return callback(err);
+            self.getQuarantineRecord(this.lastID, callback);
+        });
+    }
+
+    getQuarantineRecord(id, callback) {
+        const sql = `SELECT q.*, u.username FROM quarantined_files q LEFT JOIN users u ON u.id = q.user_id WHERE q.id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    getQuarantineRecords(callback) {
+        const sql = `SELECT q.*, u.username FROM quarantined_files q LEFT JOIN users u ON u.id = q.user_id
+                     ORDER BY q.created_at DESC, q.id DESC`;
+        this.db.all(sql, [], callback);
+    }
+
+    deleteQuarantineRecord(id, callback) {
+        this.db.run(`DELETE FROM quarantined_files WHERE id = ?`, [id], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== PREVIEWS ==========
+
+    // Queue a job for the file's current content (replaces any earlier job)
+    queuePreview(job, callback) {
+        const sql = `INSERT INTO previews (file_id, user_id, kind, sha256) VALUES (?, ?, ?, ?)
+                     ON CONFLICT(file_id) DO UPDATE SET kind = excluded.kind, sha256 = excluded.sha256, status = 'pending',
+                         attempts = 0, error = NULL, updated_at = CURRENT_TIMESTAMP`;
+        this.db.run(sql, [job.file_id, job.user_id, job.kind, job.sha256 || null], callback);
+    }
+
+    // Oldest pending job, marked as running. callback(err, job|undefined)
+    claimNextPreview(callback) {
+        this.db.get(`SELECT * FROM previews WHERE status = 'pending' ORDER BY updated_at, rowid LIMIT 1`, [], (err, job) => {
+            if (err || !job) return callback(err, job);
+            const sql = `UPDATE previews SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE file_id = ? AND status = 'pending'`;
+            this.db.run(sql, [job.file_id], (err) => callback(err, job));
+        });
+    }
+
+    // Results only count if the job was not queued again meanwhile
+    finishPreview(fileId, sha256, callback) {
+        const sql = `UPDATE previews SET status = 'done', error = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE file_id = ? AND status = 'running' AND sha256 IS ?`;
+        this.db.run(sql, [fileId, sha256 || null], callback);
+    }
+
+    // retry: back to pending (at the end of the queue) instead of failed
+    failPreview(fileId, error, retry, callback) {
+        const sql = `UPDATE previews SET status = ?, attempts = attempts + 1, error = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE file_id = ? AND status = 'running'`;
+        this.db.run(sql, [retry ? 'pending' : 'failed', error, fileId], callback);
+    }
+
+    // Jobs a previous process was running when it stopped
+    resetRunningPreviews(callback) {
+        this.db.run(`UPDATE previews SET status = 'pending' WHERE status = 'running'`, [], callback);
+    }
+
+    getPreview(fileId, callback) {
+        this.db.get(`SELECT * FROM previews WHERE file_id = ?`, [fileId], callback);
+    }
+
+    getPreviewsByUser(userId, callback) {
+        this.db.all(`SELECT * FROM previews WHERE user_id = ?`, [userId], callback);
+    }
+
+    // Failed jobs with the file and owner they belong to
+    getFailedPreviews(callback) {
+        const sql = `SELECT p.*, f.original_name, f.folder, u.username FROM previews p
+                     LEFT JOIN files f ON f.id = p.file_id
+                     LEFT JOIN users u ON u.id = p.user_id
+                     WHERE p.status = 'failed' ORDER BY p.updated_at DESC`;
+        this.db.all(sql, [], callback);
+    }
+
+    // callback(err, { pending, running, done, failed })
+    countPreviewsByStatus(callback) {
+        this.db.all(`SELECT status, COUNT(*) AS count FROM previews GROUP BY status`, [], (err, rows) => {
+            if (err) return callback(err);
+            const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+            rows.forEach(row => { counts[row.status] = row.count; });
+            callback(null, counts);
+        });
+    }
+
+    // Give a failed job another round of attempts. callback(err, requeued)
+    retryPreview(fileId, callback) {
+        const sql = `UPDATE previews SET status = 'pending', attempts = 0, error = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE file_id = ? AND status = 'failed'`;
+        this.db.run(sql, [fileId], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    deletePreview(fileId, callback) {
+        this.db.run(`DELETE FROM previews WHERE file_id = ?`, [fileId], callback);
+    }
+
+    deletePreviewsByUser(userId, callback) {
+        this.db.run(`DELETE FROM previews WHERE user_id = ?`, [userId], callback);
+    }
+
+    // ========== SETTINGS ==========
+
+    // callback(err, value) with null for settings never saved
+    getSetting(key, callback) {
+        this.db.get(`SELECT value FROM settings WHERE key = ?`, [key], (err, row) => {
+            if (err) return callback(err);
+            callback(null, row ? row.value : null);
+        });
+    }
+
+    setSetting(key, value, callback) {
+        const sql = `INSERT INTO settings (key, value) VALUES (?, ?)
+                     ON CONFLICT(key) DO UPDATE SET value = excluded.value`;
+        this.db.run(sql, [key, String(value)], callback);
+    }
+
+    verifyPassword(username, password, callback) {
+        this.getUserByUsername(username, (err, user) => {
+            if (err) return callback(err);
+            if (!user) return callback(null, false);
+            
+            bcrypt.compare(password, user.password_hash, (err, match) => {
+                if (err) return callback(err);
+                callback(null, match ? user : false);
+            });
+        });
+    }
+
+    // ========== FILE CATALOG ==========
+
+    createFileRecord(file, callback) {
+        const sql = `INSERT INTO files (id, bucket, original_name, stored_name, size, mime, sha256, uploader_ip, user_id,
+                                        folder, upload_link_id, uploader_name, blob_id, expires_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        const params = [
+            file.id,
+            file.bucket || 'default',
+            file.original_name,
+            file.stored_name,
+            file.size,
+            file.mime,
+            file.sha256 || null,
+            file.uploader_ip || null,
+            file.user_id,
+            file.folder || '',
+            file.upload_link_id || null,
+            file.uploader_name || null,
+            file.blob_id || null,
+            file.expires_at || null
+        ];
+        this.db.run(sql, params, (err) => {
+            if (err) return callback(err);
+            this.getFileById(file.id, callback);
+        });
+    }
+
+    getFileById(id, callback) {
+        const sql = `SELECT * FROM files WHERE id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    getFileByName(userId, folder, originalName, callback) {
+        const sql = `SELECT * FROM files WHERE user_id = ? AND folder = ? AND original_name = ?
+                     ORDER BY created_at DESC, rowid DESC LIMIT 1`;
+        this.db.get(sql, [userId, folder, originalName], callback);
+    }
+
+    getFilesByUser(userId, callback) {
+        const sql = `SELECT * FROM files WHERE user_id = ? ORDER BY created_at DESC, rowid DESC`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    // Files directly inside one folder ('' is the user's root)
+    getFilesInFolder(userId, folder, callback) {
+        const sql = `SELECT * FROM files WHERE user_id = ? AND folder = ? ORDER BY created_at DESC, rowid DESC`;
+        this.db.all(sql, [userId, folder], callback);
+    }
+
+    // Files in a folder and all of its subfolders
+    getFilesInTree(userId, folder, callback) {
+        const sql = `SELECT * FROM files WHERE user_id = ? AND ${subtreeClause('folder')}`;
+        this.db.all(sql, [userId].concat(subtreeParams(folder)), callback);
+    }
+
+    moveFileToFolder(id, folder, callback) {
+        this.db.run(`UPDATE files SET folder = ? WHERE id = ?`, [folder, id], (err) => {
+            if (err) return callback(err);
+            this.getFileById(id, callback);
+        });
+    }
+
+    // Move and/or rename a file; it keeps its id, revisions and share links
+    renameFile(id, folder, originalName, callback) {
+        this.db.run(`UPDATE files SET folder = ?, original_name = ? WHERE id = ?`, [folder, originalName, id], (err) => {
+            if (err) return callback(err);
+            this.getFileById(id, callback);
+        });
+    }
+
+    deleteFileRecord(id, callback) {
+        this.db.run(`DELETE FROM share_links WHERE file_id = ?`, [id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM files WHERE id = ?`, [id], callback);
+        });
+    }
+
+    deleteFilesByUser(userId, callback) {
+        const tables = ['upload_links', 'share_links', 'file_versions', 'files', 'trash', 'folders'];
+        const next = (err) => {
+            if (err) return callback(err);
+            const table = tables.shift();
+            if (!table) return callback(null);
+            this.db.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId], next);
+        };
+        next();
+    }
+
+    // ========== TRASH ==========
+
+    // Move a catalog entry into the trash. Its revisions and share links are
+    // kept (links only resolve while the file is in the catalog). expired:
+    // retention removed it (see getUserStorageUsage)
+    trashFile(id, expired, callback) {
+        const sql = `INSERT INTO trash (id, bucket, original_name, folder, stored_name, size, mime, sha256, created_at, uploader_ip,
+                                        user_id, upload_link_id, uploader_name, blob_id, expired)
+                     SELECT id, bucket, original_name, folder, stored_name, size, mime, sha256, created_at, uploader_ip,
+                            user_id, upload_link_id, uploader_name, blob_id, ?
+                     FROM files WHERE id = ?`;
+        this.db.run(sql, [expired ? 1 : 0, id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM files WHERE id = ?`, [id], (err) => {
+                if (err) return callback(err);
+                this.getTrashedFile(id, callback);
+            });
+        });
+    }
+
+    // Put a trashed file back into the catalog, optionally under another name
+    restoreTrashedFile(id, originalName, callback) {
+        const sql = `INSERT INTO files (id, bucket, original_name, folder, stored_name, size, mime, sha256, created_at, uploader_ip,
+                                        user_id, upload_link_id, uploader_name, blob_id)
+                     SELECT id, bucket, ?, folder, stored_name, size, mime, sha256, created_at, uploader_ip,
+                            user_id, upload_link_id, uploader_name, blob_id
+                     FROM trash WHERE id = ?`;
+        this.db.run(sql, [originalName, id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM trash WHERE id = ?`, [id], (err) => {
+                if (err) return callback(err);
+                this.getFileById(id, callback);
+            });
+        });
+    }
+
+    getTrashedFile(id, callback) {
+        const sql = `SELECT * FROM trash WHERE id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    getTrashByUser(userId, callback) {
+        const sql = `SELECT * FROM trash WHERE user_id = ? ORDER BY deleted_at DESC, rowid DESC`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    // Trashed files due for purging, with their owner's name
+    getTrashDeletedBefore(before, callback) {
+        const sql = `SELECT t.*, u.username FROM trash t JOIN users u ON u.id = t.user_id
+                     WHERE t.deleted_at < ? ORDER BY t.deleted_at`;
+        this.db.all(sql, [before], callback);
+    }
+
+    // Forget a trashed file for good (its revisions are removed separately)
+    deleteTrashedFile(id, callback) {
+        this.db.run(`DELETE FROM share_links WHERE file_id = ?`, [id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM trash WHERE id = ?`, [id], callback);
+        });
+    }
+
+    // Swap in new content for a file, keeping its id (used by versioning)
+    updateFileContent(id, content, callback) {
+        const sql = `UPDATE files SET stored_name = ?, size = ?, mime = ?, sha256 = ?, uploader_ip = ?, created_at = COALESCE(?, CURRENT_TIMESTAMP),
+                                      blob_id = ?
+                     WHERE id = ?`;
+        const params = [
+            content.stored_name,
+            content.size,
+            content.mime,
+            content.sha256 || null,
+            content.uploader_ip || null,
+            content.created_at || null,
+            content.blob_id || null,
+            id
+        ];
+        this.db.run(sql, params, (err) => {
+            if (err) return callback(err);
+            this.getFileById(id, callback);
+        });
+    }
+
+    // expiresAt: when the file deletes itself, or null for never
+    setFileExpiry(id, expiresAt, callback) {
+        this.db.run(`UPDATE files SET expires_at = ? WHERE id = ?`, [expiresAt, id], callback);
+    }
+
+    // Archive a file's current content as its next numbered revision
+    archiveFileVersion(file, versionId, callback) {
+        const sql = `INSERT INTO file_versions (id, file_id, version, stored_name, size, mime, sha256, created_at, uploader_ip, user_id, blob_id)
+                     SELECT ?, id, (SELECT COALESCE(MAX(version), 0) + 1 FROM file_versions WHERE file_id = ?),
+                            stored_name, size, mime, sha256, created_at, uploader_ip, user_id, blob_id
+                     FROM files WHERE id = ?`;
+        this.db.run(sql, [versionId, file.id, file.id], (err) => {
+            if (err) return callback(err);
+            this.db.get(`SELECT * FROM file_versions WHERE id = ?`, [versionId], callback);
+        });
+    }
+
+    getFileVersions(fileId, callback) {
+        const sql = `SELECT * FROM file_versions WHERE file_id = ? ORDER BY version DESC`;
+        this.db.all(sql, [fileId], callback);
+    }
+
+    getFileVersion(fileId, version, callback) {
+        const sql = `SELECT * FROM file_versions WHERE file_id = ? AND version = ?`;
+        this.db.get(sql, [fileId, version], callback);
+    }
+
+    getFileVersionsByUser(userId, callback) {
+        const sql = `SELECT * FROM file_versions WHERE user_id = ?`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    deleteFileVersion(id, callback) {
+        const sql = `DELETE FROM file_versions WHERE id = ?`;
+        this.db.run(sql, [id], callback);
+    }
+
+    // Revisions and trashed files count toward the quota just like current
+    // files, except for files retention removed (and their revisions)
+    getUserStorageUsage(userId, callback) {
+        const sql = `SELECT (SELECT COALESCE(SUM(size), 0) FROM files WHERE user_id = ?) +
+                            (SELECT COALESCE(SUM(size), 0) FROM file_versions
+                             WHERE user_id = ? AND file_id NOT IN (SELECT id FROM trash WHERE expired = 1)) +
+                            (SELECT COALESCE(SUM(size), 0) FROM trash WHERE user_id = ? AND expired = 0) AS total`;
+        this.db.get(sql, [userId, userId, userId], (err, row) => {
+            if (err) return callback(err);
+            callback(null, row.total);
+        });
+    }
+
+    // Stored bytes (current files plus revisions) and file count per folder
+    getFolderSizes(userId, callback) {
+        const sql = `SELECT f.folder, COUNT(*) AS file_count,
+                            SUM(f.size + (SELECT COALESCE(SUM(v.size), 0) FROM file_versions v WHERE v.file_id = f.id)) AS size
+                     FROM files f WHERE f.user_id = ? GROUP BY f.folder`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    // ========== BLOB STORE ==========
+
+    // One more reference to stored content (the row is created on first use)
+    addBlobReference(sha256, size, callback) {
+        const sql = `INSERT INTO blobs (sha256, size, ref_count) VALUES (?, ?, 1)
+                     ON CONFLICT (sha256) DO UPDATE SET ref_count = ref_count + 1`;
+        this.db.run(sql, [sha256, size], callback);
+    }
+
+    // One more reference to content that is still referenced elsewhere.
+    // callback(err, retained); false if the blob is unknown or unreferenced
+    retainBlobReference(sha256, callback) {
+        this.db.run(`UPDATE blobs SET ref_count = ref_count + 1 WHERE sha256 = ? AND ref_count > 0`, [sha256], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes > 0);
+        });
+    }
+
+    // One reference less. callback(err, remaining), remaining null if the blob is unknown
+    releaseBlobReference(sha256, callback) {
+        this.db.run(`UPDATE blobs SET ref_count = ref_count - 1 WHERE sha256 = ?`, [sha256], (err) => {
+            if (err) return callback(err);
+            this.db.get(`SELECT ref_count FROM blobs WHERE sha256 = ?`, [sha256], (err, row) => {
+                if (err) return callback(err);
+                callback(null, row ? row.ref_count : null);
+            });
+        });
+    }
+
+    // Forget a blob nothing refers to. callback(err, deleted)
+    deleteBlob(sha256, callback) {
+        this.db.run(`DELETE FROM blobs WHERE sha256 = ? AND ref_count <= 0`, [sha256], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes > 0);
+        });
+    }
+
+    // Set every reference count from the catalog. callback(err, unreferenced hashes)
+    recountBlobReferences(callback) {
+        const sql = `UPDATE blobs SET ref_count =
+                         (SELECT COUNT(*) FROM files WHERE blob_id = blobs.sha256) +
+                         (SELECT COUNT(*) FROM file_versions WHERE blob_id = blobs.sha256) +
+                         (SELECT COUNT(*) FROM trash WHERE blob_id = blobs.sha256)`;
+        this.db.run(sql, [], (err) => {
+            if (err) return callback(err);
+            this.db.all(`SELECT sha256 FROM blobs WHERE ref_count <= 0`, [], (err, rows) => {
+                if (err) return callback(err);
+                callback(null, rows.map(row => row.sha256));
+            });
+        });
+    }
+
+    // Content still kept in users' directories (stored before deduplication)
+    getUndeduplicatedContent(callback) {
+        const sql = `SELECT 'files' AS source, id, user_id, stored_name, size, sha256 FROM files WHERE blob_id IS NULL
+                     UNION ALL SELECT 'file_versions', id, user_id, stored_name, size, sha256 FROM file_versions WHERE blob_id IS NULL
+                     UNION ALL SELECT 'trash', id, user_id, stored_name, size, sha256 FROM trash WHERE blob_id IS NULL`;
+        this.db.all(sql, [], callback);
+    }
+
+    // Point a file, revision or trashed file (source: its table) at a blob
+    setBlobId(source, id, sha256, callback) {
+        if (!['files', 'file_versions', 'trash'].includes(source)) return callback(new Error(`Unknown content table: ${source}`));
+        this.db.run(`UPDATE ${source} SET blob_id = ?, sha256 = ? WHERE id = ?`, [sha256, sha256, id], callback);
+    }
+
+    // Logical bytes (what users are charged) against bytes actually on disk
+    getStorageStats(callback) {
+        const sql = `SELECT
+                         (SELECT COALESCE(SUM(size), 0) FROM files) +
+                         (SELECT COALESCE(SUM(size), 0) FROM file_versions) +
+                         (SELECT COALESCE(SUM(size), 0) FROM trash) AS logical_bytes,
+                         (SELECT COUNT(*) FROM files) + (SELECT COUNT(*) FROM file_versions) + (SELECT COUNT(*) FROM trash) AS entries,
+                         (SELECT COALESCE(SUM(size), 0) FROM blobs) AS blob_bytes,
+                         (SELECT COUNT(*) FROM blobs) AS blobs,
+                         (SELECT COALESCE(SUM(size), 0) FROM files WHERE blob_id IS NULL) +
+                         (SELECT COALESCE(SUM(size), 0) FROM file_versions WHERE blob_id IS NULL) +
+                         (SELECT COALESCE(SUM(size), 0) FROM trash WHERE blob_id IS NULL) AS legacy_bytes,
+                         (SELECT COUNT(*) FROM files WHERE blob_id IS NULL) +
+                         (SELECT COUNT(*) FROM file_versions WHERE blob_id IS NULL) +
+                         (SELECT COUNT(*) FROM trash WHERE blob_id IS NULL) AS legacy_entries`;
+        this.db.get(sql, [], callback);
+    }
+
+    // ========== FOLDERS ==========
+
+    // Every folder path a user has, created explicitly or holding files
+    getFolderPaths(userId, callback) {
+        const sql = `SELECT path FROM folders WHERE user_id = ?
+                     UNION SELECT DISTINCT folder FROM files WHERE user_id = ? AND folder != ''`;
+        this.db.all(sql, [userId, userId], (err, rows) => {
+            if (err) return callback(err);
+            callback(null, rows.map(row => row.path));
+        });
+    }
+
+    // Record a folder and its parents
+    createFolder(userId, folder, callback) {
+        const segments = folder.split('/');
+        const paths = segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+        const next = (err) => {
+            if (err) return callback(err);
+            const folderPath = paths.shift();
+            if (!folderPath) return callback(null);
+            this.db.run(`INSERT OR IGNORE INTO folders (user_id, path) VALUES (?, ?)`, [userId, folderPath], next);
+        };
+        next();
+    }
+
+    // Rename or move a folder together with everything below it. Files and
+    // upload links keep pointing at the folder under its new path.
+    moveFolder(userId, from, to, callback) {
+        const statements = [
+            `UPDATE folders SET path = ? || substr(path, length(?) + 1) WHERE user_id = ? AND ${subtreeClause('path')}`,
+            `UPDATE files SET folder = ? || substr(folder, length(?) + 1) WHERE user_id = ? AND ${subtreeClause('folder')}`,
+            `UPDATE upload_links SET folder = ? || substr(folder, length(?) + 1) WHERE user_id = ? AND ${subtreeClause('folder')}`,
+            `UPDATE user_shares SET folder = ? || substr(folder, length(?) + 1) WHERE owner_id = ? AND ${subtreeClause('folder')}`
+        ];
+        const params = [to, from, userId].concat(subtreeParams(from));
+        
+        const next = (err) => {
+            if (err) return callback(err);
+            const sql = statements.shift();
+            if (!sql) return callback(null);
+            this.db.run(sql, params, next);
+        };
+        next();
+    }
+
+    // Forget a folder and its subfolders, and stop sharing them (their files
+    // are removed separately)
+    deleteFolders(userId, folder, callback) {
+        const sql = `DELETE FROM folders WHERE user_id = ? AND ${subtreeClause('path')}`;
+        this.db.run(sql, [userId].concat(subtreeParams(folder)), (err) => {
+            if (err) return callback(err);
+            const shares = `DELETE FROM user_shares WHERE owner_id = ? AND ${subtreeClause('folder')}`;
+            this.db.run(shares, [userId].concat(subtreeParams(folder)), callback);
+        });
+    }
+
+    // ========== API TOKENS ==========
+
+    createApiToken(token, callback) {
+        const sql = `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        const params = [token.user_id, token.name, token.token_hash, token.token_prefix, token.scopes, token.expires_at || null];
+        const self = this;
+        this.db.run(sql, params, function(err) {
+            if (err) return callback(err);
+            self.getApiTokenById(this.lastID, callback);
+        });
+    }
+
+    getApiTokenById(id, callback) {
+        const sql = `SELECT id, user_id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+                     FROM api_tokens WHERE id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    // Token plus the account it acts for (not for deleted or disabled accounts)
+    getApiTokenByHash(tokenHash, callback) {
+        const sql = `SELECT t.*, u.username, u.role FROM api_tokens t JOIN users u ON u.id = t.user_id
+                     WHERE t.token_hash = ? AND u.deleted_at IS NULL AND u.disabled_at IS NULL`;
+        this.db.get(sql, [tokenHash], callback);
+    }
+
+    getApiTokensByUser(userId, callback) {
+        const sql = `SELECT id, user_id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+                     FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    getAllApiTokens(callback) {
+        const sql = `SELECT t.id, t.user_id, t.name, t.token_prefix, t.scopes, t.expires_at, t.last_used_at, t.created_at,
+                            u.username
+                     FROM api_tokens t JOIN users u ON u.id = t.user_id
+                     ORDER BY u.username, t.created_at DESC, t.id DESC`;
+        this.db.all(sql, [], callback);
+    }
+
+    touchApiToken(id, callback) {
+        this.db.run(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [id], callback);
+    }
+
+    // Revoke a token; userId limits it to one owner (null for admins).
+    // callback(err, deleted)
+    deleteApiToken(id, userId, callback) {
+        const sql = userId === null
+            ? `DELETE FROM api_tokens WHERE id = ?`
+            : `DELETE FROM api_tokens WHERE id = ? AND user_id = ?`;
+        const params = userId === null ? [id] : [id, userId];
+        this.db.run(sql, params, function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== SHARE LINKS ==========
+
+    createShareLink(link, callback) {
+        const insert = (passwordHash) => {
+            const sql = `INSERT INTO share_links (token, file_id, user_id, password_hash, expires_at, max_downloads)
+                         VALUES (?, ?, ?, ?, ?, ?)`;
+            const params = [link.token, link.file_id, link.user_id, passwordHash, link.expires_at || null, link.max_downloads || null];
+            const self = this;
+            this.db.run(sql, params, function(err) {
+                if (err) return callback(err);
+                self.getShareLinkById(this.lastID, callback);
+            });
+        };
+        
+        if (!link.password) return insert(null);
+        bcrypt.hash(link.password, 10, (err, hash) => {
+            if (err) return callback(err);
+            insert(hash);
+        });
+    }
+
+    getShareLinkById(id, callback) {
+        const sql = `SELECT * FROM share_links WHERE id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    // Link plus the file and owner it points to (id is the link's, file_id
+    // the file's)
+    getShareLinkByToken(token, callback) {
+        const sql = `SELECT s.*, f.original_name, f.folder, f.stored_name, f.blob_id, f.size, f.mime, f.sha256, u.username
+                     FROM share_links s
+                     JOIN files f ON f.id = s.file_id
+                     JOIN users u ON u.id = s.user_id
+                     WHERE s.token = ? AND u.deleted_at IS NULL AND u.disabled_at IS NULL`;
+        this.db.get(sql, [token], callback);
+    }
+
+    getShareLinksByUser(userId, callback) {
+        const sql = `SELECT s.id, s.token, s.file_id, s.expires_at, s.max_downloads, s.download_count,
+                            s.last_download_at, s.created_at, s.password_hash IS NOT NULL AS password_protected,
+                            f.original_name
+                     FROM share_links s
+                     JOIN files f ON f.id = s.file_id
+                     WHERE s.user_id = ?
+                     ORDER BY s.created_at DESC, s.id DESC`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    // Count a download unless the link is exhausted; callback(err, counted)
+    recordShareDownload(id, callback) {
+        const sql = `UPDATE share_links SET download_count = download_count + 1, last_download_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)`;
+        this.db.run(sql, [id], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    verifySharePassword(link, password, callback) {
+        if (!link.password_hash) return callback(null, true);
+        bcrypt.compare(password || '', link.password_hash, callback);
+    }
+
+    deleteShareLink(id, userId, callback) {
+        const sql = `DELETE FROM share_links WHERE id = ? AND user_id = ?`;
+        this.db.run(sql, [id, userId], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== UPLOAD LINKS (FILE DROP) ==========
+
+    createUploadLink(link, callback) {
+        const sql = `INSERT INTO upload_links (token, user_id, label, folder, max_file_size_mb, max_files, allowed_extensions, expires_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+        const params = [
+            link.token,
+            link.user_id,
+            link.label || null,
+            link.folder || '',
+            link.max_file_size_mb || null,
+            link.max_files || null,
+            link.allowed_extensions || null,
+            link.expires_at || null
+        ];
+        const self = this;
+        this.db.run(sql, params, function(err) {
+            if (err) return callback(err);
+            self.getUploadLinkById(this.lastID, callback);
+        });
+    }
+
+    getUploadLinkById(id, callback) {
+        const sql = `SELECT * FROM upload_links WHERE id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    // Link plus the owner it uploads for
+    getUploadLinkByToken(token, callback) {
+        const sql = `SELECT l.*, u.username FROM upload_links l JOIN users u ON u.id = l.user_id
+                     WHERE l.token = ? AND u.deleted_at IS NULL AND u.disabled_at IS NULL`;
+        this.db.get(sql, [token], callback);
+    }
+
+    getUploadLinksByUser(userId, callback) {
+        const sql = `SELECT * FROM upload_links WHERE user_id = ? ORDER BY created_at DESC, id DESC`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    // Files received through a link
+    getFilesByUploadLink(linkId, callback) {
+        const sql = `SELECT * FROM files WHERE upload_link_id = ? ORDER BY created_at DESC, rowid DESC`;
+        this.db.all(sql, [linkId], callback);
+    }
+
+    recordUploadLinkUse(id, fileCount, bytes, callback) {
+        const sql = `UPDATE upload_links SET files_received = files_received + ?, bytes_received = bytes_received + ?,
+                     last_upload_at = CURRENT_TIMESTAMP WHERE id = ?`;
+        this.db.run(sql, [fileCount, bytes, id], callback);
+    }
+
+    deleteUploadLink(id, userId, callback) {
+        const sql = `DELETE FROM upload_links WHERE id = ? AND user_id = ?`;
+        this.db.run(sql, [id, userId], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== GROUPS ==========
+
+    // Create a group and its storage space. The space account has no usable
+    // password hash, so nobody can sign in to it. callback(err, group)
+    // The group, its space account and the link between them are written
+    // together or not at all
+    createGroup(name, storageQuotaMB, createdBy, callback) {
+        const self = this;
+        this.transaction((done) => {
+            self.db.run(`INSERT INTO groups (name, created_by) VALUES (?, ?)`, [name, createdBy], function(err) {
+                if (err) return done(err);
+                
+                const groupId = this.lastID;
+                const sql = `INSERT INTO users (username, password_hash, role, storage_quota_mb) VALUES (?, '!', 'group', ?)`;
+                self.db.run(sql, [`_group-${groupId}`, storageQuotaMB], function(err) {
+                    if (err) return done(err);
+                    
+                    self.db.run(`UPDATE groups SET space_user_id = ? WHERE id = ?`, [this.lastID, groupId], (err) => done(err, groupId));
+                });
+            });
+        }, (err, groupId) => {
+            if (err) return callback(err);
+            self.getGroupById(groupId, callback);
+        });
+    }
+
+    // Group plus its space's quota and member count
+    getGroupById(id, callback) {
+        const sql = `SELECT ${GROUP_COLUMNS} FROM groups g JOIN users u ON u.id = g.space_user_id WHERE g.id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    getGroupBySpace(spaceId, callback) {
+        const sql = `SELECT ${GROUP_COLUMNS} FROM groups g JOIN users u ON u.id = g.space_user_id WHERE g.space_user_id = ?`;
+        this.db.get(sql, [spaceId], callback);
+    }
+
+    getAllGroups(callback) {
+        const sql = `SELECT ${GROUP_COLUMNS} FROM groups g JOIN users u ON u.id = g.space_user_id ORDER BY g.name`;
+        this.db.all(sql, [], callback);
+    }
+
+    // Groups a user belongs to, with their role in each
+    getGroupsForUser(userId, callback) {
+        const sql = `SELECT ${GROUP_COLUMNS}, m.role FROM groups g
+                     JOIN users u ON u.id = g.space_user_id
+                     JOIN group_members m ON m.group_id = g.id
+                     WHERE m.user_id = ? ORDER BY g.name`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    renameGroup(id, name, callback) {
+        this.db.run(`UPDATE groups SET name = ? WHERE id = ?`, [name, id], callback);
+    }
+
+    // Forget a group, its members and what was shared from its space (the
+    // space account itself is purged like any other account)
+    deleteGroup(group, callback) {
+        const statements = [
+            [`DELETE FROM group_members WHERE group_id = ?`, [group.id]],
+            [`DELETE FROM user_shares WHERE owner_id = ?`, [group.space_user_id]],
+            [`DELETE FROM groups WHERE id = ?`, [group.id]]
+        ];
+        const next = (err) => {
+            if (err) return callback(err);
+            const statement = statements.shift();
+            if (!statement) return callback(null);
+            this.db.run(statement[0], statement[1], next);
+        };
+        next();
+    }
+
+    getGroupMembers(groupId, callback) {
+        const sql = `SELECT m.user_id, u.username, m.role, m.added_at FROM group_members m
+                     JOIN users u ON u.id = m.user_id
+                     WHERE m.group_id = ? AND u.deleted_at IS NULL ORDER BY u.username`;
+        this.db.all(sql, [groupId], callback);
+    }
+
+    // Add a member or change their role
+    setGroupMember(groupId, userId, role, callback) {
+        const sql = `INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)
+                     ON CONFLICT (group_id, user_id) DO UPDATE SET role = excluded.role`;
+        this.db.run(sql, [groupId, userId, role], callback);
+    }
+
+    // callback(err, removed)
+    removeGroupMember(groupId, userId, callback) {
+        this.db.run(`DELETE FROM group_members WHERE group_id = ? AND user_id = ?`, [groupId, userId], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // A user's role in the group that owns a space, or null
+    getSpaceRole(userId, spaceId, callback) {
+        const sql = `SELECT m.role FROM groups g JOIN group_members m ON m.group_id = g.id
+                     WHERE g.space_user_id = ? AND m.user_id = ?`;
+        this.db.get(sql, [spaceId, userId], (err, row) => {
+            if (err) return callback(err);
+            callback(null, row ? row.role : null);
+        });
+    }
+
+    // ========== USER SHARES ==========
+
+    // share: { owner_id, file_id or folder, grantee_id, role, created_by }.
+    // Sharing the same item with the same user again changes the role.
+    createUserShare(share, callback) {
+        const itemClause = share.file_id ? 'file_id = ?' : 'folder = ?';
+        const item = share.file_id || share.folder;
+        const sql = `SELECT id FROM user_shares WHERE owner_id = ? AND grantee_id = ? AND ${itemClause}`;
+        this.db.get(sql, [share.owner_id, share.grantee_id, item], (err, existing) => {
+            if (err) return callback(err);
+            
+            if (existing) {
+                return this.db.run(`UPDATE user_shares SET role = ? WHERE id = ?`, [share.role, existing.id], (err) => {
+                    if (err) return callback(err);
+                    this.getUserShareById(existing.id, callback);
+                });
+            }
+            
+            const self = this;
+            const insert = `INSERT INTO user_shares (owner_id, file_id, folder, grantee_id, role, created_by) VALUES (?, ?, ?, ?, ?, ?)`;
+            const params = [share.owner_id, share.file_id || null, share.file_id ? null : share.folder, share.grantee_id, share.role, share.created_by];
+            this.db.run(insert, params, function(err) {
+                if (err) return callback(err);
+                self.getUserShareById(this.lastID, callback);
+            });
+        });
+    }
+
+    // Share plus the names of the people and the file involved
+    getUserShareById(id, callback) {
+        const sql = `SELECT ${USER_SHARE_COLUMNS} FROM user_shares s ${USER_SHARE_JOINS} WHERE s.id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    // What has been shared from a space (trashed files' shares are left out)
+    getUserSharesByOwner(ownerId, callback) {
+        const sql = `SELECT ${USER_SHARE_COLUMNS} FROM user_shares s ${USER_SHARE_JOINS}
+                     WHERE s.owner_id = ? AND (s.file_id IS NULL OR f.id IS NOT NULL)
+                     ORDER BY s.created_at DESC, s.id DESC`;
+        this.db.all(sql, [ownerId], callback);
+    }
+
+    // What has been shared with a user, from accounts that are not deleted
+    getUserSharesForGrantee(granteeId, callback) {
+        const sql = `SELECT ${USER_SHARE_COLUMNS} FROM user_shares s ${USER_SHARE_JOINS}
+                     WHERE s.grantee_id = ? AND o.deleted_at IS NULL AND (s.file_id IS NULL OR f.id IS NOT NULL)
+                     ORDER BY s.created_at DESC, s.id DESC`;
+        this.db.all(sql, [granteeId], callback);
+    }
+
+    // Shares from one space to one user (to work out what they may reach)
+    getUserSharesBetween(ownerId, granteeId, callback) {
+        const sql = `SELECT * FROM user_shares WHERE owner_id = ? AND grantee_id = ?`;
+        this.db.all(sql, [ownerId, granteeId], callback);
+    }
+
+    // callback(err, deleted)
+    deleteUserShare(id, ownerId, callback) {
+        this.db.run(`DELETE FROM user_shares WHERE id = ? AND owner_id = ?`, [id, ownerId], function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes === 1);
+        });
+    }
+
+    // ========== RETENTION ==========
+
+    // policy: { user_id (null for every space), name, pattern, folder,
+    // max_age_days, keep_newest, created_by }
+    createRetentionPolicy(policy, callback) {
+        const self = this;
+        const sql = `INSERT INTO retention_policies (user_id, name, pattern, folder, max_age_days, keep_newest, created_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+        const params = [policy.user_id, policy.name, policy.pattern, policy.folder, policy.max_age_days, policy.keep_newest, policy.created_by];
+        this.db.run(sql, params, function(err) {
+            if (err) return callback(err);
+            self.getRetentionPolicyById(this.lastID, callback);
+        });
+    }
+
+    getRetentionPolicyById(id, callback) {
+        this.db.get(`SELECT * FROM retention_policies WHERE id = ?`, [id], callback);
+    }
+
+    // The policies that apply to a space: its own and the global ones
+    getRetentionPolicies(userId, callback) {
+        const sql = `SELECT * FROM retention_policies WHERE user_id = ? OR user_id IS NULL ORDER BY user_id IS NOT NULL, id`;
+        this.db.all(sql, [userId], callback);
+    }
+
+    getAllRetentionPolicies(callback) {
+        this.db.all(`SELECT * FROM retention_policies ORDER BY id`, [], callback);
+    }
+
+    updateRetentionPolicy(id, policy, callback) {
+        const sql = `UPDATE retention_policies SET name = ?, pattern = ?, folder = ?, max_age_days = ?, keep_newest = ? WHERE id = ?`;
+        this.db.run(sql, [policy.name, policy.pattern, policy.folder, policy.max_age_days, policy.keep_newest, id], callback);
+    }
+
+    deleteRetentionPolicy(id, callback) {
+        this.db.run(`DELETE FROM retention_policies WHERE id = ?`, [id], callback);
+    }
+
+    // Spaces with files, for applying retention: every one (the accounts that
+    // are not deleted) or only those in userIds
+    getRetentionSpaces(userIds, callback) {
+        const only = userIds ? `AND u.id IN (${userIds.map(() => '?').join(', ') || 'NULL'})` : '';
+        const sql = `SELECT u.id, u.username FROM users u
+                     WHERE u.deleted_at IS NULL ${only} AND EXISTS (SELECT 1 FROM files f WHERE f.user_id = u.id)
+                     ORDER BY u.id`;
+        this.db.all(sql, userIds || [], callback);
+    }
+
+    // Spaces with files past their own expiry
+    getSpacesWithExpiredFiles(now, callback) {
+        const sql = `SELECT DISTINCT f.user_id AS id FROM files f JOIN users u ON u.id = f.user_id
+                     WHERE f.expires_at <= ? AND u.deleted_at IS NULL`;
+        this.db.all(sql, [now], (err, rows) => {
+            if (err) return callback(err);
+            callback(null, rows.map(row => row.id));
+        });
+    }
+
+    // ========== QUOTA PLANS ==========
+
+    createQuotaPlan(name, storageQuotaMB, callback) {
+        const self = this;
+        this.db.run(`INSERT INTO quota_plans (name, storage_quota_mb) VALUES (?, ?)`, [name, storageQuotaMB], function(err) {
+            if (err) return callback(err);
+            self.getQuotaPlanById(this.lastID, callback);
+        });
+    }
+
+    // Plans with the number of accounts on them
+    getQuotaPlans(callback) {
+        const sql = `SELECT p.*, COUNT(u.id) AS user_count
+                     FROM quota_plans p LEFT JOIN users u ON u.quota_plan_id = p.id
+                     GROUP BY p.id ORDER BY p.name`;
+        this.db.all(sql, [], callback);
+    }
+
+    getQuotaPlanById(id, callback) {
+        const sql = `SELECT p.*, (SELECT COUNT(*) FROM users u WHERE u.quota_plan_id = p.id) AS user_count
+                     FROM quota_plans p WHERE p.id = ?`;
+        this.db.get(sql, [id], callback);
+    }
+
+    // Rename a plan or change its quota, for everyone on it
+    updateQuotaPlan(id, name, storageQuotaMB, callback) {
+        this.db.run(`UPDATE quota_plans SET name = ?, storage_quota_mb = ? WHERE id = ?`, [name, storageQuotaMB, id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`UPDATE users SET storage_quota_mb = ? WHERE quota_plan_id = ?`, [storageQuotaMB, id], callback);
+        });
+    }
+
+    // Accounts on the plan keep its quota as their own
+    deleteQuotaPlan(id, callback) {
+        this.db.run(`UPDATE users SET quota_plan_id = NULL WHERE quota_plan_id = ?`, [id], (err) => {
+            if (err) return callback(err);
+            this.db.run(`DELETE FROM quota_plans WHERE id = ?`, [id], callback);
+        });
+    }
+
+    // Put accounts on a plan (group spaces are left alone). callback(err, updated)
+    assignQuotaPlan(plan, userIds, callback) {
+        const sql = `UPDATE users SET quota_plan_id = ?, storage_quota_mb = ?
+                     WHERE id IN (${userIds.map(() => '?').join(', ')}) AND role != 'group'`;
+        this.db.run(sql, [plan.id, plan.storage_quota_mb].concat(userIds), function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes);
+        });
+    }
+
+    // Ids of the accounts on a plan (whose usage changes with it)
+    getQuotaPlanUserIds(id, callback) {
+        this.db.all(`SELECT id FROM users WHERE quota_plan_id = ?`, [id], (err, rows) => {
+            if (err) return callback(err);
+            callback(null, rows.map(row => row.id));
+        });
+    }
 }
 
 module.exports = new Database();
\ No newline at end of file
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Personal access tokens look like "sut_<43 base64url chars>"
+const TOKEN_PREFIX = 'sut_';
+const TOKEN_SCOPES = ['read', 'upload', 'delete', 'admin'];
+
+// Scope a token needs for each request method ('admin' grants all of them)
+const METHOD_SCOPES = {
+    GET: 'read',
+    HEAD: 'read',
+    OPTIONS: 'read',
+    POST: 'upload',
+    PUT: 'upload',
+    PATCH: 'upload',
+    DELETE: 'delete',
+    // WebDAV
+    PROPFIND: 'read',
+    PROPPATCH: 'upload',
+    MKCOL: 'upload',
+    COPY: 'upload',
+    MOVE: 'upload',
+    LOCK: 'upload',
+    UNLOCK: 'upload'
+};
+
+function generateToken() {
+    return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Tokens are long and random, so a plain SHA-256 is enough to store them
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// "read, upload" or ['read', 'upload'] -> ['read', 'upload'] (null if empty or unknown)
+function parseScopes(value) {
+    const list = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(scope => String(scope).trim().toLowerCase())
+        .filter(Boolean);
+    if (list.length === 0 || list.some(scope => !TOKEN_SCOPES.includes(scope))) return null;
+    return TOKEN_SCOPES.filter(scope => list.includes(scope));
+}
+
+// Token from an "Authorization: Bearer <token>" header, or null
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// { username, password } from an "Authorization: Basic ..." header, or null
+function basicCredentials(req) {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(req.get('Authorization') || '');
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    if (colon <= 0) return null;
+    return { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+// Whether a password is really a personal access token
+function isApiToken(value) {
+    return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+function tokenAllows(scopes, scope) {
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+module.exports = {
+    TOKEN_SCOPES,
+    METHOD_SCOPES,
+    generateToken,
+    hashToken,
+    parseScopes,
+    bearerToken,
+    basicCredentials,
+    isApiToken,
+    tokenAllows
+};
@@ -0,0 +1,729 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline, Transform, Writable, PassThrough } = require('stream');
+const { unsafeNameReason, logRejectedPath } = require('./safe-path');
+const { stagingPath } = require('./quota-storage');
+const { SNIFF_BYTES } = require('./file-types');
+
+// ZIP downloads are written without ZIP64 extensions, so an archive must
+// stay below 4 GiB (the margin covers headers and incompressible data) and
+// 65535 entries
+const ZIP_MAX_CONTENT_BYTES = 4000 * 1024 * 1024;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+// Compression ratios are only judged once this much has been inflated
+const RATIO_MIN_BYTES = 1024 * 1024;
+// Largest PAX / GNU long-name header read from a tar archive
+const TAR_META_MAX_BYTES = 64 * 1024;
+const TAR_BLOCK = 512;
+
+const EMPTY = Buffer.alloc(0);
+
+// ========== CRC-32 ==========
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(chunk, previous) {
+    let crc = ~(previous || 0);
+    for (let i = 0; i < chunk.length; i++) crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+// ========== ZIP WRITER ==========
+
+// MS-DOS date and time fields (2 second resolution, 1980 at the earliest)
+function dosDateTime(date) {
+    const d = date instanceof Date && !isNaN(date) ? date : new Date();
+    const year = Math.max(1980, d.getFullYear());
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+/**
+ * Streaming ZIP writer. Entries are deflated straight from disk into the
+ * output (with backpressure) and their CRC and sizes follow in a data
+ * descriptor, so nothing is buffered in memory or in temporary files.
+ *
+ * Names are UTF-8 with "/" separators; directory names end with "/".
+ */
+class ZipWriter {
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+        this.current = null;
+    }
+
+    write(buffer) {
+        this.offset += buffer.length;
+        return this.output.write(buffer);
+    }
+
+    localHeader(name, flags, method, stamp) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(stamp.time, 10);
+        header.writeUInt16LE(stamp.date, 12);
+        header.writeUInt16LE(name.length, 26);
+        return Buffer.concat([header, name]);
+    }
+
+    addDirectory(name, mtime) {
+        const entry = {
+            name: Buffer.from(name.endsWith('/') ? name : name + '/'),
+            flags: 0x0800,
+            method: 0,
+            stamp: dosDateTime(mtime),
+            crc: 0,
+            compressedSize: 0,
+            size: 0,
+            offset: this.offset,
+            attributes: ((0o40755 << 16) | 0x10) >>> 0
+        };
+        this.write(this.localHeader(entry.name, entry.flags, entry.method, entry.stamp));
+        this.entries.push(entry);
+    }
+
+    // Deflate a readable stream into the archive. callback(err) once it is written.
+    addFile(name, source, mtime, callback) {
+        if (this.entries.length >= ZIP_MAX_ENTRIES) {
+            source.destroy();
+            return callback(new Error('Too many entries for a ZIP archive'));
+        }
+
+        const entry = {
+            name: Buffer.from(name),
+            flags: 0x0808,
+            method: 8,
+            stamp: dosDateTime(mtime),
+            crc: 0,
+            compressedSize: 0,
+            size: 0,
+            offset: this.offset,
+            attributes: (0o100644 << 16) >>> 0
+        };
+
+        const deflate = zlib.createDeflateRaw();
+        let finished = false;
+        const done = (err) => {
+            if (finished) return;
+            finished = true;
+            this.current = null;
+            if (err) {
+                source.destroy();
+                deflate.destroy();
+                return callback(err);
+            }
+            if (this.offset + entry.compressedSize > 0xffffffff) return callback(new Error('ZIP archive too large'));
+
+            this.offset += entry.compressedSize;
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(entry.crc, 4);
+            descriptor.writeUInt32LE(entry.compressedSize, 8);
+            descriptor.writeUInt32LE(entry.size, 12);
+            this.write(descriptor);
+            this.entries.push(entry);
+            callback(null);
+        };
+
+        this.write(this.localHeader(entry.name, entry.flags, entry.method, entry.stamp));
+        source.on('data', (chunk) => {
+            entry.crc = crc32(chunk, entry.crc);
+            entry.size += chunk.length;
+        });
+        deflate.on('data', (chunk) => {
+            entry.compressedSize += chunk.length;
+        });
+        this.current = { source, deflate };
+        source.on('error', done);
+        deflate.on('error', done);
+        deflate.on('end', () => done(null));
+        source.pipe(deflate).pipe(this.output, { end: false });
+    }
+
+    // Stop reading the entry in progress (the output went away)
+    abort() {
+        if (!this.current) return;
+        this.current.source.destroy();
+        this.current.deflate.destroy();
+        this.current = null;
+    }
+
+    // Write the central directory and end the output
+    finish() {
+        const start = this.offset;
+        this.entries.forEach(entry => {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(0x0314, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.stamp.time, 12);
+            header.writeUInt16LE(entry.stamp.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.attributes, 38);
+            header.writeUInt32LE(entry.offset, 42);
+            this.write(Buffer.concat([header, entry.name]));
+        });
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        this.write(end);
+        this.output.end();
+    }
+}
+
+// ========== EXTRACTION ==========
+
+function archiveError(message, status) {
+    const err = new Error(message);
+    err.code = 'ARCHIVE_REJECTED';
+    err.status = status;
+    return err;
+}
+
+function invalidArchive(detail) {
+    return archiveError(`Invalid archive: ${detail}`, 400);
+}
+
+// 'zip', 'tar.gz' or null, from the file name
+function archiveFormat(filename) {
+    const name = String(filename).toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+    return null;
+}
+
+// Path segments of an entry name. Absolute paths, ".." and names that
+// could not be stored are refused (and logged). The root directory itself
+// ("./") has no segments.
+function entrySegments(rawName, isDirectory, source) {
+    const name = rawName.replace(/\\/g, '/');
+    let reason = null;
+    if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) reason = 'absolute path';
+    const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (!reason && segments.includes('..')) reason = 'path traversal';
+    if (!reason && segments.length === 0 && !isDirectory) reason = 'empty name';
+    if (!reason) reason = segments.map(unsafeNameReason).find(Boolean) || null;
+    if (reason) {
+        logRejectedPath(rawName, `archive entry: ${reason}`, source);
+        throw archiveError(`Archive entry ${JSON.stringify(rawName)} is not allowed (${reason})`, 400);
+    }
+    return segments;
+}
+
+/**
+ * Limits of one extraction, shared by all its entries:
+ *   maxEntries    entries of any kind (directories and skipped ones included)
+ *   maxFileBytes  size of a single file
+ *   maxBytes      total uncompressed size
+ *   available     room left in the owner's quota; quotaError() is raised
+ *                 past it
+ *   maxRatio      uncompressed/compressed ratio a zip entry (or a whole
+ *                 .tar.gz) may reach
+ */
+class ExtractionBudget {
+    constructor(limits) {
+        Object.assign(this, limits);
+        this.entries = 0;
+        this.bytes = 0;
+    }
+
+    addEntry() {
+        if (++this.entries > this.maxEntries) {
+            throw archiveError(`Archive has too many entries (maximum ${this.maxEntries})`, 413);
+        }
+    }
+
+    // The error a total of this many uncompressed bytes fails with, or null
+    sizeError(total) {
+        if (total > this.maxBytes) {
+            return archiveError(`Archive content too large (maximum ${Math.floor(this.maxBytes / 1024 / 1024)}MB uncompressed)`, 413);
+        }
+        if (total > this.available) return this.quotaError();
+        return null;
+    }
+
+    // Account inflated bytes; returns the error to fail with, or null
+    addBytes(count) {
+        this.bytes += count;
+        return this.sizeError(this.bytes);
+    }
+
+    checkRatio(inflated, compressed) {
+        if (inflated > RATIO_MIN_BYTES && inflated > compressed * this.maxRatio) {
+            throw archiveError('Archive rejected: suspicious compression ratio', 413);
+        }
+    }
+}
+
+/**
+ * Inflate one entry into a staging file in destination, hashing it on the
+ * way. Sizes are counted as the data arrives, so a lying header cannot
+ * get past the budget. callback(err, { path, size, sha256, head, crc })
+ */
+function writeEntry(sources, destination, budget, expectedSize, callback) {
+    const tempPath = stagingPath(destination);
+    const hash = crypto.createHash('sha256');
+    const headChunks = [];
+    let size = 0;
+    let crc = 0;
+
+    const counter = new Transform({
+        transform(chunk, encoding, cb) {
+            if (size < SNIFF_BYTES) headChunks.push(chunk.slice(0, SNIFF_BYTES - size));
+            size += chunk.length;
+            if (expectedSize !== null && size > expectedSize) return cb(invalidArchive('entry is larger than declared'));
+            if (size > budget.maxFileBytes) {
+                return cb(archiveError(`Archive entry too large (maximum ${Math.floor(budget.maxFileBytes / 1024 / 1024)}MB)`, 413));
+            }
+            const overBudget = budget.addBytes(chunk.length);
+            if (overBudget) return cb(overBudget);
+            hash.update(chunk);
+            crc = crc32(chunk, crc);
+            cb(null, chunk);
+        }
+    });
+
+    pipeline(...sources, counter, fs.createWriteStream(tempPath), (err) => {
+        if (err) return fs.unlink(tempPath, () => callback(err));
+        callback(null, { path: tempPath, size, sha256: hash.digest('hex'), head: Buffer.concat(headChunks), crc });
+    });
+}
+
+function readAt(fd, length, position, callback) {
+    const buffer = Buffer.alloc(length);
+    fs.read(fd, buffer, 0, length, position, (err, bytesRead) => {
+        if (err) return callback(err);
+        if (bytesRead < length) return callback(invalidArchive('unexpected end of file'));
+        callback(null, buffer);
+    });
+}
+
+// Entries of a ZIP file from its central directory
+function readZipDirectory(fd, fileSize, callback) {
+    const tailLength = Math.min(fileSize, 22 + 0xffff);
+    readAt(fd, tailLength, fileSize - tailLength, (err, tail) => {
+        if (err) return callback(err);
+
+        let end = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) return callback(invalidArchive('not a ZIP file'));
+
+        const count = tail.readUInt16LE(end + 10);
+        const directorySize = tail.readUInt32LE(end + 12);
+        const directoryOffset = tail.readUInt32LE(end + 16);
+        if (count === 0xffff || directoryOffset === 0xffffffff) {
+            return callback(archiveError('ZIP64 archives are not supported', 400));
+        }
+        if (directoryOffset + directorySize > fileSize) return callback(invalidArchive('bad central directory'));
+
+        readAt(fd, directorySize, directoryOffset, (err, directory) => {
+            if (err) return callback(err);
+
+            const entries = [];
+            let pos = 0;
+            for (let i = 0; i < count; i++) {
+                if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== 0x02014b50) {
+                    return callback(invalidArchive('bad central directory'));
+                }
+                const flags = directory.readUInt16LE(pos + 8);
+                const nameLength = directory.readUInt16LE(pos + 28);
+                const extraLength = directory.readUInt16LE(pos + 30);
+                const commentLength = directory.readUInt16LE(pos + 32);
+                const madeBy = directory.readUInt16LE(pos + 4) >> 8;
+                const fileType = (directory.readUInt32LE(pos + 38) >>> 16) & 0o170000;
+                const nameBytes = directory.slice(pos + 46, pos + 46 + nameLength);
+                const name = nameBytes.toString(flags & 0x0800 ? 'utf8' : 'latin1');
+                entries.push({
+                    name,
+                    flags,
+                    method: directory.readUInt16LE(pos + 10),
+                    crc: directory.readUInt32LE(pos + 16),
+                    compressedSize: directory.readUInt32LE(pos + 20),
+                    size: directory.readUInt32LE(pos + 24),
+                    localOffset: directory.readUInt32LE(pos + 42),
+                    directory: name.endsWith('/') || name.endsWith('\\'),
+                    // Unix symlinks, devices and the like
+                    special: madeBy === 3 && fileType !== 0 && fileType !== 0o100000 && fileType !== 0o040000
+                });
+                pos += 46 + nameLength + extraLength + commentLength;
+            }
+            callback(null, entries);
+        });
+    });
+}
+
+function extractZip(archivePath, destination, budget, source, callback) {
+    fs.open(archivePath, 'r', (err, fd) => {
+        if (err) return callback(err);
+        const finish = (err, result) => fs.close(fd, () => callback(err, result));
+
+        fs.fstat(fd, (err, stat) => {
+            if (err) return finish(err);
+
+            readZipDirectory(fd, stat.size, (err, entries) => {
+                if (err) return finish(err);
+
+                const result = { files: [], folders: [], skipped: 0 };
+                const plan = [];
+                try {
+                    // Everything the directory promises is checked before
+                    // a single byte is inflated
+                    let declared = 0;
+                    entries.forEach(entry => {
+                        budget.addEntry();
+                        const segments = entrySegments(entry.name, entry.directory, source);
+                        if (entry.directory) {
+                            if (segments.length > 0) result.folders.push(segments.join('/'));
+                            return;
+                        }
+                        if (entry.special) return result.skipped++;
+                        if (entry.flags & 0x0001) throw archiveError('Encrypted ZIP entries are not supported', 400);
+                        if (entry.method !== 0 && entry.method !== 8) {
+                            throw archiveError(`Unsupported compression method in ${entry.name}`, 400);
+                        }
+                        budget.checkRatio(entry.size, entry.compressedSize);
+                        declared += entry.size;
+                        plan.push({ entry, segments });
+                    });
+                    const problem = budget.sizeError(declared);
+                    if (problem) throw problem;
+                } catch (err) {
+                    return finish(err);
+                }
+
+                const next = () => {
+                    const item = plan.shift();
+                    if (!item) return finish(null, result);
+                    const { entry, segments } = item;
+
+                    readAt(fd, 30, entry.localOffset, (err, local) => {
+                        if (err) return fail(err);
+                        if (local.readUInt32LE(0) !== 0x04034b50) return fail(invalidArchive('bad local header'));
+                        const dataStart = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+                        if (dataStart + entry.compressedSize > stat.size) return fail(invalidArchive('entry runs past the end of the file'));
+
+                        const sources = [entry.compressedSize > 0
+                            ? fs.createReadStream(null, { fd, autoClose: false, start: dataStart, end: dataStart + entry.compressedSize - 1 })
+                            : new PassThrough().end()];
+                        if (entry.method === 8) sources.push(zlib.createInflateRaw());
+
+                        writeEntry(sources, destination, budget, entry.size, (err, file) => {
+                            if (err) return fail(/^Z_/.test(err.code) ? invalidArchive(`${entry.name} is corrupt`) : err);
+                            result.files.push(Object.assign(file, {
+                                originalname: segments[segments.length - 1],
+                                folder: segments.slice(0, -1).join('/')
+                            }));
+                            if (file.size !== entry.size || file.crc !== entry.crc) return fail(invalidArchive(`${entry.name} is corrupt`));
+                            next();
+                        });
+                    });
+                };
+                const fail = (err) => discardStaged(result.files, () => finish(err));
+                next();
+            });
+        });
+    });
+}
+
+function discardStaged(files, callback) {
+    let pending = files.length;
+    if (pending === 0) return callback();
+    files.forEach(file => fs.unlink(file.path, () => {
+        if (--pending === 0) callback();
+    }));
+}
+
+// NUL-terminated string field of a tar header
+function tarString(block, offset, length) {
+    const field = block.slice(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.slice(0, end < 0 ? length : end).toString('utf8');
+}
+
+function tarNumber(block, offset, length) {
+    // Base-256 sizes are only used beyond 8 GiB
+    if (block[offset] & 0x80) return Infinity;
+    const text = tarString(block, offset, length).trim();
+    if (text === '') return 0;
+    if (!/^[0-7]+$/.test(text)) throw invalidArchive('bad tar header');
+    return parseInt(text, 8);
+}
+
+// { name, type, size } of a tar header block, or null for an end block
+function parseTarHeader(block) {
+    if (block.every(byte => byte === 0)) return null;
+
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : block[i];
+    if (tarNumber(block, 148, 8) !== sum) throw invalidArchive('bad tar header checksum');
+
+    let name = tarString(block, 0, 100);
+    if (block.slice(257, 262).toString('latin1') === 'ustar') {
+        const prefix = tarString(block, 345, 155);
+        if (prefix) name = prefix + '/' + name;
+    }
+    const flag = block[156];
+    return { name, type: flag === 0 ? '0' : String.fromCharCode(flag), size: tarNumber(block, 124, 12) };
+}
+
+// "path" from PAX extended header records ("<length> <key>=<value>\n")
+function paxPath(buffer) {
+    let pos = 0;
+    let found = null;
+    while (pos < buffer.length) {
+        const space = buffer.indexOf(0x20, pos);
+        const length = parseInt(buffer.slice(pos, space).toString('latin1'), 10);
+        if (space < 0 || !(length > 0)) break;
+        const record = buffer.slice(space + 1, pos + length - 1).toString('utf8');
+        const eq = record.indexOf('=');
+        if (record.slice(0, eq) === 'path') found = record.slice(eq + 1);
+        pos += length;
+    }
+    return found;
+}
+
+/**
+ * Tar stream parser. onEntry({ name, type, size }) is called for every
+ * entry ('file', 'directory' or 'other') and returns a writable that gets
+ * the body of a file, or null to skip it. Parsing stops at the end blocks.
+ */
+class TarReader extends Writable {
+    constructor(onEntry) {
+        super();
+        this.onEntry = onEntry;
+        this.buffer = EMPTY;
+        this.state = 'header';
+        this.remaining = 0;
+        this.padding = 0;
+        this.target = null;
+        this.meta = null;
+        this.longName = null;
+        this.ended = false;
+    }
+
+    take(length) {
+        const piece = this.buffer.slice(0, length);
+        this.buffer = this.buffer.slice(length);
+        return piece;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        this.drain(callback);
+    }
+
+    _final(callback) {
+        if (!this.ended && (this.state !== 'header' || this.buffer.length > 0)) {
+            return callback(invalidArchive('unexpected end of tar data'));
+        }
+        callback();
+    }
+
+    drain(callback) {
+        for (;;) {
+            if (this.state === 'header') {
+                if (this.buffer.length < TAR_BLOCK) return callback();
+                let header;
+                try {
+                    header = parseTarHeader(this.take(TAR_BLOCK));
+                    if (header) this.startEntry(header);
+                } catch (err) {
+                    return callback(err);
+                }
+                if (!header) {
+                    // End of the archive: whatever follows is not inflated
+                    this.ended = true;
+                    this.buffer = EMPTY;
+                    callback();
+                    return this.destroy();
+                }
+                continue;
+            }
+
+            if (this.state === 'body') {
+                if (this.remaining > 0) {
+                    if (this.buffer.length === 0) return callback();
+                    const piece = this.take(Math.min(this.remaining, this.buffer.length));
+                    this.remaining -= piece.length;
+                    if (this.meta) this.meta.push(piece);
+                    if (this.target && !this.target.destroyed && !this.target.write(piece) && this.remaining > 0) {
+                        return this.target.once('drain', () => this.drain(callback));
+                    }
+                    continue;
+                }
+                if (this.target) this.target.end();
+                if (this.meta) this.finishMeta();
+                this.target = null;
+                this.meta = null;
+                this.state = 'padding';
+            }
+
+            if (this.state === 'padding') {
+                const piece = this.take(Math.min(this.padding, this.buffer.length));
+                this.padding -= piece.length;
+                if (this.padding > 0) return callback();
+                this.state = 'header';
+            }
+        }
+    }
+
+    startEntry(header) {
+        if (header.size === Infinity) throw archiveError('Archive entry too large', 413);
+        this.state = 'body';
+        this.remaining = header.size;
+        this.padding = (TAR_BLOCK - header.size % TAR_BLOCK) % TAR_BLOCK;
+
+        // PAX extended header ('x') or GNU long name ('L') for the next entry
+        if (header.type === 'x' || header.type === 'L') {
+            if (header.size > TAR_META_MAX_BYTES) throw invalidArchive('oversized tar header');
+            this.meta = [];
+            this.meta.type = header.type;
+            return;
+        }
+        // Global PAX headers and GNU long link names carry nothing we use
+        if (header.type === 'g' || header.type === 'K') return;
+
+        const name = this.longName || header.name;
+        this.longName = null;
+        const type = header.type === '0' || header.type === '7' ? 'file' : header.type === '5' ? 'directory' : 'other';
+        this.target = this.onEntry({ name, type, size: header.size });
+    }
+
+    finishMeta() {
+        const body = Buffer.concat(this.meta);
+        this.longName = this.meta.type === 'L' ? tarString(body, 0, body.length) : paxPath(body) || this.longName;
+    }
+}
+
+function extractTarGz(archivePath, destination, budget, source, callback) {
+    const result = { files: [], folders: [], skipped: 0 };
+    let pending = 0;
+    let failure = null;
+    let parsed = false;
+    // Bodies of files still being written
+    const bodies = new Set();
+
+    const settle = () => {
+        if (!parsed || pending > 0) return;
+        if (failure) return discardStaged(result.files, () => callback(failure));
+        callback(null, result);
+    };
+    const fail = (err) => {
+        if (!failure) failure = err;
+        reader.destroy(err);
+        bodies.forEach(body => body.destroy(err));
+    };
+
+    const reader = new TarReader((entry) => {
+        if (failure) return null;
+        budget.addEntry();
+        const segments = entrySegments(entry.name, entry.type === 'directory', source);
+        if (entry.type === 'directory') {
+            if (segments.length > 0) result.folders.push(segments.join('/'));
+            return null;
+        }
+        if (entry.type !== 'file') {
+            result.skipped++;
+            return null;
+        }
+
+        const body = new PassThrough();
+        bodies.add(body);
+        pending++;
+        writeEntry([body], destination, budget, entry.size, (err, file) => {
+            bodies.delete(body);
+            pending--;
+            if (file) {
+                result.files.push(Object.assign(file, {
+                    originalname: segments[segments.length - 1],
+                    folder: segments.slice(0, -1).join('/')
+                }));
+            }
+            if (err) fail(err);
+            settle();
+        });
+        return body;
+    });
+
+    // Whatever gunzip produces counts, headers and skipped bodies included
+    const input = fs.createReadStream(archivePath);
+    let inflated = 0;
+    const meter = new Transform({
+        transform(chunk, encoding, cb) {
+            inflated += chunk.length;
+            try {
+                budget.checkRatio(inflated, input.bytesRead);
+            } catch (err) {
+                return cb(err);
+            }
+            if (inflated > budget.maxBytes + (budget.maxEntries + 2) * 3 * TAR_BLOCK) {
+                return cb(archiveError('Archive content too large', 413));
+            }
+            cb(null, chunk);
+        }
+    });
+
+    pipeline(input, zlib.createGunzip(), meter, reader, (err) => {
+        // Closing the reader at the end blocks is not a failure
+        if (err && !reader.ended) {
+            if (!failure) failure = /^Z_/.test(err.code) ? invalidArchive('corrupt gzip data') : err;
+            bodies.forEach(body => body.destroy(failure));
+        }
+        parsed = true;
+        settle();
+    });
+}
+
+/**
+ * Unpack an archive ('zip' or 'tar.gz') into staging files in destination.
+ *
+ * callback(err, { files, folders, skipped }): files are
+ * { originalname, folder, path, size, sha256, head } with folder relative to
+ * the archive root; folders lists directory entries; skipped counts links and
+ * other special entries. Nothing is left behind on failure.
+ *
+ * limits: see ExtractionBudget; source describes the uploader for logs.
+ */
+function extractArchive(archivePath, format, destination, limits, source, callback) {
+    const budget = new ExtractionBudget(limits);
+    const extract = format === 'zip' ? extractZip : extractTarGz;
+    extract(archivePath, destination, budget, source, (err, result) => {
+        if (err) return callback(err);
+        result.files.forEach(file => delete file.crc);
+        callback(null, result);
+    });
+}
+
+module.exports = {
+    ZIP_MAX_CONTENT_BYTES,
+    ZIP_MAX_ENTRIES,
+    ZipWriter,
+    archiveFormat,
+    extractArchive
+};
@@ -0,0 +1,18 @@
+const { toCsv } = require('./csv');
+
+// Days audit entries are kept (0 keeps them forever)
+const retentionSetting = parseInt(process.env.AUDIT_RETENTION_DAYS);
+const AUDIT_RETENTION_DAYS = Number.isNaN(retentionSetting) ? 365 : Math.max(0, retentionSetting);
+const AUDIT_RESULTS = ['success', 'failure'];
+const AUDIT_CSV_COLUMNS = ['id', 'time', 'actor', 'ip', 'action', 'target', 'result', 'details'];
+
+// Formatted audit entries as a CSV document (header row first)
+function auditCsv(entries) {
+    return toCsv(AUDIT_CSV_COLUMNS, entries);
+}
+
+module.exports = {
+    AUDIT_RETENTION_DAYS,
+    AUDIT_RESULTS,
+    auditCsv
+};
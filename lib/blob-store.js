@@ -0,0 +1,171 @@
+const fs = require('fs');
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+// Where blobs are kept in the storage backend
+const BLOB_PREFIX = '.blobs/';
+
+/**
+ * Content-addressed store for uploaded content.
+ *
+ * Each distinct SHA-256 is stored once, under the key .blobs/<aa>/<bb>/<sha256>
+ * of the storage driver (see lib/storage.js). The blobs
+ * table counts the catalog entries (files, revisions and trashed files) that
+ * point at a blob; the content is deleted when the last of them lets go.
+ * Changes to one blob run one at a time, so a release that empties a blob
+ * cannot race an upload of the same content.
+ *
+ * opts.db       the database (blob reference counting)
+ * opts.storage  the storage driver blobs are kept in
+ */
+class BlobStore {
+    constructor(opts) {
+        this.db = opts.db;
+        this.storage = opts.storage;
+        // sha256 -> tasks waiting for that blob (the first one is running)
+        this.queues = new Map();
+    }
+
+    keyFor(sha256) {
+        if (!SHA256_PATTERN.test(sha256)) throw new Error('Invalid content hash');
+        return `${BLOB_PREFIX}${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+    }
+
+    // Take a local file in as one more reference to its content. The file is
+    // moved into the store, or removed if the content is already there.
+    // callback(err, { created })
+    add(sourcePath, sha256, size, callback) {
+        this._add(sha256, size, {
+            place: (key, cb) => this.storage.putFile(key, sourcePath, cb),
+            discard: (cb) => fs.unlink(sourcePath, cb)
+        }, callback);
+    }
+
+    // The same for content already staged in the storage backend under
+    // stagedKey (an upload streamed into the driver): it is moved into place
+    // there, or deleted. callback(err, { created })
+    addStaged(stagedKey, sha256, size, callback) {
+        this._add(sha256, size, {
+            place: (key, cb) => this.storage.move(stagedKey, key, cb),
+            discard: (cb) => this.storage.delete(stagedKey, cb)
+        }, callback);
+    }
+
+    _add(sha256, size, source, callback) {
+        let key;
+        try {
+            key = this.keyFor(sha256);
+        } catch (err) {
+            return callback(err);
+        }
+
+        this._exclusive(sha256, (done) => {
+            this.storage.stat(key, (err, existing) => {
+                if (err) return done(err);
+
+                const place = existing ? (cb) => source.discard(cb) : (cb) => source.place(key, cb);
+                place((err) => {
+                    if (err) return done(err);
+                    this.db.addBlobReference(sha256, size, (err) => done(err, { created: !existing }));
+                });
+            });
+        }, callback);
+    }
+
+    // One more reference to a blob that is already stored and referenced
+    // (a copied file). callback(err)
+    retain(sha256, callback) {
+        this._exclusive(sha256, (done) => {
+            this.db.retainBlobReference(sha256, (err, retained) => {
+                if (err) return done(err);
+                done(retained ? null : new Error(`Blob ${sha256} is not in the store`));
+            });
+        }, callback);
+    }
+
+    // Store the staged files of an accepted upload batch (staged in the
+    // backend as file.key, or locally as file.path); each one gets
+    // file.blobId. If one fails, the ones already stored are released again.
+    commit(files, callback) {
+        const stored = [];
+        const next = () => {
+            const file = files[stored.length];
+            if (!file) return callback(null);
+
+            const add = file.key
+                ? (cb) => this.addStaged(file.key, file.sha256, file.size, cb)
+                : (cb) => this.add(file.path, file.sha256, file.size, cb);
+            add((err) => {
+                if (err) return this.releaseAll(stored.map(done => done.blobId), () => callback(err));
+                file.blobId = file.sha256;
+                stored.push(file);
+                next();
+            });
+        };
+        next();
+    }
+
+    // Drop one reference; the blob goes once nothing points at it.
+    // callback(err, removed)
+    release(sha256, callback) {
+        this._exclusive(sha256, (done) => {
+            this.db.releaseBlobReference(sha256, (err, remaining) => {
+                // No row: the blob is not tracked, so it is left alone
+                if (err || remaining === null || remaining > 0) return done(err, false);
+
+                this._remove(sha256, done);
+            });
+        }, callback);
+    }
+
+    // Delete a blob if nothing refers to it any more (e.g. after the counts
+    // were rebuilt from the catalog). callback(err, removed)
+    prune(sha256, callback) {
+        this._exclusive(sha256, (done) => this._remove(sha256, done), callback);
+    }
+
+    _remove(sha256, callback) {
+        this.db.deleteBlob(sha256, (err, deleted) => {
+            if (err || !deleted) return callback(err, false);
+            this.storage.delete(this.keyFor(sha256), (err) => {
+                if (err) return callback(err);
+                callback(null, true);
+            });
+        });
+    }
+
+    // Release several references, stopping at the first failure
+    releaseAll(hashes, callback) {
+        const pending = hashes.slice();
+        const next = (err) => {
+            if (err) return callback(err);
+            const sha256 = pending.shift();
+            if (!sha256) return callback(null);
+            this.release(sha256, (err) => next(err));
+        };
+        next();
+    }
+
+    // Run task(done) once no other task for the same blob is running
+    _exclusive(sha256, task, callback) {
+        const run = () => task((err, result) => {
+            const waiting = this.queues.get(sha256);
+            waiting.shift();
+            if (waiting.length > 0) {
+                waiting[0]();
+            } else {
+                this.queues.delete(sha256);
+            }
+            callback(err, result);
+        });
+
+        const waiting = this.queues.get(sha256);
+        if (waiting) return waiting.push(run);
+        this.queues.set(sha256, [run]);
+        run();
+    }
+}
+
+module.exports = {
+    BLOB_PREFIX,
+    BlobStore
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { isTempFile } = require('./quota-storage');
+const { unsafeNameReason } = require('./safe-path');
+
+// Stored files are named {uuid}{ext}
+function storedNameFor(id, originalName) {
+    return id + path.extname(originalName).toLowerCase();
+}
+
+// Candidate names for a colliding upload: "report (1).pdf", "report (2).pdf", ...
+function numberedName(originalName, n) {
+    const ext = path.extname(originalName);
+    const base = originalName.slice(0, originalName.length - ext.length);
+    return `${base} (${n})${ext}`;
+}
+
+// Canonical form of a folder path ("a/b"), or null if it is not acceptable
+function normalizeFolder(folder) {
+    if (!folder) return '';
+    const segments = String(folder).split('/').map(segment => segment.trim()).filter(Boolean);
+    if (segments.some(segment => unsafeNameReason(segment))) {
+        return null;
+    }
+    return segments.join('/');
+}
+
+// "a/b/c" -> ['a', 'a/b', 'a/b/c']
+function folderLineage(folder) {
+    if (!folder) return [];
+    const segments = folder.split('/');
+    return segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+}
+
+// Folder that contains a folder ('' for top-level folders)
+function parentFolder(folder) {
+    return folder.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Size and file count of every folder, including what its subfolders hold.
+ *
+ * paths: all folder paths of a user
+ * sizes: rows { folder, size, file_count } for files directly in a folder
+ *
+ * Returns a Map of path -> { path, size, file_count } (the root is '').
+ */
+function folderTotals(paths, sizes) {
+    const totals = new Map([['', { path: '', size: 0, file_count: 0 }]]);
+    const entry = (folderPath) => {
+        if (!totals.has(folderPath)) totals.set(folderPath, { path: folderPath, size: 0, file_count: 0 });
+        return totals.get(folderPath);
+    };
+    
+    paths.forEach(folderPath => folderLineage(folderPath).forEach(entry));
+    sizes.forEach(row => {
+        [''].concat(folderLineage(row.folder)).forEach(folderPath => {
+            const total = entry(folderPath);
+            total.size += row.size;
+            total.file_count += row.file_count;
+        });
+    });
+    return totals;
+}
+
+// Guess a MIME type from the file extension
+function mimeFor(filename) {
+    return express.static.mime.lookup(filename) || 'application/octet-stream';
+}
+
+// Hash a file on disk
+function hashFile(filePath, callback) {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', callback)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => callback(null, hash.digest('hex')));
+}
+
+/**
+ * Bring the catalog for one user in line with their upload directory.
+ *
+ * Files that are not in the catalog (e.g. written by versions that kept the
+ * original filename on disk) are renamed to {uuid}{ext} and recorded; records
+ * whose stored file has gone missing are dropped. Files in the trash, and
+ * content kept in the blob store rather than the user's directory, are left
+ * alone.
+ *
+ * callback(err, { indexed: [...], removed: [...] })
+ */
+function reconcileUser(db, user, userDir, callback) {
+    db.getFilesByUser(user.id, (err, records) => {
+        if (err) return callback(err);
+
+        db.getFileVersionsByUser(user.id, (err, versions) => {
+            if (err) return callback(err);
+
+            db.getTrashByUser(user.id, (err, trashed) => {
+                if (err) return callback(err);
+                reconcileEntries(db, user, userDir, records, versions, trashed, callback);
+            });
+        });
+    });
+}
+
+function reconcileEntries(db, user, userDir, records, versions, trashed, callback) {
+    const result = { indexed: [], removed: [] };
+    const inUserDir = (record) => !record.blob_id;
+    const known = new Set(records.concat(versions, trashed).filter(inUserDir).map(record => record.stored_name));
+    const entries = fs.existsSync(userDir) ? fs.readdirSync(userDir) : [];
+    const present = new Set(entries);
+
+    const untracked = entries.filter(name => {
+        if (known.has(name) || isTempFile(name)) return false;
+        // lstat: a symlink could point anywhere, so it is never indexed
+        return fs.lstatSync(path.join(userDir, name)).isFile();
+    });
+    const missing = records.filter(record => inUserDir(record) && !present.has(record.stored_name));
+    const missingVersions = versions.filter(version => inUserDir(version) && !present.has(version.stored_name));
+
+    const indexNext = () => {
+        const name = untracked.shift();
+        if (!name) return removeNext();
+
+        const sourcePath = path.join(userDir, name);
+        hashFile(sourcePath, (err, sha256) => {
+            if (err) return callback(err);
+
+            const id = crypto.randomUUID();
+            const storedName = storedNameFor(id, name);
+            const stats = fs.statSync(sourcePath);
+
+            fs.rename(sourcePath, path.join(userDir, storedName), (err) => {
+                if (err) return callback(err);
+
+                db.createFileRecord({
+                    id: id,
+                    original_name: name,
+                    stored_name: storedName,
+                    size: stats.size,
+                    mime: mimeFor(name),
+                    sha256: sha256,
+                    user_id: user.id
+                }, (err, record) => {
+                    if (err) return callback(err);
+                    result.indexed.push(record);
+                    indexNext();
+                });
+            });
+        });
+    };
+
+    const removeNext = () => {
+        const version = missingVersions.shift();
+        if (version) {
+            return db.deleteFileVersion(version.id, (err) => {
+                if (err) return callback(err);
+                removeNext();
+            });
+        }
+
+        const record = missing.shift();
+        if (!record) return callback(null, result);
+
+        db.deleteFileRecord(record.id, (err) => {
+            if (err) return callback(err);
+            result.removed.push(record);
+            removeNext();
+        });
+    };
+
+    indexNext();
+}
+
+module.exports = {
+    storedNameFor,
+    numberedName,
+    normalizeFolder,
+    folderLineage,
+    parentFolder,
+    folderTotals,
+    mimeFor,
+    hashFile,
+    reconcileUser
+};
@@ -0,0 +1,79 @@
+// One CSV cell. Cells that a spreadsheet would run as a formula get a
+// leading quote.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Objects as a CSV document with a header row. Object values (other than
+// dates) are written as JSON.
+function toCsv(columns, items) {
+    const rows = items.map(item => columns.map(column => {
+        const value = item[column];
+        return csvCell(value && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value);
+    }).join(','));
+    return [columns.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+// Parse a CSV document (RFC 4180: quoted cells may hold commas, quotes and
+// line breaks) into objects keyed by the lower-cased header row. Blank
+// lines are skipped. Throws on a quote that is never closed.
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endCell = () => {
+        record.push(cell);
+        cell = '';
+    };
+    const endRecord = () => {
+        endCell();
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                cell += char;
+            } else if (text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted cell in CSV');
+    endRecord();
+
+    const header = (records.shift() || []).map(name => name.trim().toLowerCase());
+    return records.map(values => {
+        const item = {};
+        header.forEach((name, index) => {
+            if (name) item[name] = values[index] !== undefined ? values[index] : '';
+        });
+        return item;
+    });
+}
+
+module.exports = {
+    csvCell,
+    toCsv,
+    parseCsv
+};
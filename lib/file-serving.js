@@ -0,0 +1,78 @@
+// Types that are safe to show in the browser (?inline=1). Anything that can
+// run script (HTML, SVG, XML, JavaScript) is always sent as an attachment.
+const INLINE_TYPES = [
+    /^image\/(png|jpeg|gif|webp|bmp|avif|x-icon|vnd\.microsoft\.icon)$/,
+    /^application\/pdf$/,
+    /^text\/(plain|csv|markdown|tab-separated-values)$/,
+    /^application\/json$/,
+    /^audio\//,
+    /^video\//
+];
+
+// Inline responses may only show themselves: no scripts, no requests to
+// other origins, framed by our own pages only. Chrome refuses to render PDFs
+// in a sandboxed document, so PDFs go without the sandbox (they cannot run
+// page script anyway).
+const INLINE_CSP = "default-src 'none'; img-src 'self'; media-src 'self'; style-src 'unsafe-inline'; frame-ancestors 'self'";
+
+// Content-Type to serve a file inline with, or null if it must be downloaded
+function inlineTypeFor(mime) {
+    if (!INLINE_TYPES.some(pattern => pattern.test(mime))) return null;
+    return /^text\/|^application\/json$/.test(mime) ? `${mime}; charset=utf-8` : mime;
+}
+
+function inlineCspFor(mime) {
+    return mime === 'application/pdf' ? INLINE_CSP : `${INLINE_CSP}; sandbox`;
+}
+
+// RFC 6266 Content-Disposition with an ASCII fallback and the UTF-8 name
+function contentDisposition(type, filename) {
+    const fallback = String(filename).replace(/[^\x20-\x7e]|["\\%]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Strong validator from the content hash
+function etagFor(sha256) {
+    return `"${sha256}"`;
+}
+
+// Does an entity tag header (If-Match, If-Range) name this ETag?
+function etagListed(header, etag) {
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+// If-Match / If-Unmodified-Since: should the request fail with 412?
+function preconditionFailed(req, etag, lastModified) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) return !etagListed(ifMatch, etag);
+
+    const unmodifiedSince = Date.parse(req.get('If-Unmodified-Since'));
+    return !Number.isNaN(unmodifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 > unmodifiedSince;
+}
+
+// If-Range: does a Range header still apply to the current content?
+function rangeApplies(req, etag, lastModified) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+    if (ifRange.includes('"')) return !!etag && ifRange.trim() === etag;
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= Date.parse(ifRange);
+}
+
+// Does this request start a transfer (as opposed to a HEAD request or a
+// range request resuming/seeking inside one already started)?
+function startsTransfer(req) {
+    if (req.method === 'HEAD') return false;
+    const range = req.get('Range');
+    return !range || /^bytes=0-/.test(range.trim());
+}
+
+module.exports = {
+    inlineTypeFor,
+    inlineCspFor,
+    contentDisposition,
+    etagFor,
+    preconditionFailed,
+    rangeApplies,
+    startsTransfer
+};
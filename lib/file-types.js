@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+// How much of a file is read to recognise its format
+const SNIFF_BYTES = 4096;
+
+// Extensions that promise nothing about the content (any format is accepted)
+const GENERIC_EXTENSIONS = ['', 'bin', 'dat', 'data', 'db', 'bak', 'backup', 'old', 'orig', 'tmp', 'raw', 'dump', 'part'];
+
+function startsWith(head, bytes, offset = 0) {
+    if (head.length < offset + bytes.length) return false;
+    return bytes.every((byte, i) => head[offset + i] === byte);
+}
+
+function ascii(head, offset, text) {
+    return startsWith(head, Array.from(Buffer.from(text, 'latin1')), offset);
+}
+
+// Markers browsers use to decide that a document is HTML
+const HTML_MARKERS = ['<!doctype html', '<html', '<head', '<body', '<script', '<iframe', '<style', '<title'];
+
+// Leading text of a file, lower-cased, without BOM and leading whitespace
+function leadingText(head) {
+    return head.slice(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+}
+
+function looksLikeHtml(head) {
+    const text = leadingText(head);
+    const body = text.startsWith('<?xml') ? text.slice(text.indexOf('?>') + 2).trimStart() : text;
+    return HTML_MARKERS.some(marker => body.startsWith(marker) && /^[\s>]/.test(body.slice(marker.length, marker.length + 1) || ' '));
+}
+
+function looksLikeSvg(head) {
+    const text = leadingText(head);
+    return text.startsWith('<svg') || (/^<\?xml|^<!doctype svg/.test(text) && text.includes('<svg'));
+}
+
+/**
+ * Formats recognised by their leading bytes, with the extensions such files
+ * may carry. Text formats (text: true) are only recognised, never required:
+ * an .html file without the usual markers is still accepted.
+ */
+const FORMATS = [
+    { type: 'png', mime: 'image/png', extensions: ['png', 'apng'],
+        match: head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { type: 'jpeg', mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'],
+        match: head => startsWith(head, [0xff, 0xd8, 0xff]) },
+    { type: 'gif', mime: 'image/gif', extensions: ['gif'],
+        match: head => ascii(head, 0, 'GIF87a') || ascii(head, 0, 'GIF89a') },
+    { type: 'webp', mime: 'image/webp', extensions: ['webp'],
+        match: head => ascii(head, 0, 'RIFF') && ascii(head, 8, 'WEBP') },
+    // "BM" followed by a size and four reserved zero bytes
+    { type: 'bmp', mime: 'image/bmp', extensions: ['bmp', 'dib'],
+        match: head => ascii(head, 0, 'BM') && head.length >= 10 && head.readUInt32LE(6) === 0 },
+    { type: 'tiff', mime: 'image/tiff', extensions: ['tif', 'tiff', 'dng', 'nef', 'cr2', 'arw'],
+        match: head => startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]) },
+    { type: 'ico', mime: 'image/x-icon', extensions: ['ico', 'cur'],
+        match: head => startsWith(head, [0x00, 0x00, 0x01, 0x00]) || startsWith(head, [0x00, 0x00, 0x02, 0x00]) },
+    { type: 'psd', mime: 'image/vnd.adobe.photoshop', extensions: ['psd', 'psb'],
+        match: head => ascii(head, 0, '8BPS') },
+    { type: 'pdf', mime: 'application/pdf', extensions: ['pdf'],
+        match: head => ascii(head, 0, '%PDF-') },
+    { type: 'zip', mime: 'application/zip',
+        extensions: ['zip', 'jar', 'war', 'ear', 'apk', 'aab', 'ipa', 'xpi', 'crx', 'vsix', 'whl', 'nupkg',
+            'docx', 'docm', 'dotx', 'xlsx', 'xlsm', 'xltx', 'pptx', 'pptm', 'potx', 'odt', 'ods', 'odp', 'odg',
+            'epub', 'kmz', '3mf', 'cbz', 'sketch'],
+        match: head => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]) },
+    { type: 'gzip', mime: 'application/gzip', extensions: ['gz', 'tgz', 'svgz'],
+        match: head => startsWith(head, [0x1f, 0x8b, 0x08]) },
+    { type: 'bzip2', mime: 'application/x-bzip2', extensions: ['bz2', 'tbz', 'tbz2'],
+        match: head => ascii(head, 0, 'BZh') && head[3] >= 0x31 && head[3] <= 0x39 },
+    { type: 'xz', mime: 'application/x-xz', extensions: ['xz', 'txz'],
+        match: head => startsWith(head, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+    { type: 'zstd', mime: 'application/zstd', extensions: ['zst', 'tzst'],
+        match: head => startsWith(head, [0x28, 0xb5, 0x2f, 0xfd]) },
+    { type: '7z', mime: 'application/x-7z-compressed', extensions: ['7z'],
+        match: head => startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+    { type: 'rar', mime: 'application/vnd.rar', extensions: ['rar'],
+        match: head => ascii(head, 0, 'Rar!\x1a\x07') },
+    { type: 'tar', mime: 'application/x-tar', extensions: ['tar'],
+        match: head => ascii(head, 257, 'ustar') },
+    { type: 'ole', mime: 'application/x-ole-storage', extensions: ['doc', 'xls', 'xlt', 'ppt', 'pps', 'msi', 'vsd'],
+        match: head => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+    { type: 'sqlite', mime: 'application/vnd.sqlite3', extensions: ['sqlite', 'sqlite3', 'db3'],
+        match: head => ascii(head, 0, 'SQLite format 3\0') },
+    { type: 'mp3', mime: 'audio/mpeg', extensions: ['mp3'],
+        match: head => ascii(head, 0, 'ID3') || (head.length > 1 && head[0] === 0xff && (head[1] & 0xe6) === 0xe2) },
+    { type: 'flac', mime: 'audio/flac', extensions: ['flac'],
+        match: head => ascii(head, 0, 'fLaC') },
+    { type: 'ogg', mime: 'audio/ogg', extensions: ['ogg', 'oga', 'ogv', 'ogx', 'opus', 'spx'],
+        match: head => ascii(head, 0, 'OggS') },
+    { type: 'wav', mime: 'audio/wav', extensions: ['wav'],
+        match: head => ascii(head, 0, 'RIFF') && ascii(head, 8, 'WAVE') },
+    { type: 'avi', mime: 'video/x-msvideo', extensions: ['avi'],
+        match: head => ascii(head, 0, 'RIFF') && ascii(head, 8, 'AVI ') },
+    // ISO base media (MP4, QuickTime, HEIF, AVIF)
+    { type: 'mp4', mime: 'video/mp4', extensions: ['mp4', 'm4a', 'm4v', 'm4b', 'm4p', 'mov', 'qt', '3gp', '3g2', 'heic', 'heif', 'avif', 'f4v'],
+        match: head => ascii(head, 4, 'ftyp') },
+    { type: 'matroska', mime: 'video/webm', extensions: ['webm', 'mkv', 'mka', 'mks', 'mk3d'],
+        match: head => startsWith(head, [0x1a, 0x45, 0xdf, 0xa3]) },
+    { type: 'exe', mime: 'application/vnd.microsoft.portable-executable', extensions: ['exe', 'dll', 'sys', 'scr', 'com', 'cpl', 'ocx', 'efi', 'drv', 'mui'],
+        match: head => ascii(head, 0, 'MZ') && head.includes(0) },
+    { type: 'elf', mime: 'application/x-elf', extensions: ['so', 'o', 'elf', 'axf', 'ko'],
+        match: head => startsWith(head, [0x7f, 0x45, 0x4c, 0x46]) },
+    { type: 'wasm', mime: 'application/wasm', extensions: ['wasm'],
+        match: head => startsWith(head, [0x00, 0x61, 0x73, 0x6d]) },
+    { type: 'java-class', mime: 'application/java-vm', extensions: ['class'],
+        match: head => startsWith(head, [0xca, 0xfe, 0xba, 0xbe]) },
+    { type: 'woff', mime: 'font/woff', extensions: ['woff'],
+        match: head => ascii(head, 0, 'wOFF') },
+    { type: 'woff2', mime: 'font/woff2', extensions: ['woff2'],
+        match: head => ascii(head, 0, 'wOF2') },
+    { type: 'rtf', mime: 'application/rtf', extensions: ['rtf'], text: true,
+        match: head => ascii(head, 0, '{\\rtf') },
+    { type: 'html', mime: 'text/html', extensions: ['html', 'htm', 'xhtml', 'xht', 'shtml'], text: true,
+        match: looksLikeHtml },
+    { type: 'svg', mime: 'image/svg+xml', extensions: ['svg', 'xml'], text: true,
+        match: looksLikeSvg }
+];
+
+// Lower-case extension without the dot ('' if there is none)
+function extensionOf(filename) {
+    return path.extname(String(filename)).slice(1).toLowerCase();
+}
+
+// The format the leading bytes belong to, or null if none is recognised
+function sniffFormat(head) {
+    return FORMATS.find(format => format.match(head)) || null;
+}
+
+/**
+ * Why a file's content does not fit its name, or null.
+ *
+ * Recognised content must carry one of its format's extensions (an HTML page
+ * named .png is refused), and an extension of a binary format requires that
+ * format's signature (a text file named .pdf is refused). Generic extensions
+ * such as .bin and files without extension accept anything; empty files
+ * are always accepted.
+ */
+function contentMismatch(filename, head) {
+    const ext = extensionOf(filename);
+    if (head.length === 0 || GENERIC_EXTENSIONS.includes(ext)) return null;
+
+    const detected = sniffFormat(head);
+    if (detected) {
+        if (detected.extensions.includes(ext)) return null;
+        return `${filename} looks like ${detected.type.toUpperCase()} content, not a .${ext} file`;
+    }
+
+    const claimed = FORMATS.filter(format => !format.text && format.extensions.includes(ext));
+    if (claimed.length > 0) return `${filename} is not a valid .${ext} file`;
+    return null;
+}
+
+// Read up to SNIFF_BYTES from the start of a file
+function readHead(filePath, callback) {
+    fs.open(filePath, 'r', (err, fd) => {
+        if (err) return callback(err);
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        fs.read(fd, buffer, 0, SNIFF_BYTES, 0, (err, bytesRead) => {
+            fs.close(fd, () => callback(err, err ? null : buffer.slice(0, bytesRead)));
+        });
+    });
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    FORMATS,
+    extensionOf,
+    sniffFormat,
+    contentMismatch,
+    readHead
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+
+// Client-chosen upload ids (so a page can match progress to its request)
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// One server-sent event
+function formatEvent(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Live updates over server-sent events.
+ *
+ * Every open page of a signed-in user holds a stream that receives the
+ * events of the spaces it can see (files created, changed or deleted,
+ * storage usage) and the progress of that user's own uploads. Admins can
+ * also open a stream of all active uploads with the current upload
+ * bandwidth, sent every opts.statsMs while someone is watching.
+ *
+ * A user stream carries spaces: Map of space id -> space; an event about a
+ * space reaches it when opts.visible(space, places) says so (places: the
+ * { id, folder } the event is about, or null for the whole space).
+ */
+class LiveEvents {
+    constructor(opts) {
+        this.visible = opts.visible;
+        this.heartbeatMs = opts.heartbeatMs;
+        this.statsMs = opts.statsMs;
+        this.progressMs = opts.progressMs;
+        this.streams = new Set();
+        this.admins = new Set();
+        this.uploads = new Map();
+        this.receivedBytes = 0;
+        this.statsTimer = null;
+        this.lastStats = Date.now();
+    }
+
+    // Turn a response into an event stream; it is dropped when the client
+    // goes away
+    open(req, res, stream) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        stream.res = res;
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.streams.delete(stream);
+            this.admins.delete(stream);
+            this.updateStatsTimer();
+        });
+        return stream;
+    }
+
+    send(stream, type, data) {
+        stream.res.write(formatEvent(type, data));
+    }
+
+    // Stream of a user's spaces and uploads
+    subscribe(req, res, userId, spaces) {
+        const stream = this.open(req, res, { userId: userId, spaces: spaces });
+        this.streams.add(stream);
+        this.send(stream, 'ready', { spaces: Array.from(spaces.keys()) });
+        return stream;
+    }
+
+    // Replace the spaces of a user's open streams (new groups or shares)
+    setSpaces(userId, spaces) {
+        this.streams.forEach(stream => {
+            if (stream.userId !== userId) return;
+            stream.spaces = spaces;
+            this.send(stream, 'ready', { spaces: Array.from(spaces.keys()) });
+        });
+    }
+
+    // Does the user have a page open?
+    hasStreams(userId) {
+        return Array.from(this.streams).some(stream => stream.userId === userId);
+    }
+
+    // Is anyone watching a space?
+    watching(spaceId) {
+        return Array.from(this.streams).some(stream => stream.spaces.has(spaceId));
+    }
+
+    notifyUser(userId, type, data) {
+        this.streams.forEach(stream => {
+            if (stream.userId === userId) this.send(stream, type, data);
+        });
+    }
+
+    // places: array of { id, folder } the event touches (a move touches two),
+    // or null for events about the whole space
+    notifySpace(spaceId, type, data, places) {
+        this.streams.forEach(stream => {
+            const space = stream.spaces.get(spaceId);
+            if (space && this.visible(space, places)) this.send(stream, type, data);
+        });
+    }
+
+    // Admin stream: the active uploads now, then an update every statsMs
+    watchUploads(req, res) {
+        const stream = this.open(req, res, {});
+        this.admins.add(stream);
+        this.send(stream, 'uploads', this.stats(0));
+        this.updateStatsTimer();
+        return stream;
+    }
+
+    notifyAdmins(type, data) {
+        this.admins.forEach(stream => this.send(stream, type, data));
+    }
+
+    // Ticks only while an admin is watching
+    updateStatsTimer() {
+        if (this.admins.size > 0 && !this.statsTimer) {
+            this.receivedBytes = 0;
+            this.lastStats = Date.now();
+            this.statsTimer = setInterval(() => {
+                const now = Date.now();
+                const stats = this.stats(this.receivedBytes * 1000 / Math.max(1, now - this.lastStats));
+                this.receivedBytes = 0;
+                this.lastStats = now;
+                this.notifyAdmins('uploads', stats);
+            }, this.statsMs);
+            this.statsTimer.unref();
+        } else if (this.admins.size === 0 && this.statsTimer) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        }
+    }
+
+    stats(bytesPerSecond) {
+        return {
+            bytes_per_second: Math.round(bytesPerSecond),
+            active: Array.from(this.uploads.values()).map(upload => this.describe(upload))
+        };
+    }
+
+    describe(upload) {
+        return {
+            upload_id: upload.id,
+            kind: upload.kind,
+            username: upload.username,
+            owner: upload.owner,
+            space_id: upload.spaceId,
+            ip: upload.ip,
+            file: upload.file,
+            file_received: upload.fileReceived,
+            received: upload.received,
+            total: upload.total,
+            started_at: new Date(upload.started).toISOString()
+        };
+    }
+
+    /**
+     * Start reporting an upload. info: { id (client-chosen, optional), kind,
+     * userId and username (the uploader, if signed in), owner and spaceId
+     * (where the files go), ip, total (bytes expected, if known), file and
+     * received (a resumed upload's file and the bytes already there) }
+     */
+    startUpload(info) {
+        const id = typeof info.id === 'string' && UPLOAD_ID_PATTERN.test(info.id) && !this.uploads.has(info.id)
+            ? info.id
+            : crypto.randomBytes(12).toString('hex');
+        const upload = {
+            id: id,
+            kind: info.kind,
+            userId: info.userId || null,
+            username: info.username || null,
+            owner: info.owner || null,
+            spaceId: info.spaceId || null,
+            ip: info.ip,
+            file: info.file || null,
+            fileReceived: info.file ? info.received || 0 : 0,
+            received: info.received || 0,
+            total: info.total || null,
+            started: Date.now(),
+            lastReport: 0
+        };
+        this.uploads.set(id, upload);
+        this.notifyAdmins('upload.started', this.describe(upload));
+        return upload;
+    }
+
+    // Bytes of one file arrived. Its user hears about it at most every
+    // progressMs (and whenever a new file starts).
+    uploadData(upload, fileName, bytes) {
+        if (upload.file !== fileName) {
+            upload.file = fileName;
+            upload.fileReceived = 0;
+            upload.lastReport = 0;
+        }
+        upload.fileReceived += bytes;
+        upload.received += bytes;
+        this.receivedBytes += bytes;
+
+        const now = Date.now();
+        if (upload.userId && now - upload.lastReport >= this.progressMs) {
+            upload.lastReport = now;
+            this.notifyUser(upload.userId, 'upload.progress', this.describe(upload));
+        }
+    }
+
+    // status: the HTTP status of the upload request (null if the client went
+    // away)
+    finishUpload(upload, status) {
+        if (!this.uploads.delete(upload.id)) return;
+        const data = Object.assign(this.describe(upload), { status: status });
+        if (upload.userId) this.notifyUser(upload.userId, 'upload.finished', data);
+        this.notifyAdmins('upload.finished', data);
+    }
+}
+
+module.exports = {
+    LiveEvents
+};
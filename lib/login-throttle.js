@@ -0,0 +1,67 @@
+// Login attempt limits, configured through the environment
+const LOGIN_LIMITS = {
+    // Consecutive failures allowed before any waiting is imposed
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 5,
+    maxBackoffSeconds: parseInt(process.env.LOGIN_MAX_BACKOFF_SECONDS) || 900,
+    // Failures after which an account is locked outright
+    lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+};
+
+// Seconds to wait after the nth consecutive failure: none for the free
+// attempts, then 1, 2, 4, ... up to the cap
+function backoffSeconds(failures) {
+    if (failures < LOGIN_LIMITS.freeAttempts) return 0;
+    return Math.min(LOGIN_LIMITS.maxBackoffSeconds, Math.pow(2, failures - LOGIN_LIMITS.freeAttempts));
+}
+
+// When an account with this many consecutive failures may try again
+function accountRetryAt(failures) {
+    if (failures >= LOGIN_LIMITS.lockoutThreshold) {
+        return new Date(Date.now() + LOGIN_LIMITS.lockoutMinutes * 60 * 1000);
+    }
+    return new Date(Date.now() + backoffSeconds(failures) * 1000);
+}
+
+/**
+ * Failed logins per client IP (in memory; a restart forgets them).
+ * Per-account failures are kept in the users table instead.
+ */
+class IpThrottle {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // Milliseconds until this IP may try again (0 = now)
+    retryAfter(ip) {
+        const entry = this.entries.get(ip);
+        return entry ? Math.max(0, entry.retryAt - Date.now()) : 0;
+    }
+
+    recordFailure(ip) {
+        const entry = this.entries.get(ip) || { failures: 0 };
+        entry.failures++;
+        entry.lastFailure = Date.now();
+        entry.retryAt = entry.lastFailure + backoffSeconds(entry.failures) * 1000;
+        this.entries.set(ip, entry);
+    }
+
+    recordSuccess(ip) {
+        this.entries.delete(ip);
+    }
+
+    // Forget IPs that have been quiet for longer than the longest backoff
+    sweep() {
+        const horizon = Date.now() - Math.max(LOGIN_LIMITS.maxBackoffSeconds * 1000, 60 * 60 * 1000);
+        this.entries.forEach((entry, ip) => {
+            if (entry.lastFailure < horizon) this.entries.delete(ip);
+        });
+    }
+}
+
+module.exports = {
+    LOGIN_LIMITS,
+    backoffSeconds,
+    accountRetryAt,
+    IpThrottle
+};
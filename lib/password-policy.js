@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Password strength policy, configured through the environment
+const POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    // How many of: lowercase, uppercase, digits, symbols
+    minClasses: Math.min(4, parseInt(process.env.PASSWORD_MIN_CLASSES) || 3)
+};
+
+// Passwords that pass the character rules but are guessed first
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword1',
+    'qwerty123', 'qwertyuiop', 'letmein123', 'welcome123', 'welcome1!',
+    'admin123', 'administrator', 'changeme123', 'manni', '1234567890', 'iloveyou1'
+]);
+
+// Why a password does not meet the policy, or null if it does
+function passwordProblem(password, username) {
+    if (typeof password !== 'string' || password.length < POLICY.minLength) {
+        return `Password must be at least ${POLICY.minLength} characters long`;
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+    if (classes < POLICY.minClasses) {
+        return `Password must mix at least ${POLICY.minClasses} of: lowercase letters, uppercase letters, digits, symbols`;
+    }
+
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower)) {
+        return 'Password is too common';
+    }
+    if (username && lower.includes(String(username).toLowerCase())) {
+        return 'Password must not contain the username';
+    }
+    return null;
+}
+
+// Error for a rejected password (err.code 'WEAK_PASSWORD'), or null
+function weakPasswordError(password, username) {
+    const problem = passwordProblem(password, username);
+    if (!problem) return null;
+    const err = new Error(problem);
+    err.code = 'WEAK_PASSWORD';
+    return err;
+}
+
+// Characters of generated passwords (no look-alikes such as 0/O and 1/l)
+const GENERATED_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789-_!?#%+';
+
+// A random password that meets the policy, for accounts created by an admin
+function generatePassword(username) {
+    const length = Math.max(16, POLICY.minLength);
+    for (;;) {
+        const password = Array.from(crypto.randomBytes(length), byte => GENERATED_ALPHABET[byte % GENERATED_ALPHABET.length]).join('');
+        if (!passwordProblem(password, username)) return password;
+    }
+}
+
+module.exports = {
+    POLICY,
+    passwordProblem,
+    weakPasswordError,
+    generatePassword
+};
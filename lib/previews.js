@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { mimeFor } = require('./catalog');
+const { localCopy } = require('./storage');
+
+// Longest edge of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = 320;
+// Text snippets: this much of the file is read, this much is kept
+const SNIPPET_READ_BYTES = 8192;
+const SNIPPET_MAX_LINES = 20;
+const SNIPPET_MAX_CHARS = 1200;
+
+// ImageMagick by default ({input} and {output} are replaced; PDFs need Ghostscript)
+const DEFAULT_IMAGE_COMMAND = `convert {input}[0] -auto-orient -thumbnail ${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}> -strip png:{output}`;
+const DEFAULT_PDF_COMMAND = `convert -density 72 {input}[0] -background white -flatten -thumbnail ${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}> png:{output}`;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff', 'image/x-ms-bmp'];
+
+// What kind of preview a file gets: 'image', 'pdf', 'text' or null
+function previewKindFor(filename) {
+    const mime = mimeFor(filename);
+    if (IMAGE_TYPES.includes(mime)) return 'image';
+    if (mime === 'application/pdf') return 'pdf';
+    if (mime.startsWith('text/') || mime === 'application/json') return 'text';
+    return null;
+}
+
+// Images and PDFs get a PNG thumbnail, text files a snippet
+function assetExtension(kind) {
+    return kind === 'text' ? '.txt' : '.png';
+}
+
+// Run a command template. Arguments are split on whitespace; {input} and
+// {output} are replaced wherever they appear in an argument.
+function runTemplate(template, values, timeoutMs, callback) {
+    const args = template.trim().split(/\s+/).map(arg =>
+        arg.replace(/\{(input|output)\}/g, (match, key) => values[key]));
+    execFile(args[0], args.slice(1), { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+        if (!err) return callback(null);
+        const detail = String(stderr || '').split('\n').map(line => line.trim()).find(Boolean);
+        const failure = new Error(err.code === 'ENOENT' ? `${args[0]} is not installed` : (detail || err.message));
+        callback(failure);
+    });
+}
+
+// First lines of a text file (invalid UTF-8 is replaced, not fatal)
+function writeSnippet(inputPath, outputPath, callback) {
+    fs.open(inputPath, 'r', (err, fd) => {
+        if (err) return callback(err);
+        const buffer = Buffer.alloc(SNIPPET_READ_BYTES);
+        fs.read(fd, buffer, 0, SNIPPET_READ_BYTES, 0, (err, bytesRead) => {
+            fs.close(fd, () => {
+                if (err) return callback(err);
+                const text = buffer.slice(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+                const snippet = text.split('\n').slice(0, SNIPPET_MAX_LINES).join('\n').slice(0, SNIPPET_MAX_CHARS);
+                fs.writeFile(outputPath, snippet, callback);
+            });
+        });
+    });
+}
+
+/**
+ * Background generation of thumbnails (images, first PDF page) and text
+ * snippets.
+ *
+ * Jobs are rows of the previews table, so pending work survives a restart.
+ * One job runs at a time. Assets are written to derivedDir as
+ * <file id>.png / <file id>.txt, outside every user's directory, so they
+ * never count toward a quota.
+ *
+ * opts.storage                    the storage driver content is read from;
+ *                                 remote content is copied into derivedDir
+ *                                 while a job runs
+ * opts.resolveSource(fileId, cb)  cb(err, { record, key }) for the current
+ *                                 content, or cb(null, null) if the file is
+ *                                 gone
+ */
+class PreviewQueue {
+    constructor(opts) {
+        this.db = opts.db;
+        this.derivedDir = opts.derivedDir;
+        this.storage = opts.storage;
+        this.resolveSource = opts.resolveSource;
+        this.imageCommand = opts.imageCommand || DEFAULT_IMAGE_COMMAND;
+        this.pdfCommand = opts.pdfCommand || DEFAULT_PDF_COMMAND;
+        this.timeoutMs = opts.timeoutMs;
+        this.maxAttempts = opts.maxAttempts;
+        this.running = false;
+    }
+
+    assetPath(fileId, kind) {
+        return path.join(this.derivedDir, fileId + assetExtension(kind));
+    }
+
+    // Pick up jobs left pending or interrupted by a restart
+    start() {
+        fs.mkdirSync(this.derivedDir, { recursive: true });
+        this.db.resetRunningPreviews((err) => {
+            if (err) return console.error('Failed to resume preview jobs:', err);
+            this.kick();
+        });
+    }
+
+    // Queue (or re-queue) the preview of a catalogued file. Files without a
+    // preview kind are ignored. callback(err) is optional.
+    enqueue(record, callback) {
+        const done = callback || ((err) => {
+            if (err) console.error('Failed to queue preview:', err);
+        });
+        const kind = previewKindFor(record.original_name);
+        if (!kind) return done(null);
+
+        this.db.queuePreview({ file_id: record.id, user_id: record.user_id, kind, sha256: record.sha256 }, (err) => {
+            if (err) return done(err);
+            this.kick();
+            done(null);
+        });
+    }
+
+    // Drop a file's preview job and asset
+    discard(fileId, callback) {
+        this.db.getPreview(fileId, (err, job) => {
+            if (err || !job) return callback(err || null);
+            fs.unlink(this.assetPath(fileId, job.kind), () => {
+                this.db.deletePreview(fileId, callback);
+            });
+        });
+    }
+
+    // Drop every preview of a user (account deletion)
+    discardUser(userId, callback) {
+        this.db.getPreviewsByUser(userId, (err, jobs) => {
+            if (err) return callback(err);
+            jobs.forEach(job => fs.unlink(this.assetPath(job.file_id, job.kind), () => {}));
+            this.db.deletePreviewsByUser(userId, callback);
+        });
+    }
+
+    // Work through pending jobs unless already doing so
+    kick() {
+        if (this.running) return;
+        this.running = true;
+
+        const next = () => {
+            this.db.claimNextPreview((err, job) => {
+                if (err || !job) {
+                    if (err) console.error('Failed to load preview jobs:', err);
+                    this.running = false;
+                    return;
+                }
+                this.generate(job, (err) => {
+                    const finish = err
+                        ? (cb) => this.db.failPreview(job.file_id, err.message.slice(0, 500), job.attempts + 1 < this.maxAttempts, cb)
+                        : (cb) => this.db.finishPreview(job.file_id, job.sha256, cb);
+                    finish((dbErr) => {
+                        if (dbErr) console.error('Failed to record preview result:', dbErr);
+                        setImmediate(next);
+                    });
+                });
+            });
+        };
+        next();
+    }
+
+    // Build one asset into a temporary file, then move it into place
+    generate(job, callback) {
+        this.resolveSource(job.file_id, (err, source) => {
+            if (err) return callback(err);
+            if (!source) return callback(new Error('File no longer exists'));
+
+            localCopy(this.storage, source.key, this.derivedDir, (err, filePath, cleanup) => {
+                if (err) return callback(err);
+
+                const target = this.assetPath(job.file_id, job.kind);
+                const temp = path.join(this.derivedDir, `.${crypto.randomBytes(8).toString('hex')}${assetExtension(job.kind)}`);
+                const place = (err) => {
+                    cleanup();
+                    if (err) return fs.unlink(temp, () => callback(err));
+                    fs.rename(temp, target, callback);
+                };
+
+                if (job.kind === 'text') return writeSnippet(filePath, temp, place);
+                const template = job.kind === 'pdf' ? this.pdfCommand : this.imageCommand;
+                runTemplate(template, { input: filePath, output: temp }, this.timeoutMs, place);
+            });
+        });
+    }
+}
+
+module.exports = {
+    THUMBNAIL_SIZE,
+    previewKindFor,
+    PreviewQueue
+};
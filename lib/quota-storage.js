@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { SNIFF_BYTES } = require('./file-types');
+
+const TEMP_PREFIX = '.upload-';
+const TEMP_SUFFIX = '.part';
+
+// Error raised when an upload would push a user past their storage quota
+function quotaExceededError(quota) {
+    const err = new Error('Quota exceeded');
+    err.code = 'QUOTA_EXCEEDED';
+    err.quota = quota;
+    return err;
+}
+
+// Is this a staging file left by an in-flight (or crashed) upload?
+function isTempFile(filename) {
+    return filename.startsWith(TEMP_PREFIX) && filename.endsWith(TEMP_SUFFIX);
+}
+
+function stagingName() {
+    return TEMP_PREFIX + crypto.randomBytes(8).toString('hex') + TEMP_SUFFIX;
+}
+
+// Fresh staging file name in a directory
+function stagingPath(destination) {
+    return path.join(destination, stagingName());
+}
+
+// Write a stream to a fresh staging file in destination, hashing it and
+// keeping its first bytes on the way. quota = { limit, used } is charged as
+// the bytes arrive (quota.exceeded is set once it overflows); maxBytes, if
+// given, caps the size of this one file. On failure the staging file is
+// removed and the rest of the stream is drained.
+// callback(err, { path, size, sha256, head })
+function stageStream(stream, destination, quota, maxBytes, callback) {
+    const tempPath = stagingPath(destination);
+
+    const outStream = fs.createWriteStream(tempPath);
+    const hash = crypto.createHash('sha256');
+    const headChunks = [];
+    let size = 0;
+    let finished = false;
+
+    const fail = (err) => {
+        if (finished) return;
+        finished = true;
+        quota.used -= size;
+        stream.unpipe(outStream);
+        stream.resume();
+        outStream.destroy();
+        fs.unlink(tempPath, () => callback(err));
+    };
+
+    stream.on('data', (chunk) => {
+        if (finished) return;
+        if (size < SNIFF_BYTES) headChunks.push(chunk.slice(0, SNIFF_BYTES - size));
+        size += chunk.length;
+        hash.update(chunk);
+        quota.used += chunk.length;
+        if (maxBytes && size > maxBytes) {
+            const err = new Error(`File too large. Maximum size is ${Math.floor(maxBytes / 1024 / 1024)}MB`);
+            err.status = 413;
+            return fail(err);
+        }
+        if (quota.used > quota.limit) {
+            quota.exceeded = true;
+            fail(quotaExceededError(quota));
+        }
+    });
+    stream.on('error', fail);
+    outStream.on('error', fail);
+    outStream.on('finish', () => {
+        if (finished) return;
+        finished = true;
+        callback(null, {
+            path: tempPath,
+            size: size,
+            sha256: hash.digest('hex'),
+            head: Buffer.concat(headChunks)
+        });
+    });
+
+    stream.pipe(outStream);
+}
+
+// Stream an upload straight into a storage driver (see lib/storage.js) under
+// a fresh staging key below prefix, metered like stageStream: hashed, its
+// first bytes kept and quota charged as the bytes arrive. On failure nothing
+// is left in the backend and the rest of the stream is drained.
+// callback(err, { key, path, size, sha256, head }); path is where the
+// driver keeps the content on this machine, or null.
+function stageToStorage(stream, storage, prefix, quota, maxBytes, callback) {
+    const key = `${prefix}/${stagingName()}`;
+    const body = new PassThrough();
+    const hash = crypto.createHash('sha256');
+    const headChunks = [];
+    let size = 0;
+    let failure = null;
+
+    // The driver sees the failure through body and cleans up after itself
+    const fail = (err) => {
+        if (failure) return;
+        failure = err;
+        quota.used -= size;
+        stream.unpipe(body);
+        stream.resume();
+        body.destroy(err);
+    };
+
+    stream.on('data', (chunk) => {
+        if (failure) return;
+        if (size < SNIFF_BYTES) headChunks.push(chunk.slice(0, SNIFF_BYTES - size));
+        size += chunk.length;
+        hash.update(chunk);
+        quota.used += chunk.length;
+        if (maxBytes && size > maxBytes) {
+            const err = new Error(`File too large. Maximum size is ${Math.floor(maxBytes / 1024 / 1024)}MB`);
+            err.status = 413;
+            return fail(err);
+        }
+        if (quota.used > quota.limit) {
+            quota.exceeded = true;
+            fail(quotaExceededError(quota));
+        }
+    });
+    stream.on('error', fail);
+    stream.pipe(body);
+
+    storage.put(key, body, null, (err) => {
+        if (err || failure) {
+            fail(err);
+            return callback(failure);
+        }
+        callback(null, {
+            key: key,
+            path: storage.localPath(key),
+            size: size,
+            sha256: hash.digest('hex'),
+            head: Buffer.concat(headChunks)
+        });
+    });
+}
+
+/**
+ * Multer storage engine that enforces the remaining quota while files stream.
+ *
+ * Every file is streamed into the storage driver (opts.storage) under a
+ * hidden staging key below its owner's folder (opts.prefix(req, file, cb))
+ * and only moved into the blob store (BlobStore#commit) once the whole batch
+ * was accepted, so a rejected batch never touches content that was already
+ * stored. Staged files carry file.key, and file.path if the driver keeps
+ * them on this machine.
+ *
+ * Expects req.uploadQuota = { limit, used } to be set before multer runs.
+ * The SHA-256 of each file is computed on the way through, and its first
+ * bytes are kept as file.head for content checks. If req.onFileData is set,
+ * it is called with (file, bytes) as each chunk arrives.
+ */
+class QuotaStorage {
+    constructor(opts) {
+        this.storage = opts.storage;
+        this.getPrefix = opts.prefix;
+        this.getFilename = opts.filename || ((req, file, cb) => cb(null, file.originalname));
+    }
+
+    _handleFile(req, file, cb) {
+        const quota = req.uploadQuota;
+
+        // Once the batch is over quota, drain the remaining parts unwritten
+        if (quota.exceeded) {
+            file.stream.resume();
+            return cb(quotaExceededError(quota));
+        }
+
+        this.getPrefix(req, file, (err, prefix) => {
+            if (err) return cb(err);
+
+            this.getFilename(req, file, (err, filename) => {
+                if (err) return cb(err);
+                this._writeFile(req, file, prefix, filename, cb);
+            });
+        });
+    }
+
+    _writeFile(req, file, prefix, filename, cb) {
+        if (req.onFileData) {
+            file.stream.on('data', (chunk) => req.onFileData(file, chunk.length));
+        }
+        stageToStorage(file.stream, this.storage, prefix, req.uploadQuota, null, (err, staged) => {
+            if (err) return cb(err);
+            cb(null, Object.assign({ filename: filename }, staged));
+        });
+    }
+
+    _removeFile(req, file, cb) {
+        if (req.uploadQuota && file.size) {
+            req.uploadQuota.used -= file.size;
+        }
+        this.storage.delete(file.key, cb);
+    }
+}
+
+// Remove staged files of a batch that will not be committed: content staged
+// in the storage driver (file.key) or local staging files
+function discardFiles(storage, files, callback) {
+    let pending = files.length;
+    if (pending === 0) return callback();
+    const done = () => {
+        if (--pending === 0) callback();
+    };
+    files.forEach(file => file.key ? storage.delete(file.key, done) : fs.unlink(file.path, done));
+}
+
+module.exports = {
+    QuotaStorage,
+    discardFiles,
+    isTempFile,
+    stagingPath,
+    stageStream,
+    stageToStorage,
+    quotaExceededError
+};
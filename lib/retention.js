@@ -0,0 +1,127 @@
+const { normalizeFolder } = require('./catalog');
+
+// Units of expires_in durations ("90" is seconds)
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const MAX_EXPIRY_MS = 10 * 365 * 24 * 60 * 60 * 1000;
+const MAX_PATTERN_LENGTH = 200;
+
+// A duration such as "3600", "30m", "12h" or "7d" in milliseconds, or null
+// if it is not one (or longer than ten years)
+function parseDuration(value) {
+    const match = /^\s*([0-9]+(?:\.[0-9]+)?)\s*([smhdw]?)\s*$/i.exec(String(value));
+    if (!match) return null;
+    const ms = parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+    return ms > 0 && ms <= MAX_EXPIRY_MS ? Math.round(ms) : null;
+}
+
+function positiveInteger(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error(`${field} must be a whole number (min 1)`);
+    return number;
+}
+
+/**
+ * Check a retention policy: { name, pattern (file names, * and ?
+ * wildcards; empty for every file), folder (that folder and the ones below
+ * it; empty for all), max_age_days, keep_newest }. At least one of the two
+ * limits is needed. Returns the normalised fields; throws with a message for
+ * the client.
+ */
+function parseRetentionPolicy(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) throw new Error('Policy name is required');
+    if (name.length > 100) throw new Error('Policy names can be at most 100 characters long');
+
+    if (input.pattern !== undefined && input.pattern !== null && typeof input.pattern !== 'string') {
+        throw new Error('pattern must be a string');
+    }
+    const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`pattern can be at most ${MAX_PATTERN_LENGTH} characters long`);
+
+    const folder = normalizeFolder(input.folder === undefined || input.folder === null ? '' : input.folder);
+    if (folder === null) throw new Error('Invalid folder');
+
+    const maxAgeDays = positiveInteger(input.max_age_days, 'max_age_days');
+    const keepNewest = positiveInteger(input.keep_newest, 'keep_newest');
+    if (maxAgeDays === null && keepNewest === null) throw new Error('Give max_age_days, keep_newest or both');
+
+    return { name: name, pattern: pattern || null, folder: folder, max_age_days: maxAgeDays, keep_newest: keepNewest };
+}
+
+// Case-insensitive test of a file name against a pattern (* is any run of
+// characters, ? one character)
+function patternMatcher(pattern) {
+    if (!pattern) return () => true;
+    const source = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }).join('');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return (name) => regex.test(name);
+}
+
+// The catalog records (of one space) a policy covers
+function policyFiles(policy, records) {
+    const matches = patternMatcher(policy.pattern);
+    return records.filter(record => matches(record.original_name) &&
+        (!policy.folder || record.folder === policy.folder || record.folder.startsWith(policy.folder + '/')));
+}
+
+// Give a file a deletion date unless it already has an earlier one
+function propose(schedule, record, at, reason, policy) {
+    const current = schedule.get(record.id);
+    if (!current || at < current.at) schedule.set(record.id, { at: at, reason: reason, policy: policy || null });
+}
+
+// The dates one policy gives the files it covers
+function addPolicyDates(schedule, policy, records, now, parseDate) {
+    const covered = policyFiles(policy, records);
+    if (policy.max_age_days) {
+        covered.forEach(record => {
+            const at = new Date(parseDate(record.created_at).getTime() + policy.max_age_days * DURATION_UNITS.d);
+            propose(schedule, record, at, 'max_age', policy);
+        });
+    }
+    if (policy.keep_newest) {
+        // Stable: files uploaded in the same second keep the catalog's order
+        covered
+            .sort((a, b) => parseDate(b.created_at) - parseDate(a.created_at))
+            .slice(policy.keep_newest)
+            .forEach(record => propose(schedule, record, now, 'keep_newest', policy));
+    }
+}
+
+/**
+ * When the files of one space are due for deletion: Map of file id ->
+ * { at, reason, policy } for the files that have a date, with the earliest
+ * of their own expiry (reason 'expiry'), the max_age_days of the policies
+ * covering them ('max_age') and, for files beyond the newest keep_newest a
+ * policy covers, now ('keep_newest'). parseDate turns catalog timestamps
+ * into dates.
+ */
+function retentionSchedule(records, policies, now, parseDate) {
+    const schedule = new Map();
+    records.forEach(record => {
+        if (record.expires_at) propose(schedule, record, parseDate(record.expires_at), 'expiry');
+    });
+    policies.forEach(policy => addPolicyDates(schedule, policy, records, now, parseDate));
+    return schedule;
+}
+
+// What one policy alone would delete now: [{ record, reason }]
+function dueUnderPolicy(policy, records, now, parseDate) {
+    const schedule = new Map();
+    addPolicyDates(schedule, policy, records, now, parseDate);
+    return records
+        .filter(record => schedule.has(record.id) && schedule.get(record.id).at <= now)
+        .map(record => ({ record: record, reason: schedule.get(record.id).reason }));
+}
+
+module.exports = {
+    parseDuration,
+    parseRetentionPolicy,
+    retentionSchedule,
+    dueUnderPolicy
+};
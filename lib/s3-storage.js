@@ -0,0 +1,411 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { checkRelativePath } = require('./safe-path');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+// Error bodies are short XML documents; anything longer is cut off
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+// Streams of unknown length are sent in parts of this size (S3 wants at
+// least 5 MiB for every part but the last)
+const PART_SIZE = 8 * 1024 * 1024;
+
+// URI encoding as Signature Version 4 expects it (RFC 3986 unreserved set)
+function uriEncode(value, keepSlashes) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function xmlDecode(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#[0-9]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity];
+    });
+}
+
+function xmlEncode(text) {
+    return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// Text of every <tag> element in a (flat) XML document
+function xmlValues(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    const values = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) values.push(xmlDecode(match[1]));
+    return values;
+}
+
+function readBody(res, callback) {
+    const chunks = [];
+    let length = 0;
+    res.on('data', (chunk) => {
+        if (length < MAX_RESPONSE_BYTES) chunks.push(chunk);
+        length += chunk.length;
+    });
+    res.on('error', callback);
+    res.on('end', () => callback(null, Buffer.concat(chunks).toString('utf8')));
+}
+
+// Error for an unexpected answer; missing objects get ENOENT like files do
+function responseError(res, what, callback) {
+    readBody(res, (err, body) => {
+        const code = (!err && xmlValues(body, 'Code')[0]) || `HTTP ${res.statusCode}`;
+        const error = new Error(`S3 ${what} failed: ${code}`);
+        error.code = res.statusCode === 404 ? 'ENOENT' : 'S3_ERROR';
+        error.status = res.statusCode;
+        callback(error);
+    });
+}
+
+/**
+ * Content in an S3 bucket (AWS, MinIO or anything else that speaks the S3
+ * API), signed with Signature Version 4. Keys are stored below opts.prefix.
+ *
+ * opts.endpoint         e.g. http://localhost:9000 (default: AWS for the region)
+ * opts.region           signing region (default us-east-1)
+ * opts.bucket
+ * opts.prefix           key prefix inside the bucket (optional)
+ * opts.accessKeyId
+ * opts.secretAccessKey
+ * opts.pathStyle        address the bucket as /<bucket>/ rather than as a
+ *                       host name (MinIO and most stand-ins need this)
+ * opts.partSize         bytes per part of a multipart upload (default 8 MiB)
+ */
+class S3Storage {
+    constructor(opts) {
+        if (!opts.bucket || !opts.accessKeyId || !opts.secretAccessKey) {
+            throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+        this.name = 's3';
+        this.region = opts.region || 'us-east-1';
+        this.endpoint = new URL(opts.endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.bucket = opts.bucket;
+        this.prefix = opts.prefix ? opts.prefix.replace(/\/*$/, '/') : '';
+        this.accessKeyId = opts.accessKeyId;
+        this.secretAccessKey = opts.secretAccessKey;
+        this.pathStyle = opts.pathStyle !== false;
+        this.partSize = opts.partSize || PART_SIZE;
+        this.transport = this.endpoint.protocol === 'http:' ? http : https;
+    }
+
+    localPath() {
+        return null;
+    }
+
+    put(key, stream, size, callback) {
+        if (size === null) return this._putStream(key, stream, callback);
+        this._putObject(key, stream, size, callback);
+    }
+
+    putFile(key, filePath, callback) {
+        fs.stat(filePath, (err, stats) => {
+            if (err) return callback(err);
+
+            this.put(key, fs.createReadStream(filePath), stats.size, (err) => {
+                if (err) return callback(err);
+                fs.unlink(filePath, (err) => callback(err || null));
+            });
+        });
+    }
+
+    // Server-side copy, then the source is deleted. A single CopyObject takes
+    // objects of up to 5 GiB.
+    move(from, to, callback) {
+        let source;
+        try {
+            source = `/${uriEncode(this.bucket)}/${uriEncode(this.prefix + checkRelativePath(from), true)}`;
+        } catch (err) {
+            return callback(err);
+        }
+
+        this._objectRequest('PUT', to, {}, { 'x-amz-copy-source': source }, null, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== 200) return responseError(res, `COPY ${from}`, callback);
+
+            // A copy can fail after the 200 has been sent
+            readBody(res, (err, xml) => {
+                if (err) return callback(err);
+                if (xmlValues(xml, 'Error').length > 0) {
+                    return callback(Object.assign(new Error(`S3 COPY ${from} failed: ${xmlValues(xml, 'Code')[0]}`), { code: 'S3_ERROR' }));
+                }
+                this.delete(from, callback);
+            });
+        });
+    }
+
+    get(key, range, callback) {
+        const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+        this._objectRequest('GET', key, {}, headers, null, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== (range ? 206 : 200)) return responseError(res, `GET ${key}`, callback);
+            callback(null, res);
+        });
+    }
+
+    stat(key, callback) {
+        this._objectRequest('HEAD', key, {}, {}, null, (err, res) => {
+            if (err) return callback(err);
+            res.resume();
+            if (res.statusCode === 404) return callback(null, null);
+            if (res.statusCode !== 200) return responseError(res, `HEAD ${key}`, callback);
+            callback(null, {
+                size: parseInt(res.headers['content-length'], 10),
+                mtime: new Date(res.headers['last-modified'])
+            });
+        });
+    }
+
+    // ListObjectsV2, one page (up to 1000 keys) after the other
+    list(prefix, callback) {
+        const found = [];
+        const nextPage = (token) => {
+            const query = { 'list-type': '2', prefix: this.prefix + prefix };
+            if (token) query['continuation-token'] = token;
+
+            this._request('GET', this._bucketPath(), query, {}, null, (err, res) => {
+                if (err) return callback(err);
+                if (res.statusCode !== 200) return responseError(res, `LIST ${prefix}`, callback);
+
+                readBody(res, (err, xml) => {
+                    if (err) return callback(err);
+                    xmlValues(xml, 'Contents').forEach(contents => {
+                        found.push({
+                            key: xmlValues(contents, 'Key')[0].slice(this.prefix.length),
+                            size: parseInt(xmlValues(contents, 'Size')[0], 10),
+                            mtime: new Date(xmlValues(contents, 'LastModified')[0])
+                        });
+                    });
+                    if (xmlValues(xml, 'IsTruncated')[0] === 'true') return nextPage(xmlValues(xml, 'NextContinuationToken')[0]);
+                    callback(null, found);
+                });
+            });
+        };
+        nextPage(null);
+    }
+
+    delete(key, callback) {
+        this._objectRequest('DELETE', key, {}, {}, null, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+                return responseError(res, `DELETE ${key}`, callback);
+            }
+            res.resume();
+            callback(null);
+        });
+    }
+
+    usage(prefix, callback) {
+        this.list(prefix, (err, objects) => {
+            if (err) return callback(err);
+            callback(null, {
+                bytes: objects.reduce((sum, object) => sum + object.size, 0),
+                count: objects.length
+            });
+        });
+    }
+
+    _putObject(key, body, size, callback) {
+        this._objectRequest('PUT', key, {}, { 'Content-Length': size, 'Content-Type': 'application/octet-stream' }, body, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== 200) return responseError(res, `PUT ${key}`, callback);
+            res.resume();
+            callback(null, { size });
+        });
+    }
+
+    // A stream of unknown length: whatever fits in one part goes up in a
+    // single PUT, anything longer as a multipart upload whose parts are held
+    // in memory one at a time. A failed multipart upload is aborted.
+    _putStream(key, stream, callback) {
+        let chunks = [];
+        let buffered = 0;
+        let size = 0;
+        let uploadId = null;
+        const parts = [];
+        let finished = false;
+
+        const finish = (err) => {
+            if (finished) return;
+            finished = true;
+            if (!err) return callback(null, { size });
+            if (!uploadId) return callback(err);
+            this._objectRequest('DELETE', key, { uploadId }, {}, null, (abortErr, res) => {
+                if (res) res.resume();
+                callback(err);
+            });
+        };
+
+        const takeBuffered = () => {
+            const body = Buffer.concat(chunks);
+            chunks = [];
+            buffered = 0;
+            return body;
+        };
+
+        const sendPart = (body, cb) => {
+            const start = (next) => uploadId ? next(null) : this._createMultipartUpload(key, (err, id) => {
+                uploadId = id;
+                next(err);
+            });
+            start((err) => {
+                if (err) return cb(err);
+
+                const partNumber = String(parts.length + 1);
+                this._objectRequest('PUT', key, { partNumber, uploadId }, { 'Content-Length': body.length }, body, (err, res) => {
+                    if (err) return cb(err);
+                    if (res.statusCode !== 200) return responseError(res, `PUT ${key} part ${partNumber}`, cb);
+                    res.resume();
+                    parts.push({ partNumber, etag: res.headers.etag });
+                    cb(null);
+                });
+            });
+        };
+
+        stream.on('data', (chunk) => {
+            if (finished) return;
+            chunks.push(chunk);
+            buffered += chunk.length;
+            size += chunk.length;
+            if (buffered < this.partSize) return;
+
+            stream.pause();
+            sendPart(takeBuffered(), (err) => {
+                if (err) return finish(err);
+                stream.resume();
+            });
+        });
+        stream.on('error', finish);
+        stream.on('end', () => {
+            if (finished) return;
+            const body = takeBuffered();
+            if (!uploadId) return this._putObject(key, body, body.length, finish);
+
+            const last = body.length > 0 ? (cb) => sendPart(body, cb) : (cb) => cb(null);
+            last((err) => {
+                if (err) return finish(err);
+                this._completeMultipartUpload(key, uploadId, parts, finish);
+            });
+        });
+    }
+
+    _createMultipartUpload(key, callback) {
+        this._objectRequest('POST', key, { uploads: '' }, { 'Content-Type': 'application/octet-stream' }, null, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== 200) return responseError(res, `POST ${key}`, callback);
+
+            readBody(res, (err, xml) => {
+                if (err) return callback(err);
+                const uploadId = xmlValues(xml, 'UploadId')[0];
+                if (!uploadId) return callback(Object.assign(new Error(`S3 POST ${key} failed: no UploadId`), { code: 'S3_ERROR' }));
+                callback(null, uploadId);
+            });
+        });
+    }
+
+    _completeMultipartUpload(key, uploadId, parts, callback) {
+        const body = Buffer.from('<CompleteMultipartUpload>' + parts.map(part => (
+            `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${xmlEncode(part.etag)}</ETag></Part>`
+        )).join('') + '</CompleteMultipartUpload>');
+
+        this._objectRequest('POST', key, { uploadId }, { 'Content-Length': body.length, 'Content-Type': 'application/xml' }, body, (err, res) => {
+            if (err) return callback(err);
+            if (res.statusCode !== 200) return responseError(res, `COMPLETE ${key}`, callback);
+
+            // Like a copy, completing can fail after the 200 has been sent
+            readBody(res, (err, xml) => {
+                if (err) return callback(err);
+                if (xmlValues(xml, 'Error').length > 0) {
+                    return callback(Object.assign(new Error(`S3 COMPLETE ${key} failed: ${xmlValues(xml, 'Code')[0]}`), { code: 'S3_ERROR' }));
+                }
+                callback(null);
+            });
+        });
+    }
+
+    _bucketPath() {
+        return this.pathStyle ? `/${uriEncode(this.bucket)}` : '/';
+    }
+
+    _objectRequest(method, key, query, headers, body, callback) {
+        let objectPath;
+        try {
+            objectPath = uriEncode(this.prefix + checkRelativePath(key), true);
+        } catch (err) {
+            return callback(err);
+        }
+        const pathname = this.pathStyle ? `${this._bucketPath()}/${objectPath}` : `/${objectPath}`;
+        this._request(method, pathname, query, headers, body, callback);
+    }
+
+    // Sign and send one request; callback(err, res) once the answer starts.
+    // body is a stream, a Buffer or null. Bodies are sent unsigned
+    // (UNSIGNED-PAYLOAD), so streams are read once; x-amz-* headers are signed.
+    _request(method, pathname, query, headers, body, callback) {
+        const host = this.pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+        const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const day = amzDate.slice(0, 8);
+        const signed = {
+            host: host,
+            'x-amz-content-sha256': body ? 'UNSIGNED-PAYLOAD' : EMPTY_SHA256,
+            'x-amz-date': amzDate
+        };
+        Object.keys(headers).filter(name => /^x-amz-/i.test(name)).forEach(name => {
+            signed[name.toLowerCase()] = String(headers[name]).trim();
+        });
+        const signedNames = Object.keys(signed).sort();
+        const canonicalQuery = Object.keys(query).sort()
+            .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+            .join('&');
+        const canonicalRequest = [
+            method,
+            pathname,
+            canonicalQuery,
+            signedNames.map(name => `${name}:${signed[name]}\n`).join(''),
+            signedNames.join(';'),
+            signed['x-amz-content-sha256']
+        ].join('\n');
+        const scope = `${day}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac('AWS4' + this.secretAccessKey, day), this.region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        let answered = false;
+        const answer = (err, res) => {
+            if (answered) return;
+            answered = true;
+            callback(err, res);
+        };
+
+        const req = this.transport.request({
+            protocol: this.endpoint.protocol,
+            hostname: this.pathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+            port: this.endpoint.port,
+            method: method,
+            path: pathname + (canonicalQuery ? '?' + canonicalQuery : ''),
+            headers: Object.assign({}, headers, signed, {
+                Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedNames.join(';')}, Signature=${signature}`
+            })
+        });
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`S3 ${method} timed out`)));
+        req.on('error', answer);
+        req.on('response', (res) => answer(null, res));
+
+        if (!body) return req.end();
+        if (Buffer.isBuffer(body)) return req.end(body);
+        body.on('error', (err) => req.destroy(err));
+        body.pipe(req);
+    }
+}
+
+module.exports = {
+    S3Storage
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Device names Windows refuses as file names (with or without an extension)
+const RESERVED_NAME = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+const MAX_NAME_BYTES = 255;
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Why a single path segment (file, folder or user name) is unsafe, or null
+function unsafeNameReason(name) {
+    if (typeof name !== 'string' || name === '') return 'empty name';
+    if (name.includes('\0')) return 'NUL byte';
+    if (name === '.' || name === '..') return 'path traversal';
+    if (/[\\/]/.test(name)) return 'path separator';
+    if (/[\x00-\x1f\x7f]/.test(name)) return 'control character';
+    if (Buffer.byteLength(name) > MAX_NAME_BYTES) return 'name too long';
+    if (RESERVED_NAME.test(name)) return 'reserved name';
+    return null;
+}
+
+// Record a rejected path; source describes who asked (e.g. "alice@10.0.0.5")
+function logRejectedPath(input, reason, source) {
+    console.warn(`Rejected unsafe path ${JSON.stringify(String(input))} (${reason})${source ? ' from ' + source : ''}`);
+}
+
+// Log the attempt and build the error every file route answers with 400
+function unsafePathError(input, reason, source) {
+    logRejectedPath(input, reason, source);
+    const err = new Error(`Invalid path: ${reason}`);
+    err.code = 'UNSAFE_PATH';
+    err.status = 400;
+    err.reason = reason;
+    return err;
+}
+
+// Validate one name; throws UNSAFE_PATH
+function checkName(name, source) {
+    const reason = unsafeNameReason(name);
+    if (reason) throw unsafePathError(name, reason, source);
+    return name;
+}
+
+// Usernames become directory names, so they get a stricter whitelist
+function checkUsername(username, source) {
+    const reason = unsafeNameReason(username) || (USERNAME_PATTERN.test(username) ? null : 'invalid username');
+    if (reason) throw unsafePathError(username, reason, source);
+    return username;
+}
+
+// Validate a '/'-separated relative path such as a storage key: every
+// segment must be a safe name. Throws UNSAFE_PATH.
+function checkRelativePath(input, source) {
+    if (typeof input !== 'string' || input === '') throw unsafePathError(input, 'empty path', source);
+    input.split('/').forEach(segment => {
+        const reason = unsafeNameReason(segment);
+        if (reason) throw unsafePathError(input, reason, source);
+    });
+    return input;
+}
+
+// Real location of a path, resolving symlinks in the part that exists
+function realLocation(target) {
+    const missing = [];
+    let existing = target;
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) break;
+        missing.unshift(path.basename(existing));
+        existing = parent;
+    }
+    return path.join(fs.realpathSync(existing), ...missing);
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative !== '' && relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve a relative path strictly inside root; throws UNSAFE_PATH otherwise.
+ *
+ * Rejects NUL bytes, absolute paths (POSIX, drive letters and UNC),
+ * ".." segments, reserved device names and symlinks that lead out of root.
+ */
+function resolveWithin(root, relativePath, source) {
+    const input = relativePath;
+    if (typeof input !== 'string' || input === '') throw unsafePathError(input, 'empty path', source);
+    if (input.includes('\0')) throw unsafePathError(input, 'NUL byte', source);
+    if (path.posix.isAbsolute(input) || path.win32.isAbsolute(input)) {
+        throw unsafePathError(input, 'absolute path', source);
+    }
+
+    const segments = input.split(/[\\/]+/).filter(Boolean);
+    segments.forEach(segment => {
+        const reason = unsafeNameReason(segment);
+        if (reason) throw unsafePathError(input, reason, source);
+    });
+
+    const resolved = path.resolve(root, ...segments);
+    if (!isInside(path.resolve(root), resolved)) throw unsafePathError(input, 'outside root', source);
+    if (!isInside(realLocation(root), realLocation(resolved))) throw unsafePathError(input, 'symlink escape', source);
+    return resolved;
+}
+
+module.exports = {
+    unsafeNameReason,
+    logRejectedPath,
+    unsafePathError,
+    checkName,
+    checkUsername,
+    checkRelativePath,
+    resolveWithin
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// Exit status of a scanner command for a flagged file (clamscan convention;
+// 0 means clean, anything else is a scanner failure)
+const EXIT_INFECTED = 1;
+
+function scanFailedError(cause) {
+    const err = new Error('The file scanner is not available. Please try again later.');
+    err.code = 'SCAN_FAILED';
+    err.cause = cause;
+    return err;
+}
+
+/**
+ * Scanner that runs an external command on each file.
+ *
+ * The command is split on whitespace; a "{file}" argument is replaced by the
+ * file's path, otherwise the path is appended. Returns
+ * scan(filePath, callback(err, { clean, reason })) where reason is the first
+ * line the command printed for a flagged file.
+ */
+function commandScanner(command, timeoutMs) {
+    const parts = command.trim().split(/\s+/);
+
+    return (filePath, callback) => {
+        const args = parts.slice(1).map(part => part === '{file}' ? filePath : part);
+        if (!parts.includes('{file}')) args.push(filePath);
+
+        execFile(parts[0], args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+            if (!err) return callback(null, { clean: true });
+            if (err.code !== EXIT_INFECTED) return callback(scanFailedError(err));
+
+            // Scanners usually print "<path>: <signature>"; the staging path means nothing to users
+            const reason = String(stdout || stderr).split('\n')
+                .map(line => line.split(`${filePath}: `).join('').trim())
+                .find(Boolean);
+            callback(null, { clean: false, reason: (reason || 'Flagged by the file scanner').slice(0, 500) });
+        });
+    };
+}
+
+// Move a flagged file into the quarantine directory under an inert name.
+// callback(err, quarantineName)
+function moveToQuarantine(filePath, quarantineDir, callback) {
+    const name = `${crypto.randomUUID()}.quarantined`;
+    const target = path.join(quarantineDir, name);
+
+    fs.mkdir(quarantineDir, { recursive: true, mode: 0o700 }, (err) => {
+        if (err) return callback(err);
+        fs.rename(filePath, target, (err) => {
+            if (!err) return callback(null, name);
+            if (err.code !== 'EXDEV') return callback(err);
+
+            // Quarantine on another filesystem
+            fs.copyFile(filePath, target, (err) => {
+                if (err) return callback(err);
+                fs.unlink(filePath, () => callback(null, name));
+            });
+        });
+    });
+}
+
+module.exports = {
+    commandScanner,
+    moveToQuarantine
+};
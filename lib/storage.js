@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { checkRelativePath, resolveWithin } = require('./safe-path');
+const { stagingPath } = require('./quota-storage');
+const { UPLOAD_BASE_DIR } = require('./user-dirs');
+const { S3Storage } = require('./s3-storage');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+/*
+ * Storage drivers keep uploaded content under keys: '/'-separated relative
+ * names such as "alice/<uuid>.txt" or ".blobs/ab/cd/<sha256>". Every driver
+ * implements (node-style callbacks):
+ *
+ *   put(key, stream, size, cb)   store a stream of size bytes (null: not known
+ *                                in advance); cb(err, { size })
+ *   putFile(key, filePath, cb)   store a local file, which is consumed
+ *   move(from, to, cb)           give stored content another key
+ *   get(key, range, cb)          cb(err, readable); range is { start, end }
+ *                                (inclusive) or null; ENOENT if missing
+ *   stat(key, cb)                cb(err, { size, mtime }), cb(null, null) if missing
+ *   list(prefix, cb)             cb(err, [{ key, size, mtime }]) for every key
+ *                                under prefix ('' or ending in '/')
+ *   delete(key, cb)              a missing key is not an error
+ *   usage(prefix, cb)            cb(err, { bytes, count })
+ *   localPath(key)               the content's path on this machine, or null
+ */
+
+/**
+ * Content on local disk: a key is a path below root. A key never leads out of
+ * its top-level folder (a user's directory, the blob store), symlinks
+ * included.
+ */
+class LocalStorage {
+    constructor(opts) {
+        this.name = 'local';
+        this.root = opts.root;
+    }
+
+    pathFor(key) {
+        const segments = checkRelativePath(key).split('/');
+        const top = resolveWithin(this.root, segments[0]);
+        return segments.length > 1 ? resolveWithin(top, segments.slice(1).join('/')) : top;
+    }
+
+    localPath(key) {
+        return this.pathFor(key);
+    }
+
+    // Written to a staging file next to the target, then renamed into place
+    put(key, stream, size, callback) {
+        let target;
+        try {
+            target = this.pathFor(key);
+        } catch (err) {
+            return callback(err);
+        }
+
+        // The stream may fail before the folder exists
+        let streamError = null;
+        const earlyError = (err) => {
+            streamError = err;
+        };
+        stream.once('error', earlyError);
+
+        fs.mkdir(path.dirname(target), { recursive: true }, (err) => {
+            stream.removeListener('error', earlyError);
+            if (err || streamError) return callback(err || streamError);
+
+            const tempPath = stagingPath(path.dirname(target));
+            const output = fs.createWriteStream(tempPath);
+            let written = 0;
+            let finished = false;
+            const fail = (err) => {
+                if (finished) return;
+                finished = true;
+                stream.unpipe(output);
+                output.destroy();
+                fs.unlink(tempPath, () => callback(err));
+            };
+
+            stream.on('data', (chunk) => {
+                written += chunk.length;
+            });
+            stream.on('error', fail);
+            output.on('error', fail);
+            output.on('finish', () => {
+                if (finished) return;
+                if (size !== null && written !== size) return fail(new Error(`Expected ${size} bytes for ${key}, got ${written}`));
+                finished = true;
+                fs.rename(tempPath, target, (err) => {
+                    if (err) return fs.unlink(tempPath, () => callback(err));
+                    callback(null, { size: written });
+                });
+            });
+            stream.pipe(output);
+        });
+    }
+
+    putFile(key, filePath, callback) {
+        let target;
+        try {
+            target = this.pathFor(key);
+        } catch (err) {
+            return callback(err);
+        }
+
+        fs.mkdir(path.dirname(target), { recursive: true }, (err) => {
+            if (err) return callback(err);
+
+            fs.rename(filePath, target, (err) => {
+                // Staging areas may live on another file system
+                if (!err || err.code !== 'EXDEV') return callback(err || null);
+                this._copyFile(key, filePath, callback);
+            });
+        });
+    }
+
+    move(from, to, callback) {
+        let source;
+        let target;
+        try {
+            source = this.pathFor(from);
+            target = this.pathFor(to);
+        } catch (err) {
+            return callback(err);
+        }
+
+        fs.mkdir(path.dirname(target), { recursive: true }, (err) => {
+            if (err) return callback(err);
+            fs.rename(source, target, callback);
+        });
+    }
+
+    get(key, range, callback) {
+        let filePath;
+        try {
+            filePath = this.pathFor(key);
+        } catch (err) {
+            return callback(err);
+        }
+
+        fs.open(filePath, 'r', (err, fd) => {
+            if (err) return callback(err);
+            callback(null, fs.createReadStream(null, Object.assign({ fd }, range)));
+        });
+    }
+
+    stat(key, callback) {
+        let filePath;
+        try {
+            filePath = this.pathFor(key);
+        } catch (err) {
+            return callback(err);
+        }
+
+        fs.stat(filePath, (err, stats) => {
+            if (err && err.code === 'ENOENT') return callback(null, null);
+            if (err) return callback(err);
+            callback(null, stats.isFile() ? { size: stats.size, mtime: stats.mtime } : null);
+        });
+    }
+
+    list(prefix, callback) {
+        let dir;
+        try {
+            dir = prefix ? this.pathFor(prefix.replace(/\/$/, '')) : this.root;
+        } catch (err) {
+            return callback(err);
+        }
+
+        const found = [];
+        const folders = [{ dir, prefix }];
+        const nextFolder = () => {
+            const folder = folders.shift();
+            if (!folder) return callback(null, found);
+
+            fs.readdir(folder.dir, { withFileTypes: true }, (err, entries) => {
+                if (err && err.code === 'ENOENT') return nextFolder();
+                if (err) return callback(err);
+
+                // Symlinks are neither followed nor listed
+                const files = entries.filter(entry => entry.isFile());
+                entries.filter(entry => entry.isDirectory()).forEach(entry => {
+                    folders.push({ dir: path.join(folder.dir, entry.name), prefix: `${folder.prefix}${entry.name}/` });
+                });
+
+                const nextFile = () => {
+                    const entry = files.shift();
+                    if (!entry) return nextFolder();
+
+                    fs.stat(path.join(folder.dir, entry.name), (err, stats) => {
+                        if (err && err.code !== 'ENOENT') return callback(err);
+                        if (stats) found.push({ key: folder.prefix + entry.name, size: stats.size, mtime: stats.mtime });
+                        nextFile();
+                    });
+                };
+                nextFile();
+            });
+        };
+        nextFolder();
+    }
+
+    delete(key, callback) {
+        let filePath;
+        try {
+            filePath = this.pathFor(key);
+        } catch (err) {
+            return callback(err);
+        }
+
+        fs.unlink(filePath, (err) => {
+            if (err && err.code !== 'ENOENT') return callback(err);
+            callback(null);
+        });
+    }
+
+    usage(prefix, callback) {
+        this.list(prefix, (err, objects) => {
+            if (err) return callback(err);
+            callback(null, {
+                bytes: objects.reduce((sum, object) => sum + object.size, 0),
+                count: objects.length
+            });
+        });
+    }
+
+    // Copy a file in (when it cannot be renamed into place), then remove it
+    _copyFile(key, filePath, callback) {
+        fs.stat(filePath, (err, stats) => {
+            if (err) return callback(err);
+
+            this.put(key, fs.createReadStream(filePath), stats.size, (err) => {
+                if (err) return callback(err);
+                fs.unlink(filePath, (err) => callback(err || null));
+            });
+        });
+    }
+}
+
+// Content as a file on this machine, for tools that need a path (previews,
+// re-hashing). Remote content is downloaded into dir first.
+// callback(err, filePath, cleanup); call cleanup() once done with the file.
+function localCopy(driver, key, dir, callback) {
+    let filePath;
+    try {
+        filePath = driver.localPath(key);
+    } catch (err) {
+        return callback(err);
+    }
+    if (filePath) return callback(null, filePath, () => {});
+
+    const tempPath = path.join(dir, `.copy-${crypto.randomBytes(8).toString('hex')}`);
+    const cleanup = () => fs.unlink(tempPath, () => {});
+    fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err) return callback(err);
+
+        driver.get(key, null, (err, stream) => {
+            if (err) return callback(err);
+
+            const output = fs.createWriteStream(tempPath);
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                stream.destroy();
+                output.destroy();
+                cleanup();
+                callback(err);
+            };
+            stream.on('error', fail);
+            output.on('error', fail);
+            output.on('finish', () => {
+                if (!failed) callback(null, tempPath, cleanup);
+            });
+            stream.pipe(output);
+        });
+    });
+}
+
+// The driver named by STORAGE_DRIVER, configured from the environment
+function createStorage(name) {
+    if (name === 'local') return new LocalStorage({ root: UPLOAD_BASE_DIR });
+    if (name === 's3') {
+        return new S3Storage({
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION,
+            bucket: process.env.S3_BUCKET,
+            prefix: process.env.S3_PREFIX,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            pathStyle: process.env.S3_PATH_STYLE !== 'false'
+        });
+    }
+    throw new Error(`Unknown storage driver "${name}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    LocalStorage,
+    localCopy,
+    createStorage
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, which is what authenticator apps expect
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Steps accepted on either side of the current one (clock drift)
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'File Upload Server';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+// Lenient decoding: case, spaces and padding are ignored; null if invalid
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) return null;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// New shared secret (160 bits, as RFC 4226 recommends), base32 encoded
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a counter, as a zero-padded string
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Time step for a moment (milliseconds since the epoch)
+function timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+function totp(secret, time = Date.now()) {
+    return hotp(secret, timeStep(time));
+}
+
+/**
+ * Check a code against the steps around `time`. Returns the matching step
+ * so callers can refuse to accept the same step twice, or null.
+ * Steps at or before `lastStep` never match.
+ */
+function verifyTotp(secret, code, { time = Date.now(), lastStep = null } = {}) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+    const current = timeStep(time);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        const expected = Buffer.from(hotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+    }
+    return null;
+}
+
+// otpauth:// URI that authenticator apps import (usually as a QR code)
+function otpauthUri(secret, accountName, issuer = TOTP_ISSUER) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// One-time recovery codes like "k7qm2-x9d4p"
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+}
+
+// Recovery codes are compared without case or dashes
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+module.exports = {
+    TOTP_DIGITS,
+    TOTP_PERIOD_SECONDS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    timeStep,
+    totp,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
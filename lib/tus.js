@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { Transform, pipeline } = require('stream');
+const { resolveWithin, checkName } = require('./safe-path');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+// Parse "key base64value,key2 base64value2" (tus Upload-Metadata)
+function parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+    header.split(',').forEach(pair => {
+        const [key, value] = pair.trim().split(' ');
+        if (!key) return;
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    });
+    return metadata;
+}
+
+// Error with an HTTP status for the tus routes
+function tusError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Resumable uploads following the tus 1.0 protocol (core, creation,
+ * termination and expiration extensions).
+ *
+ * Partial uploads live in a per-user staging area as <id> (data) plus
+ * <id>.json (state). The offset is always the size of the data file, so an
+ * upload survives a server restart.
+ */
+class TusUploads {
+    constructor(opts) {
+        this.stagingDir = opts.stagingDir;
+        this.maxSize = opts.maxSize;
+        this.expiryMs = opts.expiryMs;
+        this.locks = new Set();
+    }
+
+    userDir(username) {
+        return resolveWithin(this.stagingDir, username);
+    }
+
+    dataPath(username, id) {
+        return path.join(this.userDir(username), id);
+    }
+
+    statePath(username, id) {
+        return path.join(this.userDir(username), id + '.json');
+    }
+
+    // Load an upload's state and current offset, or null if unknown/expired
+    load(username, id) {
+        if (!/^[0-9a-f]{32}$/.test(id)) return null;
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath(username, id), 'utf8'));
+            state.offset = fs.statSync(this.dataPath(username, id)).size;
+            if (Date.now() > state.expires) {
+                this.remove(username, id);
+                return null;
+            }
+            return state;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    save(username, state) {
+        const copy = Object.assign({}, state);
+        delete copy.offset;
+        fs.writeFileSync(this.statePath(username, state.id), JSON.stringify(copy));
+    }
+
+    remove(username, id) {
+        fs.rmSync(this.dataPath(username, id), { force: true });
+        fs.rmSync(this.statePath(username, id), { force: true });
+    }
+
+    // Bytes promised to a user's unfinished uploads (counted against quota)
+    reservedBytes(username, exceptId) {
+        const dir = this.userDir(username);
+        if (!fs.existsSync(dir)) return 0;
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.load(username, path.basename(name, '.json')))
+            .filter(state => state && state.id !== exceptId)
+            .reduce((sum, state) => sum + state.length, 0);
+    }
+
+    // Remove uploads that have not seen activity before their expiry
+    sweepExpired() {
+        if (!fs.existsSync(this.stagingDir)) return;
+        fs.readdirSync(this.stagingDir).forEach(username => {
+            const dir = this.userDir(username);
+            if (!fs.statSync(dir).isDirectory()) return;
+            fs.readdirSync(dir)
+                .filter(name => name.endsWith('.json'))
+                .forEach(name => this.load(username, path.basename(name, '.json')));
+        });
+    }
+
+    setHeaders(res, state) {
+        res.set('Upload-Offset', String(state.offset));
+        res.set('Upload-Length', String(state.length));
+        res.set('Upload-Expires', new Date(state.expires).toUTCString());
+    }
+
+    /**
+     * Build the tus router.
+     *
+     * checkFile(req, metadata, cb)          optional; cb(err) if the file is not
+     *                                       accepted (checked before any data)
+     * checkQuota(req, bytes, cb)            cb(err) if bytes more cannot be stored
+     *                                       (besides those of unfinished uploads)
+     * onData(req, res, state, bytes)        optional; bytes of a PATCH arrived
+     * onComplete(req, state, dataPath, cb)  move the finished data into storage;
+     *                                       cb(err, { id }) with the catalog id
+     */
+    router(hooks) {
+        const router = express.Router();
+
+        router.use((req, res, next) => {
+            res.set('Tus-Resumable', TUS_VERSION);
+            if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+                res.set('Tus-Version', TUS_VERSION);
+                return res.status(412).json({ error: 'Unsupported tus version' });
+            }
+            next();
+        });
+
+        router.options('/', (req, res) => {
+            res.set('Tus-Version', TUS_VERSION);
+            res.set('Tus-Extension', TUS_EXTENSIONS);
+            res.set('Tus-Max-Size', String(this.maxSize));
+            res.status(204).end();
+        });
+
+        // Creation
+        router.post('/', (req, res, next) => {
+            const length = parseInt(req.get('Upload-Length'));
+            if (!Number.isInteger(length) || length < 0) {
+                return res.status(400).json({ error: 'Upload-Length header required' });
+            }
+            if (length > this.maxSize) {
+                return res.status(413).json({ error: `File too large. Maximum size is ${Math.floor(this.maxSize / 1024 / 1024)}MB` });
+            }
+
+            const metadata = parseMetadata(req.get('Upload-Metadata'));
+            if (!metadata.filename) {
+                return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+            }
+            try {
+                checkName(metadata.filename, `${req.session.username}@${req.ip}`);
+            } catch (err) {
+                return next(err);
+            }
+
+            const username = req.session.username;
+            const checkFile = hooks.checkFile || ((req, metadata, cb) => cb(null));
+            checkFile(req, metadata, (err) => {
+                if (err) return next(err);
+
+                hooks.checkQuota(req, length, (err) => {
+                    if (err) return next(err);
+
+                    const state = {
+                        id: crypto.randomBytes(16).toString('hex'),
+                        userId: req.session.userId,
+                        length: length,
+                        metadata: metadata,
+                        created: Date.now(),
+                        expires: Date.now() + this.expiryMs,
+                        offset: 0
+                    };
+
+                    fs.mkdirSync(this.userDir(username), { recursive: true });
+                    fs.writeFileSync(this.dataPath(username, state.id), '');
+                    this.save(username, state);
+
+                    res.set('Location', `${req.baseUrl}/${state.id}`);
+                    res.set('Upload-Expires', new Date(state.expires).toUTCString());
+
+                    if (length > 0) return res.status(201).end();
+
+                    // Empty files are complete as soon as they are created
+                    this.complete(req, res, next, hooks, state, 201);
+                });
+            });
+        });
+
+        // Current offset
+        router.head('/:id', (req, res) => {
+            const state = this.load(req.session.username, req.params.id);
+            res.set('Cache-Control', 'no-store');
+            if (!state) return res.status(404).end();
+            this.setHeaders(res, state);
+            res.status(200).end();
+        });
+
+        // Append data
+        router.patch('/:id', (req, res, next) => {
+            const username = req.session.username;
+            const state = this.load(username, req.params.id);
+            if (!state) return res.status(404).json({ error: 'Upload not found' });
+
+            if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+                return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+            }
+            if (parseInt(req.get('Upload-Offset')) !== state.offset) {
+                this.setHeaders(res, state);
+                return res.status(409).json({ error: 'Upload-Offset does not match' });
+            }
+
+            const lockKey = username + '/' + state.id;
+            if (this.locks.has(lockKey)) {
+                return res.status(423).json({ error: 'Upload is already in progress' });
+            }
+            this.locks.add(lockKey);
+
+            // Never accept bytes beyond the declared length
+            let received = 0;
+            const limiter = new Transform({
+                transform: (chunk, encoding, cb) => {
+                    received += chunk.length;
+                    if (state.offset + received > state.length) {
+                        return cb(tusError(413, 'Data exceeds Upload-Length'));
+                    }
+                    if (hooks.onData) hooks.onData(req, res, state, chunk.length);
+                    cb(null, chunk);
+                }
+            });
+
+            const out = fs.createWriteStream(this.dataPath(username, state.id), { flags: 'a' });
+
+            // A dropped connection keeps whatever arrived; the client resumes from there
+            pipeline(req, limiter, out, (err) => {
+                this.locks.delete(lockKey);
+
+                const current = this.load(username, state.id);
+                if (!current) return next(err || tusError(404, 'Upload not found'));
+
+                current.expires = Date.now() + this.expiryMs;
+                this.save(username, current);
+
+                if (err) {
+                    if (req.socket.destroyed || res.headersSent) return;
+                    if (err.status === 413) {
+                        // Roll back the partial chunk so the offset stays valid
+                        fs.truncateSync(this.dataPath(username, state.id), state.offset);
+                    }
+                    return next(err);
+                }
+
+                if (current.offset < current.length) {
+                    this.setHeaders(res, current);
+                    return res.status(204).end();
+                }
+
+                this.complete(req, res, next, hooks, current, 204);
+            });
+        });
+
+        // Termination
+        router.delete('/:id', (req, res) => {
+            const state = this.load(req.session.username, req.params.id);
+            if (!state) return res.status(404).json({ error: 'Upload not found' });
+            this.remove(req.session.username, state.id);
+            res.status(204).end();
+        });
+
+        router.use((err, req, res, next) => {
+            if (!err.status) return next(err);
+            res.status(err.status).json({ error: err.message });
+        });
+
+        return router;
+    }
+
+    // Hand a finished upload over to storage and drop its staging state
+    complete(req, res, next, hooks, state, status) {
+        const username = req.session.username;
+        hooks.onComplete(req, state, this.dataPath(username, state.id), (err, result) => {
+            this.remove(username, state.id);
+            if (err) return next(err);
+
+            res.set('Upload-Offset', String(state.length));
+            res.set('Upload-File-Id', result.id);
+            res.status(status).end();
+        });
+    }
+}
+
+module.exports = {
+    TusUploads,
+    parseMetadata,
+    TUS_VERSION
+};
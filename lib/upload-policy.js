@@ -0,0 +1,114 @@
+const { extensionOf } = require('./file-types');
+
+// "pdf, .JPG,png" -> ['pdf', 'jpg', 'png'] (null when empty)
+function parseExtensionList(value) {
+    if (!value) return null;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(ext => String(ext).trim().toLowerCase().replace(/^\./, ''))
+        .filter(Boolean);
+    return list.length > 0 ? list : null;
+}
+
+const MIME_PATTERN = /^[a-z0-9][a-z0-9.+-]*\/(\*|[a-z0-9][a-z0-9.+-]*)$/;
+
+// "image/*, application/pdf" -> ['image/*', 'application/pdf'] (null when
+// empty); throws if an entry is not a MIME type
+function parseMimeList(value) {
+    if (!value) return null;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+    const invalid = list.find(type => !MIME_PATTERN.test(type));
+    if (invalid) throw new Error(`Invalid MIME type: ${invalid}`);
+    return list.length > 0 ? list : null;
+}
+
+// Server-wide lists from the environment. A deny entry always wins over an
+// allow entry; a missing allow list allows everything.
+const GLOBAL_POLICY = {
+    allowed_extensions: parseExtensionList(process.env.ALLOWED_EXTENSIONS),
+    denied_extensions: parseExtensionList(process.env.DENIED_EXTENSIONS),
+    allowed_mime_types: parseMimeList(process.env.ALLOWED_MIME_TYPES),
+    denied_mime_types: parseMimeList(process.env.DENIED_MIME_TYPES)
+};
+const POLICY_KEYS = Object.keys(GLOBAL_POLICY);
+
+/**
+ * Lists that apply to a user's uploads. users.upload_policy holds JSON
+ * overrides per list: a missing or null entry falls back to the global list,
+ * an empty array means "no list" for that user.
+ */
+function effectivePolicy(user) {
+    let own = {};
+    try {
+        own = user && user.upload_policy ? JSON.parse(user.upload_policy) : {};
+    } catch (err) {
+        own = {};
+    }
+
+    const policy = {};
+    POLICY_KEYS.forEach(key => {
+        const value = own[key] === undefined || own[key] === null ? GLOBAL_POLICY[key] : own[key];
+        policy[key] = value && value.length > 0 ? value : null;
+    });
+    return policy;
+}
+
+// Validate a per-user override from the API; throws on invalid entries.
+// Arrays or comma-separated strings set a list, null/undefined inherits.
+function parseUploadPolicy(body) {
+    const policy = {};
+    POLICY_KEYS.forEach(key => {
+        const value = body[key];
+        if (value === undefined || value === null) return;
+        const parse = key.endsWith('_extensions') ? parseExtensionList : parseMimeList;
+        policy[key] = parse(value) || [];
+    });
+    return policy;
+}
+
+function rejectedTypeError(message) {
+    const err = new Error(message);
+    err.code = 'FILE_TYPE_REJECTED';
+    err.status = 415;
+    return err;
+}
+
+// Why a file name is refused by the extension lists, or null
+function extensionProblem(policy, filename) {
+    const ext = extensionOf(filename);
+    const label = ext ? `.${ext}` : 'without extension';
+    if (policy.denied_extensions && policy.denied_extensions.includes(ext)) {
+        return `File type not allowed: ${filename} (${label} files are blocked)`;
+    }
+    if (policy.allowed_extensions && !policy.allowed_extensions.includes(ext)) {
+        return `File type not allowed: ${filename}. Allowed: ${policy.allowed_extensions.join(', ')}`;
+    }
+    return null;
+}
+
+function mimeMatches(patterns, mime) {
+    return patterns.some(pattern => pattern === mime || (pattern.endsWith('/*') && mime.startsWith(pattern.slice(0, -1))));
+}
+
+// Why a content type is refused by the MIME lists, or null
+function mimeProblem(policy, filename, mime) {
+    if (policy.denied_mime_types && mimeMatches(policy.denied_mime_types, mime)) {
+        return `File type not allowed: ${filename} (${mime} content is blocked)`;
+    }
+    if (policy.allowed_mime_types && !mimeMatches(policy.allowed_mime_types, mime)) {
+        return `File type not allowed: ${filename} is ${mime}. Allowed: ${policy.allowed_mime_types.join(', ')}`;
+    }
+    return null;
+}
+
+module.exports = {
+    GLOBAL_POLICY,
+    parseExtensionList,
+    parseMimeList,
+    effectivePolicy,
+    parseUploadPolicy,
+    rejectedTypeError,
+    extensionProblem,
+    mimeProblem
+};
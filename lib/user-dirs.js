@@ -0,0 +1,48 @@
+const path = require('path');
+const fs = require('fs');
+const { checkName, resolveWithin, unsafePathError } = require('./safe-path');
+
+const UPLOAD_BASE_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// Ensure base upload directory exists
+if (!fs.existsSync(UPLOAD_BASE_DIR)) {
+    fs.mkdirSync(UPLOAD_BASE_DIR, { recursive: true });
+}
+
+// A username as the name of its directory. Throws UNSAFE_PATH.
+function userDirName(username, source) {
+    // Hidden names are kept for server state such as the resumable staging area
+    if (typeof username === 'string' && username.startsWith('.')) {
+        throw unsafePathError(username, 'reserved name', source);
+    }
+    return checkName(username, source);
+}
+
+// Get user's upload directory (username-based). Throws UNSAFE_PATH for
+// usernames that would not map to a single directory inside UPLOAD_BASE_DIR.
+function getUserUploadDir(username, source) {
+    return resolveWithin(UPLOAD_BASE_DIR, userDirName(username, source), source);
+}
+
+// Create user directory if it doesn't exist
+function ensureUserDirectory(username, source) {
+    const userDir = getUserUploadDir(username, source);
+    if (!fs.existsSync(userDir)) {
+        fs.mkdirSync(userDir, { recursive: true });
+    }
+    return userDir;
+}
+
+// Storage key of a file stored in a user's directory before deduplication
+// ("<username>/<stored name>", see lib/storage.js). Throws UNSAFE_PATH.
+function userFileKey(username, name, source) {
+    return `${userDirName(username, source)}/${checkName(name, source)}`;
+}
+
+module.exports = {
+    UPLOAD_BASE_DIR,
+    userDirName,
+    getUserUploadDir,
+    ensureUserDirectory,
+    userFileKey
+};
@@ -0,0 +1,88 @@
+const { parseCsv } = require('./csv');
+
+// Rows a single import may hold
+const USER_IMPORT_MAX_ROWS = 1000;
+// Columns of a user export; an export can be imported again (created_at is
+// ignored, deleted accounts are refused)
+const USER_EXPORT_COLUMNS = ['username', 'role', 'storage_quota_mb', 'plan', 'status', 'created_at'];
+const USER_STATUSES = ['active', 'disabled', 'deleted'];
+
+// An account's status for listings and exports
+function userStatus(user) {
+    if (user.deleted_at) return 'deleted';
+    return user.disabled_at ? 'disabled' : 'active';
+}
+
+// The rows of an import: a CSV document (text) with a header row, a JSON
+// array or { users: [...] }. Throws with a message for the client.
+function readImportRows(body) {
+    let rows;
+    if (typeof body === 'string') {
+        rows = parseCsv(body);
+    } else if (Array.isArray(body)) {
+        rows = body;
+    } else if (body && Array.isArray(body.users)) {
+        rows = body.users;
+    } else {
+        throw new Error('Send a CSV document or a JSON array of users');
+    }
+
+    if (rows.length === 0) throw new Error('No users to import');
+    if (rows.length > USER_IMPORT_MAX_ROWS) {
+        throw new Error(`At most ${USER_IMPORT_MAX_ROWS} users can be imported at once`);
+    }
+    return rows;
+}
+
+function cellText(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Check one import row on its own: { username, password, role,
+ * storage_quota_mb, plan, status }, all optional but the username. Returns
+ * { username, password (null: generate one), role, quotaMB (null: default
+ * or the plan's; a plan wins over storage_quota_mb), plan (name or null),
+ * disabled }; throws with a message for
+ * the client. Whether the name is free and the plan exists is up to the
+ * caller.
+ */
+function parseImportRow(row, roles) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error('Not a user record');
+
+    const username = cellText(row.username);
+    if (!username) throw new Error('Username is required');
+
+    const role = cellText(row.role) || 'user';
+    if (!roles.includes(role)) throw new Error(`Invalid role. Use one of: ${roles.join(', ')}`);
+
+    const quota = cellText(row.storage_quota_mb);
+    if (quota && !/^[1-9][0-9]*$/.test(quota)) throw new Error('storage_quota_mb must be a whole number of MB (min 1)');
+
+    const plan = cellText(row.plan);
+
+    const status = cellText(row.status) || 'active';
+    if (status !== 'active' && status !== 'disabled') throw new Error('status must be active or disabled');
+
+    // Passwords are taken as they are, spaces included
+    const password = row.password === null || row.password === undefined ? '' : String(row.password);
+
+    return {
+        username: username,
+        password: password || null,
+        role: role,
+        // A plan sets the quota (exports list both)
+        quotaMB: quota && !plan ? parseInt(quota) : null,
+        plan: plan || null,
+        disabled: status === 'disabled'
+    };
+}
+
+module.exports = {
+    USER_IMPORT_MAX_ROWS,
+    USER_EXPORT_COLUMNS,
+    USER_STATUSES,
+    userStatus,
+    readImportRows,
+    parseImportRow
+};
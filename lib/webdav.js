@@ -0,0 +1,836 @@
+const crypto = require('crypto');
+const express = require('express');
+const { Readable } = require('stream');
+const { checkRelativePath } = require('./safe-path');
+
+const DAV_NS = 'DAV:';
+const XML_DECLARATION = '<?xml version="1.0" encoding="utf-8"?>\n';
+const METHODS = ['OPTIONS', 'GET', 'HEAD', 'PUT', 'DELETE', 'PROPFIND', 'PROPPATCH', 'MKCOL', 'COPY', 'MOVE', 'LOCK', 'UNLOCK'];
+// Request bodies (PROPFIND, PROPPATCH, LOCK) are small XML documents
+const MAX_XML_BYTES = 64 * 1024;
+const DEFAULT_LOCK_SECONDS = 60 * 60;
+const MAX_LOCK_SECONDS = 24 * 60 * 60;
+
+// Properties every resource has; the quota ones (RFC 4331) only when asked for
+const LIVE_PROPERTIES = ['creationdate', 'displayname', 'getcontentlength', 'getcontenttype', 'getetag',
+    'getlastmodified', 'resourcetype', 'lockdiscovery', 'supportedlock'];
+const QUOTA_PROPERTIES = ['quota-available-bytes', 'quota-used-bytes'];
+
+const SUPPORTED_LOCK = ['exclusive', 'shared'].map(scope =>
+    `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`
+).join('');
+
+const STATUS_TEXT = {
+    200: 'OK',
+    403: 'Forbidden',
+    404: 'Not Found'
+};
+
+// Error with an HTTP status for the WebDAV routes; condition is an optional
+// precondition element (RFC 4918 section 16) sent back as the body
+function davError(status, message, condition) {
+    const err = new Error(message);
+    err.status = status;
+    if (condition) err.condition = condition;
+    return err;
+}
+
+function xmlEscape(value) {
+    return String(value).replace(/[<>&"']/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+function xmlDecode(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#[0-9]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity];
+    });
+}
+
+/*
+ * Just enough XML for WebDAV request bodies: elements with namespaces,
+ * attributes and text. Document type declarations are refused, so there are
+ * no entities to expand. Returns the root element as
+ * { ns, name, attrs, children, text }; throws a 400 error if malformed.
+ */
+function parseXml(text) {
+    const malformed = () => davError(400, 'Malformed XML request body');
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!([^>]*)>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const top = { children: [], scope: { xml: 'http://www.w3.org/XML/1998/namespace' } };
+    const stack = [top];
+    let match;
+
+    while ((match = token.exec(text)) !== null) {
+        const current = stack[stack.length - 1];
+        const [whole, cdata, declaration, closing, opening, attrText, selfClosing, chars] = match;
+
+        if (whole === '<' || declaration !== undefined) throw malformed();
+        if (cdata !== undefined) {
+            current.text = (current.text || '') + cdata;
+        } else if (chars !== undefined) {
+            if (stack.length === 1) {
+                if (chars.trim()) throw malformed();
+            } else {
+                current.text += xmlDecode(chars);
+            }
+        } else if (closing !== undefined) {
+            if (stack.length === 1 || current.qname !== closing) throw malformed();
+            stack.pop();
+        } else if (opening !== undefined) {
+            if (stack.length === 1 && top.children.length > 0) throw malformed();
+
+            const scope = Object.assign({}, current.scope);
+            const attrs = {};
+            let attr;
+            attribute.lastIndex = 0;
+            while ((attr = attribute.exec(attrText)) !== null) {
+                const value = xmlDecode(attr[2] !== undefined ? attr[2] : attr[3]);
+                if (attr[1] === 'xmlns') {
+                    scope[''] = value;
+                } else if (attr[1].startsWith('xmlns:')) {
+                    scope[attr[1].slice(6)] = value;
+                } else {
+                    attrs[attr[1]] = value;
+                }
+            }
+
+            const colon = opening.indexOf(':');
+            const prefix = colon === -1 ? '' : opening.slice(0, colon);
+            if (prefix && scope[prefix] === undefined) throw malformed();
+            const element = {
+                ns: scope[prefix] || '',
+                name: colon === -1 ? opening : opening.slice(colon + 1),
+                qname: opening,
+                attrs: attrs,
+                children: [],
+                text: '',
+                scope: scope
+            };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+        // Comments and processing instructions are skipped
+    }
+
+    if (stack.length !== 1 || top.children.length !== 1) throw malformed();
+    return top.children[0];
+}
+
+function childElement(element, name) {
+    return element.children.find(child => child.ns === DAV_NS && child.name === name) || null;
+}
+
+// Every text inside an element, e.g. a lock owner's name
+function textContent(element) {
+    return element.text + element.children.map(textContent).join('');
+}
+
+// "/dav" + "a/b c" -> "/dav/a/b%20c" (collections end in a slash)
+function hrefFor(mount, resourcePath, collection) {
+    const encoded = resourcePath ? resourcePath.split('/').map(encodeURIComponent).join('/') : '';
+    return `${mount}/${encoded}${collection && encoded ? '/' : ''}`;
+}
+
+function parentPath(resourcePath) {
+    const slash = resourcePath.lastIndexOf('/');
+    return slash === -1 ? '' : resourcePath.slice(0, slash);
+}
+
+// Is resourcePath folder itself or somewhere below it? ('' is the root)
+function isWithin(folder, resourcePath) {
+    return folder === '' || resourcePath === folder || resourcePath.startsWith(folder + '/');
+}
+
+// Lock tokens submitted in an If header (RFC 4918 section 10.4). Tagged
+// and untagged lists are treated alike, negated ones are ignored.
+function submittedTokens(req) {
+    const header = req.get('If') || '';
+    const tokens = [];
+    const lists = /\(([^)]*)\)/g;
+    let list;
+    while ((list = lists.exec(header)) !== null) {
+        const conditions = /(Not\s+)?<([^>]*)>/gi;
+        let condition;
+        while ((condition = conditions.exec(list[1])) !== null) {
+            if (!condition[1]) tokens.push(condition[2]);
+        }
+    }
+    return tokens;
+}
+
+// "Second-600, Infinite" -> 600, capped at MAX_LOCK_SECONDS
+function parseTimeout(header) {
+    const first = String(header || '').split(',')[0].trim();
+    if (/^infinite$/i.test(first)) return MAX_LOCK_SECONDS;
+    const match = /^Second-(\d+)$/i.exec(first);
+    if (!match) return DEFAULT_LOCK_SECONDS;
+    return Math.min(Math.max(parseInt(match[1], 10), 1), MAX_LOCK_SECONDS);
+}
+
+/**
+ * Write locks held by WebDAV clients. They bind WebDAV requests only (the
+ * web interface and the API do not know about them) and live in memory:
+ * they time out anyway, so a restart only means clients have to lock again.
+ */
+class LockManager {
+    constructor() {
+        // token -> { token, userId, path, depth, scope, owner, seconds, expires }
+        this.locks = new Map();
+    }
+
+    _live(userId) {
+        const now = Date.now();
+        const live = [];
+        this.locks.forEach((lock, token) => {
+            if (lock.expires <= now) {
+                this.locks.delete(token);
+            } else if (lock.userId === userId) {
+                live.push(lock);
+            }
+        });
+        return live;
+    }
+
+    get(userId, token) {
+        return this._live(userId).find(lock => lock.token === token) || null;
+    }
+
+    // Locks on resourcePath itself or inherited from a folder above it
+    covering(userId, resourcePath) {
+        return this._live(userId).filter(lock =>
+            lock.path === resourcePath || (lock.depth === 'infinity' && isWithin(lock.path, resourcePath))
+        );
+    }
+
+    // Locks on resourcePath and on anything below it
+    within(userId, resourcePath) {
+        return this._live(userId).filter(lock => isWithin(resourcePath, lock.path));
+    }
+
+    create(userId, resourcePath, depth, scope, owner, seconds) {
+        const lock = {
+            token: `urn:uuid:${crypto.randomUUID()}`,
+            userId: userId,
+            path: resourcePath,
+            depth: depth,
+            scope: scope,
+            owner: owner,
+            seconds: seconds,
+            expires: Date.now() + seconds * 1000
+        };
+        this.locks.set(lock.token, lock);
+        return lock;
+    }
+
+    refresh(lock, seconds) {
+        lock.seconds = seconds;
+        lock.expires = Date.now() + seconds * 1000;
+    }
+
+    remove(token) {
+        this.locks.delete(token);
+    }
+
+    // Drop the locks on resources that were deleted or moved away
+    removeTree(userId, resourcePath) {
+        this.within(userId, resourcePath).forEach(lock => this.locks.delete(lock.token));
+    }
+}
+
+/**
+ * A WebDAV endpoint (RFC 4918, class 1 and 2) over an abstract tree of
+ * folders and files: every signed-in user sees their own tree at the mount
+ * point. Paths are '/'-separated names relative to the mount ('' is the
+ * root); each name must pass checkName.
+ */
+class WebDav {
+    constructor(opts) {
+        opts = opts || {};
+        this.maxXmlBytes = opts.maxXmlBytes || MAX_XML_BYTES;
+        this.locks = new LockManager();
+    }
+
+    /**
+     * Build the WebDAV router. It expects req.session.userId to be set for
+     * everything but OPTIONS.
+     *
+     * A resource is { path, name, collection, size, type, etag, modified,
+     * created } (the last five for files; Dates may be missing).
+     *
+     * stat(req, path, cb)                      cb(err, resource), or cb(null, null)
+     *                                          if there is nothing at path
+     * list(req, path, cb)                      cb(err, [resource]) in a folder
+     * quota(req, cb)                           cb(err, { used, available })
+     * read(req, res, resource, next)           send a file's content (GET, HEAD)
+     * write(req, path, existing, source, length, cb)
+     *                                          store the source stream (length bytes
+     *                                          if known) as the file at path;
+     *                                          existing is the file it replaces
+     * mkcol(req, path, cb)                     create a folder
+     * remove(req, resource, cb)                delete a file or a whole folder
+     * move(req, resource, path, cb)            move/rename to a free path
+     * copy(req, resource, path, depth, cb)     copy to a free path; depth is '0'
+     *                                          or 'infinity' for folders
+     */
+    router(hooks) {
+        const router = express.Router();
+
+        router.use((req, res, next) => {
+            if (!METHODS.includes(req.method)) {
+                res.set('Allow', METHODS.join(', '));
+                return res.status(405).end();
+            }
+
+            let target;
+            try {
+                target = this._parsePath(req, req.path);
+            } catch (err) {
+                return next(err);
+            }
+            this['_' + req.method.toLowerCase()](req, res, next, hooks, target);
+        });
+
+        router.use((err, req, res, next) => {
+            const status = err.code === 'QUOTA_EXCEEDED' ? 507 : err.status;
+            if (!status || (status >= 500 && status !== 507)) return next(err);
+
+            // A refused upload may still be arriving; don't wait for the rest
+            if (!req.complete) res.set('Connection', 'close');
+            if (err.condition) {
+                return res.status(status).type('application/xml; charset=utf-8')
+                    .send(`${XML_DECLARATION}<D:error xmlns:D="DAV:">${err.condition}</D:error>`);
+            }
+            res.status(status).type('text/plain').send(err.message + '\n');
+        });
+
+        return router;
+    }
+
+    // URL path (still percent-encoded) below the mount -> resource path
+    _parsePath(req, urlPath) {
+        let segments;
+        try {
+            segments = urlPath.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (err) {
+            throw davError(400, 'Invalid URL encoding');
+        }
+        if (segments.length === 0) return '';
+        return checkRelativePath(segments.join('/'), `${(req.session && req.session.username) || 'anonymous'}@${req.ip}`);
+    }
+
+    // Destination header of COPY and MOVE -> resource path below this mount
+    _destination(req) {
+        const header = req.get('Destination');
+        if (!header) throw davError(400, 'Destination header required');
+
+        let url;
+        try {
+            url = new URL(header, 'http://localhost');
+        } catch (err) {
+            throw davError(400, 'Invalid Destination header');
+        }
+        if (url.pathname !== req.baseUrl && !url.pathname.startsWith(req.baseUrl + '/')) {
+            throw davError(502, 'Destination is outside this WebDAV share');
+        }
+        return this._parsePath(req, url.pathname.slice(req.baseUrl.length));
+    }
+
+    // Refuse the request if one of the locks it touches was not submitted in
+    // the If header. Each check is { path, tree }: locks covering path, plus
+    // those anywhere below it if tree is set.
+    _checkLocks(req, checks) {
+        const userId = req.session.userId;
+        const tokens = submittedTokens(req);
+        for (const check of checks) {
+            const locks = this.locks.covering(userId, check.path)
+                .concat(check.tree ? this.locks.within(userId, check.path) : []);
+            const blocking = locks.find(lock => !tokens.includes(lock.token));
+            if (blocking) {
+                const href = hrefFor(req.baseUrl, blocking.path, false);
+                return davError(423, 'Locked',
+                    `<D:lock-token-submitted><D:href>${xmlEscape(href)}</D:href></D:lock-token-submitted>`);
+            }
+        }
+        return null;
+    }
+
+    // Read a small XML request body; callback(err, element or null if empty)
+    _readXml(req, callback) {
+        const declared = parseInt(req.get('Content-Length'), 10);
+        if (declared > this.maxXmlBytes) return callback(davError(413, 'Request body too large'));
+
+        const chunks = [];
+        let length = 0;
+        let failed = false;
+        req.on('data', (chunk) => {
+            if (failed) return;
+            length += chunk.length;
+            if (length > this.maxXmlBytes) {
+                failed = true;
+                return callback(davError(413, 'Request body too large'));
+            }
+            chunks.push(chunk);
+        });
+        req.on('error', (err) => {
+            if (!failed) {
+                failed = true;
+                callback(err);
+            }
+        });
+        req.on('end', () => {
+            if (failed) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text.trim()) return callback(null, null);
+            let element;
+            try {
+                element = parseXml(text);
+            } catch (err) {
+                return callback(err);
+            }
+            callback(null, element);
+        });
+    }
+
+    _sendMultistatus(res, responses) {
+        res.status(207).type('application/xml; charset=utf-8')
+            .send(`${XML_DECLARATION}<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+    }
+
+    _activeLock(req, lock) {
+        const remaining = Math.max(1, Math.round((lock.expires - Date.now()) / 1000));
+        return '<D:activelock>' +
+            '<D:locktype><D:write/></D:locktype>' +
+            `<D:lockscope><D:${lock.scope}/></D:lockscope>` +
+            `<D:depth>${lock.depth}</D:depth>` +
+            (lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '') +
+            `<D:timeout>Second-${remaining}</D:timeout>` +
+            `<D:locktoken><D:href>${xmlEscape(lock.token)}</D:href></D:locktoken>` +
+            `<D:lockroot><D:href>${xmlEscape(hrefFor(req.baseUrl, lock.path, false))}</D:href></D:lockroot>` +
+            '</D:activelock>';
+    }
+
+    // Value of a DAV: property as XML, or undefined if the resource has none
+    _property(req, name, resource, quota) {
+        const file = !resource.collection;
+        switch (name) {
+            case 'displayname':
+                return xmlEscape(resource.name);
+            case 'resourcetype':
+                return resource.collection ? '<D:collection/>' : '';
+            case 'getcontentlength':
+                return file ? String(resource.size) : undefined;
+            case 'getcontenttype':
+                return file ? xmlEscape(resource.type || 'application/octet-stream') : undefined;
+            case 'getetag':
+                return file && resource.etag ? xmlEscape(resource.etag) : undefined;
+            case 'getlastmodified':
+                return resource.modified ? resource.modified.toUTCString() : undefined;
+            case 'creationdate':
+                return resource.created ? resource.created.toISOString() : undefined;
+            case 'supportedlock':
+                return SUPPORTED_LOCK;
+            case 'lockdiscovery':
+                return this.locks.covering(req.session.userId, resource.path)
+                    .map(lock => this._activeLock(req, lock)).join('');
+            case 'quota-available-bytes':
+                return quota ? String(quota.available) : undefined;
+            case 'quota-used-bytes':
+                return quota ? String(quota.used) : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    // One <D:response> of a PROPFIND. request is { names } for a prop list,
+    // { all, include } for allprop or { namesOnly } for propname.
+    _propResponse(req, resource, request, quota) {
+        const found = [];
+        const missing = [];
+        const tag = (element, value) => {
+            if (element.ns === DAV_NS) {
+                return value ? `<D:${element.name}>${value}</D:${element.name}>` : `<D:${element.name}/>`;
+            }
+            return `<R:${element.name} xmlns:R="${xmlEscape(element.ns)}"/>`;
+        };
+
+        if (request.names) {
+            request.names.forEach(element => {
+                const value = element.ns === DAV_NS ? this._property(req, element.name, resource, quota) : undefined;
+                if (value === undefined) {
+                    missing.push(tag(element));
+                } else {
+                    found.push(tag(element, value));
+                }
+            });
+        } else {
+            const names = LIVE_PROPERTIES.concat((request.include || [])
+                .filter(element => element.ns === DAV_NS && QUOTA_PROPERTIES.includes(element.name))
+                .map(element => element.name));
+            names.forEach(name => {
+                const value = this._property(req, name, resource, quota);
+                if (value === undefined) return;
+                found.push(request.namesOnly ? `<D:${name}/>` : tag({ ns: DAV_NS, name: name }, value));
+            });
+        }
+
+        const propstat = (props, status) => props.length === 0 ? '' :
+            `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>HTTP/1.1 ${status} ${STATUS_TEXT[status]}</D:status></D:propstat>`;
+        return `<D:response><D:href>${xmlEscape(hrefFor(req.baseUrl, resource.path, resource.collection))}</D:href>` +
+            propstat(found, 200) + propstat(missing, 404) + '</D:response>';
+    }
+
+    // The folder a new member of resourcePath would go into must exist
+    _checkParent(req, hooks, resourcePath, callback) {
+        if (resourcePath === '') return callback(davError(405, 'The root folder always exists'));
+        hooks.stat(req, parentPath(resourcePath), (err, parent) => {
+            if (err) return callback(err);
+            if (!parent || !parent.collection) return callback(davError(409, 'The parent folder does not exist'));
+            callback(null);
+        });
+    }
+
+    // ========== METHODS ==========
+
+    _options(req, res) {
+        res.set('DAV', '1, 2');
+        res.set('MS-Author-Via', 'DAV');
+        res.set('Allow', METHODS.join(', '));
+        res.status(200).set('Content-Length', '0').end();
+    }
+
+    _propfind(req, res, next, hooks, target) {
+        const depth = (req.get('Depth') || 'infinity').toLowerCase();
+        if (depth === 'infinity') {
+            return next(davError(403, 'Depth: infinity is not supported', '<D:propfind-finite-depth/>'));
+        }
+        if (depth !== '0' && depth !== '1') return next(davError(400, 'Invalid Depth header'));
+
+        this._readXml(req, (err, body) => {
+            if (err) return next(err);
+
+            let request = { all: true };
+            if (body) {
+                if (body.ns !== DAV_NS || body.name !== 'propfind') return next(davError(400, 'Expected a propfind element'));
+                const prop = childElement(body, 'prop');
+                if (prop) {
+                    request = { names: prop.children };
+                } else if (childElement(body, 'propname')) {
+                    request = { all: true, namesOnly: true };
+                } else if (childElement(body, 'allprop')) {
+                    const include = childElement(body, 'include');
+                    request = { all: true, include: include ? include.children : [] };
+                } else {
+                    return next(davError(400, 'Expected prop, propname or allprop'));
+                }
+            }
+            const wantsQuota = (request.names || request.include || [])
+                .some(element => element.ns === DAV_NS && QUOTA_PROPERTIES.includes(element.name));
+
+            hooks.stat(req, target, (err, resource) => {
+                if (err) return next(err);
+                if (!resource) return next(davError(404, 'Not found'));
+
+                const listMembers = (cb) => {
+                    if (depth === '0' || !resource.collection) return cb(null, []);
+                    hooks.list(req, resource.path, cb);
+                };
+                const loadQuota = (cb) => wantsQuota ? hooks.quota(req, cb) : cb(null, null);
+
+                listMembers((err, members) => {
+                    if (err) return next(err);
+
+                    loadQuota((err, quota) => {
+                        if (err) return next(err);
+                        this._sendMultistatus(res, [resource].concat(members)
+                            .map(member => this._propResponse(req, member, request, quota)));
+                    });
+                });
+            });
+        });
+    }
+
+    // Dead properties are not stored: every change is refused
+    _proppatch(req, res, next, hooks, target) {
+        this._readXml(req, (err, body) => {
+            if (err) return next(err);
+            if (!body || body.ns !== DAV_NS || body.name !== 'propertyupdate') {
+                return next(davError(400, 'Expected a propertyupdate element'));
+            }
+
+            hooks.stat(req, target, (err, resource) => {
+                if (err) return next(err);
+                if (!resource) return next(davError(404, 'Not found'));
+
+                const locked = this._checkLocks(req, [{ path: target }]);
+                if (locked) return next(locked);
+
+                const props = [];
+                body.children
+                    .filter(child => child.ns === DAV_NS && (child.name === 'set' || child.name === 'remove'))
+                    .forEach(change => {
+                        const prop = childElement(change, 'prop');
+                        if (prop) prop.children.forEach(element => props.push(element));
+                    });
+                const tags = props.map(element => element.ns === DAV_NS
+                    ? `<D:${element.name}/>`
+                    : `<R:${element.name} xmlns:R="${xmlEscape(element.ns)}"/>`);
+
+                this._sendMultistatus(res, [
+                    `<D:response><D:href>${xmlEscape(hrefFor(req.baseUrl, resource.path, resource.collection))}</D:href>` +
+                    (tags.length ? `<D:propstat><D:prop>${tags.join('')}</D:prop><D:status>HTTP/1.1 403 Forbidden</D:status></D:propstat>` : '') +
+                    '</D:response>'
+                ]);
+            });
+        });
+    }
+
+    _get(req, res, next, hooks, target) {
+        hooks.stat(req, target, (err, resource) => {
+            if (err) return next(err);
+            if (!resource) return next(davError(404, 'Not found'));
+            if (!resource.collection) return hooks.read(req, res, resource, next);
+
+            // Folders get a plain list of their members
+            hooks.list(req, resource.path, (err, members) => {
+                if (err) return next(err);
+                res.set('X-Content-Type-Options', 'nosniff');
+                res.type('text/plain; charset=utf-8')
+                    .send(members.map(member => member.name + (member.collection ? '/' : '') + '\n').join(''));
+            });
+        });
+    }
+
+    _head(req, res, next, hooks, target) {
+        this._get(req, res, next, hooks, target);
+    }
+
+    _put(req, res, next, hooks, target) {
+        if (req.get('Content-Range')) return next(davError(400, 'Partial PUT is not supported'));
+
+        hooks.stat(req, target, (err, existing) => {
+            if (err) return next(err);
+            if (existing && existing.collection) return next(davError(405, 'Cannot PUT to a folder'));
+
+            this._checkParent(req, hooks, target, (err) => {
+                if (err) return next(err);
+
+                const locked = this._checkLocks(req, existing ? [{ path: target }] : [{ path: parentPath(target) }, { path: target }]);
+                if (locked) return next(locked);
+
+                const declared = parseInt(req.get('Content-Length'), 10);
+                const length = Number.isInteger(declared) && declared >= 0 ? declared : null;
+                hooks.write(req, target, existing, req, length, (err) => {
+                    if (err) return next(err);
+                    res.status(existing ? 204 : 201).end();
+                });
+            });
+        });
+    }
+
+    _delete(req, res, next, hooks, target) {
+        if (target === '') return next(davError(403, 'The root folder cannot be deleted'));
+
+        hooks.stat(req, target, (err, resource) => {
+            if (err) return next(err);
+            if (!resource) return next(davError(404, 'Not found'));
+
+            const locked = this._checkLocks(req, [{ path: parentPath(target) }, { path: target, tree: true }]);
+            if (locked) return next(locked);
+
+            hooks.remove(req, resource, (err) => {
+                if (err) return next(err);
+                this.locks.removeTree(req.session.userId, target);
+                res.status(204).end();
+            });
+        });
+    }
+
+    _mkcol(req, res, next, hooks, target) {
+        if (parseInt(req.get('Content-Length'), 10) > 0 || req.get('Transfer-Encoding')) {
+            req.resume();
+            return next(davError(415, 'MKCOL does not take a request body'));
+        }
+
+        hooks.stat(req, target, (err, existing) => {
+            if (err) return next(err);
+            if (existing) return next(davError(405, 'Something already exists at this path'));
+
+            this._checkParent(req, hooks, target, (err) => {
+                if (err) return next(err);
+
+                const locked = this._checkLocks(req, [{ path: parentPath(target) }]);
+                if (locked) return next(locked);
+
+                hooks.mkcol(req, target, (err) => {
+                    if (err) return next(err);
+                    res.status(201).end();
+                });
+            });
+        });
+    }
+
+    _copy(req, res, next, hooks, target) {
+        this._transfer(req, res, next, hooks, target, false);
+    }
+
+    _move(req, res, next, hooks, target) {
+        this._transfer(req, res, next, hooks, target, true);
+    }
+
+    // COPY and MOVE: an existing destination is replaced (unless
+    // Overwrite: F), everything else is up to the copy/move hooks
+    _transfer(req, res, next, hooks, target, move) {
+        let destination;
+        try {
+            destination = this._destination(req);
+        } catch (err) {
+            return next(err);
+        }
+        const overwrite = (req.get('Overwrite') || 'T').toUpperCase() !== 'F';
+        const depth = (req.get('Depth') || 'infinity').toLowerCase();
+        if (depth !== 'infinity' && (move || depth !== '0')) return next(davError(400, 'Invalid Depth header'));
+
+        if (target === '') return next(davError(403, 'The root folder cannot be copied or moved'));
+        if (destination === target) return next(davError(403, 'Source and destination are the same'));
+
+        hooks.stat(req, target, (err, resource) => {
+            if (err) return next(err);
+            if (!resource) return next(davError(404, 'Not found'));
+            if (resource.collection && isWithin(target, destination)) {
+                return next(davError(403, 'Cannot copy or move a folder into itself'));
+            }
+
+            this._checkParent(req, hooks, destination, (err) => {
+                if (err) return next(err);
+
+                hooks.stat(req, destination, (err, existing) => {
+                    if (err) return next(err);
+                    if (existing && !overwrite) return next(davError(412, 'The destination already exists'));
+                    if (existing && isWithin(destination, target)) {
+                        return next(davError(403, 'Cannot replace a folder the source is in'));
+                    }
+
+                    const checks = [{ path: parentPath(destination) }, { path: destination, tree: true }];
+                    if (move) checks.push({ path: parentPath(target) }, { path: target, tree: true });
+                    const locked = this._checkLocks(req, checks);
+                    if (locked) return next(locked);
+
+                    const clear = (cb) => {
+                        if (!existing) return cb(null);
+                        hooks.remove(req, existing, (err) => {
+                            if (err) return cb(err);
+                            this.locks.removeTree(req.session.userId, destination);
+                            cb(null);
+                        });
+                    };
+                    clear((err) => {
+                        if (err) return next(err);
+
+                        const transfer = move
+                            ? (cb) => hooks.move(req, resource, destination, cb)
+                            : (cb) => hooks.copy(req, resource, destination, depth, cb);
+                        transfer((err) => {
+                            if (err) return next(err);
+                            if (move) this.locks.removeTree(req.session.userId, target);
+                            res.status(existing ? 204 : 201).end();
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    _lock(req, res, next, hooks, target) {
+        const userId = req.session.userId;
+        const seconds = parseTimeout(req.get('Timeout'));
+
+        this._readXml(req, (err, body) => {
+            if (err) return next(err);
+
+            // No body: refresh a lock the client already holds
+            if (!body) {
+                const lock = submittedTokens(req)
+                    .map(token => this.locks.get(userId, token))
+                    .find(lock => lock && this.locks.covering(userId, target).includes(lock));
+                if (!lock) return next(davError(412, 'No lock to refresh', '<D:lock-token-matches-request-uri/>'));
+                this.locks.refresh(lock, seconds);
+                return this._sendLock(req, res, lock, 200);
+            }
+
+            if (body.ns !== DAV_NS || body.name !== 'lockinfo') return next(davError(400, 'Expected a lockinfo element'));
+            const scopeElement = childElement(body, 'lockscope');
+            const scope = scopeElement && ['exclusive', 'shared'].find(name => childElement(scopeElement, name));
+            const typeElement = childElement(body, 'locktype');
+            if (!scope || !typeElement || !childElement(typeElement, 'write')) {
+                return next(davError(400, 'Only exclusive or shared write locks are supported'));
+            }
+            const depth = (req.get('Depth') || 'infinity').toLowerCase();
+            if (depth !== '0' && depth !== 'infinity') return next(davError(400, 'Invalid Depth header'));
+
+            const ownerElement = childElement(body, 'owner');
+            let owner = '';
+            if (ownerElement) {
+                const href = childElement(ownerElement, 'href');
+                owner = href ? `<D:href>${xmlEscape(href.text.trim())}</D:href>` : xmlEscape(textContent(ownerElement).trim());
+            }
+
+            hooks.stat(req, target, (err, resource) => {
+                if (err) return next(err);
+
+                const conflicting = this.locks.covering(userId, target)
+                    .concat(depth === 'infinity' ? this.locks.within(userId, target) : [])
+                    .find(lock => scope === 'exclusive' || lock.scope === 'exclusive');
+                if (conflicting) {
+                    const href = hrefFor(req.baseUrl, conflicting.path, false);
+                    return next(davError(423, 'Locked', `<D:no-conflicting-lock><D:href>${xmlEscape(href)}</D:href></D:no-conflicting-lock>`));
+                }
+
+                const create = (cb) => {
+                    if (resource) return cb(null);
+                    // Locking an unmapped URL creates an empty file (RFC 4918 section 7.3)
+                    this._checkParent(req, hooks, target, (err) => {
+                        if (err) return cb(err);
+                        const locked = this._checkLocks(req, [{ path: parentPath(target) }]);
+                        if (locked) return cb(locked);
+                        hooks.write(req, target, null, Readable.from([]), 0, cb);
+                    });
+                };
+                create((err) => {
+                    if (err) return next(err);
+                    const lock = this.locks.create(userId, target, depth, scope, owner, seconds);
+                    res.set('Lock-Token', `<${lock.token}>`);
+                    this._sendLock(req, res, lock, resource ? 200 : 201);
+                });
+            });
+        });
+    }
+
+    _sendLock(req, res, lock, status) {
+        res.status(status).type('application/xml; charset=utf-8')
+            .send(`${XML_DECLARATION}<D:prop xmlns:D="DAV:"><D:lockdiscovery>${this._activeLock(req, lock)}</D:lockdiscovery></D:prop>`);
+    }
+
+    _unlock(req, res, next, hooks, target) {
+        const match = /^<([^>]+)>$/.exec((req.get('Lock-Token') || '').trim());
+        if (!match) return next(davError(400, 'Lock-Token header required'));
+
+        const userId = req.session.userId;
+        const lock = this.locks.get(userId, match[1]);
+        if (!lock || !this.locks.covering(userId, target).includes(lock)) {
+            return next(davError(409, 'No such lock on this resource', '<D:lock-token-matches-request-uri/>'));
+        }
+        this.locks.remove(lock.token);
+        res.status(204).end();
+    }
+}
+
+module.exports = {
+    WebDav,
+    LockManager,
+    parseXml,
+    davError
+};
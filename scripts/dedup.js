@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Move content stored before deduplication (uploads/<username>/{uuid}{ext})
+// into the blob store, then rebuild every blob's reference count from the
+// catalog and delete blobs that nothing refers to.
+//
+// Usage: node scripts/dedup.js
+// Run it while the server is stopped, with the server's STORAGE_DRIVER
+// settings.
+
+const os = require('os');
+const db = require('../database');
+const { userFileKey } = require('../lib/user-dirs');
+const { hashFile } = require('../lib/catalog');
+const { BlobStore } = require('../lib/blob-store');
+const { createStorage, localCopy } = require('../lib/storage');
+
+const storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+const blobs = new BlobStore({ db: db, storage: storage });
+
+let failed = false;
+
+const finish = () => {
+    db.db.close();
+    process.exitCode = failed ? 1 : 0;
+};
+
+db.getAllUsers((err, users) => {
+    if (err) {
+        console.error('Failed to load users:', err.message);
+        process.exit(1);
+    }
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+
+    db.getUndeduplicatedContent((err, entries) => {
+        if (err) {
+            console.error('Failed to read the catalog:', err.message);
+            process.exit(1);
+        }
+
+        let moved = 0;
+        const next = () => {
+            const entry = entries.shift();
+            if (!entry) {
+                console.log(`✓ ${moved} stored files moved into the blob store`);
+                return recount();
+            }
+
+            const username = usernames.get(entry.user_id);
+            const fail = (err) => {
+                failed = true;
+                console.error(`✗ ${username || `user ${entry.user_id}`}/${entry.stored_name}: ${err.message}`);
+                next();
+            };
+
+            let key;
+            try {
+                key = userFileKey(username, entry.stored_name);
+            } catch (err) {
+                return fail(err);
+            }
+
+            localCopy(storage, key, os.tmpdir(), (err, filePath, cleanup) => {
+                if (err) return fail(err);
+
+                // Hashed again: blobs are shared, so their name must match their content
+                hashFile(filePath, (err, sha256) => {
+                    if (err) {
+                        cleanup();
+                        return fail(err);
+                    }
+
+                    // Takes the local file (or copy) in; a remote original is deleted below
+                    blobs.add(filePath, sha256, entry.size, (err) => {
+                        if (err) {
+                            cleanup();
+                            return fail(err);
+                        }
+
+                        db.setBlobId(entry.source, entry.id, sha256, (err) => {
+                            if (err) return fail(err);
+
+                            storage.delete(key, (err) => {
+                                if (err) return fail(err);
+                                moved++;
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        };
+        next();
+    });
+});
+
+function recount() {
+    db.recountBlobReferences((err, unreferenced) => {
+        if (err) {
+            failed = true;
+            console.error('Failed to recount blob references:', err.message);
+            return finish();
+        }
+
+        let pruned = 0;
+        const next = () => {
+            const sha256 = unreferenced.shift();
+            if (!sha256) {
+                console.log(`✓ ${pruned} unreferenced blobs removed`);
+                return finish();
+            }
+            blobs.prune(sha256, (err, removed) => {
+                if (err) {
+                    failed = true;
+                    console.error(`✗ blob ${sha256}: ${err.message}`);
+                } else if (removed) {
+                    pruned++;
+                }
+                next();
+            });
+        };
+        next();
+    });
+}
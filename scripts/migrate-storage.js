@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Copy stored content from one storage backend to another: the blob store
+// and every user's directory (content stored before deduplication). Staged
+// uploads are left behind, and objects already at the destination with the
+// same size are skipped, so an interrupted run can simply be started again.
+// The source is not changed.
+//
+// Usage: node scripts/migrate-storage.js <from> <to>
+//   e.g. node scripts/migrate-storage.js local s3
+// Both backends are configured from the environment (UPLOAD_DIR, S3_*).
+// Run it while the server is stopped, then start it with STORAGE_DRIVER=<to>.
+
+const path = require('path');
+const db = require('../database');
+const { userDirName } = require('../lib/user-dirs');
+const { isTempFile } = require('../lib/quota-storage');
+const { BLOB_PREFIX } = require('../lib/blob-store');
+const { STORAGE_DRIVERS, createStorage } = require('../lib/storage');
+
+const [fromName, toName] = process.argv.slice(2);
+if (!STORAGE_DRIVERS.includes(fromName) || !STORAGE_DRIVERS.includes(toName) || fromName === toName) {
+    console.error(`Usage: node scripts/migrate-storage.js <from> <to> (two of: ${STORAGE_DRIVERS.join(', ')})`);
+    process.exit(1);
+}
+
+let source;
+let destination;
+try {
+    source = createStorage(fromName);
+    destination = createStorage(toName);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+let failed = false;
+const counts = { copied: 0, skipped: 0, bytes: 0 };
+
+db.getAllUsers((err, users) => {
+    if (err) {
+        console.error('Failed to load users:', err.message);
+        process.exit(1);
+    }
+
+    // Deleted accounts are copied too: they can still be restored
+    const prefixes = [BLOB_PREFIX];
+    users.forEach(user => {
+        try {
+            prefixes.push(`${userDirName(user.username)}/`);
+        } catch (err) {
+            failed = true;
+            console.error(`✗ ${user.username}: ${err.message}`);
+        }
+    });
+
+    const nextPrefix = () => {
+        const prefix = prefixes.shift();
+        if (!prefix) return finish();
+
+        source.list(prefix, (err, objects) => {
+            if (err) {
+                failed = true;
+                console.error(`✗ ${prefix}: ${err.message}`);
+                return nextPrefix();
+            }
+            copyAll(objects.filter(object => !isTempFile(path.posix.basename(object.key))), nextPrefix);
+        });
+    };
+    nextPrefix();
+});
+
+function copyAll(objects, callback) {
+    const next = () => {
+        const object = objects.shift();
+        if (!object) return callback();
+
+        copyObject(object, (err, copied) => {
+            if (err) {
+                failed = true;
+                console.error(`✗ ${object.key}: ${err.message}`);
+            } else if (copied) {
+                counts.copied++;
+                counts.bytes += object.size;
+            } else {
+                counts.skipped++;
+            }
+            next();
+        });
+    };
+    next();
+}
+
+// callback(err, copied); false when the destination already has it
+function copyObject(object, callback) {
+    destination.stat(object.key, (err, existing) => {
+        if (err) return callback(err);
+        if (existing && existing.size === object.size) return callback(null, false);
+
+        source.get(object.key, null, (err, stream) => {
+            if (err) return callback(err);
+
+            destination.put(object.key, stream, object.size, (err) => {
+                if (err) return callback(err);
+
+                destination.stat(object.key, (err, stored) => {
+                    if (err) return callback(err);
+                    if (!stored || stored.size !== object.size) return callback(new Error('Size differs after copying'));
+                    callback(null, true);
+                });
+            });
+        });
+    });
+}
+
+function finish() {
+    console.log(`✓ ${counts.copied} objects copied (${counts.bytes} bytes), ${counts.skipped} already present`);
+    db.db.close();
+    process.exitCode = failed ? 1 : 0;
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Re-index existing uploads/<username>/ folders into the file catalog.
+//
+// Usage: node scripts/reconcile.js [username ...]
+// Without arguments every user is reconciled.
+
+const db = require('../database');
+const { getUserUploadDir } = require('../lib/user-dirs');
+const { reconcileUser } = require('../lib/catalog');
+
+const only = process.argv.slice(2);
+
+// Stored files are looked for on local disk; against another backend every
+// catalogued file would look missing and lose its record
+if ((process.env.STORAGE_DRIVER || 'local') !== 'local') {
+    console.error('Reconciling needs the local storage driver (STORAGE_DRIVER=local)');
+    process.exit(1);
+}
+
+db.getAllUsers((err, users) => {
+    if (err) {
+        console.error('Failed to load users:', err.message);
+        process.exit(1);
+    }
+    
+    const pending = users.filter(user => only.length === 0 || only.includes(user.username));
+    let failed = false;
+    
+    const next = () => {
+        const user = pending.shift();
+        if (!user) {
+            db.db.close();
+            process.exitCode = failed ? 1 : 0;
+            return;
+        }
+        
+        let userDir;
+        try {
+            userDir = getUserUploadDir(user.username);
+        } catch (err) {
+            failed = true;
+            console.error(`✗ ${user.username}: ${err.message}`);
+            return next();
+        }
+        
+        reconcileUser(db, user, userDir, (err, result) => {
+            if (err) {
+                failed = true;
+                console.error(`✗ ${user.username}: ${err.message}`);
+            } else {
+                console.log(`✓ ${user.username}: ${result.indexed.length} indexed, ${result.removed.length} stale records removed`);
+            }
+            next();
+        });
+    };
+    next();
+});
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// Stand-in virus scanner for testing UPLOAD_SCAN_COMMAND: flags files that
+// contain the EICAR test string and behaves like clamscan otherwise.
+//
+// Usage: UPLOAD_SCAN_COMMAND="node scripts/scan-eicar.js" npm start
+// Exit status: 0 clean, 1 flagged, 2 error
+
+const fs = require('fs');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const file = process.argv[2];
+if (!file) {
+    console.error('Usage: scan-eicar.js <file>');
+    process.exit(2);
+}
+
+try {
+    if (fs.readFileSync(file).includes(EICAR)) {
+        console.log(`${file}: Eicar-Test-Signature FOUND`);
+        process.exit(1);
+    }
+    console.log(`${file}: OK`);
+} catch (err) {
+    console.error(`${file}: ${err.message}`);
+    process.exit(2);
+}
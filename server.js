@@ -3,31 +3,179 @@ const session = require('express-session');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const db = require('./database');
+const { QuotaStorage, discardFiles, stageStream, quotaExceededError } = require('./lib/quota-storage');
+const { BLOB_PREFIX, BlobStore } = require('./lib/blob-store');
+const { createStorage, localCopy } = require('./lib/storage');
+const { UPLOAD_BASE_DIR, userDirName, getUserUploadDir, ensureUserDirectory, userFileKey } = require('./lib/user-dirs');
+const { checkName, checkUsername, logRejectedPath } = require('./lib/safe-path');
+const { storedNameFor, numberedName, normalizeFolder, folderLineage, parentFolder, folderTotals, hashFile, mimeFor } = require('./lib/catalog');
+const { TusUploads } = require('./lib/tus');
+const { WebDav } = require('./lib/webdav');
+const { LOGIN_LIMITS, accountRetryAt, IpThrottle } = require('./lib/login-throttle');
+const { TOKEN_SCOPES, METHOD_SCOPES, generateToken, hashToken, parseScopes, bearerToken, basicCredentials, isApiToken, tokenAllows } = require('./lib/api-tokens');
+const { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, hashRecoveryCode } = require('./lib/totp');
+const { AUDIT_RETENTION_DAYS, AUDIT_RESULTS, auditCsv } = require('./lib/audit');
+const { toCsv } = require('./lib/csv');
+const { USER_EXPORT_COLUMNS, USER_STATUSES, userStatus, readImportRows, parseImportRow } = require('./lib/user-import');
+const { weakPasswordError, generatePassword } = require('./lib/password-policy');
+const { sniffFormat, contentMismatch, readHead } = require('./lib/file-types');
+const { parseExtensionList, effectivePolicy, parseUploadPolicy, rejectedTypeError, extensionProblem, mimeProblem } = require('./lib/upload-policy');
+const { commandScanner, moveToQuarantine } = require('./lib/scanner');
+const { inlineTypeFor, inlineCspFor, contentDisposition, etagFor, preconditionFailed, rangeApplies, startsTransfer } = require('./lib/file-serving');
+const { previewKindFor, PreviewQueue } = require('./lib/previews');
+const { ZIP_MAX_CONTENT_BYTES, ZIP_MAX_ENTRIES, ZipWriter, archiveFormat, extractArchive } = require('./lib/archives');
+const { LiveEvents } = require('./lib/live-events');
+const { parseDuration, parseRetentionPolicy, retentionSchedule, dueUnderPolicy } = require('./lib/retention');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
-const UPLOAD_BASE_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_FILE_SIZE_MB) || 100;
 const MAX_FILES_PER_UPLOAD = parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10;
+// What to do when an upload has the same name as an existing file
+const CONFLICT_POLICIES = ['rename', 'reject', 'version'];
+const DEFAULT_CONFLICT_POLICY = CONFLICT_POLICIES.includes(process.env.DEFAULT_CONFLICT_POLICY)
+    ? process.env.DEFAULT_CONFLICT_POLICY
+    : 'rename';
+// Resumable (tus) uploads: staging area and how long idle uploads are kept
+const STAGING_DIR = process.env.STAGING_DIR || path.join(UPLOAD_BASE_DIR, '.staging');
+const RESUMABLE_EXPIRY_HOURS = parseInt(process.env.RESUMABLE_EXPIRY_HOURS) || 24;
+// Allowance for multipart boundaries and part headers when checking Content-Length
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+// Body bytes of a refused upload read before answering, so clients that are
+// still sending get the error rather than a reset connection
+const REFUSED_BODY_DRAIN_BYTES = 16 * 1024 * 1024;
+// Time allowed between the password and the authentication code at login
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+// Content checks: magic-byte sniffing and an optional external scanner
+const CONTENT_SNIFFING = process.env.CONTENT_SNIFFING !== 'false';
+const UPLOAD_SCAN_COMMAND = process.env.UPLOAD_SCAN_COMMAND || '';
+const UPLOAD_SCAN_TIMEOUT_SECONDS = parseInt(process.env.UPLOAD_SCAN_TIMEOUT_SECONDS) || 60;
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(UPLOAD_BASE_DIR, '.quarantine');
+// Thumbnails and text snippets (not part of any quota)
+const DERIVED_DIR = process.env.DERIVED_DIR || path.join(UPLOAD_BASE_DIR, '.derived');
+const PREVIEW_TIMEOUT_SECONDS = parseInt(process.env.PREVIEW_TIMEOUT_SECONDS) || 60;
+const PREVIEW_MAX_ATTEMPTS = 3;
+// Unpacking uploaded archives (extract=1)
+const EXTRACT_MAX_ENTRIES = parseInt(process.env.EXTRACT_MAX_ENTRIES) || 1000;
+const EXTRACT_MAX_SIZE_MB = parseInt(process.env.EXTRACT_MAX_SIZE_MB) || 1024;
+const EXTRACT_MAX_RATIO = parseInt(process.env.EXTRACT_MAX_RATIO) || 100;
+// Files and folders a single bulk request may name
+const BULK_MAX_ITEMS = 1000;
+// Roles of accounts people sign in to (group spaces have role 'group')
+const USER_ROLES = ['user', 'admin'];
+// Where stored content lives: local disk (UPLOAD_DIR) or an S3 bucket
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+// Days deleted files and accounts stay restorable (0 keeps them until purged by hand)
+const trashRetentionSetting = parseInt(process.env.TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isNaN(trashRetentionSetting) ? 30 : Math.max(0, trashRetentionSetting);
+// Minutes between runs of the retention scheduler (expired uploads and retention policies)
+const retentionIntervalSetting = parseInt(process.env.RETENTION_INTERVAL_MINUTES);
+const RETENTION_INTERVAL_MINUTES = retentionIntervalSetting >= 1 ? retentionIntervalSetting : 60;
 
-// Ensure base upload directory exists
-if (!fs.existsSync(UPLOAD_BASE_DIR)) {
-    fs.mkdirSync(UPLOAD_BASE_DIR, { recursive: true });
+// Timestamps from SQLite are UTC without a zone designator
+function parseDbDate(value) {
+    return new Date(value.replace(' ', 'T') + 'Z');
 }
 
-// Get user's upload directory (username-based)
-function getUserUploadDir(username) {
-    return path.join(UPLOAD_BASE_DIR, username);
+// Shape a catalog record for API responses. space: the space it was reached
+// through (see loadSpace), when that is not the user's own
+function formatFileRecord(record, space) {
+    return Object.assign({
+        id: record.id,
+        name: record.original_name,
+        size: record.size,
+        sizeFormatted: formatFileSize(record.size),
+        mime: record.mime,
+        sha256: record.sha256,
+        modified: parseDbDate(record.created_at),
+        folder: record.folder,
+        uploader_name: record.uploader_name,
+        upload_link_id: record.upload_link_id,
+        expires_at: record.expires_at ? parseDbDate(record.expires_at) : null,
+        url: `/download/id/${record.id}`,
+        // Only for types the browser may show (see lib/file-serving.js)
+        preview_url: inlineTypeFor(mimeFor(record.original_name)) ? `/download/id/${record.id}?inline=1` : null
+    }, thumbnailFields(record, space));
 }
 
-// Create user directory if it doesn't exist
-function ensureUserDirectory(username) {
-    const userDir = getUserUploadDir(username);
-    if (!fs.existsSync(userDir)) {
-        fs.mkdirSync(userDir, { recursive: true });
-    }
-    return userDir;
+// Where the file browser finds a file's thumbnail ('image') or snippet ('text')
+function thumbnailFields(record, space) {
+    const kind = previewKindFor(record.original_name);
+    if (!kind) return { thumbnail_url: null, thumbnail_type: null };
+    
+    const params = [];
+    if (record.folder) params.push(`path=${encodeURIComponent(record.folder)}`);
+    if (space && space.role !== 'owner') params.push(`space=${space.id}`);
+    const query = params.length > 0 ? `?${params.join('&')}` : '';
+    return {
+        thumbnail_url: `/api/files/${encodeURIComponent(record.original_name)}/thumbnail${query}`,
+        thumbnail_type: kind === 'text' ? 'text' : 'image'
+    };
+}
+
+// Build the usage summary returned by the usage endpoints.
+// folders: per-folder totals from folderTotals()
+function formatUsage(user, totalSize, folders) {
+    return {
+        user_id: user.id,
+        username: user.username,
+        storage_used_bytes: totalSize,
+        storage_used_formatted: formatFileSize(totalSize),
+        storage_quota_bytes: user.storage_quota_mb * 1024 * 1024,
+        storage_quota_formatted: `${user.storage_quota_mb} MB`,
+        usage_percentage: user.storage_quota_mb > 0 ? 
+            Math.min(100, (totalSize / (user.storage_quota_mb * 1024 * 1024)) * 100) : 0,
+        folders: Array.from(folders.values())
+            .filter(folder => folder.path !== '')
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .map(folder => ({
+                path: folder.path,
+                size: folder.size,
+                sizeFormatted: formatFileSize(folder.size),
+                file_count: folder.file_count
+            }))
+    };
+}
+
+// Who is behind a request, for security log lines
+function describeRequester(req) {
+    return `${(req.session && req.session.username) || 'anonymous'}@${req.ip}`;
+}
+
+// Append an audit log entry; a failed write is logged but never fails the request.
+// options: { target, result ('success'), details, user ({ id, username } when
+// the session does not say who it is, e.g. at login) }
+function audit(req, action, options = {}) {
+    const session = req.session || {};
+    const user = options.user || { id: session.userId, username: session.username };
+    const details = Object.assign({}, options.details, req.apiToken ? { token: req.apiToken.name } : null);
+    
+    db.addAuditEntry({
+        actor_id: user.id || null,
+        actor: user.username || null,
+        ip: req.ip,
+        action: action,
+        target: options.target || null,
+        result: options.result || 'success',
+        details: Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    }, (err) => {
+        if (err) console.error('Failed to write audit log:', err.message);
+    });
+}
+
+// Audit target for a catalogued file: "owner/folder/name"
+function fileTarget(username, record) {
+    return [username, record.folder, record.original_name].filter(Boolean).join('/');
+}
+
+// Route middleware naming the audit action for errors that reach the error handler
+function auditAs(action) {
+    return (req, res, next) => {
+        req.auditAction = action;
+        next();
+    };
 }
 
 // Format file size helper
@@ -39,8 +187,49 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// Session middleware
-app.use(session({
+// Bearer token authentication (personal access tokens). A valid token
+// stands in for the session for this one request; invalid ones are refused
+// outright rather than falling back to the cookie.
+app.use((req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) return next();
+    
+    db.getApiTokenByHash(hashToken(token), (err, record) => {
+        if (err) return next(err);
+        
+        if (!usableToken(record)) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        
+        signInWithToken(req, record);
+        next();
+    });
+});
+
+// A token that exists and has not expired
+function usableToken(record) {
+    return !!record && !(record.expires_at && parseDbDate(record.expires_at) <= new Date());
+}
+
+// Let a token stand in for the session for this one request
+function signInWithToken(req, record) {
+    db.touchApiToken(record.id, (err) => {
+        if (err) console.error('Failed to record token use:', err.message);
+    });
+    
+    req.apiToken = { id: record.id, name: record.name, scopes: record.scopes.split(',') };
+    req.session = {
+        userId: record.user_id,
+        username: record.username,
+        role: record.role,
+        destroy: (callback) => callback && callback()
+    };
+}
+
+// Session middleware (skipped for token requests and WebDAV, whose clients
+// sign in on every request)
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'upload-server-secret-fixed-2024',
     resave: false,
     saveUninitialized: false,
@@ -48,21 +237,45 @@ app.use(session({
         secure: false,
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
+app.use((req, res, next) => {
+    if (req.apiToken || isWebdavRequest(req)) return next();
+    sessionMiddleware(req, res, next);
+});
 
-// Configure multer for file uploads (dynamic destination based on user)
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        if (req.session.username) {
-            const userDir = ensureUserDirectory(req.session.username);
-            cb(null, userDir);
+function isWebdavRequest(req) {
+    return req.path === '/dav' || req.path.startsWith('/dav/');
+}
+
+// Uploads are streamed into the storage backend under staging keys while
+// they are checked, then moved into the blob store once they are accepted
+const storageDriver = createStorage(STORAGE_DRIVER);
+const blobs = new BlobStore({ db: db, storage: storageDriver });
+
+// Configure multer for file uploads (staged in the owner's folder of the
+// storage backend). Files are only committed once the batch fits in the quota.
+const storage = new QuotaStorage({
+    storage: storageDriver,
+    prefix: (req, file, cb) => {
+        if (req.uploadOwner) {
+            try {
+                cb(null, userDirName(req.uploadOwner.username, describeRequester(req)));
+            } catch (err) {
+                cb(err);
+            }
         } else {
             cb(new Error('User not authenticated'));
         }
     },
     filename: (req, file, cb) => {
-        // Keep original filename (overwrites if exists)
-        cb(null, file.originalname);
+        // Stored under a fresh UUID; the original name lives in the catalog
+        try {
+            checkName(file.originalname, describeRequester(req));
+        } catch (err) {
+            return cb(err);
+        }
+        file.id = crypto.randomUUID();
+        cb(null, storedNameFor(file.id, file.originalname));
     }
 });
 
@@ -71,31 +284,124 @@ const upload = multer({
     limits: {
         fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
         files: MAX_FILES_PER_UPLOAD
-    }
+    },
+    fileFilter: filterUploadType
 });
 
+// WebDAV request bodies are files and XML documents of their own, so the
+// endpoint (see the WEBDAV section) comes before the body parsers
+app.use('/dav', (req, res, next) => webdavRouter(req, res, next));
+
 // Body parsers
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Check if user is logged in
+// Requests from scripts get JSON errors; browsers opening pages get redirects
+function isApiRequest(req) {
+    return /^\/(api|upload|download|dav)(\/|$)/.test(req.originalUrl) || req.xhr ||
+        !!req.get('Authorization') || !req.accepts('html');
+}
+
+// Until a required password change is done, a session can only reach these
+const PASSWORD_CHANGE_PATHS = ['/change-password', '/api/change-password', '/api/me', '/logout'];
+// Likewise for admins who still have to set up required two-factor authentication
+const TWO_FACTOR_SETUP_PATHS = ['/two-factor', '/api/2fa', '/api/2fa/setup', '/api/2fa/enable', '/api/me', '/logout'];
+
+// Server-wide security switches, mirrored from the settings table
+const securitySettings = { requireAdminTwoFactor: false };
+db.getSetting('require_admin_2fa', (err, value) => {
+    if (err) return console.error('Failed to read settings:', err.message);
+    securitySettings.requireAdminTwoFactor = value === 'true';
+});
+
+// Whether a session belongs to an admin who must enroll in 2FA before going on
+function twoFactorSetupRequired(session) {
+    return securitySettings.requireAdminTwoFactor && session.role === 'admin' && !session.twoFactorEnabled;
+}
+
+// Check if user is logged in (by session or by a token with the scope the
+// request method needs)
 function requireAuth(req, res, next) {
-    if (req.session.userId) {
-        next();
+    if (req.session.userId && !req.apiToken) {
+        // Sessions of accounts deleted or disabled since they signed in end
+        // here (their tokens are already refused when they are looked up),
+        // and a password reset by an admin applies to open sessions too
+        return db.getUserById(req.session.userId, (err, user) => {
+            if (err) return next(err);
+            if (user && !user.deleted_at && !user.disabled_at) {
+                req.session.mustChangePassword = !!user.must_change_password;
+                return checkAccess(req, res, next);
+            }
+            req.session.destroy(() => refuseAnonymous(req, res));
+        });
+    }
+    if (req.session.userId) return checkAccess(req, res, next);
+    refuseAnonymous(req, res);
+}
+
+// Send signed-out requests to the login page (API clients get a 401)
+function refuseAnonymous(req, res) {
+    if (isApiRequest(req)) {
+        res.status(401).json({ error: 'Authentication required' });
     } else {
         res.redirect('/login');
     }
 }
 
+// Route middleware (before requireAuth) for routes that need another token
+// scope than their method implies, e.g. a POST that only reads
+function tokenScope(scope) {
+    return (req, res, next) => {
+        req.tokenScope = scope;
+        next();
+    };
+}
+
+// Scope, password-change and 2FA requirements for a signed-in request
+function checkAccess(req, res, next) {
+    const scope = req.tokenScope || METHOD_SCOPES[req.method] || 'upload';
+    if (req.apiToken && !tokenAllows(req.apiToken.scopes, scope)) {
+        return res.status(403).json({ error: `This token does not have the "${scope}" scope` });
+    }
+    if (req.session.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.originalUrl.split('?')[0])) {
+        if (isApiRequest(req)) {
+            return res.status(403).json({ error: 'You must change your password first', must_change_password: true });
+        }
+        return res.redirect('/change-password');
+    }
+    if (!req.apiToken && twoFactorSetupRequired(req.session) && !TWO_FACTOR_SETUP_PATHS.includes(req.originalUrl.split('?')[0])) {
+        if (isApiRequest(req)) {
+            return res.status(403).json({ error: 'Admins must set up two-factor authentication first', two_factor_setup_required: true });
+        }
+        return res.redirect('/two-factor');
+    }
+    next();
+}
+
+// Whether a request comes from an admin (tokens need the admin scope)
+function actsAsAdmin(req) {
+    return req.session.role === 'admin' && (!req.apiToken || req.apiToken.scopes.includes('admin'));
+}
+
 // Check if user is admin
 function requireAdmin(req, res, next) {
-    if (req.session.role === 'admin') {
+    if (actsAsAdmin(req)) {
         next();
+    } else if (isApiRequest(req)) {
+        res.status(403).json({ error: 'Access denied. Admin only.' });
     } else {
         res.status(403).send('Access denied. Admin only.');
     }
 }
 
+// Routes that manage credentials need a signed-in browser session
+function requireSession(req, res, next) {
+    if (req.apiToken) {
+        return res.status(403).json({ error: 'Not available with an API token' });
+    }
+    next();
+}
+
 // ========== LOGIN/LOGOUT ROUTES ==========
 
 // Login page
@@ -103,28 +409,186 @@ app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'login.html'));
 });
 
-// Login POST
+// Failed logins per client IP; failures per account live in the users table
+const loginThrottle = new IpThrottle();
+setInterval(() => loginThrottle.sweep(), 10 * 60 * 1000).unref();
+
+// Refuse a login attempt that comes too early
+function tooManyAttempts(res, waitMs, message) {
+    const seconds = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ error: `${message} Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`, retry_after: seconds });
+}
+
+// Answer for an account that may not try yet (true if refused)
+function refuseLockedAccount(req, res, account) {
+    if (!account || !account.locked_until) return false;
+    
+    const accountWait = parseDbDate(account.locked_until) - Date.now();
+    if (accountWait <= 0) return false;
+    
+    const locked = account.failed_login_count >= LOGIN_LIMITS.lockoutThreshold;
+    const message = locked
+        ? 'This account is temporarily locked. An administrator can unlock it.'
+        : 'Too many failed logins for this account.';
+    audit(req, 'auth.login', { user: account, result: 'failure', details: { reason: locked ? 'locked' : 'backoff' } });
+    tooManyAttempts(res, accountWait, message);
+    return true;
+}
+
+// Count a failed password or code against the client IP and the account.
+// username: the name that was tried (there may be no such account)
+function recordFailedLogin(req, res, username, account, reason, message) {
+    loginThrottle.recordFailure(req.ip);
+    audit(req, 'auth.login', {
+        user: account || { username: String(username || '').slice(0, 100) },
+        result: 'failure',
+        details: { reason: account ? reason : 'unknown_user' }
+    });
+    if (!account) return res.status(401).json({ error: message });
+    
+    const retryAt = accountRetryAt(account.failed_login_count + 1);
+    db.recordLoginFailure(account.id, toDbDate(retryAt), () => {
+        res.status(401).json({ error: message });
+    });
+}
+
+// Login POST. Accounts with 2FA only get a pending login here and finish
+// at POST /login/2fa.
 app.post('/login', (req, res) => {
     const { username, password } = req.body;
     
-    db.verifyPassword(username, password, (err, user) => {
-        if (err || !user) {
+    const ipWait = loginThrottle.retryAfter(req.ip);
+    if (ipWait > 0) {
+        audit(req, 'auth.login', { user: { username: String(username || '').slice(0, 100) }, result: 'failure', details: { reason: 'ip_backoff' } });
+        return tooManyAttempts(res, ipWait, 'Too many failed logins from your address.');
+    }
+    
+    db.getUserByUsername(username, (err, account) => {
+        if (err) return res.status(500).json({ error: 'Login failed' });
+        if (account && account.deleted_at) {
+            // Answered like an unknown user; the account's own counters are left alone
+            loginThrottle.recordFailure(req.ip);
+            audit(req, 'auth.login', { user: account, result: 'failure', details: { reason: 'deleted_account' } });
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+        if (refuseLockedAccount(req, res, account)) return;
+        
+        db.verifyPassword(username, password || '', (err, user) => {
+            if (err || !user) return recordFailedLogin(req, res, username, account, 'wrong_password', 'Invalid credentials');
+            
+            // Only told to someone who knows the password
+            if (user.disabled_at) {
+                audit(req, 'auth.login', { user: user, result: 'failure', details: { reason: 'disabled_account' } });
+                return res.status(403).json({ error: 'This account has been disabled. Please contact an administrator.' });
+            }
+            
+            if (user.totp_enabled) {
+                req.session.pendingTwoFactor = {
+                    userId: user.id,
+                    expires: Date.now() + TWO_FACTOR_LOGIN_MINUTES * 60 * 1000
+                };
+                return res.json({ success: true, two_factor_required: true });
+            }
+            completeLogin(req, res, user, 'password');
+        });
+    });
+});
+
+// Second login step: { code } is a current authenticator code or a recovery code
+app.post('/login/2fa', (req, res) => {
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || pending.expires < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).json({ error: 'Your login has expired. Please sign in again.', restart: true });
+    }
+    
+    const ipWait = loginThrottle.retryAfter(req.ip);
+    if (ipWait > 0) {
+        audit(req, 'auth.login', { user: { id: pending.userId }, result: 'failure', details: { reason: 'ip_backoff' } });
+        return tooManyAttempts(res, ipWait, 'Too many failed logins from your address.');
+    }
+    
+    db.getUserById(pending.userId, (err, user) => {
+        if (err) return res.status(500).json({ error: 'Login failed' });
+        if (!user || user.deleted_at || user.disabled_at) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({ error: 'Your login has expired. Please sign in again.', restart: true });
+        }
+        if (refuseLockedAccount(req, res, user)) return;
+        
+        // 2FA was reset by an admin in the meantime
+        if (!user.totp_enabled) {
+            delete req.session.pendingTwoFactor;
+            return completeLogin(req, res, user, 'password');
+        }
+        
+        checkSecondFactor(user, req.body.code, (err, method) => {
+            if (err) return res.status(500).json({ error: 'Login failed' });
+            if (!method) return recordFailedLogin(req, res, user.username, user, 'wrong_code', 'Invalid authentication code');
+            
+            delete req.session.pendingTwoFactor;
+            completeLogin(req, res, user, `password+${method}`);
+        });
+    });
+});
+
+// Every factor checked: forget the failures and sign in.
+// method: what was checked, for the audit log
+function completeLogin(req, res, user, method) {
+    loginThrottle.recordSuccess(req.ip);
+    audit(req, 'auth.login', { user: user, details: { method: method } });
+    db.clearLoginFailures(user.id, (err) => {
+        if (err) return res.status(500).json({ error: 'Login failed' });
+        startSession(req, res, user);
+    });
+}
+
+// Check an authenticator code (each time step is accepted only once) or an
+// unused recovery code. callback(err, method) with 'totp', 'recovery' or null.
+function checkSecondFactor(user, code, callback) {
+    const step = verifyTotp(user.totp_secret, code, { lastStep: user.totp_last_step });
+    if (step !== null) {
+        return db.recordTotpStep(user.id, step, (err) => callback(err, err ? null : 'totp'));
+    }
+    
+    if (!code) return callback(null, null);
+    db.useRecoveryCode(user.id, hashRecoveryCode(code), (err, used) => {
+        if (err) return callback(err);
+        callback(null, used ? 'recovery' : null);
+    });
+}
+
+// Sign the user in on a fresh session id
+function startSession(req, res, user) {
+    req.session.regenerate((err) => {
+        if (err) return res.status(500).json({ error: 'Login failed' });
         
         req.session.userId = user.id;
         req.session.username = user.username;
         req.session.role = user.role;
+        req.session.mustChangePassword = !!user.must_change_password;
+        req.session.twoFactorEnabled = !!user.totp_enabled;
         
         // Create user directory if it doesn't exist
-        ensureUserDirectory(user.username);
+        try {
+            ensureUserDirectory(user.username);
+        } catch (err) {
+            return res.status(500).json({ error: 'Cannot open storage for this account' });
+        }
         
-        res.json({ success: true, role: user.role });
+        res.json({
+            success: true,
+            role: user.role,
+            must_change_password: req.session.mustChangePassword,
+            two_factor_setup_required: twoFactorSetupRequired(req.session)
+        });
     });
-});
+}
 
 // Logout
 app.get('/logout', (req, res) => {
+    if (req.session.userId) audit(req, 'auth.logout');
     req.session.destroy();
     res.redirect('/login');
 });
@@ -141,319 +605,4711 @@ app.get('/change-password', requireAuth, (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'change-password.html'));
 });
 
-// Get all users (API)
+const USERNAME_RULES = 'Usernames may only contain letters, digits, ".", "_" and "-", and must start with a letter or digit';
+
+// Listing filters from the query string: q, role, status and plan (a plan
+// id or "none"). Throws with a message for the client.
+function userFilters(query) {
+    const filters = {};
+    if (query.q) filters.q = String(query.q);
+    if (query.role) {
+        if (!USER_ROLES.includes(query.role)) throw new Error(`role must be one of: ${USER_ROLES.join(', ')}`);
+        filters.role = query.role;
+    }
+    if (query.status) {
+        if (!USER_STATUSES.includes(query.status)) throw new Error(`status must be one of: ${USER_STATUSES.join(', ')}`);
+        filters.status = query.status;
+    }
+    if (query.plan) {
+        if (query.plan !== 'none' && !(parseInt(query.plan) > 0)) throw new Error('plan must be a plan id or "none"');
+        filters.plan = query.plan === 'none' ? 'none' : parseInt(query.plan);
+    }
+    return filters;
+}
+
+function formatUser(user) {
+    return Object.assign(user, {
+        status: userStatus(user),
+        purge_at: user.deleted_at ? trashPurgeDate(user.deleted_at) : null
+    });
+}
+
+// Search the users (group spaces are listed under /api/groups). Query: q
+// (part of the username), role, status (active, disabled, deleted), plan
+// (plan id or "none"), page and limit (max 200).
 app.get('/api/users', requireAuth, requireAdmin, (req, res) => {
-    db.getAllUsers((err, users) => {
+    let filters;
+    try {
+        filters = userFilters(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    
+    db.getUsers(filters, { limit: limit, offset: (page - 1) * limit }, (err, result) => {
         if (err) return res.status(500).json({ error: err.message });
-        res.json(users);
+        res.json({
+            users: result.users.map(formatUser),
+            total: result.total,
+            page: page,
+            limit: limit,
+            pages: Math.ceil(result.total / limit)
+        });
     });
 });
 
-// Create user
-app.post('/api/users', requireAuth, requireAdmin, (req, res) => {
-    const { username, password, role, storage_quota_mb = 100 } = req.body;
+// Every user matching the listing filters, as a CSV (format=csv, default)
+// or JSON download that POST /api/users/import takes back
+app.get('/api/users/export', requireAuth, requireAdmin, (req, res) => {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv' && format !== 'json') return res.status(400).json({ error: 'format must be csv or json' });
+    
+    let filters;
+    try {
+        filters = userFilters(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
     
-    db.createUser(username, password, role, storage_quota_mb, (err, user) => {
-        if (err) return res.status(400).json({ error: err.message });
+    // SQLite treats a negative LIMIT as "no limit"
+    db.getUsers(filters, { limit: -1, offset: 0 }, (err, result) => {
+        if (err) return res.status(500).json({ error: err.message });
         
-        // Create user directory
-        ensureUserDirectory(username);
+        const users = result.users.map(user => ({
+            username: user.username,
+            role: user.role,
+            storage_quota_mb: user.storage_quota_mb,
+            plan: user.quota_plan,
+            status: userStatus(user),
+            created_at: parseDbDate(user.created_at)
+        }));
+        audit(req, 'user.export', { details: Object.assign({ format: format, users: users.length }, filters) });
         
-        res.json({ success: true, user });
+        res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${format}`);
+        if (format === 'json') return res.json(users);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(toCsv(USER_EXPORT_COLUMNS, users));
     });
 });
 
-// Delete user
-app.delete('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
-    const id = parseInt(req.params.id);
+// Create user. plan_id puts the account on a quota plan instead of
+// storage_quota_mb.
+app.post('/api/users', requireAuth, requireAdmin, (req, res) => {
+    const { username, password, role = 'user', storage_quota_mb = 100, plan_id } = req.body;
     
-    // Prevent deleting yourself
-    if (id === req.session.userId) {
-        return res.status(400).json({ error: 'Cannot delete yourself' });
+    const target = String(username || '').slice(0, 100);
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Use one of: ${USER_ROLES.join(', ')}` });
     }
     
-    // Get user info first to delete directory
-    db.getUserById(id, (err, user) => {
-        if (err || !user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-        
-        // Delete user directory if it exists
-        const userDir = getUserUploadDir(user.username);
-        if (fs.existsSync(userDir)) {
-            // Delete all files in directory
-            const files = fs.readdirSync(userDir);
-            files.forEach(file => {
-                const filePath = path.join(userDir, file);
-                fs.unlinkSync(filePath);
-            });
-            // Delete directory
-            fs.rmdirSync(userDir);
-        }
+    // The username becomes a directory name
+    try {
+        checkUsername(username, describeRequester(req));
+    } catch (err) {
+        audit(req, 'user.create', { target, result: 'failure', details: { error: 'invalid username' } });
+        return res.status(400).json({ error: USERNAME_RULES });
+    }
+    
+    loadQuotaPlan(plan_id, (err, plan) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (plan === null) return res.status(400).json({ error: 'Quota plan not found' });
         
-        // Delete user from database
-        db.deleteUser(id, (err) => {
-            if (err) return res.status(500).json({ error: err.message });
-            res.json({ success: true });
+        db.createUser(username, password, role, plan ? plan.storage_quota_mb : storage_quota_mb, (err, user) => {
+            if (err) {
+                audit(req, 'user.create', { target, result: 'failure', details: { error: err.message } });
+                return res.status(400).json({ error: err.message });
+            }
+            
+            // Create user directory
+            ensureUserDirectory(username);
+            
+            const finish = (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                audit(req, 'user.create', {
+                    target,
+                    details: Object.assign({ user_id: user.id, role: user.role, storage_quota_mb: user.storage_quota_mb }, plan ? { plan: plan.name } : null)
+                });
+                res.json({ success: true, user: Object.assign(user, { quota_plan_id: plan ? plan.id : null }) });
+            };
+            if (plan) return db.assignQuotaPlan(plan, [user.id], finish);
+            finish(null);
         });
     });
 });
 
-// Update user password
-app.put('/api/users/:id/password', requireAuth, requireAdmin, (req, res) => {
-    const id = parseInt(req.params.id);
-    const { password } = req.body;
+// The quota plan named by an optional plan_id: callback(err, plan) with
+// undefined when no id was given and null when there is no such plan
+function loadQuotaPlan(planId, callback) {
+    if (planId === undefined || planId === null || planId === '') return callback(null, undefined);
+    db.getQuotaPlanById(parseInt(planId), (err, plan) => callback(err, plan || null));
+}
+
+// Create users in bulk from a CSV document (Content-Type text/csv) or JSON
+// (an array or { users: [...] }) with the columns username, password, role,
+// storage_quota_mb, plan (a plan name) and status (active or disabled).
+// Accounts without a password get a generated one, returned once in the
+// results; all imported accounts change their password at first login.
+// Every row is checked before any account is created; ?dry_run=1 stops
+// there. Rows with problems are reported and skipped, the others created.
+app.post('/api/users/import', requireAuth, requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+    let rows;
+    try {
+        rows = readImportRows(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true' || (req.body && req.body.dry_run === true);
     
-    db.updatePassword(id, password, (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ success: true });
+    checkImportRows(req, rows, (err, checked) => {
+        if (err) return res.status(500).json({ error: 'Failed to check the import' });
+        
+        // valid: rows that passed the checks; created: accounts made
+        const valid = checked.filter(item => !item.error).length;
+        const report = (results) => {
+            const created = dryRun ? 0 : results.filter(result => result.success).length;
+            res.json({
+                dry_run: dryRun,
+                total: results.length,
+                valid: valid,
+                created: created,
+                failed: results.length - (dryRun ? valid : created),
+                results: results
+            });
+        };
+        if (dryRun) {
+            return report(checked.map(item => ({ row: item.row, username: item.username, success: !item.error, error: item.error })));
+        }
+        
+        // One at a time: password hashing is slow on purpose
+        const results = [];
+        const next = () => {
+            const item = checked.shift();
+            if (!item) {
+                audit(req, 'user.import', { details: { rows: results.length, created: results.filter(result => result.success).length } });
+                return report(results);
+            }
+            if (item.error) {
+                results.push({ row: item.row, username: item.username, success: false, error: item.error });
+                return next();
+            }
+            
+            importUser(req, item, (err, result) => {
+                results.push(err
+                    ? { row: item.row, username: item.username, success: false, error: err.message }
+                    : Object.assign({ row: item.row, username: item.username, success: true }, result));
+                next();
+            });
+        };
+        next();
     });
 });
 
-// Update user quota
-app.put('/api/users/:id/quota', requireAuth, requireAdmin, (req, res) => {
-    const id = parseInt(req.params.id);
-    const { storage_quota_mb } = req.body;
+// Check import rows against the rules, each other, the existing accounts
+// and the quota plans. callback(err, [{ row (1 = the first after any
+// header), username, error } or { row, username, user }])
+function checkImportRows(req, rows, callback) {
+    db.getQuotaPlans((err, plans) => {
+        if (err) return callback(err);
+        
+        const plansByName = new Map(plans.map(plan => [plan.name, plan]));
+        const seen = new Set();
+        const checked = [];
+        
+        const next = () => {
+            const index = checked.length;
+            if (index === rows.length) return callback(null, checked);
+            
+            const row = rows[index];
+            const item = { row: index + 1, username: row && row.username !== undefined ? String(row.username).trim() : null };
+            const fail = (message) => {
+                checked.push(Object.assign(item, { error: message }));
+                next();
+            };
+            
+            let user;
+            try {
+                user = parseImportRow(row, USER_ROLES);
+                checkUsername(user.username, describeRequester(req));
+            } catch (err) {
+                return fail(err.code === 'UNSAFE_PATH' ? USERNAME_RULES : err.message);
+            }
+            if (seen.has(user.username.toLowerCase())) return fail('Username appears more than once in this import');
+            seen.add(user.username.toLowerCase());
+            
+            const plan = user.plan ? plansByName.get(user.plan) : null;
+            if (user.plan && !plan) return fail(`Quota plan '${user.plan}' not found`);
+            if (user.password) {
+                const weak = weakPasswordError(user.password, user.username);
+                if (weak) return fail(weak.message);
+            }
+            
+            db.getUserByUsername(user.username, (err, existing) => {
+                if (err) return callback(err);
+                if (existing) return fail(`Username '${user.username}' already exists`);
+                checked.push(Object.assign(item, { user: Object.assign(user, { plan: plan }) }));
+                next();
+            });
+        };
+        next();
+    });
+}
+
+// Create one checked import row. callback(err, { id, password? }) with the
+// password when it was generated
+function importUser(req, item, callback) {
+    const user = item.user;
+    const password = user.password || generatePassword(user.username);
     
-    if (!storage_quota_mb || storage_quota_mb < 1) {
-        return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
-    }
+    db.importUser({
+        username: user.username,
+        password: password,
+        role: user.role,
+        storage_quota_mb: user.plan ? user.plan.storage_quota_mb : (user.quotaMB || 100),
+        quota_plan_id: user.plan ? user.plan.id : null,
+        disabled: user.disabled
+    }, (err, created) => {
+        if (err) {
+            const message = /UNIQUE/.test(err.message) ? `Username '${user.username}' already exists` : 'Failed to create user';
+            audit(req, 'user.create', { target: user.username, result: 'failure', details: { import: true, error: message } });
+            return callback(new Error(message));
+        }
+        
+        try {
+            ensureUserDirectory(user.username);
+        } catch (err) {
+            console.error(`Failed to create the directory of imported user ${user.username}:`, err.message);
+        }
+        audit(req, 'user.create', {
+            target: user.username,
+            details: Object.assign({ user_id: created.id, role: user.role, import: true }, user.plan ? { plan: user.plan.name } : null,
+                user.disabled ? { disabled: true } : null)
+        });
+        callback(null, Object.assign({ id: created.id }, user.password ? null : { password: password }));
+    });
+}
+
+// Disable an account without touching its data: it cannot sign in, its
+// tokens, share links and upload links stop working until it is enabled
+app.post('/api/users/:id/disable', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const user = req.targetUser;
+    if (user.id === req.session.userId) return res.status(400).json({ error: 'Cannot disable yourself' });
     
-    db.updateUserQuota(id, storage_quota_mb, (err) => {
+    db.setUserDisabled(user.id, true, (err, changed) => {
         if (err) return res.status(500).json({ error: err.message });
+        if (!changed) return res.status(409).json({ error: 'User is already disabled' });
+        audit(req, 'user.disable', { target: user.username, details: { user_id: user.id } });
         res.json({ success: true });
     });
 });
 
-// ========== MAIN APP ROUTES ==========
-
-// Main app (requires login)
-app.get('/', requireAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Upload UI (requires login)
-app.get('/upload-ui', requireAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'upload-ui.html'));
-});
-
-// Browse files (requires login)
-app.get('/files', requireAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'files.html'));
-});
-
-// Get current user info
-app.get('/api/me', requireAuth, (req, res) => {
-    res.json({
-        username: req.session.username,
-        role: req.session.role,
-        userId: req.session.userId
+app.post('/api/users/:id/enable', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const user = req.targetUser;
+    db.setUserDisabled(user.id, false, (err, changed) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!changed) return res.status(409).json({ error: 'User is not disabled' });
+        audit(req, 'user.enable', { target: user.username, details: { user_id: user.id } });
+        res.json({ success: true });
     });
 });
 
-// Change own password
-app.post('/api/change-password', requireAuth, (req, res) => {
-    const { currentPassword, newPassword } = req.body;
+// Delete a user. The account is only marked deleted and can be restored
+// until the trash retention runs out; ?permanent=1 removes it right away
+// together with its files.
+app.delete('/api/users/:id', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const user = req.targetUser;
     
-    if (!currentPassword || !newPassword) {
-        return res.status(400).json({ error: 'Current and new password required' });
+    // Prevent deleting yourself
+    if (user.id === req.session.userId) {
+        audit(req, 'user.delete', { target: req.session.username, result: 'failure', details: { error: 'Cannot delete yourself' } });
+        return res.status(400).json({ error: 'Cannot delete yourself' });
     }
     
-    // Verify current password
-    db.verifyPassword(req.session.username, currentPassword, (err, user) => {
-        if (err || !user) {
-            return res.status(401).json({ error: 'Current password is incorrect' });
-        }
+    if (req.query.permanent === '1') {
+        return purgeUser(user, describeRequester(req), (err, removedFiles) => {
+            if (err) {
+                audit(req, 'user.delete', { target: user.username, result: 'failure', details: { user_id: user.id, permanent: true, error: err.message } });
+                return res.status(500).json({ error: 'Failed to delete user' });
+            }
+            audit(req, 'user.delete', { target: user.username, details: { user_id: user.id, permanent: true, files_removed: removedFiles } });
+            res.json({ success: true, permanent: true });
+        });
+    }
+    
+    if (user.deleted_at) return res.status(409).json({ error: 'User is already deleted' });
+    db.markUserDeleted(user.id, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
         
-        // Update password
-        db.updatePassword(req.session.userId, newPassword, (err) => {
-            if (err) return res.status(500).json({ error: 'Failed to update password' });
-            res.json({ success: true });
+        db.getUserById(user.id, (err, deleted) => {
+            if (err) return res.status(500).json({ error: err.message });
+            audit(req, 'user.delete', { target: user.username, details: { user_id: user.id } });
+            res.json({ success: true, purge_at: trashPurgeDate(deleted.deleted_at) });
         });
     });
 });
 
-// Get files for current user
-app.get('/api/files', requireAuth, (req, res) => {
-    const userDir = getUserUploadDir(req.session.username);
-    
-    if (!fs.existsSync(userDir)) {
-        return res.json([]);
-    }
+// Restore a deleted user with everything they had
+app.post('/api/users/:id/restore', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const user = req.targetUser;
+    if (!user.deleted_at) return res.status(409).json({ error: 'User is not deleted' });
     
-    fs.readdir(userDir, (err, files) => {
-        if (err) return res.status(500).json({ error: 'Failed to read directory' });
-        
-        const fileList = files.map(file => {
-            const filePath = path.join(userDir, file);
-            const stats = fs.statSync(filePath);
-            return {
-                name: file,
-                size: stats.size,
-                sizeFormatted: formatFileSize(stats.size),
-                modified: stats.mtime,
-                url: `/download/${file}`
-            };
-        }).sort((a, b) => b.modified - a.modified);
-        
-        res.json(fileList);
+    db.restoreUser(user.id, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        audit(req, 'user.restore', { target: user.username, details: { user_id: user.id } });
+        res.json({ success: true });
     });
 });
 
-// Get user storage usage (for admin)
-app.get('/api/users/:id/usage', requireAuth, requireAdmin, (req, res) => {
-    const id = parseInt(req.params.id);
-    
-    // Get user info first
-    db.getUserById(id, (err, user) => {
-        if (err || !user) return res.status(404).json({ error: 'User not found' });
+// Remove an account for good: its directories, its references to the blob
+// store, catalog entries (trash included), previews and the user row.
+// callback(err, removedFiles) counts files, revisions and trashed files.
+function purgeUser(user, requester, callback) {
+    removeUserDirectories(user.username, requester, (err) => {
+        if (err) return callback(err);
         
-        // Calculate size of files in user's directory
-        const userDir = getUserUploadDir(user.username);
-        let totalSize = 0;
-        
-        if (fs.existsSync(userDir)) {
-            const files = fs.readdirSync(userDir);
-            files.forEach(file => {
-                const filePath = path.join(userDir, file);
-                const stats = fs.statSync(filePath);
-                totalSize += stats.size;
+        loadUserContent(user.id, (err, entries) => {
+            if (err) return callback(err);
+            
+            blobs.releaseAll(entries.map(entry => entry.blob_id).filter(Boolean), (err) => {
+                if (err) return callback(err);
+                
+                db.deleteFilesByUser(user.id, (err) => {
+                    if (err) return callback(err);
+                    
+                    previews.discardUser(user.id, (err) => {
+                        if (err) return callback(err);
+                        
+                        db.deleteUser(user.id, (err) => {
+                            if (err) return callback(err);
+                            callback(null, entries.length);
+                        });
+                    });
+                });
             });
-        }
-        
-        res.json({
-            user_id: user.id,
-            username: user.username,
-            storage_used_bytes: totalSize,
-            storage_used_formatted: formatFileSize(totalSize),
-            storage_quota_bytes: user.storage_quota_mb * 1024 * 1024,
-            storage_quota_formatted: `${user.storage_quota_mb} MB`,
-            usage_percentage: user.storage_quota_mb > 0 ? 
-                Math.min(100, (totalSize / (user.storage_quota_mb * 1024 * 1024)) * 100) : 0
         });
     });
-});
+}
 
-// Get current user storage usage (for user dashboard)
-app.get('/api/me/usage', requireAuth, (req, res) => {
-    const userId = req.session.userId;
+// Delete a user's directory in the storage backend (content stored before
+// deduplication) and their local one (staged uploads)
+function removeUserDirectories(username, requester, callback) {
+    let userDir;
+    let prefix;
+    try {
+        userDir = getUserUploadDir(username, requester);
+        prefix = `${userDirName(username, requester)}/`;
+    } catch (err) {
+        return callback(err);
+    }
     
-    // Get user info first
-    db.getUserById(userId, (err, user) => {
-        if (err || !user) return res.status(404).json({ error: 'User not found' });
+    storageDriver.list(prefix, (err, objects) => {
+        if (err) return callback(err);
         
-        // Calculate size of files in user's directory
-        const userDir = getUserUploadDir(user.username);
-        let totalSize = 0;
-        
-        if (fs.existsSync(userDir)) {
-            const files = fs.readdirSync(userDir);
-            files.forEach(file => {
-                const filePath = path.join(userDir, file);
-                const stats = fs.statSync(filePath);
-                totalSize += stats.size;
-            });
+        const next = (err) => {
+            if (err) return callback(err);
+            const object = objects.shift();
+            if (object) return storageDriver.delete(object.key, next);
+            
+            try {
+                if (fs.existsSync(userDir)) {
+                    // Delete all files in directory (symlinks are removed, not followed)
+                    fs.readdirSync(userDir).forEach(file => {
+                        fs.unlinkSync(path.join(userDir, file));
+                    });
+                    fs.rmdirSync(userDir);
+                }
+            } catch (err) {
+                return callback(err);
+            }
+            callback(null);
+        };
+        next();
+    });
+}
+
+// A user's files, revisions and trashed files
+function loadUserContent(userId, callback) {
+    db.getFilesByUser(userId, (err, records) => {
+        if (err) return callback(err);
+        
+        db.getFileVersionsByUser(userId, (err, versions) => {
+            if (err) return callback(err);
+            
+            db.getTrashByUser(userId, (err, trashed) => {
+                if (err) return callback(err);
+                callback(null, records.concat(versions, trashed));
+            });
+        });
+    });
+}
+
+// Load the user named by :id into req.targetUser (404 if there is none;
+// group spaces are managed through /api/groups)
+function loadTargetUser(req, res, next) {
+    db.getUserById(parseInt(req.params.id), (err, user) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user || user.role === GROUP_ROLE) return res.status(404).json({ error: 'User not found' });
+        req.targetUser = user;
+        next();
+    });
+}
+
+// Update user password
+app.put('/api/users/:id/password', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const target = req.targetUser;
+    const { password } = req.body;
+    
+    db.updatePassword(target.id, password, (err) => {
+        if (err) {
+            audit(req, 'user.password_reset', { target: target.username, result: 'failure', details: { error: err.message } });
+            return res.status(err.code === 'WEAK_PASSWORD' ? 400 : 500).json({ error: err.message });
+        }
+        
+        // The admin knows this password, so the user has to pick a new one
+        db.setMustChangePassword(target.id, true, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            audit(req, 'user.password_reset', { target: target.username });
+            res.json({ success: true });
+        });
+    });
+});
+
+// Clear a login lockout
+app.post('/api/users/:id/unlock', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    db.clearLoginFailures(req.targetUser.id, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        audit(req, 'user.unlock', { target: req.targetUser.username });
+        res.json({ success: true });
+    });
+});
+
+// Turn off a user's 2FA (lost authenticator and recovery codes)
+app.delete('/api/users/:id/2fa', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    db.disableTwoFactor(req.targetUser.id, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        audit(req, 'user.2fa_reset', { target: req.targetUser.username });
+        res.json({ success: true });
+    });
+});
+
+// Server-wide security settings
+app.get('/api/admin/settings', requireAuth, requireAdmin, (req, res) => {
+    res.json({ require_admin_2fa: securitySettings.requireAdminTwoFactor });
+});
+
+// Update settings: { require_admin_2fa }
+app.put('/api/admin/settings', requireAuth, requireAdmin, (req, res) => {
+    if (typeof req.body.require_admin_2fa !== 'boolean') {
+        return res.status(400).json({ error: 'require_admin_2fa must be true or false' });
+    }
+    
+    const required = req.body.require_admin_2fa;
+    // Otherwise the admin would lock themselves out of this very page
+    if (required && !req.session.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Set up two-factor authentication for your own account first' });
+    }
+    
+    db.setSetting('require_admin_2fa', required, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to save settings' });
+        securitySettings.requireAdminTwoFactor = required;
+        audit(req, 'settings.update', { target: 'require_admin_2fa', details: { value: required } });
+        res.json({ success: true, require_admin_2fa: required });
+    });
+});
+
+// Give a user a quota of their own (taking them off any quota plan)
+app.put('/api/users/:id/quota', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const target = req.targetUser;
+    const { storage_quota_mb } = req.body;
+    
+    if (!storage_quota_mb || storage_quota_mb < 1) {
+        return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
+    }
+    
+    db.updateUserQuota(target.id, storage_quota_mb, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        audit(req, 'user.quota', { target: target.username, details: { from_mb: target.storage_quota_mb, to_mb: storage_quota_mb, left_plan: target.quota_plan_id || undefined } });
+        publishUsage(target.id);
+        res.json({ success: true });
+    });
+});
+
+// File type lists that apply to a user: their own overrides (null entries
+// follow the server-wide lists) and the result
+app.get('/api/users/:id/upload-policy', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    res.json({
+        overrides: parseUploadPolicy(req.targetUser.upload_policy ? JSON.parse(req.targetUser.upload_policy) : {}),
+        effective: effectivePolicy(req.targetUser)
+    });
+});
+
+// Set a user's type list overrides: { allowed_extensions, denied_extensions,
+// allowed_mime_types, denied_mime_types } as arrays or comma-separated
+// strings; null or missing follows the server-wide list, [] means no list
+app.put('/api/users/:id/upload-policy', requireAuth, requireAdmin, loadTargetUser, (req, res) => {
+    const target = req.targetUser;
+    
+    let overrides;
+    try {
+        overrides = parseUploadPolicy(req.body || {});
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    const stored = Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null;
+    db.setUploadPolicy(target.id, stored, (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        audit(req, 'user.upload_policy', { target: target.username, details: overrides });
+        res.json({ success: true, overrides, effective: effectivePolicy({ upload_policy: stored }) });
+    });
+});
+
+// Disk space saved by deduplication. Users are charged the logical size of
+// their files; the blob store keeps each distinct content once.
+app.get('/api/admin/storage', requireAuth, requireAdmin, (req, res) => {
+    db.getStorageStats((err, stats) => {
+        if (err) return res.status(500).json({ error: 'Failed to read storage statistics' });
+        
+        const storedBytes = stats.blob_bytes + stats.legacy_bytes;
+        const savedBytes = stats.logical_bytes - storedBytes;
+        
+        // What the blob store actually takes up in the backend
+        storageDriver.usage(BLOB_PREFIX, (err, usage) => {
+            if (err) {
+                console.error('Failed to measure storage usage:', err);
+                return res.status(500).json({ error: 'Failed to read storage statistics' });
+            }
+            
+            res.json({
+                driver: storageDriver.name,
+                logical_bytes: stats.logical_bytes,
+                logical_formatted: formatFileSize(stats.logical_bytes),
+                stored_bytes: storedBytes,
+                stored_formatted: formatFileSize(storedBytes),
+                saved_bytes: savedBytes,
+                saved_formatted: formatFileSize(savedBytes),
+                saved_percentage: stats.logical_bytes > 0 ? (savedBytes / stats.logical_bytes) * 100 : 0,
+                entries: stats.entries,
+                blobs: stats.blobs,
+                // Still in users' directories until scripts/dedup.js has run
+                undeduplicated_entries: stats.legacy_entries,
+                blob_objects: usage.count,
+                blob_object_bytes: usage.bytes
+            });
+        });
+    });
+});
+
+// Preview job totals and the jobs that failed
+app.get('/api/admin/previews', requireAuth, requireAdmin, (req, res) => {
+    db.countPreviewsByStatus((err, counts) => {
+        if (err) return res.status(500).json({ error: 'Failed to load preview jobs' });
+        
+        db.getFailedPreviews((err, failed) => {
+            if (err) return res.status(500).json({ error: 'Failed to load preview jobs' });
+            res.json({
+                counts: counts,
+                failed: failed.map(job => ({
+                    file_id: job.file_id,
+                    username: job.username,
+                    name: job.original_name,
+                    folder: job.folder,
+                    kind: job.kind,
+                    attempts: job.attempts,
+                    error: job.error,
+                    updated_at: parseDbDate(job.updated_at)
+                }))
+            });
+        });
+    });
+});
+
+// Try a failed preview job again
+app.post('/api/admin/previews/:fileId/retry', requireAuth, requireAdmin, (req, res) => {
+    db.retryPreview(req.params.fileId, (err, requeued) => {
+        if (err) return res.status(500).json({ error: 'Failed to retry preview' });
+        if (!requeued) return res.status(404).json({ error: 'No failed preview job for this file' });
+        previews.kick();
+        res.json({ success: true });
+    });
+});
+
+// Uploads the scanner flagged
+app.get('/api/admin/quarantine', requireAuth, requireAdmin, (req, res) => {
+    db.getQuarantineRecords((err, records) => {
+        if (err) return res.status(500).json({ error: 'Failed to load quarantine' });
+        res.json(records.map(record => ({
+            id: record.id,
+            username: record.username,
+            name: record.original_name,
+            size: record.size,
+            sizeFormatted: formatFileSize(record.size),
+            reason: record.reason,
+            uploader_ip: record.uploader_ip,
+            created_at: parseDbDate(record.created_at)
+        })));
+    });
+});
+
+// Delete a quarantined file for good
+app.delete('/api/admin/quarantine/:id', requireAuth, requireAdmin, (req, res) => {
+    db.getQuarantineRecord(parseInt(req.params.id), (err, record) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!record) return res.status(404).json({ error: 'Quarantined file not found' });
+        
+        fs.unlink(path.join(QUARANTINE_DIR, record.quarantine_name), (err) => {
+            if (err && err.code !== 'ENOENT') return res.status(500).json({ error: 'Failed to delete quarantined file' });
+            
+            db.deleteQuarantineRecord(record.id, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                audit(req, 'file.quarantine_delete', {
+                    target: `${record.username}/${record.original_name}`,
+                    details: { quarantine_id: record.id, reason: record.reason }
+                });
+                res.json({ success: true });
+            });
+        });
+    });
+});
+
+// ========== QUOTA PLANS ==========
+
+// Why a plan name cannot be used, or null
+function planNameProblem(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'Plan name is required';
+    if (name.trim().length > 100) return 'Plan names can be at most 100 characters long';
+    return null;
+}
+
+function formatQuotaPlan(plan) {
+    return {
+        id: plan.id,
+        name: plan.name,
+        storage_quota_mb: plan.storage_quota_mb,
+        user_count: plan.user_count,
+        created_at: parseDbDate(plan.created_at)
+    };
+}
+
+// Load the plan named by :id into req.plan
+function loadTargetPlan(req, res, next) {
+    db.getQuotaPlanById(parseInt(req.params.id), (err, plan) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!plan) return res.status(404).json({ error: 'Quota plan not found' });
+        req.plan = plan;
+        next();
+    });
+}
+
+// Send the new usage of everyone on a plan to their open pages
+function publishPlanUsage(planId) {
+    db.getQuotaPlanUserIds(planId, (err, userIds) => {
+        if (err) return console.error('Failed to load quota plan users:', err.message);
+        userIds.forEach(publishUsage);
+    });
+}
+
+app.get('/api/quota-plans', requireAuth, requireAdmin, (req, res) => {
+    db.getQuotaPlans((err, plans) => {
+        if (err) return res.status(500).json({ error: 'Failed to load quota plans' });
+        res.json(plans.map(formatQuotaPlan));
+    });
+});
+
+// Create a plan: { name, storage_quota_mb }
+app.post('/api/quota-plans', requireAuth, requireAdmin, (req, res) => {
+    const { name, storage_quota_mb } = req.body;
+    const problem = planNameProblem(name);
+    if (problem) return res.status(400).json({ error: problem });
+    
+    const quotaMB = parseInt(storage_quota_mb);
+    if (!(quotaMB >= 1)) return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
+    
+    db.createQuotaPlan(name.trim(), quotaMB, (err, plan) => {
+        if (err && /UNIQUE/.test(err.message)) return res.status(409).json({ error: 'A quota plan with that name already exists' });
+        if (err) return res.status(500).json({ error: 'Failed to create quota plan' });
+        audit(req, 'plan.create', { target: plan.name, details: { plan_id: plan.id, storage_quota_mb: quotaMB } });
+        res.status(201).json({ success: true, plan: formatQuotaPlan(plan) });
+    });
+});
+
+// Rename a plan or change its quota: { name, storage_quota_mb }. The new
+// quota applies to everyone on the plan.
+app.put('/api/quota-plans/:id', requireAuth, requireAdmin, loadTargetPlan, (req, res) => {
+    const plan = req.plan;
+    const { name, storage_quota_mb } = req.body;
+    
+    if (name !== undefined) {
+        const problem = planNameProblem(name);
+        if (problem) return res.status(400).json({ error: problem });
+    }
+    const quotaMB = storage_quota_mb !== undefined ? parseInt(storage_quota_mb) : plan.storage_quota_mb;
+    if (!(quotaMB >= 1)) return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
+    
+    const newName = name !== undefined ? name.trim() : plan.name;
+    db.updateQuotaPlan(plan.id, newName, quotaMB, (err) => {
+        if (err && /UNIQUE/.test(err.message)) return res.status(409).json({ error: 'A quota plan with that name already exists' });
+        if (err) return res.status(500).json({ error: 'Failed to update quota plan' });
+        audit(req, 'plan.update', {
+            target: newName,
+            details: { plan_id: plan.id, from_name: plan.name, from_mb: plan.storage_quota_mb, to_mb: quotaMB, users: plan.user_count }
+        });
+        if (quotaMB !== plan.storage_quota_mb) publishPlanUsage(plan.id);
+        res.json({ success: true });
+    });
+});
+
+// Delete a plan; its users keep its quota as their own
+app.delete('/api/quota-plans/:id', requireAuth, requireAdmin, loadTargetPlan, (req, res) => {
+    const plan = req.plan;
+    db.deleteQuotaPlan(plan.id, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to delete quota plan' });
+        audit(req, 'plan.delete', { target: plan.name, details: { plan_id: plan.id, users: plan.user_count } });
+        res.json({ success: true });
+    });
+});
+
+// Put users on a plan: { user_ids: [...] }. A user leaves it again when
+// given a quota of their own (PUT /api/users/:id/quota).
+app.post('/api/quota-plans/:id/users', requireAuth, requireAdmin, loadTargetPlan, (req, res) => {
+    const plan = req.plan;
+    const userIds = Array.isArray(req.body.user_ids) ? req.body.user_ids.map(id => parseInt(id)) : [];
+    if (userIds.length === 0 || userIds.some(id => !(id > 0))) {
+        return res.status(400).json({ error: 'user_ids must be a non-empty array of user ids' });
+    }
+    if (userIds.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({ error: `At most ${BULK_MAX_ITEMS} users at once` });
+    }
+    
+    db.assignQuotaPlan(plan, userIds, (err, updated) => {
+        if (err) return res.status(500).json({ error: 'Failed to assign quota plan' });
+        audit(req, 'plan.assign', { target: plan.name, details: { plan_id: plan.id, user_ids: userIds, storage_quota_mb: plan.storage_quota_mb } });
+        userIds.forEach(publishUsage);
+        res.json({ success: true, updated: updated });
+    });
+});
+
+// ========== AUDIT LOG ==========
+
+// Drop entries older than AUDIT_RETENTION_DAYS (0 keeps everything)
+function pruneAuditLog() {
+    if (AUDIT_RETENTION_DAYS === 0) return;
+    
+    const before = toDbDate(new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    db.pruneAuditLog(before, (err, removed) => {
+        if (err) return console.error('Failed to prune audit log:', err.message);
+        if (removed > 0) console.log(`Removed ${removed} audit entries older than ${AUDIT_RETENTION_DAYS} days`);
+    });
+}
+pruneAuditLog();
+setInterval(pruneAuditLog, 24 * 60 * 60 * 1000).unref();
+
+function formatAuditEntry(entry) {
+    return {
+        id: entry.id,
+        time: parseDbDate(entry.created_at),
+        actor: entry.actor,
+        actor_id: entry.actor_id,
+        ip: entry.ip,
+        action: entry.action,
+        target: entry.target,
+        result: entry.result,
+        details: entry.details ? JSON.parse(entry.details) : null
+    };
+}
+
+// Search the audit log (newest first). Query: actor, action ("file" matches
+// "file.upload" etc.), target (substring), result, ip, from/to (ISO dates),
+// page, limit (max 200) and format=csv to download every match.
+app.get('/api/audit', requireAuth, requireAdmin, (req, res) => {
+    const filters = {};
+    ['actor', 'action', 'target', 'result', 'ip'].forEach(key => {
+        if (req.query[key]) filters[key] = String(req.query[key]);
+    });
+    if (filters.result && !AUDIT_RESULTS.includes(filters.result)) {
+        return res.status(400).json({ error: `result must be one of: ${AUDIT_RESULTS.join(', ')}` });
+    }
+    
+    for (const key of ['from', 'to']) {
+        if (!req.query[key]) continue;
+        const date = new Date(req.query[key]);
+        if (isNaN(date)) return res.status(400).json({ error: `Invalid ${key} date` });
+        filters[key] = toDbDate(date);
+    }
+    
+    const csv = req.query.format === 'csv';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    // SQLite treats a negative LIMIT as "no limit"
+    const range = csv ? { limit: -1, offset: 0 } : { limit: limit, offset: (page - 1) * limit };
+    
+    db.getAuditEntries(filters, range, (err, result) => {
+        if (err) return res.status(500).json({ error: 'Failed to read audit log' });
+        
+        const entries = result.entries.map(formatAuditEntry);
+        if (csv) {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+            return res.send(auditCsv(entries));
+        }
+        
+        res.json({
+            entries: entries,
+            total: result.total,
+            page: page,
+            limit: limit,
+            pages: Math.ceil(result.total / limit)
+        });
+    });
+});
+
+// ========== API TOKENS ==========
+
+// Shape a token for API responses (the secret itself is never returned here)
+function formatApiToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        username: token.username,
+        prefix: token.token_prefix,
+        scopes: token.scopes.split(','),
+        expires_at: token.expires_at ? parseDbDate(token.expires_at) : null,
+        expired: !!token.expires_at && parseDbDate(token.expires_at) <= new Date(),
+        last_used_at: token.last_used_at ? parseDbDate(token.last_used_at) : null,
+        created_at: parseDbDate(token.created_at)
+    };
+}
+
+// List current user's tokens
+app.get('/api/tokens', requireAuth, requireSession, (req, res) => {
+    db.getApiTokensByUser(req.session.userId, (err, tokens) => {
+        if (err) return res.status(500).json({ error: 'Failed to read tokens' });
+        res.json(tokens.map(formatApiToken));
+    });
+});
+
+// Create a token: { name, scopes, expires_in_days }. The token is only ever
+// shown in this response.
+app.post('/api/tokens', requireAuth, requireSession, (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100) {
+        return res.status(400).json({ error: 'A token name (up to 100 characters) is required' });
+    }
+    
+    const scopes = parseScopes(req.body.scopes);
+    if (!scopes) {
+        return res.status(400).json({ error: `Scopes must be one or more of: ${TOKEN_SCOPES.join(', ')}` });
+    }
+    if (scopes.includes('admin') && req.session.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can create tokens with the admin scope' });
+    }
+    
+    let expiresAt = null;
+    if (req.body.expires_in_days) {
+        const days = parseFloat(req.body.expires_in_days);
+        if (!(days > 0)) return res.status(400).json({ error: 'expires_in_days must be a positive number' });
+        expiresAt = toDbDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+    }
+    
+    const token = generateToken();
+    db.createApiToken({
+        user_id: req.session.userId,
+        name: name,
+        token_hash: hashToken(token),
+        token_prefix: token.slice(0, 10),
+        scopes: scopes.join(','),
+        expires_at: expiresAt
+    }, (err, record) => {
+        if (err) return res.status(500).json({ error: 'Failed to create token' });
+        res.status(201).json({ success: true, token: token, details: formatApiToken(record) });
+    });
+});
+
+// Revoke one of the current user's tokens
+app.delete('/api/tokens/:id', requireAuth, requireSession, (req, res) => {
+    db.deleteApiToken(parseInt(req.params.id), req.session.userId, (err, deleted) => {
+        if (err) return res.status(500).json({ error: 'Failed to revoke token' });
+        if (!deleted) return res.status(404).json({ error: 'Token not found' });
+        res.json({ success: true });
+    });
+});
+
+// List every user's tokens (admin)
+app.get('/api/admin/tokens', requireAuth, requireAdmin, (req, res) => {
+    db.getAllApiTokens((err, tokens) => {
+        if (err) return res.status(500).json({ error: 'Failed to read tokens' });
+        res.json(tokens.map(formatApiToken));
+    });
+});
+
+// Revoke any user's token (admin)
+app.delete('/api/admin/tokens/:id', requireAuth, requireAdmin, (req, res) => {
+    db.deleteApiToken(parseInt(req.params.id), null, (err, deleted) => {
+        if (err) return res.status(500).json({ error: 'Failed to revoke token' });
+        if (!deleted) return res.status(404).json({ error: 'Token not found' });
+        res.json({ success: true });
+    });
+});
+
+// ========== TWO-FACTOR AUTHENTICATION ==========
+
+// 2FA settings page
+app.get('/two-factor', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'two-factor.html'));
+});
+
+// Run next() only if `password` is the current user's password
+function confirmPassword(req, res, password, next) {
+    db.verifyPassword(req.session.username, password || '', (err, user) => {
+        if (err) return res.status(500).json({ error: 'Failed to verify password' });
+        if (!user) return res.status(401).json({ error: 'Password is incorrect' });
+        next(user);
+    });
+}
+
+// Run next() only if `code` is a valid authenticator or recovery code
+function confirmSecondFactor(req, res, code, next) {
+    db.getUserById(req.session.userId, (err, user) => {
+        if (err || !user) return res.status(500).json({ error: 'Failed to read account' });
+        if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        
+        checkSecondFactor(user, code, (err, method) => {
+            if (err) return res.status(500).json({ error: 'Failed to verify code' });
+            if (!method) return res.status(401).json({ error: 'Invalid authentication code' });
+            next(user);
+        });
+    });
+}
+
+// Recovery codes are shown once; only their hashes are kept
+function issueRecoveryCodes() {
+    const codes = generateRecoveryCodes();
+    return { codes: codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Current user's 2FA status
+app.get('/api/2fa', requireAuth, requireSession, (req, res) => {
+    db.getUserById(req.session.userId, (err, user) => {
+        if (err || !user) return res.status(500).json({ error: 'Failed to read account' });
+        
+        db.countRecoveryCodes(user.id, (err, remaining) => {
+            if (err) return res.status(500).json({ error: 'Failed to read account' });
+            res.json({
+                enabled: !!user.totp_enabled,
+                recovery_codes_remaining: user.totp_enabled ? remaining : 0,
+                setup_required: twoFactorSetupRequired(req.session)
+            });
+        });
+    });
+});
+
+// Start enrollment: { password }. The secret is held in the session until
+// a code from the authenticator confirms it.
+app.post('/api/2fa/setup', requireAuth, requireSession, (req, res) => {
+    if (req.session.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    confirmPassword(req, res, req.body.password, () => {
+        const secret = generateSecret();
+        req.session.totpSetupSecret = secret;
+        res.json({ secret: secret, otpauth_uri: otpauthUri(secret, req.session.username) });
+    });
+});
+
+// Finish enrollment: { code } from the authenticator. Returns the recovery codes.
+app.post('/api/2fa/enable', requireAuth, requireSession, (req, res) => {
+    const secret = req.session.totpSetupSecret;
+    if (!secret) return res.status(400).json({ error: 'Start the setup first' });
+    
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device.' });
+    
+    const recovery = issueRecoveryCodes();
+    db.enableTwoFactor(req.session.userId, secret, step, recovery.hashes, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        
+        delete req.session.totpSetupSecret;
+        req.session.twoFactorEnabled = true;
+        res.json({ success: true, recovery_codes: recovery.codes });
+    });
+});
+
+// Replace the recovery codes: { code }
+app.post('/api/2fa/recovery-codes', requireAuth, requireSession, (req, res) => {
+    confirmSecondFactor(req, res, req.body.code, (user) => {
+        const recovery = issueRecoveryCodes();
+        db.replaceRecoveryCodes(user.id, recovery.hashes, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to create recovery codes' });
+            res.json({ success: true, recovery_codes: recovery.codes });
+        });
+    });
+});
+
+// Turn 2FA off: { password, code }
+app.post('/api/2fa/disable', requireAuth, requireSession, (req, res) => {
+    if (securitySettings.requireAdminTwoFactor && req.session.role === 'admin') {
+        return res.status(400).json({ error: 'Two-factor authentication is required for admin accounts' });
+    }
+    
+    confirmPassword(req, res, req.body.password, () => {
+        confirmSecondFactor(req, res, req.body.code, (user) => {
+            db.disableTwoFactor(user.id, (err) => {
+                if (err) return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+                req.session.twoFactorEnabled = false;
+                res.json({ success: true });
+            });
+        });
+    });
+});
+
+// ========== MAIN APP ROUTES ==========
+
+// Main app (requires login)
+app.get('/', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Upload UI (requires login)
+app.get('/upload-ui', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'upload-ui.html'));
+});
+
+// Browse files (requires login)
+app.get('/files', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'files.html'));
+});
+
+// Get current user info
+app.get('/api/me', requireAuth, (req, res) => {
+    res.json({
+        username: req.session.username,
+        role: req.session.role,
+        userId: req.session.userId,
+        must_change_password: !!req.session.mustChangePassword,
+        two_factor_enabled: !!req.session.twoFactorEnabled,
+        two_factor_setup_required: !req.apiToken && twoFactorSetupRequired(req.session)
+    });
+});
+
+// Change own password
+app.post('/api/change-password', requireAuth, requireSession, (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'Current and new password required' });
+    }
+    
+    // Verify current password
+    db.verifyPassword(req.session.username, currentPassword, (err, user) => {
+        if (err || !user) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        
+        // Update password
+        db.updatePassword(req.session.userId, newPassword, (err) => {
+            if (err && err.code === 'WEAK_PASSWORD') return res.status(400).json({ error: err.message });
+            if (err) return res.status(500).json({ error: 'Failed to update password' });
+            
+            audit(req, 'auth.password_change');
+            req.session.mustChangePassword = false;
+            res.json({ success: true });
+        });
+    });
+});
+
+// Folder named by the request's `path` parameter ('' is the user's root), or
+// null (logged) if it is not a valid folder path
+function requestFolder(req) {
+    const value = req.query.path !== undefined ? req.query.path : (req.body && req.body.path);
+    const folder = normalizeFolder(value);
+    if (folder === null) logRejectedPath(value, 'invalid folder path', describeRequester(req));
+    return folder;
+}
+
+// Get the files of a space (?space=, default the user's own) the user may
+// see; only those directly in ?path= when given. Each says when retention
+// deletes it (see retentionFields).
+app.get('/api/files', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (folder === null) return res.status(400).json({ error: 'Invalid path' });
+    
+    const space = req.space;
+    loadRetentionSchedule(space.id, (err, schedule) => {
+        if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+        
+        const sendRecords = (err, records) => {
+            if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+            res.json(records
+                .filter(record => roleAllows(fileRole(space, record), 'viewer'))
+                .map(record => Object.assign(formatFileRecord(record, space), retentionFields(schedule.get(record.id)))));
+        };
+        
+        if (req.query.path === undefined) return db.getFilesByUser(space.id, sendRecords);
+        db.getFilesInFolder(space.id, folder, sendRecords);
+    });
+});
+
+// Get a single file's metadata by id
+app.get('/api/files/id/:id', requireAuth, (req, res) => {
+    loadFileAccess(req, req.params.id, (err, record, space, role) => {
+        if (err || !roleAllows(role, 'viewer')) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        loadRetentionSchedule(space.id, (err, schedule) => {
+            if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+            res.json(Object.assign(formatFileRecord(record, space), retentionFields(schedule.get(record.id))));
+        });
+    });
+});
+
+// Sum the size of the user's catalogued files, overall and per folder
+function loadUsage(user, callback) {
+    db.getUserStorageUsage(user.id, (err, totalSize) => {
+        if (err) return callback(err);
+        
+        loadFolderTotals(user.id, (err, totals) => {
+            if (err) return callback(err);
+            callback(null, formatUsage(user, totalSize, totals));
+        });
+    });
+}
+
+// Get user storage usage (for admin)
+app.get('/api/users/:id/usage', requireAuth, requireAdmin, (req, res) => {
+    const id = parseInt(req.params.id);
+    
+    // Get user info first
+    db.getUserById(id, (err, user) => {
+        if (err || !user) return res.status(404).json({ error: 'User not found' });
+        
+        loadUsage(user, (err, usage) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(usage);
+        });
+    });
+});
+
+// Get current user storage usage (for user dashboard)
+app.get('/api/me/usage', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    
+    // Get user info first
+    db.getUserById(userId, (err, user) => {
+        if (err || !user) return res.status(404).json({ error: 'User not found' });
+        
+        loadUsage(user, (err, usage) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(usage);
+        });
+    });
+});
+
+// Storage key of a stored file or revision in the owner's directory, or null
+// (the attempt is logged) if the name is unsafe
+function storedFileKey(username, storedName) {
+    try {
+        return userFileKey(username, storedName, username);
+    } catch (err) {
+        if (err.code === 'UNSAFE_PATH') return null;
+        throw err;
+    }
+}
+
+// Storage key of the content of a catalogued file, revision or trashed file:
+// its blob, or for content stored before deduplication the owner's
+// directory (null if the name is unsafe, see storedFileKey)
+function contentKey(username, record) {
+    if (record.blob_id) return blobs.keyFor(record.blob_id);
+    return storedFileKey(username, record.stored_name);
+}
+
+// Give up a catalog entry's content: one blob reference less, or the file in
+// the owner's directory for content stored before deduplication
+function releaseContent(username, record, callback) {
+    if (record.blob_id) return blobs.release(record.blob_id, (err) => callback(err));
+    unlinkStored(username, record.stored_name, callback);
+}
+
+// Send stored content under a file name, streamed from the storage backend.
+// Answers HEAD, a single byte range (If-Range honoured) and conditional
+// requests; the SHA-256 (when known) is the ETag. With ?inline=1 safe types
+// are shown in the browser instead of downloaded.
+// callback(err) runs once the response is over (error responses included).
+function sendStoredFile(req, res, key, name, sha256, callback) {
+    const done = (err) => {
+        if (err && !res.headersSent) {
+            if (err.status === 412 || err.status === 416) {
+                if (err.headers) res.set(err.headers);
+                res.status(err.status).send(err.status === 412 ? 'Precondition failed' : 'Requested range not satisfiable');
+            } else {
+                ['ETag', 'Last-Modified', 'Content-Type', 'Content-Disposition', 'Content-Security-Policy', 'Content-Range', 'Content-Length']
+                    .forEach(header => res.removeHeader(header));
+                res.status(404).send('File not found');
+            }
+        }
+        if (callback) callback(err);
+    };
+    const failWith = (status, message, headers) => {
+        const err = new Error(message);
+        err.status = status;
+        err.headers = headers;
+        done(err);
+    };
+    
+    storageDriver.stat(key, (err, stats) => {
+        if (!err && !stats) {
+            err = new Error('missing in storage');
+            err.code = 'ENOENT';
+        }
+        if (err) return done(err);
+        
+        const etag = sha256 ? etagFor(sha256) : `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+        const type = mimeFor(name);
+        const inlineType = req.query.inline === '1' ? inlineTypeFor(type) : null;
+        if (!res.get('Cache-Control')) res.set('Cache-Control', 'private, no-cache');
+        res.set({
+            'ETag': etag,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Accept-Ranges': 'bytes',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        
+        if (preconditionFailed(req, etag, stats.mtime)) return failWith(412, 'Precondition failed');
+        if (req.fresh) {
+            res.status(304).end();
+            return done(null);
+        }
+        
+        let range = null;
+        if (req.get('Range') && rangeApplies(req, etag, stats.mtime)) {
+            const ranges = req.range(stats.size, { combine: true });
+            if (ranges === -1) {
+                return failWith(416, 'Range not satisfiable', { 'Content-Range': `bytes */${stats.size}` });
+            }
+            // Malformed and multiple ranges get the whole file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) range = ranges[0];
+        }
+        
+        if (inlineType) {
+            res.set({
+                'Content-Type': inlineType,
+                'Content-Disposition': contentDisposition('inline', name),
+                'Content-Security-Policy': inlineCspFor(type)
+            });
+        } else {
+            res.set({
+                'Content-Type': type,
+                'Content-Disposition': contentDisposition('attachment', name)
+            });
+        }
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+        }
+        res.set('Content-Length', String(range ? range.end - range.start + 1 : stats.size));
+        if (req.method === 'HEAD' || stats.size === 0) {
+            res.end();
+            return done(null);
+        }
+        
+        storageDriver.get(key, range, (err, stream) => {
+            if (err) return done(err);
+            
+            let finished = false;
+            const finish = (err) => {
+                if (finished) return;
+                finished = true;
+                if (err) {
+                    stream.destroy();
+                    // Headers may be out; breaking the connection is all that is left
+                    if (res.headersSent) res.destroy();
+                }
+                done(err);
+            };
+            stream.on('error', finish);
+            res.on('finish', () => finish(null));
+            res.on('close', () => {
+                const err = new Error('Request aborted');
+                err.code = 'ECONNABORTED';
+                finish(err);
+            });
+            stream.pipe(res);
+        });
+    });
+}
+
+// Send a catalogued file under its original name (audited once the transfer
+// ends; details: extra audit details). HEAD requests, 304 answers and
+// ranges that continue a transfer are not audited.
+function sendFileRecord(req, res, record, username, details) {
+    const target = fileTarget(username, record);
+    const key = contentKey(username, record);
+    if (!key) {
+        audit(req, 'file.download', { target, result: 'failure', details: Object.assign({ error: 'missing in storage' }, details) });
+        return res.status(404).send('File not found');
+    }
+    sendStoredFile(req, res, key, record.original_name, record.sha256, (err) => {
+        if (!err && (!startsTransfer(req) || res.statusCode === 304)) return;
+        audit(req, 'file.download', {
+            target,
+            result: err ? 'failure' : 'success',
+            details: Object.assign({ file_id: record.id, size: record.size }, err ? { error: err.message } : null, details)
+        });
+    });
+}
+
+// Remove a stored file or revision from the user's directory
+function unlinkStored(username, storedName, callback) {
+    let key;
+    try {
+        key = userFileKey(username, storedName, username);
+    } catch (err) {
+        return callback(err);
+    }
+    storageDriver.delete(key, callback);
+}
+
+// Move a catalogued file to the owner's trash. Its previews are dropped
+// (they are rebuilt if the file is restored). expired: retention removed it,
+// so it stops counting toward the quota
+function trashFileRecord(record, expired, callback) {
+    db.trashFile(record.id, expired, (err) => {
+        if (err) return callback(err);
+        publishFileEvent('file.deleted', record);
+        previews.discard(record.id, callback);
+    });
+}
+
+// Remove a trashed file and all its revisions from disk and from the catalog
+function purgeTrashedFile(username, record, callback) {
+    db.getFileVersions(record.id, (err, versions) => {
+        if (err) return callback(err);
+        
+        const next = () => {
+            const version = versions.shift();
+            if (!version) {
+                return releaseContent(username, record, (err) => {
+                    if (err) return callback(err);
+                    db.deleteTrashedFile(record.id, (err) => {
+                        if (err) return callback(err);
+                        publishUsage(record.user_id);
+                        callback(null);
+                    });
+                });
+            }
+            releaseContent(username, version, (err) => {
+                if (err) return callback(err);
+                db.deleteFileVersion(version.id, (err) => {
+                    if (err) return callback(err);
+                    next();
+                });
+            });
+        };
+        next();
+    });
+}
+
+// Download file (from the folder given by ?path= in the space given by ?space=)
+app.get('/download/:filename', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (folder === null) return res.status(400).send('Invalid path');
+    checkName(req.params.filename, describeRequester(req));
+    
+    db.getFileByName(req.space.id, folder, req.params.filename, (err, record) => {
+        if (err || !record || !roleAllows(fileRole(req.space, record), 'viewer')) {
+            audit(req, 'file.download', {
+                target: fileTarget(req.space.username, { folder, original_name: req.params.filename }),
+                result: 'failure',
+                details: { error: 'not found' }
+            });
+            return res.status(404).send('File not found');
+        }
+        sendFileRecord(req, res, record, req.space.username);
+    });
+});
+
+// Download file by id (own files and those shared with the user)
+app.get('/download/id/:id', requireAuth, (req, res) => {
+    loadFileAccess(req, req.params.id, (err, record, space, role) => {
+        if (err || !roleAllows(role, 'viewer')) {
+            audit(req, 'file.download', { result: 'failure', details: { file_id: req.params.id, error: 'not found' } });
+            return res.status(404).send('File not found');
+        }
+        sendFileRecord(req, res, record, space.username);
+    });
+});
+
+// Move a file the user may change to its space's trash (audited)
+function deleteToTrash(req, res, record, space) {
+    trashFileRecord(record, false, (err) => {
+        const target = fileTarget(space.username, record);
+        if (err) {
+            audit(req, 'file.delete', { target, result: 'failure', details: { file_id: record.id, error: err.message } });
+            return res.status(500).json({ error: 'Failed to delete file' });
+        }
+        audit(req, 'file.delete', { target, details: { file_id: record.id, size: record.size } });
+        res.json({ success: true });
+    });
+}
+
+// Delete file (from the folder given by ?path= in the space given by
+// ?space=); it goes to the trash
+app.delete('/api/files/:filename', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (folder === null) return res.status(400).json({ error: 'Invalid path' });
+    checkName(req.params.filename, describeRequester(req));
+    
+    db.getFileByName(req.space.id, folder, req.params.filename, (err, record) => {
+        if (err || !record) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (refuseAccess(res, fileRole(req.space, record), 'contributor', 'File')) return;
+        deleteToTrash(req, res, record, req.space);
+    });
+});
+
+// Delete file by id (to the trash of the space it is in)
+app.delete('/api/files/id/:id', requireAuth, (req, res) => {
+    loadFileAccess(req, req.params.id, (err, record, space, role) => {
+        if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+        if (refuseAccess(res, role, 'contributor', 'File')) return;
+        deleteToTrash(req, res, record, space);
+    });
+});
+
+// ========== FOLDERS ==========
+// Folders exist only in the catalog (files.folder plus the folders table);
+// stored files stay flat in the user's directory.
+
+// Every folder of a user with its size and file count (see folderTotals)
+function loadFolderTotals(userId, callback) {
+    db.getFolderPaths(userId, (err, paths) => {
+        if (err) return callback(err);
+        
+        db.getFolderSizes(userId, (err, sizes) => {
+            if (err) return callback(err);
+            callback(null, folderTotals(paths, sizes));
+        });
+    });
+}
+
+// Shape a folder for API responses
+function formatFolder(total) {
+    return {
+        name: total.path.split('/').pop(),
+        path: total.path,
+        size: total.size,
+        sizeFormatted: formatFileSize(total.size),
+        file_count: total.file_count
+    };
+}
+
+// Subfolders of a folder plus breadcrumbs from the root (?path=, default
+// root; ?space= for a group's or another user's folders)
+app.get('/api/folders', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (folder === null) return res.status(400).json({ error: 'Invalid path' });
+    
+    loadFolderTotals(req.space.id, (err, totals) => {
+        if (err) return res.status(500).json({ error: 'Failed to read folders' });
+        if (!totals.has(folder) || !roleAllows(folderRole(req.space, folder), 'viewer')) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        
+        const subfolders = Array.from(totals.values())
+            .filter(total => total.path !== '' && parentFolder(total.path) === folder)
+            .sort((a, b) => a.path.localeCompare(b.path));
+        
+        res.json(Object.assign(formatFolder(totals.get(folder)), {
+            role: folderRole(req.space, folder),
+            breadcrumbs: [{ name: 'Home', path: '' }].concat(folderLineage(folder).map(folderPath => ({
+                name: folderPath.split('/').pop(),
+                path: folderPath
+            }))),
+            folders: subfolders.map(formatFolder)
+        }));
+    });
+});
+
+// Create a folder (and any missing parents)
+app.post('/api/folders', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (!folder) return res.status(400).json({ error: 'A valid folder path is required' });
+    if (refuseAccess(res, folderRole(req.space, folder), 'contributor', 'Folder')) return;
+    
+    loadFolderTotals(req.space.id, (err, totals) => {
+        if (err) return res.status(500).json({ error: 'Failed to read folders' });
+        if (totals.has(folder)) return res.status(409).json({ error: 'Folder already exists' });
+        
+        db.createFolder(req.space.id, folder, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to create folder' });
+            publishFolderEvent(req.space.id, 'folder.created', folder);
+            res.status(201).json({ success: true, path: folder });
+        });
+    });
+});
+
+// Rename or move a folder: { path, new_path }
+app.put('/api/folders', requireAuth, loadSpace, (req, res) => {
+    const from = requestFolder(req);
+    const to = normalizeFolder(req.body.new_path);
+    if (!from || !to) return res.status(400).json({ error: 'Both path and new_path must be valid folder paths' });
+    if (to === from || to.startsWith(from + '/')) {
+        return res.status(400).json({ error: 'A folder cannot be moved into itself' });
+    }
+    if (refuseAccess(res, folderRole(req.space, from), 'contributor', 'Folder')) return;
+    if (!roleAllows(folderRole(req.space, to), 'contributor')) {
+        return res.status(403).json({ error: 'You cannot move folders there' });
+    }
+    
+    loadFolderTotals(req.space.id, (err, totals) => {
+        if (err) return res.status(500).json({ error: 'Failed to read folders' });
+        if (!totals.has(from)) return res.status(404).json({ error: 'Folder not found' });
+        if (totals.has(to)) return res.status(409).json({ error: 'A folder with that path already exists' });
+        
+        db.moveFolder(req.space.id, from, to, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to move folder' });
+            
+            // Keep the new location's parents listed even if they held nothing
+            db.createFolder(req.space.id, to, (err) => {
+                if (err) return res.status(500).json({ error: 'Failed to move folder' });
+                publishFolderEvent(req.space.id, 'folder.moved', to, from);
+                res.json({ success: true, path: to });
+            });
+        });
+    });
+});
+
+// Delete a folder. Folders with content need ?recursive=1 and move their
+// files (and revisions) to the trash.
+app.delete('/api/folders', requireAuth, loadSpace, (req, res) => {
+    const folder = requestFolder(req);
+    if (!folder) return res.status(400).json({ error: 'A valid folder path is required' });
+    if (refuseAccess(res, folderRole(req.space, folder), 'contributor', 'Folder')) return;
+    
+    loadFolderTotals(req.space.id, (err, totals) => {
+        if (err) return res.status(500).json({ error: 'Failed to read folders' });
+        if (!totals.has(folder)) return res.status(404).json({ error: 'Folder not found' });
+        
+        const hasSubfolders = Array.from(totals.keys()).some(folderPath => folderPath.startsWith(folder + '/'));
+        if ((totals.get(folder).file_count > 0 || hasSubfolders) && req.query.recursive !== '1') {
+            return res.status(409).json({ error: 'Folder is not empty. Use ?recursive=1 to delete it with its content' });
+        }
+        
+        deleteFolderTree(req, req.space, folder, (err, deletedCount) => {
+            if (err) return res.status(500).json({ error: 'Failed to delete folder' });
+            res.json({ success: true, deleted_files: deletedCount });
+        });
+    });
+});
+
+// Delete a folder of a space ({ id, username }) with its subfolders, moving
+// the files to the trash (audited). callback(err, deletedCount)
+function deleteFolderTree(req, space, folder, callback) {
+    const target = `${space.username}/${folder}`;
+    db.getFilesInTree(space.id, folder, (err, records) => {
+        if (err) return callback(err);
+        
+        const deletedCount = records.length;
+        const next = () => {
+            const record = records.shift();
+            if (!record) {
+                return db.deleteFolders(space.id, folder, (err) => {
+                    if (err) return callback(err);
+                    publishFolderEvent(space.id, 'folder.deleted', folder);
+                    audit(req, 'folder.delete', { target, details: { deleted_files: deletedCount } });
+                    callback(null, deletedCount);
+                });
+            }
+            trashFileRecord(record, false, (err) => {
+                if (err) {
+                    audit(req, 'folder.delete', { target, result: 'failure', details: { error: err.message } });
+                    return callback(err);
+                }
+                audit(req, 'file.delete', { target: fileTarget(space.username, record), details: { file_id: record.id, size: record.size, via: 'folder delete' } });
+                next();
+            });
+        };
+        next();
+    });
+}
+
+// Move a file into another folder of its space: { path }
+app.put('/api/files/id/:id', requireAuth, (req, res) => {
+    const folder = normalizeFolder(req.body.path);
+    if (folder === null) return res.status(400).json({ error: 'Invalid path' });
+    
+    loadFileAccess(req, req.params.id, (err, record, space, role) => {
+        if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+        if (refuseAccess(res, role, 'contributor', 'File')) return;
+        if (!roleAllows(folderRole(space, folder), 'contributor')) {
+            return res.status(403).json({ error: 'You cannot move files there' });
+        }
+        
+        db.getFileByName(space.id, folder, record.original_name, (err, existing) => {
+            if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+            if (existing && existing.id !== record.id) {
+                return res.status(409).json({ error: `File already exists: ${record.original_name}` });
+            }
+            
+            db.moveFileToFolder(record.id, folder, (err, moved) => {
+                if (err) return res.status(500).json({ error: 'Failed to move file' });
+                publishFileEvent('file.moved', moved, { from_folder: record.folder });
+                res.json({ success: true, file: formatFileRecord(moved, space) });
+            });
+        });
+    });
+});
+
+// ========== BULK OPERATIONS ==========
+
+// A list parameter: repeated (ids=a&ids=b), a JSON array or a single value
+function listParam(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// Files (by id) and folders (by path) named by a bulk request, from the
+// query string (GET) or the JSON/form body. Answers 400 and returns null if
+// the selection is empty, too long or names an invalid folder.
+function bulkSelection(req, res) {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const ids = listParam(params.ids);
+    const folders = listParam(params.folders).map(normalizeFolder);
+    
+    if (ids.length + folders.length === 0) {
+        res.status(400).json({ error: 'Nothing selected. Pass file ids and/or folder paths (ids, folders)' });
+        return null;
+    }
+    if (ids.length + folders.length > BULK_MAX_ITEMS) {
+        res.status(400).json({ error: `Too many items. Maximum is ${BULK_MAX_ITEMS} per request` });
+        return null;
+    }
+    if (folders.some(folder => !folder)) {
+        res.status(400).json({ error: 'Invalid folder path' });
+        return null;
+    }
+    return { ids: Array.from(new Set(ids)), folders: Array.from(new Set(folders)) };
+}
+
+function notFoundError(message) {
+    const err = new Error(message);
+    err.status = 404;
+    return err;
+}
+
+// Layout of a selection from a space inside a ZIP archive: selected files at
+// the top level, selected folders under their own name with everything below
+// them. callback(err, { files: [{ name, record }], folders: [name] });
+// err.status is 404 if something is not there (or not visible to the user).
+function zipLayout(space, selection, callback) {
+    const layout = { files: [], folders: [] };
+    const names = new Set();
+    const claim = (name) => {
+        let unique = name;
+        for (let n = 1; names.has(unique); n++) unique = numberedName(name, n);
+        names.add(unique);
+        return unique;
+    };
+    
+    const ids = selection.ids.slice();
+    const folders = selection.folders.slice();
+    
+    const nextFolder = (paths) => {
+        const folder = folders.shift();
+        if (folder === undefined) return callback(null, layout);
+        if (!paths.includes(folder) || !roleAllows(folderRole(space, folder), 'viewer')) {
+            return callback(notFoundError(`Folder not found: ${folder}`));
+        }
+        
+        const base = claim(folder.split('/').pop());
+        layout.folders.push(base);
+        paths.filter(folderPath => folderPath.startsWith(folder + '/')).forEach(folderPath => {
+            layout.folders.push(base + folderPath.slice(folder.length));
+        });
+        
+        db.getFilesInTree(space.id, folder, (err, records) => {
+            if (err) return callback(err);
+            records.forEach(record => {
+                const inner = record.folder.slice(folder.length + 1);
+                layout.files.push({ name: [base, inner, record.original_name].filter(Boolean).join('/'), record });
+            });
+            nextFolder(paths);
+        });
+    };
+    
+    const nextFile = () => {
+        const id = ids.shift();
+        if (id === undefined) {
+            return db.getFolderPaths(space.id, (err, paths) => {
+                if (err) return callback(err);
+                nextFolder(paths);
+            });
+        }
+        db.getFileById(id, (err, record) => {
+            if (err) return callback(err);
+            if (!record || record.user_id !== space.id || !roleAllows(fileRole(space, record), 'viewer')) {
+                return callback(notFoundError(`File not found: ${id}`));
+            }
+            layout.files.push({ name: claim(record.original_name), record });
+            nextFile();
+        });
+    };
+    nextFile();
+}
+
+// Download a selection as one ZIP archive, written while it is sent (no
+// buffering, no temporary file). Each file is audited as a download.
+function sendZipSelection(req, res) {
+    const selection = bulkSelection(req, res);
+    if (!selection) return;
+    
+    zipLayout(req.space, selection, (err, layout) => {
+        if (err) {
+            return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to read file catalog' });
+        }
+        
+        const totalSize = layout.files.reduce((sum, entry) => sum + entry.record.size, 0);
+        if (totalSize > ZIP_MAX_CONTENT_BYTES || layout.files.length + layout.folders.length > ZIP_MAX_ENTRIES) {
+            return res.status(413).json({ 
+                error: `Selection too large for a ZIP download. Maximum is ${formatFileSize(ZIP_MAX_CONTENT_BYTES)} in ${ZIP_MAX_ENTRIES} entries` 
+            });
+        }
+        
+        // Everything must be in storage before the first byte goes out
+        findMissingContent(req.space.username, layout.files, (err, missing) => {
+            if (err) return res.status(500).json({ error: 'Failed to read storage' });
+            if (missing) {
+                audit(req, 'file.download', {
+                    target: fileTarget(req.space.username, missing.record),
+                    result: 'failure',
+                    details: { file_id: missing.record.id, error: 'missing in storage', via: 'zip' }
+                });
+                return res.status(404).json({ error: `File not found: ${missing.name}` });
+            }
+            
+            sendZip(req, res, selection, layout);
+        });
+    });
+}
+
+// Set entry.key for every ZIP entry; callback(err, entry) with the first
+// entry whose content is not in storage, or null
+function findMissingContent(username, entries, callback) {
+    const pending = entries.slice();
+    const next = () => {
+        const entry = pending.shift();
+        if (!entry) return callback(null, null);
+        
+        entry.key = contentKey(username, entry.record);
+        if (!entry.key) return callback(null, entry);
+        storageDriver.stat(entry.key, (err, stats) => {
+            if (err) return callback(err);
+            if (!stats) return callback(null, entry);
+            next();
+        });
+    };
+    next();
+}
+
+// Stream the archive; every entry is read from storage when its turn comes
+function sendZip(req, res, selection, layout) {
+    const archiveName = selection.ids.length === 0 && selection.folders.length === 1 ? `${layout.folders[0]}.zip` : 'files.zip';
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': contentDisposition('attachment', archiveName),
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    
+    const zip = new ZipWriter(res);
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+        zip.abort();
+    });
+    
+    layout.folders.forEach(folder => zip.addDirectory(folder, new Date()));
+    const pending = layout.files.slice();
+    const next = () => {
+        if (closed) return;
+        const entry = pending.shift();
+        if (!entry) return zip.finish();
+        
+        const target = fileTarget(req.space.username, entry.record);
+        const fail = (err) => {
+            console.error('ZIP download failed:', err);
+            audit(req, 'file.download', { target, result: 'failure', details: { file_id: entry.record.id, error: err.message, via: 'zip' } });
+            // Headers are out; breaking the connection is all that is left
+            res.destroy();
+        };
+        
+        storageDriver.get(entry.key, null, (err, stream) => {
+            if (err) return fail(err);
+            if (closed) return stream.destroy();
+            
+            zip.addFile(entry.name, stream, parseDbDate(entry.record.created_at), (err) => {
+                if (err) return fail(err);
+                audit(req, 'file.download', { target, details: { file_id: entry.record.id, size: entry.record.size, via: 'zip' } });
+                next();
+            });
+        });
+    };
+    next();
+}
+
+// Download several files and folders of a space (space, default the user's
+// own) as a ZIP archive: GET /api/files/zip?ids=...&folders=... or POST with
+// the same fields (both only need the "read" scope)
+app.get('/api/files/zip', requireAuth, loadSpace, sendZipSelection);
+app.post('/api/files/zip', tokenScope('read'), requireAuth, loadSpace, sendZipSelection);
+
+// Delete several files and folders of a space (folders with all their
+// content) to the trash: { space, ids, folders }. Every item gets its own
+// result; a failure does not stop the others.
+app.delete('/api/files', requireAuth, loadSpace, (req, res) => {
+    const selection = bulkSelection(req, res);
+    if (!selection) return;
+    
+    const space = req.space;
+    const results = [];
+    let deletedFiles = 0;
+    const ids = selection.ids.slice();
+    const folders = selection.folders.slice();
+    
+    const finish = () => {
+        res.json({
+            success: results.every(result => result.success),
+            deleted_files: deletedFiles,
+            results: results
+        });
+    };
+    
+    const nextFolder = () => {
+        const folder = folders.shift();
+        if (folder === undefined) return finish();
+        
+        db.getFolderPaths(space.id, (err, paths) => {
+            const role = folderRole(space, folder);
+            if (err || !paths.includes(folder) || !roleAllows(role, 'viewer')) {
+                results.push({ folder, success: false, error: err ? 'Failed to read folders' : 'Folder not found' });
+                return nextFolder();
+            }
+            if (!roleAllows(role, 'contributor')) {
+                results.push({ folder, success: false, error: 'You may only view this folder' });
+                return nextFolder();
+            }
+            deleteFolderTree(req, space, folder, (err, count) => {
+                if (err) {
+                    results.push({ folder, success: false, error: 'Failed to delete folder' });
+                    return nextFolder();
+                }
+                deletedFiles += count;
+                results.push({ folder, success: true, deleted_files: count });
+                nextFolder();
+            });
+        });
+    };
+    
+    const nextFile = () => {
+        const id = ids.shift();
+        if (id === undefined) return nextFolder();
+        
+        db.getFileById(id, (err, record) => {
+            const role = record && record.user_id === space.id ? fileRole(space, record) : null;
+            if (err || !roleAllows(role, 'viewer')) {
+                results.push({ id, success: false, error: err ? 'Failed to read file catalog' : 'File not found' });
+                return nextFile();
+            }
+            if (!roleAllows(role, 'contributor')) {
+                results.push({ id, name: record.original_name, success: false, error: 'You may only view this file' });
+                return nextFile();
+            }
+            
+            trashFileRecord(record, false, (err) => {
+                const target = fileTarget(space.username, record);
+                if (err) {
+                    audit(req, 'file.delete', { target, result: 'failure', details: { file_id: record.id, error: err.message, via: 'bulk delete' } });
+                    results.push({ id, name: record.original_name, success: false, error: 'Failed to delete file' });
+                    return nextFile();
+                }
+                audit(req, 'file.delete', { target, details: { file_id: record.id, size: record.size, via: 'bulk delete' } });
+                deletedFiles++;
+                results.push({ id, name: record.original_name, success: true });
+                nextFile();
+            });
+        });
+    };
+    nextFile();
+});
+
+// ========== TRASH ==========
+// Deleted files wait in their owner's trash: the catalog entry moves to the
+// trash table while the stored file and its revisions stay on disk (and in
+// the quota) until the file is restored or purged. A group's trash (?space=)
+// is open to its contributors; purging it takes a manager.
+
+const RESTORE_CONFLICT_POLICIES = ['rename', 'reject'];
+
+// When a deleted file or account is purged, or null if it is kept until
+// purged by hand. deletedAt: timestamp from the database
+function trashPurgeDate(deletedAt) {
+    if (TRASH_RETENTION_DAYS === 0) return null;
+    return new Date(parseDbDate(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Shape a trashed file for API responses
+function formatTrashedFile(item) {
+    return {
+        id: item.id,
+        name: item.original_name,
+        folder: item.folder,
+        size: item.size,
+        sizeFormatted: formatFileSize(item.size),
+        mime: item.mime,
+        modified: parseDbDate(item.created_at),
+        deleted_at: parseDbDate(item.deleted_at),
+        purge_at: trashPurgeDate(item.deleted_at),
+        expired: !!item.expired
+    };
+}
+
+// Files retention removed do not count toward the quota while in the trash,
+// so bringing one back needs room for it and its revisions
+function checkRestoreQuota(spaceId, item, callback) {
+    if (!item.expired) return callback(null);
+    
+    db.getUserById(spaceId, (err, owner) => {
+        if (err || !owner) return callback(err || new Error('User not found'));
+        
+        db.getFileVersions(item.id, (err, versions) => {
+            if (err) return callback(err);
+            
+            loadUploadQuota(owner, (err, quota) => {
+                if (err) return callback(err);
+                const size = versions.reduce((sum, version) => sum + version.size, item.size);
+                callback(quota.used + size > quota.limit ? quotaExceededError(quota) : null);
+            });
+        });
+    });
+}
+
+// Name a trashed file can take back in its folder: its own, or under the
+// 'rename' policy the first free "name (n).ext". callback(err, name) with
+// name null if it is taken and the policy is 'reject'.
+function restoreName(item, policy, callback) {
+    const tryName = (name, n) => {
+        db.getFileByName(item.user_id, item.folder, name, (err, existing) => {
+            if (err) return callback(err);
+            if (!existing) return callback(null, name);
+            if (policy === 'reject') return callback(null, null);
+            tryName(numberedName(item.original_name, n), n + 1);
+        });
+    };
+    tryName(item.original_name, 1);
+}
+
+// Load a file from the trash of req.space into req.trashedFile
+function loadTrashedFile(req, res, next) {
+    db.getTrashedFile(req.params.id, (err, item) => {
+        if (err) return res.status(500).json({ error: 'Failed to read trash' });
+        if (!item || item.user_id !== req.space.id) {
+            return res.status(404).json({ error: 'File not found in trash' });
+        }
+        req.trashedFile = item;
+        next();
+    });
+}
+
+// List the trash, most recently deleted first
+app.get('/api/trash', requireAuth, loadSpace, requireSpaceRole('contributor'), (req, res) => {
+    db.getTrashByUser(req.space.id, (err, items) => {
+        if (err) return res.status(500).json({ error: 'Failed to read trash' });
+        res.json(items.map(formatTrashedFile));
+    });
+});
+
+// Put a file back where it was: { on_conflict: 'rename' (default) | 'reject' }
+// decides what happens if its name has been taken since.
+app.post('/api/trash/:id/restore', requireAuth, loadSpace, requireSpaceRole('contributor'), loadTrashedFile, (req, res, next) => {
+    const item = req.trashedFile;
+    const policy = req.body.on_conflict || 'rename';
+    if (!RESTORE_CONFLICT_POLICIES.includes(policy)) {
+        return res.status(400).json({ error: `on_conflict must be one of: ${RESTORE_CONFLICT_POLICIES.join(', ')}` });
+    }
+    const target = fileTarget(req.space.username, item);
+    
+    checkRestoreQuota(req.space.id, item, (err) => {
+        if (err) {
+            audit(req, 'file.restore', { target, result: 'failure', details: { file_id: item.id, error: err.message } });
+            return next(err);
+        }
+        
+        restoreName(item, policy, (err, name) => {
+            if (err) return res.status(500).json({ error: 'Failed to restore file' });
+            if (!name) {
+                audit(req, 'file.restore', { target, result: 'failure', details: { file_id: item.id, error: 'name conflict' } });
+                return res.status(409).json({ error: `File already exists: ${item.folder ? item.folder + '/' : ''}${item.original_name}` });
+            }
+            
+            db.restoreTrashedFile(item.id, name, (err, record) => {
+                if (err) {
+                    audit(req, 'file.restore', { target, result: 'failure', details: { file_id: item.id, error: err.message } });
+                    return res.status(500).json({ error: 'Failed to restore file' });
+                }
+                previews.enqueue(record);
+                publishFileEvent('file.created', record, { action: 'restored' });
+                audit(req, 'file.restore', {
+                    target: fileTarget(req.space.username, record),
+                    details: Object.assign({ file_id: record.id }, name !== item.original_name ? { renamed_from: item.original_name } : null)
+                });
+                res.json({ success: true, renamed: name !== item.original_name, file: formatFileRecord(record, req.space) });
+            });
+        });
+    });
+});
+
+// Delete a file from the trash for good
+app.delete('/api/trash/:id', requireAuth, loadSpace, requireSpaceRole('manager'), loadTrashedFile, (req, res) => {
+    const item = req.trashedFile;
+    const target = fileTarget(req.space.username, item);
+    
+    purgeTrashedFile(req.space.username, item, (err) => {
+        if (err) {
+            audit(req, 'file.purge', { target, result: 'failure', details: { file_id: item.id, error: err.message } });
+            return res.status(500).json({ error: 'Failed to delete file' });
+        }
+        audit(req, 'file.purge', { target, details: { file_id: item.id, size: item.size } });
+        res.json({ success: true });
+    });
+});
+
+// Empty the trash
+app.delete('/api/trash', requireAuth, loadSpace, requireSpaceRole('manager'), (req, res) => {
+    const space = req.space;
+    db.getTrashByUser(space.id, (err, items) => {
+        if (err) return res.status(500).json({ error: 'Failed to read trash' });
+        
+        let purged = 0;
+        const next = () => {
+            const item = items.shift();
+            if (!item) {
+                audit(req, 'trash.empty', { target: space.username, details: { purged_files: purged } });
+                return res.json({ success: true, purged_files: purged });
+            }
+            purgeTrashedFile(space.username, item, (err) => {
+                if (err) {
+                    audit(req, 'trash.empty', { target: space.username, result: 'failure', details: { purged_files: purged, error: err.message } });
+                    return res.status(500).json({ error: 'Failed to empty trash', purged_files: purged });
+                }
+                purged++;
+                next();
+            });
+        };
+        next();
+    });
+});
+
+// Purge trashed files and deleted accounts older than TRASH_RETENTION_DAYS
+function purgeExpiredTrash() {
+    if (TRASH_RETENTION_DAYS === 0) return;
+    
+    const before = toDbDate(new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    db.getTrashDeletedBefore(before, (err, items) => {
+        if (err) return console.error('Failed to read trash:', err.message);
+        
+        const purged = items.length;
+        const nextFile = () => {
+            const item = items.shift();
+            if (!item) {
+                if (purged > 0) console.log(`Purged ${purged} files deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+                return db.getUsersDeletedBefore(before, (err, users) => {
+                    if (err) return console.error('Failed to read deleted users:', err.message);
+                    nextUser(users);
+                });
+            }
+            purgeTrashedFile(item.username, item, (err) => {
+                if (err) console.error(`Failed to purge ${fileTarget(item.username, item)}:`, err.message);
+                nextFile();
+            });
+        };
+        const nextUser = (users) => {
+            const user = users.shift();
+            if (!user) return;
+            purgeUser(user, 'trash retention', (err) => {
+                if (err) console.error(`Failed to purge deleted user ${user.username}:`, err.message);
+                else console.log(`Purged user ${user.username} (deleted more than ${TRASH_RETENTION_DAYS} days ago)`);
+                nextUser(users);
+            });
+        };
+        nextFile();
+    });
+}
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+// ========== RETENTION ==========
+
+// A retention policy for API responses
+function formatRetentionPolicy(policy) {
+    return {
+        id: policy.id,
+        name: policy.name,
+        global: policy.user_id === null,
+        space_id: policy.user_id,
+        pattern: policy.pattern,
+        folder: policy.folder,
+        max_age_days: policy.max_age_days,
+        keep_newest: policy.keep_newest,
+        created_at: parseDbDate(policy.created_at)
+    };
+}
+
+// When the files of a space are due for deletion (see retentionSchedule in
+// lib/retention.js): callback(err, Map of file id -> { at, reason, policy })
+function loadRetentionSchedule(spaceId, callback) {
+    db.getRetentionPolicies(spaceId, (err, policies) => {
+        if (err) return callback(err);
+        
+        db.getFilesByUser(spaceId, (err, records) => {
+            if (err) return callback(err);
+            callback(null, retentionSchedule(records, policies, new Date(), parseDbDate));
+        });
+    });
+}
+
+// File fields saying when retention deletes a file. delete_at is when it is
+// due; the scheduler removes it on its next run after that.
+function retentionFields(due) {
+    return {
+        delete_at: due ? due.at : null,
+        delete_reason: due ? due.reason : null,
+        delete_policy: due && due.policy ? due.policy.name : null
+    };
+}
+
+// Move a file retention no longer keeps to its owner's trash, like any other
+// delete, so a wrong policy can be undone until TRASH_RETENTION_DAYS runs
+// out. Its space is freed at once: expired trash does not count toward the
+// quota. due: its retentionSchedule entry
+function removeRetainedFile(username, record, due, callback) {
+    trashFileRecord(record, true, (err) => {
+        if (err) return callback(err);
+        // Not made by a request: no actor
+        audit({ ip: null }, 'file.expire', {
+            target: fileTarget(username, record),
+            details: { file_id: record.id, size: record.size, reason: due.reason, policy: due.policy ? due.policy.name : undefined }
+        });
+        callback(null);
+    });
+}
+
+// Remove the files of one space that are due. policies: those that apply to
+// it. callback(err, removed)
+function applySpaceRetention(space, policies, now, callback) {
+    db.getFilesByUser(space.id, (err, records) => {
+        if (err) return callback(err);
+        
+        const schedule = retentionSchedule(records, policies, now, parseDbDate);
+        const due = records.filter(record => schedule.has(record.id) && schedule.get(record.id).at <= now);
+        let removed = 0;
+        const next = () => {
+            const record = due.shift();
+            if (!record) return callback(null, removed);
+            removeRetainedFile(space.username, record, schedule.get(record.id), (err) => {
+                if (err) console.error(`Failed to remove ${fileTarget(space.username, record)}:`, err.message);
+                else removed++;
+                next();
+            });
+        };
+        next();
+    });
+}
+
+// Delete expired uploads and the files retention policies no longer keep.
+// Runs at start and every RETENTION_INTERVAL_MINUTES; a run still going
+// when the next is due is left to finish.
+let retentionRunning = false;
+function applyRetention() {
+    if (retentionRunning) return;
+    retentionRunning = true;
+    
+    const now = new Date();
+    const finish = (err, removed) => {
+        retentionRunning = false;
+        if (err) return console.error('Failed to apply retention:', err.message);
+        if (removed > 0) console.log(`Retention removed ${removed} files`);
+    };
+    
+    db.getAllRetentionPolicies((err, policies) => {
+        if (err) return finish(err);
+        
+        db.getSpacesWithExpiredFiles(toDbDate(now), (err, expiredIds) => {
+            if (err) return finish(err);
+            
+            // Global policies concern every space
+            const spaceIds = policies.some(policy => policy.user_id === null)
+                ? null
+                : Array.from(new Set(policies.map(policy => policy.user_id).concat(expiredIds)));
+            if (spaceIds && spaceIds.length === 0) return finish(null, 0);
+            
+            db.getRetentionSpaces(spaceIds, (err, spaces) => {
+                if (err) return finish(err);
+                
+                let removed = 0;
+                const next = () => {
+                    const space = spaces.shift();
+                    if (!space) return finish(null, removed);
+                    const applying = policies.filter(policy => policy.user_id === null || policy.user_id === space.id);
+                    applySpaceRetention(space, applying, now, (err, count) => {
+                        if (err) console.error(`Failed to apply retention to ${space.username}:`, err.message);
+                        else removed += count;
+                        next();
+                    });
+                };
+                next();
+            });
+        });
+    });
+}
+applyRetention();
+setInterval(applyRetention, RETENTION_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// Load policy `id` into req.policy. Global policies are for admins, those
+// of a space for its managers (req.space).
+function loadRetentionPolicy(req, res, id, next) {
+    db.getRetentionPolicyById(parseInt(id), (err, policy) => {
+        if (err) return next(err);
+        if (!policy) return res.status(404).json({ error: 'Retention policy not found' });
+        req.policy = policy;
+        
+        if (policy.user_id === null) return requireAdmin(req, res, next);
+        loadSpaceFor(req, policy.user_id, (err, space) => {
+            if (err) return next(err);
+            if (!space || !roleAllows(space.role, 'viewer')) return res.status(404).json({ error: 'Retention policy not found' });
+            if (refuseAccess(res, space.role, 'manager', 'Space')) return;
+            req.space = space;
+            next();
+        });
+    });
+}
+
+// Load the policy named by :id (see loadRetentionPolicy)
+function loadTargetRetentionPolicy(req, res, next) {
+    loadRetentionPolicy(req, res, req.params.id, next);
+}
+
+// Requests about global policies (body or query `global`) need an admin,
+// the others manager access to the space (loadSpace sets req.space)
+function requireRetentionAccess(req, res, next) {
+    const value = req.query.global !== undefined ? req.query.global : req.body && req.body.global;
+    if (value === true || value === 'true' || value === '1') return requireAdmin(req, res, next);
+    loadSpace(req, res, () => requireSpaceRole('manager')(req, res, next));
+}
+
+// Policies of a space (?space=, default the user's own), including the
+// global ones that apply to it; ?global=1 (admins) lists only the global ones
+app.get('/api/retention-policies', requireAuth, (req, res, next) => {
+    if (req.query.global === undefined) return loadSpace(req, res, next);
+    requireAdmin(req, res, next);
+}, (req, res) => {
+    const send = (err, policies) => {
+        if (err) return res.status(500).json({ error: 'Failed to load retention policies' });
+        res.json(policies.map(formatRetentionPolicy));
+    };
+    if (req.space) return db.getRetentionPolicies(req.space.id, send);
+    db.getAllRetentionPolicies((err, policies) => send(err, policies && policies.filter(policy => policy.user_id === null)));
+});
+
+// Create a policy: { name, pattern, folder, max_age_days, keep_newest } for
+// the space given by `space`, or for every space with `global: true` (admins).
+// Policies delete files, so tokens need the delete scope to set them.
+app.post('/api/retention-policies', tokenScope('delete'), requireAuth, requireRetentionAccess, (req, res) => {
+    let fields;
+    try {
+        fields = parseRetentionPolicy(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    const spaceId = req.space ? req.space.id : null;
+    db.createRetentionPolicy(Object.assign({ user_id: spaceId, created_by: req.session.userId }, fields), (err, policy) => {
+        if (err) return res.status(500).json({ error: 'Failed to create retention policy' });
+        audit(req, 'retention.create', {
+            target: spaceId === null ? policy.name : `${req.space.username}/${policy.name}`,
+            details: Object.assign({ policy_id: policy.id, global: spaceId === null }, fields)
+        });
+        res.status(201).json({ success: true, policy: formatRetentionPolicy(policy) });
+    });
+});
+
+// Preview what a policy would delete now, without deleting anything: { id }
+// of a saved policy, or a policy as for POST /api/retention-policies. A
+// global policy is tried on every space. Own expiry dates are left out.
+app.post('/api/retention-policies/preview', requireAuth, (req, res, next) => {
+    if (req.body.id === undefined) return requireRetentionAccess(req, res, next);
+    loadRetentionPolicy(req, res, req.body.id, next);
+}, (req, res, next) => {
+    let policy = req.policy;
+    if (!policy) {
+        try {
+            policy = parseRetentionPolicy(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+    }
+    
+    const loadSpaces = (cb) => req.space ? cb(null, [{ id: req.space.id, username: req.space.username }]) : db.getRetentionSpaces(null, cb);
+    loadSpaces((err, spaces) => {
+        if (err) return next(err);
+        
+        const now = new Date();
+        const files = [];
+        const nextSpace = () => {
+            const space = spaces.shift();
+            if (!space) {
+                return res.json({
+                    policy: policy.id ? formatRetentionPolicy(policy) : policy,
+                    files: files,
+                    file_count: files.length,
+                    total_bytes: files.reduce((sum, file) => sum + file.size, 0)
+                });
+            }
+            db.getFilesByUser(space.id, (err, records) => {
+                if (err) return next(err);
+                dueUnderPolicy(policy, records, now, parseDbDate).forEach(item => {
+                    files.push({
+                        id: item.record.id,
+                        name: item.record.original_name,
+                        folder: item.record.folder,
+                        size: item.record.size,
+                        space_id: space.id,
+                        owner: space.username,
+                        created_at: parseDbDate(item.record.created_at),
+                        reason: item.reason
+                    });
+                });
+                nextSpace();
+            });
+        };
+        nextSpace();
+    });
+});
+
+// Change a policy: the fields of POST /api/retention-policies (it stays
+// global or in its space; tokens need the delete scope, as for creating one)
+app.put('/api/retention-policies/:id', tokenScope('delete'), requireAuth, loadTargetRetentionPolicy, (req, res) => {
+    const policy = req.policy;
+    let fields;
+    try {
+        fields = parseRetentionPolicy(Object.assign({}, policy, req.body));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    db.updateRetentionPolicy(policy.id, fields, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to update retention policy' });
+        audit(req, 'retention.update', {
+            target: req.space ? `${req.space.username}/${fields.name}` : fields.name,
+            details: Object.assign({ policy_id: policy.id, global: !req.space }, fields)
+        });
+        res.json({ success: true, policy: formatRetentionPolicy(Object.assign({}, policy, fields)) });
+    });
+});
+
+app.delete('/api/retention-policies/:id', requireAuth, loadTargetRetentionPolicy, (req, res) => {
+    const policy = req.policy;
+    db.deleteRetentionPolicy(policy.id, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to delete retention policy' });
+        audit(req, 'retention.delete', {
+            target: req.space ? `${req.space.username}/${policy.name}` : policy.name,
+            details: { policy_id: policy.id, global: !req.space }
+        });
+        res.json({ success: true });
+    });
+});
+
+// ========== FILE VERSIONS ==========
+
+// Shape a revision for API responses
+function formatVersion(record, version) {
+    return {
+        version: version.version,
+        size: version.size,
+        sizeFormatted: formatFileSize(version.size),
+        mime: version.mime,
+        sha256: version.sha256,
+        modified: parseDbDate(version.created_at),
+        url: `/api/files/${encodeURIComponent(record.original_name)}/versions/${version.version}`
+    };
+}
+
+// Look up the file named in the route along with the requested revision
+function loadFileVersion(req, res, callback) {
+    const versionNumber = parseInt(req.params.version);
+    
+    loadNamedFile(req, res, (record) => {
+        db.getFileVersion(record.id, versionNumber, (err, version) => {
+            if (err || !version) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            callback(record, version);
+        });
+    });
+}
+
+// Look up the file named in the route in the folder given by ?path= (in
+// req.space when the route loads one, otherwise the user's own files)
+function loadNamedFile(req, res, callback) {
+    const folder = requestFolder(req);
+    if (folder === null) return res.status(400).json({ error: 'Invalid path' });
+    try {
+        checkName(req.params.name, describeRequester(req));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    const space = req.space || { id: req.session.userId, role: 'owner', shares: [] };
+    db.getFileByName(space.id, folder, req.params.name, (err, record) => {
+        if (err || !record || !roleAllows(fileRole(space, record), 'viewer')) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        callback(record);
+    });
+}
+
+// List revisions of a file (newest first)
+app.get('/api/files/:name/versions', requireAuth, (req, res) => {
+    loadNamedFile(req, res, (record) => {
+        db.getFileVersions(record.id, (err, versions) => {
+            if (err) return res.status(500).json({ error: 'Failed to read file versions' });
+            
+            res.json({
+                file: formatFileRecord(record),
+                current_version: versions.length > 0 ? versions[0].version + 1 : 1,
+                versions: versions.map(version => formatVersion(record, version))
+            });
+        });
+    });
+});
+
+// Download a revision
+app.get('/api/files/:name/versions/:version', requireAuth, (req, res) => {
+    loadFileVersion(req, res, (record, version) => {
+        const key = contentKey(req.session.username, version);
+        if (!key) return res.status(404).json({ error: 'File not found' });
+        sendStoredFile(req, res, key, record.original_name, version.sha256);
+    });
+});
+
+// Restore a revision. The current content is kept as the newest revision.
+app.post('/api/files/:name/versions/:version/restore', requireAuth, (req, res) => {
+    loadFileVersion(req, res, (record, version) => {
+        db.archiveFileVersion(record, crypto.randomUUID(), (err, archived) => {
+            if (err) return res.status(500).json({ error: 'Failed to archive current version' });
+            
+            db.updateFileContent(record.id, version, (err, restored) => {
+                if (err) return res.status(500).json({ error: 'Failed to restore version' });
+                
+                db.deleteFileVersion(version.id, (err) => {
+                    if (err) return res.status(500).json({ error: 'Failed to restore version' });
+                    previews.enqueue(restored);
+                    publishFileEvent('file.updated', restored, { action: 'restored_version' });
+                    res.json({
+                        success: true,
+                        restored_version: version.version,
+                        archived_version: archived.version,
+                        file: formatFileRecord(restored)
+                    });
+                });
+            });
+        });
+    });
+});
+
+// ========== PREVIEWS ==========
+
+// Thumbnails and snippets are built in the background after uploads
+const previews = new PreviewQueue({
+    db: db,
+    derivedDir: DERIVED_DIR,
+    storage: storageDriver,
+    imageCommand: process.env.THUMBNAIL_IMAGE_COMMAND,
+    pdfCommand: process.env.THUMBNAIL_PDF_COMMAND,
+    timeoutMs: PREVIEW_TIMEOUT_SECONDS * 1000,
+    maxAttempts: PREVIEW_MAX_ATTEMPTS,
+    resolveSource: (fileId, cb) => {
+        db.getFileById(fileId, (err, record) => {
+            if (err || !record) return cb(err || null, null);
+            db.getUserById(record.user_id, (err, owner) => {
+                if (err || !owner) return cb(err || null, null);
+                const key = contentKey(owner.username, record);
+                cb(null, key ? { record, key } : null);
+            });
+        });
+    }
+});
+previews.start();
+
+// Thumbnail (PNG) or text snippet of a file. 202 while it is being made;
+// files that never had a job (older uploads) are queued on first request.
+app.get('/api/files/:name/thumbnail', requireAuth, loadSpace, (req, res) => {
+    loadNamedFile(req, res, (record) => {
+        const kind = previewKindFor(record.original_name);
+        if (!kind) return res.status(404).json({ error: 'No preview for this file type' });
+        
+        const queueAgain = () => {
+            previews.enqueue(record, (err) => {
+                if (err) return res.status(500).json({ error: 'Failed to queue preview' });
+                res.status(202).json({ status: 'pending' });
+            });
+        };
+        
+        db.getPreview(record.id, (err, job) => {
+            if (err) return res.status(500).json({ error: 'Failed to load preview' });
+            if (!job || job.sha256 !== record.sha256) return queueAgain();
+            if (job.status === 'failed') {
+                return res.status(404).json({ error: 'No preview could be made for this file', status: 'failed' });
+            }
+            if (job.status !== 'done') return res.status(202).json({ status: job.status });
+            
+            res.set({
+                'Cache-Control': 'private, no-cache',
+                'Content-Type': kind === 'text' ? 'text/plain; charset=utf-8' : 'image/png',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.sendFile(path.resolve(previews.assetPath(record.id, kind)), (err) => {
+                // The asset was removed from disk; build it again
+                if (err && !res.headersSent) queueAgain();
+            });
+        });
+    });
+});
+
+// ========== SHARE LINKS ==========
+
+// Convert a Date to SQLite's UTC timestamp format
+function toDbDate(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Why a share link can no longer be used, or null if it is active
+function shareLinkState(link) {
+    if (link.expires_at && parseDbDate(link.expires_at) <= new Date()) return 'expired';
+    if (link.max_downloads && link.download_count >= link.max_downloads) return 'exhausted';
+    return 'active';
+}
+
+// Shape a share link for API responses
+function formatShareLink(link) {
+    return {
+        id: link.id,
+        token: link.token,
+        url: `/s/${link.token}`,
+        file_id: link.file_id,
+        file_name: link.original_name,
+        password_protected: !!link.password_protected,
+        expires_at: link.expires_at ? parseDbDate(link.expires_at) : null,
+        max_downloads: link.max_downloads,
+        download_count: link.download_count,
+        last_download_at: link.last_download_at ? parseDbDate(link.last_download_at) : null,
+        created_at: parseDbDate(link.created_at),
+        status: shareLinkState(link)
+    };
+}
+
+// List current user's share links (active only unless ?all=1)
+app.get('/api/shares', requireAuth, (req, res) => {
+    db.getShareLinksByUser(req.session.userId, (err, links) => {
+        if (err) return res.status(500).json({ error: 'Failed to load share links' });
+        
+        const formatted = links.map(formatShareLink);
+        res.json(req.query.all === '1' ? formatted : formatted.filter(link => link.status === 'active'));
+    });
+});
+
+// Create a share link for one of the current user's files
+app.post('/api/shares', requireAuth, (req, res) => {
+    const { file_id, password, expires_at, expires_in_days, max_downloads } = req.body;
+    
+    let expiresAt = null;
+    if (expires_at || expires_in_days) {
+        expiresAt = expires_at
+            ? new Date(expires_at)
+            : new Date(Date.now() + parseFloat(expires_in_days) * 24 * 60 * 60 * 1000);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return res.status(400).json({ error: 'Expiry must be a date in the future' });
+        }
+    }
+    
+    const maxDownloads = max_downloads ? parseInt(max_downloads) : null;
+    if (max_downloads && !(maxDownloads >= 1)) {
+        return res.status(400).json({ error: 'Download limit must be at least 1' });
+    }
+    
+    db.getFileById(file_id, (err, record) => {
+        if (err || !record || record.user_id !== req.session.userId) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        
+        db.createShareLink({
+            token: crypto.randomBytes(24).toString('base64url'),
+            file_id: record.id,
+            user_id: req.session.userId,
+            password: password || null,
+            expires_at: expiresAt ? toDbDate(expiresAt) : null,
+            max_downloads: maxDownloads
+        }, (err, link) => {
+            if (err) return res.status(500).json({ error: 'Failed to create share link' });
+            
+            link.original_name = record.original_name;
+            link.password_protected = !!link.password_hash;
+            res.json({ success: true, share: formatShareLink(link) });
+        });
+    });
+});
+
+// Revoke a share link
+app.delete('/api/shares/:id', requireAuth, (req, res) => {
+    db.deleteShareLink(parseInt(req.params.id), req.session.userId, (err, deleted) => {
+        if (err) return res.status(500).json({ error: 'Failed to revoke share link' });
+        if (!deleted) return res.status(404).json({ error: 'Share link not found' });
+        res.json({ success: true });
+    });
+});
+
+// Look up a public share link and reject unusable ones
+function loadShareLink(req, res, callback) {
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    
+    db.getShareLinkByToken(req.params.token, (err, link) => {
+        if (err || !link) {
+            return res.status(404).send('Link not found');
+        }
+        
+        const state = shareLinkState(link);
+        if (state === 'expired') return res.status(410).send('This link has expired');
+        if (state === 'exhausted') return res.status(410).send('This link has reached its download limit');
+        
+        callback(link);
+    });
+}
+
+// Count the download and send the shared file (HEAD requests and resumed
+// transfers are not counted)
+function sendSharedFile(req, res, link) {
+    // The file as a catalog record: link.id is the link's own id
+    const record = Object.assign({}, link, { id: link.file_id });
+    if (!startsTransfer(req)) {
+        return sendFileRecord(req, res, record, link.username, { share_link_id: link.id });
+    }
+    
+    db.recordShareDownload(link.id, (err, counted) => {
+        if (err) return res.status(500).send('Download failed');
+        if (!counted) return res.status(410).send('This link has reached its download limit');
+        sendFileRecord(req, res, record, link.username, { share_link_id: link.id });
+    });
+}
+
+// Public download (no session). Password-protected links show a form.
+app.get('/s/:token', (req, res) => {
+    loadShareLink(req, res, (link) => {
+        if (link.password_hash) {
+            return res.sendFile(path.join(__dirname, 'views', 'share.html'));
+        }
+        sendSharedFile(req, res, link);
+    });
+});
+
+// Wrong share link passwords per client IP, backed off like failed logins
+const sharePasswordThrottle = new IpThrottle();
+setInterval(() => sharePasswordThrottle.sweep(), 10 * 60 * 1000).unref();
+
+// Password form submission for protected links
+app.post('/s/:token', (req, res) => {
+    loadShareLink(req, res, (link) => {
+        const wait = sharePasswordThrottle.retryAfter(req.ip);
+        if (wait > 0) {
+            const seconds = Math.ceil(wait / 1000);
+            res.set('Retry-After', String(seconds));
+            return res.status(429).send(`Too many wrong passwords. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`);
+        }
+        
+        db.verifySharePassword(link, req.body.password, (err, match) => {
+            if (err || !match) {
+                if (!err) sharePasswordThrottle.recordFailure(req.ip);
+                return res.redirect(303, `/s/${encodeURIComponent(req.params.token)}?error=1`);
+            }
+            sharePasswordThrottle.recordSuccess(req.ip);
+            sendSharedFile(req, res, link);
+        });
+    });
+});
+
+// ========== GROUPS AND SHARING ==========
+// A space is the storage of one account: a user's own, or a group's (a users
+// row with role 'group' that nobody signs in to). Group members have the role
+// of their membership everywhere in the group's space; single files and
+// folders can also be shared with individual users.
+
+const GROUP_ROLE = 'group';
+const GROUP_MEMBER_ROLES = ['viewer', 'contributor', 'manager'];
+const SHARE_ROLES = ['viewer', 'contributor'];
+// Each role may do what the ones before it may: viewers list and download,
+// contributors also upload, move and delete, managers also manage members
+// and shares. 'owner' is the space's own account.
+const ACCESS_ROLES = ['viewer', 'contributor', 'manager', 'owner'];
+
+function roleAllows(role, needed) {
+    return ACCESS_ROLES.indexOf(role) >= ACCESS_ROLES.indexOf(needed);
+}
+
+function higherRole(role, other) {
+    return ACCESS_ROLES.indexOf(other) > ACCESS_ROLES.indexOf(role) ? other : role;
+}
+
+// The user's role for a folder of a space: their role in the whole space, or
+// the best share of the folder or a folder above it (null: no access)
+function folderRole(space, folder) {
+    return space.shares.reduce((role, share) => {
+        const covers = share.folder !== null && (folder === share.folder || folder.startsWith(share.folder + '/'));
+        return covers ? higherRole(role, share.role) : role;
+    }, space.role);
+}
+
+// Likewise for a catalogued file, which may also be shared on its own
+function fileRole(space, record) {
+    return space.shares.reduce((role, share) => {
+        return share.file_id === record.id ? higherRole(role, share.role) : role;
+    }, folderRole(space, record.folder));
+}
+
+// Answer a request the user's role does not allow: 404 when they cannot see
+// the item at all, 403 when they can. Returns true if refused.
+function refuseAccess(res, role, needed, what) {
+    if (roleAllows(role, needed)) return false;
+    if (!roleAllows(role, 'viewer')) {
+        res.status(404).json({ error: `${what} not found` });
+    } else {
+        res.status(403).json({ error: `You need ${needed} access for this` });
+    }
+    return true;
+}
+
+// A space as the signed-in user sees it (see loadUserSpace)
+function loadSpaceFor(req, spaceId, callback) {
+    loadUserSpace({ id: req.session.userId, username: req.session.username }, spaceId, callback);
+}
+
+// A space as a user ({ id, username }) sees it: { id, username, role, group,
+// shares }, where role is their role in the whole space and shares what was
+// shared with them from it. callback(err, space), null when the space does
+// not exist or the user has no access to anything in it.
+function loadUserSpace(user, spaceId, callback) {
+    if (spaceId === user.id) {
+        return callback(null, { id: spaceId, username: user.username, role: 'owner', group: null, shares: [] });
+    }
+    
+    db.getUserById(spaceId, (err, owner) => {
+        if (err || !owner || owner.deleted_at) return callback(err || null, null);
+        
+        db.getGroupBySpace(spaceId, (err, group) => {
+            if (err) return callback(err);
+            
+            db.getSpaceRole(user.id, spaceId, (err, role) => {
+                if (err) return callback(err);
+                
+                db.getUserSharesBetween(spaceId, user.id, (err, shares) => {
+                    if (err) return callback(err);
+                    if (!role && shares.length === 0) return callback(null, null);
+                    callback(null, { id: spaceId, username: owner.username, role: role, group: group || null, shares: shares });
+                });
+            });
+        });
+    });
+}
+
+// Route middleware: the space named by the `space` parameter (query string
+// or body; default the user's own) as req.space. 404 for spaces the user
+// cannot see into.
+function loadSpace(req, res, next) {
+    const value = req.query.space !== undefined ? req.query.space : (req.body && req.body.space);
+    const spaceId = value === undefined || value === '' ? req.session.userId : parseInt(value);
+    
+    loadSpaceFor(req, spaceId, (err, space) => {
+        if (err) return next(err);
+        if (!space) return res.status(404).json({ error: 'Space not found' });
+        req.space = space;
+        next();
+    });
+}
+
+// Route middleware after loadSpace: the user needs `needed` in the whole space
+function requireSpaceRole(needed) {
+    return (req, res, next) => {
+        if (!refuseAccess(res, req.space.role, needed, 'Space')) next();
+    };
+}
+
+// A catalogued file with the space it is in and the user's role for it.
+// callback(err, record, space, role); role is null when they may not see it.
+function loadFileAccess(req, id, callback) {
+    db.getFileById(id, (err, record) => {
+        if (err || !record) return callback(err || null, null, null, null);
+        
+        loadSpaceFor(req, record.user_id, (err, space) => {
+            if (err || !space) return callback(err || null, record, null, null);
+            callback(null, record, space, fileRole(space, record));
+        });
+    });
+}
+
+// An account that can be made a member or be shared with
+function loadGrantee(username, callback) {
+    db.getUserByUsername(String(username || ''), (err, user) => {
+        if (err) return callback(err);
+        callback(null, user && !user.deleted_at && user.role !== GROUP_ROLE ? user : null);
+    });
+}
+
+// Shape a group for API responses (role: the user's own, if a member)
+function formatGroup(group, role) {
+    return {
+        id: group.id,
+        name: group.name,
+        space_id: group.space_user_id,
+        role: role || null,
+        member_count: group.member_count,
+        storage_quota_mb: group.storage_quota_mb,
+        storage_used_bytes: group.storage_used_bytes,
+        storage_used_formatted: formatFileSize(group.storage_used_bytes || 0),
+        created_at: parseDbDate(group.created_at)
+    };
+}
+
+// Set storage_used_bytes on every group
+function addGroupUsage(groups, callback) {
+    const pending = groups.slice();
+    const next = () => {
+        const group = pending.shift();
+        if (!group) return callback(null, groups);
+        db.getUserStorageUsage(group.space_user_id, (err, used) => {
+            if (err) return callback(err);
+            group.storage_used_bytes = used;
+            next();
+        });
+    };
+    next();
+}
+
+// Why a group name cannot be used, or null
+function groupNameProblem(name) {
+    if (typeof name !== 'string' || name.trim() === '') return 'A group name is required';
+    if (name.trim().length > 100) return 'Group names may be at most 100 characters';
+    return null;
+}
+
+// Load the group named by :id into req.group and the user's role in it into
+// req.groupRole. Groups the user is not in are hidden (404) from non-admins.
+function loadGroup(req, res, next) {
+    db.getGroupById(parseInt(req.params.id), (err, group) => {
+        if (err) return res.status(500).json({ error: 'Failed to load group' });
+        if (!group) return res.status(404).json({ error: 'Group not found' });
+        
+        db.getSpaceRole(req.session.userId, group.space_user_id, (err, role) => {
+            if (err) return res.status(500).json({ error: 'Failed to load group' });
+            if (!role && !actsAsAdmin(req)) return res.status(404).json({ error: 'Group not found' });
+            
+            req.group = group;
+            req.groupRole = role;
+            next();
+        });
+    });
+}
+
+// Members are managed by the group's managers and by admins
+function requireGroupManager(req, res, next) {
+    if (req.groupRole === 'manager' || actsAsAdmin(req)) return next();
+    res.status(403).json({ error: 'Only group managers can do this' });
+}
+
+// Groups: all of them for admins, otherwise the user's own (with their role)
+app.get('/api/groups', requireAuth, (req, res) => {
+    db.getGroupsForUser(req.session.userId, (err, memberships) => {
+        if (err) return res.status(500).json({ error: 'Failed to load groups' });
+        
+        const roles = new Map(memberships.map(group => [group.id, group.role]));
+        const loadGroups = actsAsAdmin(req) ? (cb) => db.getAllGroups(cb) : (cb) => cb(null, memberships);
+        loadGroups((err, groups) => {
+            if (err) return res.status(500).json({ error: 'Failed to load groups' });
+            
+            addGroupUsage(groups, (err) => {
+                if (err) return res.status(500).json({ error: 'Failed to load groups' });
+                res.json(groups.map(group => formatGroup(group, roles.get(group.id))));
+            });
+        });
+    });
+});
+
+// Create a group with its storage space: { name, storage_quota_mb }
+app.post('/api/groups', requireAuth, requireAdmin, (req, res) => {
+    const { name, storage_quota_mb = 100 } = req.body;
+    const problem = groupNameProblem(name);
+    if (problem) return res.status(400).json({ error: problem });
+    
+    const quotaMB = parseInt(storage_quota_mb);
+    if (!(quotaMB >= 1)) return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
+    
+    db.createGroup(name.trim(), quotaMB, req.session.userId, (err, group) => {
+        if (err && /UNIQUE/.test(err.message)) return res.status(409).json({ error: 'A group with that name already exists' });
+        if (err) {
+            audit(req, 'group.create', { target: name.trim(), result: 'failure', details: { error: err.message } });
+            return res.status(500).json({ error: 'Failed to create group' });
+        }
+        
+        audit(req, 'group.create', { target: group.name, details: { group_id: group.id, storage_quota_mb: quotaMB } });
+        group.storage_used_bytes = 0;
+        res.status(201).json({ success: true, group: formatGroup(group, null) });
+    });
+});
+
+// Rename a group and/or change its quota: { name, storage_quota_mb }
+app.put('/api/groups/:id', requireAuth, requireAdmin, loadGroup, (req, res) => {
+    const group = req.group;
+    const { name, storage_quota_mb } = req.body;
+    
+    if (name !== undefined) {
+        const problem = groupNameProblem(name);
+        if (problem) return res.status(400).json({ error: problem });
+    }
+    const quotaMB = storage_quota_mb !== undefined ? parseInt(storage_quota_mb) : group.storage_quota_mb;
+    if (!(quotaMB >= 1)) return res.status(400).json({ error: 'Valid quota required (min 1MB)' });
+    
+    const newName = name !== undefined ? name.trim() : group.name;
+    db.renameGroup(group.id, newName, (err) => {
+        if (err && /UNIQUE/.test(err.message)) return res.status(409).json({ error: 'A group with that name already exists' });
+        if (err) return res.status(500).json({ error: 'Failed to update group' });
+        
+        db.updateUserQuota(group.space_user_id, quotaMB, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to update group' });
+            audit(req, 'group.update', {
+                target: newName,
+                details: { group_id: group.id, from_name: group.name, from_mb: group.storage_quota_mb, to_mb: quotaMB }
+            });
+            publishUsage(group.space_user_id);
+            res.json({ success: true });
+        });
+    });
+});
+
+// Delete a group together with everything in its space (no trash: the
+// space's files go with it)
+app.delete('/api/groups/:id', requireAuth, requireAdmin, loadGroup, (req, res) => {
+    const group = req.group;
+    const space = { id: group.space_user_id, username: group.space_username };
+    
+    purgeUser(space, describeRequester(req), (err, removedFiles) => {
+        if (err) {
+            audit(req, 'group.delete', { target: group.name, result: 'failure', details: { group_id: group.id, error: err.message } });
+            return res.status(500).json({ error: 'Failed to delete group' });
+        }
+        
+        db.deleteGroup(group, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to delete group' });
+            audit(req, 'group.delete', { target: group.name, details: { group_id: group.id, files_removed: removedFiles } });
+            res.json({ success: true });
+        });
+    });
+});
+
+// Members of a group (for its members and admins)
+app.get('/api/groups/:id/members', requireAuth, loadGroup, (req, res) => {
+    db.getGroupMembers(req.group.id, (err, members) => {
+        if (err) return res.status(500).json({ error: 'Failed to load members' });
+        res.json(members.map(member => ({
+            user_id: member.user_id,
+            username: member.username,
+            role: member.role,
+            added_at: parseDbDate(member.added_at)
+        })));
+    });
+});
+
+// Add a member or change their role: { username, role }
+app.post('/api/groups/:id/members', requireAuth, loadGroup, requireGroupManager, (req, res) => {
+    const group = req.group;
+    const { username, role } = req.body;
+    if (!GROUP_MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Use one of: ${GROUP_MEMBER_ROLES.join(', ')}` });
+    }
+    
+    loadGrantee(username, (err, user) => {
+        if (err) return res.status(500).json({ error: 'Failed to update members' });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        db.setGroupMember(group.id, user.id, role, (err) => {
+            if (err) {
+                audit(req, 'group.member_set', { target: group.name, result: 'failure', details: { username: user.username, role, error: err.message } });
+                return res.status(500).json({ error: 'Failed to update members' });
+            }
+            audit(req, 'group.member_set', { target: group.name, details: { group_id: group.id, username: user.username, role } });
+            refreshLiveSpaces(user.id);
+            res.json({ success: true, member: { user_id: user.id, username: user.username, role } });
+        });
+    });
+});
+
+// Remove a member (members may also leave on their own)
+app.delete('/api/groups/:id/members/:userId', requireAuth, loadGroup, (req, res, next) => {
+    if (parseInt(req.params.userId) === req.session.userId) return next();
+    requireGroupManager(req, res, next);
+}, (req, res) => {
+    const group = req.group;
+    const userId = parseInt(req.params.userId);
+    
+    db.removeGroupMember(group.id, userId, (err, removed) => {
+        if (err) return res.status(500).json({ error: 'Failed to update members' });
+        if (!removed) return res.status(404).json({ error: 'Member not found' });
+        audit(req, 'group.member_remove', { target: group.name, details: { group_id: group.id, user_id: userId } });
+        refreshLiveSpaces(userId);
+        res.json({ success: true });
+    });
+});
+
+// Shape a file or folder share for API responses
+function formatUserShare(share) {
+    return {
+        id: share.id,
+        space_id: share.owner_id,
+        owner: share.owner_role === GROUP_ROLE ? null : share.owner_username,
+        group: share.group_name || null,
+        type: share.file_id ? 'file' : 'folder',
+        file_id: share.file_id,
+        name: share.file_id ? share.original_name : share.folder.split('/').pop(),
+        path: share.file_id ? share.file_folder : share.folder,
+        username: share.grantee_username,
+        role: share.role,
+        created_at: parseDbDate(share.created_at)
+    };
+}
+
+// Files and folders shared from a space (?space=, default the user's own;
+// group spaces need a manager)
+app.get('/api/user-shares', requireAuth, loadSpace, requireSpaceRole('manager'), (req, res) => {
+    db.getUserSharesByOwner(req.space.id, (err, shares) => {
+        if (err) return res.status(500).json({ error: 'Failed to load shares' });
+        res.json(shares.map(formatUserShare));
+    });
+});
+
+// Share a file or a folder of a space with another user:
+// { space, file_id or path, username, role (viewer or contributor) }.
+// Sharing it with them again changes the role.
+app.post('/api/user-shares', requireAuth, loadSpace, requireSpaceRole('manager'), (req, res) => {
+    const space = req.space;
+    
+    const role = req.body.role || 'viewer';
+    if (!SHARE_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Use one of: ${SHARE_ROLES.join(', ')}` });
+    }
+    
+    // callback(item) with { file_id } or { folder } once it is known to exist
+    const loadItem = (callback) => {
+        if (req.body.file_id) {
+            return db.getFileById(String(req.body.file_id), (err, record) => {
+                if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+                if (!record || record.user_id !== space.id) return res.status(404).json({ error: 'File not found' });
+                callback({ file_id: record.id, target: fileTarget(space.username, record) });
+            });
+        }
+        
+        const folder = requestFolder(req);
+        if (!folder) return res.status(400).json({ error: 'Pass a file_id or the path of a folder' });
+        loadFolderTotals(space.id, (err, totals) => {
+            if (err) return res.status(500).json({ error: 'Failed to read folders' });
+            if (!totals.has(folder)) return res.status(404).json({ error: 'Folder not found' });
+            callback({ folder: folder, target: `${space.username}/${folder}` });
+        });
+    };
+    
+    loadItem((item) => {
+        loadGrantee(req.body.username, (err, grantee) => {
+            if (err) return res.status(500).json({ error: 'Failed to share' });
+            if (!grantee) return res.status(404).json({ error: 'User not found' });
+            if (grantee.id === space.id || grantee.id === req.session.userId) {
+                return res.status(400).json({ error: 'Pick someone else to share with' });
+            }
+            
+            db.createUserShare({
+                owner_id: space.id,
+                file_id: item.file_id,
+                folder: item.folder,
+                grantee_id: grantee.id,
+                role: role,
+                created_by: req.session.userId
+            }, (err, share) => {
+                if (err) {
+                    audit(req, 'share.grant', { target: item.target, result: 'failure', details: { username: grantee.username, role, error: err.message } });
+                    return res.status(500).json({ error: 'Failed to share' });
+                }
+                audit(req, 'share.grant', { target: item.target, details: { share_id: share.id, username: grantee.username, role } });
+                refreshLiveSpaces(grantee.id);
+                res.status(201).json({ success: true, share: formatUserShare(share) });
+            });
+        });
+    });
+});
+
+// Stop sharing (?space= as above)
+app.delete('/api/user-shares/:id', requireAuth, loadSpace, requireSpaceRole('manager'), (req, res) => {
+    const id = parseInt(req.params.id);
+    db.getUserShareById(id, (err, share) => {
+        if (err) return res.status(500).json({ error: 'Failed to stop sharing' });
+        if (!share || share.owner_id !== req.space.id) return res.status(404).json({ error: 'Share not found' });
+        
+        db.deleteUserShare(id, req.space.id, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to stop sharing' });
+            audit(req, 'share.revoke', { target: req.space.username, details: { share_id: id } });
+            refreshLiveSpaces(share.grantee_id);
+            res.json({ success: true });
+        });
+    });
+});
+
+// Everything the user can reach besides their own files: the groups they
+// are in, and files and folders shared with them (files with their details)
+app.get('/api/shared-with-me', requireAuth, (req, res) => {
+    db.getGroupsForUser(req.session.userId, (err, groups) => {
+        if (err) return res.status(500).json({ error: 'Failed to load groups' });
+        
+        addGroupUsage(groups, (err) => {
+            if (err) return res.status(500).json({ error: 'Failed to load groups' });
+            
+            db.getUserSharesForGrantee(req.session.userId, (err, shares) => {
+                if (err) return res.status(500).json({ error: 'Failed to load shares' });
+                
+                const items = shares.map(formatUserShare);
+                const pending = items.filter(item => item.type === 'file');
+                const next = () => {
+                    const item = pending.shift();
+                    if (!item) {
+                        return res.json({
+                            groups: groups.map(group => formatGroup(group, group.role)),
+                            items: items
+                        });
+                    }
+                    db.getFileById(item.file_id, (err, record) => {
+                        if (err) return res.status(500).json({ error: 'Failed to read file catalog' });
+                        item.file = record ? formatFileRecord(record, { id: item.space_id, role: item.role }) : null;
+                        next();
+                    });
+                };
+                next();
+            });
+        });
+    });
+});
+
+// ========== LIVE EVENTS ==========
+// Server-sent events: GET /api/events streams what changes in the spaces a
+// user can see (files, folders, storage usage) and the progress of their own
+// uploads; GET /api/admin/events streams every active upload and the upload
+// bandwidth.
+
+// Usage is recalculated once a burst of changes is over
+const USAGE_EVENT_DELAY_MS = 500;
+
+const liveEvents = new LiveEvents({
+    // Items reach whoever may see them; usage only members and owners
+    visible: (space, places) => {
+        if (!places) return roleAllows(space.role, 'viewer');
+        return places.some(place => roleAllows(place.id ? fileRole(space, place) : folderRole(space, place.folder), 'viewer'));
+    },
+    heartbeatMs: 25 * 1000,
+    statsMs: 1000,
+    progressMs: 250
+});
+
+// Every space a user ({ id, username }) can see something in: their own,
+// their groups' and those with items shared with them. callback(err, spaces)
+// with a Map by space id.
+function loadVisibleSpaces(user, callback) {
+    db.getGroupsForUser(user.id, (err, groups) => {
+        if (err) return callback(err);
+        
+        db.getUserSharesForGrantee(user.id, (err, shares) => {
+            if (err) return callback(err);
+            
+            const ids = new Set([user.id].concat(groups.map(group => group.space_user_id), shares.map(share => share.owner_id)));
+            const pending = Array.from(ids);
+            const spaces = new Map();
+            const next = () => {
+                const spaceId = pending.shift();
+                if (spaceId === undefined) return callback(null, spaces);
+                loadUserSpace(user, spaceId, (err, space) => {
+                    if (err) return callback(err);
+                    if (space) spaces.set(spaceId, space);
+                    next();
+                });
+            };
+            next();
+        });
+    });
+}
+
+// A user's groups or shares changed: update what their open pages receive
+function refreshLiveSpaces(userId) {
+    if (!liveEvents.hasStreams(userId)) return;
+    
+    db.getUserById(userId, (err, user) => {
+        if (err || !user) return;
+        loadVisibleSpaces(user, (err, spaces) => {
+            if (err) return console.error('Failed to refresh live event spaces:', err);
+            liveEvents.setSpaces(userId, spaces);
+        });
+    });
+}
+
+// A catalogued file was created, updated, deleted or moved (type file.*).
+// details.from_folder is where a moved file was before.
+function publishFileEvent(type, record, details) {
+    const places = [{ id: record.id, folder: record.folder }];
+    if (details && details.from_folder !== undefined) places.push({ id: record.id, folder: details.from_folder });
+    
+    liveEvents.notifySpace(record.user_id, type, Object.assign({
+        space_id: record.user_id,
+        id: record.id,
+        name: record.original_name,
+        folder: record.folder,
+        size: record.size
+    }, details), places);
+    publishUsage(record.user_id);
+}
+
+// A folder was created, moved (from: its old path) or deleted (type folder.*)
+function publishFolderEvent(spaceId, type, folder, from) {
+    const places = [{ folder: folder }];
+    if (from !== undefined) places.push({ folder: from });
+    liveEvents.notifySpace(spaceId, type, Object.assign({ space_id: spaceId, path: folder }, from !== undefined ? { from_path: from } : null), places);
+}
+
+// Send the space's usage (as GET /api/me/usage reports it) to its watchers
+const pendingUsage = new Set();
+
+function publishUsage(spaceId) {
+    if (pendingUsage.has(spaceId) || !liveEvents.watching(spaceId)) return;
+    pendingUsage.add(spaceId);
+    
+    setTimeout(() => {
+        pendingUsage.delete(spaceId);
+        db.getUserById(spaceId, (err, user) => {
+            if (err || !user) return;
+            loadUsage(user, (err, usage) => {
+                if (err) return console.error('Failed to load usage for live events:', err);
+                liveEvents.notifySpace(spaceId, 'usage', usage, null);
+            });
+        });
+    }, USAGE_EVENT_DELAY_MS).unref();
+}
+
+// Report an upload request to its user and the admin stream until the
+// response is over (info: see LiveEvents#startUpload)
+function trackUpload(req, res, info) {
+    const upload = liveEvents.startUpload(Object.assign({
+        userId: req.session && req.session.userId,
+        username: req.session && req.session.username,
+        ip: req.ip
+    }, info));
+    res.on('close', () => liveEvents.finishUpload(upload, res.writableFinished ? res.statusCode : null));
+    return upload;
+}
+
+// Route middleware ahead of multer: per-file progress of a multipart upload.
+// ?upload_id= lets the uploading page recognise its own events.
+function trackUploadProgress(kind) {
+    return (req, res, next) => {
+        const upload = trackUpload(req, res, {
+            id: req.query.upload_id,
+            kind: kind,
+            owner: req.uploadOwner.username,
+            spaceId: req.uploadOwner.id,
+            total: parseInt(req.headers['content-length']) || null
+        });
+        req.onFileData = (file, bytes) => liveEvents.uploadData(upload, file.originalname, bytes);
+        next();
+    };
+}
+
+// The signed-in user's event stream
+app.get('/api/events', requireAuth, (req, res) => {
+    const user = { id: req.session.userId, username: req.session.username };
+    loadVisibleSpaces(user, (err, spaces) => {
+        if (err) return res.status(500).json({ error: 'Failed to load spaces' });
+        liveEvents.subscribe(req, res, user.id, spaces);
+    });
+});
+
+// Active uploads and bandwidth for the admin panel
+app.get('/api/admin/events', requireAuth, requireAdmin, (req, res) => {
+    liveEvents.watchUploads(req, res);
+});
+
+// ========== CONTENT CHECKS ==========
+
+// External scanner (e.g. "clamscan --no-summary"); null when not configured
+const scanUpload = UPLOAD_SCAN_COMMAND
+    ? commandScanner(UPLOAD_SCAN_COMMAND, UPLOAD_SCAN_TIMEOUT_SECONDS * 1000)
+    : null;
+
+// Multer fileFilter: refuse names excluded by the owner's type lists before
+// any bytes are stored (expects req.uploadPolicy). Archives that will be
+// unpacked are judged by their entries instead.
+function filterUploadType(req, file, cb) {
+    if (extractRequested(req) && archiveFormat(file.originalname)) return cb(null, true);
+    const problem = extensionProblem(req.uploadPolicy, file.originalname);
+    if (problem) return cb(rejectedTypeError(problem));
+    cb(null, true);
+}
+
+// File type lists that apply to a user's uploads. callback(err, policy)
+function loadUploadPolicy(userId, callback) {
+    db.getUserById(userId, (err, user) => {
+        if (err || !user) return callback(err || new Error('User not found'));
+        callback(null, effectivePolicy(user));
+    });
+}
+
+function contentError(message, status, code) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+}
+
+// A staged upload as a file on this machine, for the scanner and archive
+// extraction: content staged in a remote backend is fetched into the owner's
+// local upload directory. callback(err, filePath, cleanup)
+function stagedFilePath(owner, file, callback) {
+    if (!file.key) return callback(null, file.path, () => {});
+    let dir;
+    try {
+        dir = ensureUserDirectory(owner.username);
+    } catch (err) {
+        return callback(err);
+    }
+    localCopy(storageDriver, file.key, dir, callback);
+}
+
+// Move a flagged upload (its local copy at filePath) out of the owner's reach
+// and keep a record for admins. The staged upload itself is discarded with
+// the rest of the batch.
+function quarantineUpload(req, owner, file, filePath, reason, callback) {
+    moveToQuarantine(filePath, QUARANTINE_DIR, (err, quarantineName) => {
+        if (err) return callback(err);
+        
+        db.createQuarantineRecord({
+            user_id: owner.id,
+            original_name: file.originalname,
+            quarantine_name: quarantineName,
+            size: file.size,
+            reason: reason,
+            uploader_ip: req.ip
+        }, (err, record) => {
+            if (err) return callback(err);
+            console.warn(`Quarantined upload ${file.originalname} for ${owner.username}: ${reason}`);
+            audit(req, 'file.quarantine', {
+                target: `${owner.username}/${file.originalname}`,
+                details: { quarantine_id: record.id, size: file.size, reason: reason }
+            });
+            callback(null);
+        });
+    });
+}
+
+/**
+ * Check staged uploads before they are committed: the content must fit the
+ * file name, its type must pass the owner's MIME lists, and the scanner (if
+ * any) must pass it. Sets file.mimetype to the checked type. The first
+ * rejected file fails the batch; a flagged file is quarantined on the way.
+ * files: [{ originalname, path, size, head? }]
+ */
+function inspectUploads(req, owner, policy, files, callback) {
+    const pending = files.slice();
+    
+    const next = () => {
+        const file = pending.shift();
+        if (!file) return callback(null);
+        
+        const withHead = (cb) => file.head ? cb(null, file.head) : readHead(file.path, cb);
+        withHead((err, head) => {
+            if (err) return callback(err);
+            
+            if (CONTENT_SNIFFING) {
+                const mismatch = contentMismatch(file.originalname, head);
+                if (mismatch) return callback(contentError(mismatch, 415, 'CONTENT_MISMATCH'));
+            }
+            
+            // The name decides the type (sniffing vouched for it); content
+            // only fills in for names that say nothing
+            let contentType = mimeFor(file.originalname);
+            const detected = CONTENT_SNIFFING ? sniffFormat(head) : null;
+            if (contentType === 'application/octet-stream' && detected) contentType = detected.mime;
+            
+            const problem = mimeProblem(policy, file.originalname, contentType);
+            if (problem) return callback(rejectedTypeError(problem));
+            file.mimetype = contentType;
+            
+            if (!scanUpload) return next();
+            stagedFilePath(owner, file, (err, filePath, cleanup) => {
+                if (err) return callback(err);
+                
+                scanUpload(filePath, (err, verdict) => {
+                    if (err || verdict.clean) {
+                        cleanup();
+                        return err ? callback(err) : next();
+                    }
+                    
+                    quarantineUpload(req, owner, file, filePath, verdict.reason, (err) => {
+                        cleanup();
+                        if (err) return callback(err);
+                        callback(contentError(`${file.originalname} was rejected by the file scanner: ${verdict.reason}`, 422, 'INFECTED'));
+                    });
+                });
+            });
+        });
+    };
+    next();
+}
+
+// ========== SIMPLE UPLOAD ENDPOINT ==========
+
+// Uploads through POST /upload go to the space given by ?space= (default the
+// logged-in user's own). The target folder may only be in the form fields,
+// so it is checked once the files are in; here the user only needs to be a
+// contributor somewhere in the space.
+function spaceUploadOwner(req, res, next) {
+    const space = req.space;
+    const mayUpload = roleAllows(space.role, 'contributor') ||
+        space.shares.some(share => share.folder !== null && roleAllows(share.role, 'contributor'));
+    if (!mayUpload) return res.status(403).json({ error: 'You cannot upload files here' });
+    
+    req.uploadOwner = { id: space.id, username: space.username };
+    next();
+}
+
+// Bytes held for multipart uploads that are still being received, per owner
+// id. They count as used until the response is done, so uploads running side
+// by side cannot each be given the same free space.
+const uploadsInFlight = new Map();
+
+function inFlightBytes(ownerId) {
+    return uploadsInFlight.get(ownerId) || 0;
+}
+
+// Hold bytes of an owner's quota until the response is done (sent or
+// abandoned)
+function holdUploadBytes(res, ownerId, bytes) {
+    uploadsInFlight.set(ownerId, inFlightBytes(ownerId) + bytes);
+    res.once('close', () => {
+        const left = inFlightBytes(ownerId) - bytes;
+        if (left > 0) uploadsInFlight.set(ownerId, left);
+        else uploadsInFlight.delete(ownerId);
+    });
+}
+
+// Refuse a request before its body was read: the body is read and dropped
+// first (up to REFUSED_BODY_DRAIN_BYTES, beyond that the connection is
+// closed after the response) so that the client sees the error
+function refuseUnreadBody(req, res, next, err) {
+    let drained = 0;
+    let answered = false;
+    const answer = () => {
+        if (answered) return;
+        answered = true;
+        req.removeListener('data', onData);
+        next(err);
+    };
+    const onData = (chunk) => {
+        drained += chunk.length;
+        if (drained <= REFUSED_BODY_DRAIN_BYTES) return;
+        req.pause();
+        res.set('Connection', 'close');
+        answer();
+    };
+    req.on('data', onData);
+    req.once('end', answer);
+    req.once('error', answer);
+}
+
+// Load the upload owner's remaining quota before any bytes are written and
+// hold the request's Content-Length of it (without one, as much as a full
+// batch may bring). Requests whose Content-Length alone cannot fit are
+// refused without storing any of the body.
+function reserveUploadQuota(req, res, next) {
+    db.getUserById(req.uploadOwner.id, (err, user) => {
+        if (err || !user) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        res.json({
-            user_id: user.id,
-            username: user.username,
-            storage_used_bytes: totalSize,
-            storage_used_formatted: formatFileSize(totalSize),
-            storage_quota_bytes: user.storage_quota_mb * 1024 * 1024,
-            storage_quota_formatted: `${user.storage_quota_mb} MB`,
-            usage_percentage: user.storage_quota_mb > 0 ? 
-                Math.min(100, (totalSize / (user.storage_quota_mb * 1024 * 1024)) * 100) : 0
+        // File type lists of the owner, checked as each part arrives
+        req.uploadPolicy = effectivePolicy(user);
+        
+        loadUploadQuota(user, (err, quota) => {
+            if (err) return next(err);
+            
+            req.uploadQuota = quota;
+            
+            const contentLength = parseInt(req.headers['content-length']);
+            const free = Math.max(0, quota.limit - quota.used);
+            if (contentLength > free + MULTIPART_OVERHEAD_BYTES) {
+                return refuseUnreadBody(req, res, next, quotaExceededError(req.uploadQuota));
+            }
+            
+            const batchBytes = MAX_FILE_SIZE_MB * 1024 * 1024 * MAX_FILES_PER_UPLOAD;
+            holdUploadBytes(res, user.id, contentLength >= 0 ? contentLength : Math.min(free, batchBytes));
+            next();
         });
     });
-});
+}
 
-// Download file
-app.get('/download/:filename', requireAuth, (req, res) => {
-    const userDir = getUserUploadDir(req.session.username);
-    const filePath = path.join(userDir, req.params.filename);
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).send('File not found');
+// What a user may still store: { limit, used, quotaBytes, initialUsage },
+// the form QuotaStorage keeps track of
+function loadUploadQuota(user, callback) {
+    db.getUserStorageUsage(user.id, (err, storedUsage) => {
+        if (err) return callback(err);
+        
+        const quotaBytes = user.storage_quota_mb * 1024 * 1024;
+        // Space promised to unfinished resumable uploads and held by
+        // multipart uploads in progress is not available
+        const currentUsage = storedUsage + resumableUploads.reservedBytes(user.username) + inFlightBytes(user.id);
+        callback(null, {
+            limit: quotaBytes,
+            used: currentUsage,
+            quotaBytes: quotaBytes,
+            initialUsage: currentUsage
+        });
+    });
+}
+
+// Upload endpoint (POST /upload) - Simple version
+app.post('/upload', requireAuth, auditAs('file.upload'), loadSpace, spaceUploadOwner, reserveUploadQuota, trackUploadProgress('upload'), upload.array('files', MAX_FILES_PER_UPLOAD), (req, res, next) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    const policy = req.body.on_conflict || req.query.on_conflict || DEFAULT_CONFLICT_POLICY;
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        return discardFiles(storageDriver, req.files, () => {
+            res.status(400).json({ error: `Invalid conflict policy. Use one of: ${CONFLICT_POLICIES.join(', ')}` });
+        });
+    }
+    
+    const folder = requestFolder(req);
+    if (folder === null) {
+        return discardFiles(storageDriver, req.files, () => {
+            res.status(400).json({ error: 'Invalid path' });
+        });
+    }
+    if (!roleAllows(folderRole(req.space, folder), 'contributor')) {
+        return discardFiles(storageDriver, req.files, () => {
+            res.status(403).json({ error: 'You cannot upload files into this folder' });
+        });
+    }
+    
+    const expiresIn = req.body.expires_in || req.query.expires_in;
+    const expiresMs = expiresIn ? parseDuration(expiresIn) : null;
+    if (expiresIn && expiresMs === null) {
+        return discardFiles(storageDriver, req.files, () => {
+            res.status(400).json({ error: 'expires_in must be a number of seconds or a duration such as 30m, 12h or 7d (at most 10 years)' });
+        });
     }
-    res.download(filePath);
+    
+    const owner = req.uploadOwner;
+    // Files added to someone else's space say who sent them
+    const origin = {
+        uploader_ip: req.ip,
+        folder: folder,
+        uploader_name: req.space.role === 'owner' ? null : req.session.username,
+        // Left out without expires_in, so a new version keeps the file's expiry
+        expires_at: expiresMs ? toDbDate(new Date(Date.now() + expiresMs)) : undefined
+    };
+    
+    expandArchives(req, folder, (err) => {
+        if (err) {
+            return discardFiles(storageDriver, req.files, () => next(err));
+        }
+        
+        inspectUploads(req, req.uploadOwner, req.uploadPolicy, req.files, (err) => {
+            if (err) {
+                return discardFiles(storageDriver, req.files, () => next(err));
+            }
+            
+            resolveUploadNames(owner.id, folder, req.files, policy, (err, conflicts) => {
+                if (err) {
+                    return discardFiles(storageDriver, req.files, () => next(err));
+                }
+                
+                if (conflicts.length > 0) {
+                    audit(req, 'file.upload', { target: owner.username, result: 'failure', details: { error: 'name conflict', conflicts } });
+                    return discardFiles(storageDriver, req.files, () => {
+                        res.status(409).json({ 
+                            error: `File already exists: ${conflicts.join(', ')}`,
+                            conflicts: conflicts
+                        });
+                    });
+                }
+                
+                // The running count already kept the batch within quota; move it into place
+                blobs.commit(req.files, (err) => {
+                    if (err) {
+                        return discardFiles(storageDriver, req.files, () => next(err));
+                    }
+                    
+                    createUploadFolders(owner.id, req.uploadFolders || [], (err) => {
+                        if (err) return releaseUnrecorded(req.files, err, next);
+                        
+                        recordUploadedFiles(owner.id, origin, req.files, policy, (err, results) => {
+                            if (err) return releaseUnrecorded(req.files, err, next);
+                            auditUploads(req, owner.username, results);
+                            
+                            const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
+                            
+                            db.getUserStorageUsage(owner.id, (err, newUsage) => {
+                                if (err) return next(err);
+                                
+                                const quotaBytes = req.uploadQuota.quotaBytes;
+                                const usagePercentage = quotaBytes > 0 ? Math.min(100, (newUsage / quotaBytes) * 100) : 0;
+                                
+                                res.json({
+                                    success: true,
+                                    files: results.map(result => ({
+                                        id: result.record.id,
+                                        originalname: result.originalname,
+                                        filename: result.record.original_name,
+                                        stored_name: result.record.stored_name,
+                                        size: result.record.size,
+                                        mime: result.record.mime,
+                                        sha256: result.record.sha256,
+                                        action: result.action,
+                                        version: result.version,
+                                        folder: result.record.folder,
+                                        expires_at: result.record.expires_at ? parseDbDate(result.record.expires_at) : null,
+                                        url: `/download/id/${result.record.id}`
+                                    })),
+                                    total_size: totalSize,
+                                    file_count: results.length,
+                                    skipped_entries: req.skippedEntries,
+                                    storage_used: newUsage,
+                                    storage_quota: quotaBytes,
+                                    usage_percentage: usagePercentage
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Was the upload sent with extract=1 (query string, or a form field ahead of
+// the files)?
+function extractRequested(req) {
+    return req.query.extract === '1' || (req.body && req.body.extract === '1');
+}
+
+// With extract=1, replace uploaded .zip and .tar.gz files by their content,
+// staged as local files in the owner's upload directory and placed in folders
+// below the target folder. The archives themselves are not kept. Directory entries are collected in
+// req.uploadFolders; links and other special entries are skipped (counted in
+// req.skippedEntries).
+function expandArchives(req, folder, callback) {
+    if (!extractRequested(req)) return callback(null);
+    
+    const quota = req.uploadQuota;
+    const pending = req.files.slice();
+    const expanded = [];
+    req.uploadFolders = [];
+    req.skippedEntries = 0;
+    
+    const fail = (err, staged) => {
+        req.files = expanded.concat(staged, pending);
+        callback(err);
+    };
+    
+    const next = () => {
+        const file = pending.shift();
+        if (!file) {
+            req.files = expanded;
+            return callback(null);
+        }
+        
+        const format = archiveFormat(file.originalname);
+        if (!format) {
+            expanded.push(file);
+            return next();
+        }
+        
+        stagedFilePath(req.uploadOwner, file, (err, archivePath, cleanup) => {
+            if (err) return fail(err, [file]);
+            
+            // The archive's own bytes make room for its content
+            quota.used -= file.size;
+            extractArchive(archivePath, format, path.dirname(archivePath), {
+                maxEntries: EXTRACT_MAX_ENTRIES,
+                maxFileBytes: MAX_FILE_SIZE_MB * 1024 * 1024,
+                maxBytes: EXTRACT_MAX_SIZE_MB * 1024 * 1024,
+                available: quota.limit - quota.used,
+                maxRatio: EXTRACT_MAX_RATIO,
+                quotaError: () => quotaExceededError(quota)
+            }, describeRequester(req), (err, result) => {
+                cleanup();
+                if (err) return fail(err, [file]);
+                
+                const entries = result.files;
+                entries.forEach(entry => {
+                    entry.id = crypto.randomUUID();
+                    entry.filename = storedNameFor(entry.id, entry.originalname);
+                    entry.folder = [folder, entry.folder].filter(Boolean).join('/');
+                    quota.used += entry.size;
+                });
+                
+                const refused = entries.map(entry => extensionProblem(req.uploadPolicy, entry.originalname)).find(Boolean);
+                if (refused) return fail(rejectedTypeError(refused), entries.concat(file));
+                
+                result.folders.forEach(entryFolder => req.uploadFolders.push([folder, entryFolder].filter(Boolean).join('/')));
+                req.skippedEntries += result.skipped;
+                discardFiles(storageDriver, [file], () => {
+                    Array.prototype.push.apply(expanded, entries);
+                    next();
+                });
+            });
+        });
+    };
+    next();
+}
+
+// Record folders that arrived empty (folders holding files need no record)
+function createUploadFolders(userId, folders, callback) {
+    const pending = folders.slice();
+    const next = (err) => {
+        if (err) return callback(err);
+        const folder = pending.shift();
+        if (folder === undefined) return callback(null);
+        db.createFolder(userId, folder, next);
+    };
+    next();
+}
+
+// Folder a staged file goes to: its own (unpacked archive entries) or the
+// batch's
+function uploadFolderOf(file, folder) {
+    return file.folder === undefined ? folder || '' : file.folder;
+}
+
+// Decide the catalog name of every file in the batch before anything is
+// committed (names are unique per folder). Sets file.targetName; returns the
+// names that conflict under the 'reject' policy.
+function resolveUploadNames(userId, folder, files, policy, callback) {
+    const conflicts = [];
+    const batchNames = new Set();
+    const pending = files.slice();
+    
+    const isTaken = (fileFolder, name, cb) => {
+        if (batchNames.has(fileFolder + '/' + name)) return cb(null, true);
+        db.getFileByName(userId, fileFolder, name, (err, existing) => cb(err, !!existing));
+    };
+    
+    const next = () => {
+        const file = pending.shift();
+        if (!file) return callback(null, conflicts);
+        const fileFolder = uploadFolderOf(file, folder);
+        
+        const claim = (name) => {
+            file.targetName = name;
+            batchNames.add(fileFolder + '/' + name);
+            next();
+        };
+        
+        isTaken(fileFolder, file.originalname, (err, taken) => {
+            if (err) return callback(err);
+            if (!taken || policy === 'version') return claim(file.originalname);
+            
+            if (policy === 'reject') {
+                conflicts.push(file.folder ? `${file.folder}/${file.originalname}` : file.originalname);
+                return next();
+            }
+            
+            // rename: first free "name (n).ext"
+            const tryNumber = (n) => {
+                const candidate = numberedName(file.originalname, n);
+                isTaken(fileFolder, candidate, (err, taken) => {
+                    if (err) return callback(err);
+                    if (taken) return tryNumber(n + 1);
+                    claim(candidate);
+                });
+            };
+            tryNumber(1);
+        });
+    };
+    next();
+}
+
+// Catalog committed uploads. Under the 'version' policy an upload onto an
+// existing name archives the current content as a numbered revision.
+// origin: { uploader_ip, folder, upload_link_id, uploader_name, expires_at };
+// when expires_at is given it also replaces the expiry of a versioned file.
+// Each file in the catalog gets file.recorded; on failure the others are left
+// to releaseUnrecorded.
+function recordUploadedFiles(userId, origin, files, policy, callback) {
+    const results = [];
+    const pending = files.slice();
+    
+    const next = () => {
+        const file = pending.shift();
+        if (!file) return callback(null, results);
+        
+        const content = {
+            stored_name: file.filename,
+            blob_id: file.blobId,
+            size: file.size,
+            mime: file.mimetype || 'application/octet-stream',
+            sha256: file.sha256,
+            uploader_ip: origin.uploader_ip
+        };
+        
+        const folder = uploadFolderOf(file, origin.folder);
+        db.getFileByName(userId, folder, file.targetName, (err, existing) => {
+            if (err) return callback(err);
+            
+            if (existing && policy === 'version') {
+                return db.archiveFileVersion(existing, crypto.randomUUID(), (err, archived) => {
+                    if (err) return callback(err);
+                    
+                    const setExpiry = (cb) => origin.expires_at === undefined ? cb(null) : db.setFileExpiry(existing.id, origin.expires_at, cb);
+                    setExpiry((err) => {
+                        if (err) return callback(err);
+                        
+                        db.updateFileContent(existing.id, content, (err, record) => {
+                            if (err) return callback(err);
+                            file.recorded = true;
+                            results.push({ originalname: file.originalname, record, action: 'versioned', version: archived.version + 1 });
+                            previews.enqueue(record);
+                            publishFileEvent('file.updated', record, { action: 'versioned' });
+                            next();
+                        });
+                    });
+                });
+            }
+            
+            db.createFileRecord(Object.assign({
+                id: file.id,
+                original_name: file.targetName,
+                user_id: userId,
+                folder: folder,
+                upload_link_id: origin.upload_link_id,
+                uploader_name: origin.uploader_name,
+                expires_at: origin.expires_at
+            }, content), (err, record) => {
+                if (err) return callback(err);
+                file.recorded = true;
+                const action = file.targetName === file.originalname ? 'created' : 'renamed';
+                results.push({ originalname: file.originalname, record, action, version: 1 });
+                previews.enqueue(record);
+                publishFileEvent('file.created', record, { action });
+                next();
+            });
+        });
+    };
+    next();
+}
+
+// Give back the blob references taken by blobs.commit for files that did
+// not make it into the catalog, then callback(err) with the error that
+// stopped them
+function releaseUnrecorded(files, err, callback) {
+    const hashes = files.filter(file => file.blobId && !file.recorded).map(file => file.blobId);
+    blobs.releaseAll(hashes, (releaseErr) => {
+        if (releaseErr) console.error('Failed to release uploaded content:', releaseErr.message);
+        callback(err);
+    });
+}
+
+// Audit each file of a catalogued upload
+function auditUploads(req, ownerName, results, details) {
+    results.forEach(result => {
+        audit(req, 'file.upload', {
+            target: fileTarget(ownerName, result.record),
+            details: Object.assign({ file_id: result.record.id, size: result.record.size, action: result.action }, details)
+        });
+    });
+}
+
+// Check, commit and catalog one staged file the way a single-file POST
+// /upload would (resumable and WebDAV uploads). file: { originalname, path,
+// size } plus sha256 and head if they were taken while staging.
+// callback(err, result) with the file's recordUploadedFiles result.
+function storeStagedFile(req, owner, folder, file, policy, details, callback) {
+    loadUploadPolicy(owner.id, (err, typePolicy) => {
+        if (err) return callback(err);
+        
+        inspectUploads(req, owner, typePolicy, [file], (err) => {
+            if (err) return callback(err);
+            
+            const hash = (cb) => file.sha256 ? cb(null, file.sha256) : hashFile(file.path, cb);
+            hash((err, sha256) => {
+                if (err) return callback(err);
+                
+                file.sha256 = sha256;
+                file.id = crypto.randomUUID();
+                file.filename = storedNameFor(file.id, file.originalname);
+                
+                resolveUploadNames(owner.id, folder, [file], policy, (err, conflicts) => {
+                    if (err) return callback(err);
+                    if (conflicts.length > 0) {
+                        const conflictErr = new Error(`File already exists: ${conflicts.join(', ')}`);
+                        conflictErr.status = 409;
+                        return callback(conflictErr);
+                    }
+                    
+                    blobs.commit([file], (err) => {
+                        if (err) return callback(err);
+                        
+                        recordUploadedFiles(owner.id, { uploader_ip: req.ip, folder: folder }, [file], policy, (err, results) => {
+                            if (err) return releaseUnrecorded([file], err, callback);
+                            auditUploads(req, owner.username, results, details);
+                            callback(null, results[0]);
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// ========== UPLOAD LINKS (FILE DROP) ==========
+
+// Why an upload link can no longer be used, or 'active'
+function uploadLinkState(link) {
+    if (link.expires_at && parseDbDate(link.expires_at) <= new Date()) return 'expired';
+    if (link.max_files && link.files_received >= link.max_files) return 'full';
+    return 'active';
+}
+
+// Shape an upload link for the owner's API responses
+function formatUploadLink(link) {
+    return {
+        id: link.id,
+        token: link.token,
+        url: `/d/${link.token}`,
+        label: link.label,
+        folder: link.folder,
+        max_file_size_mb: link.max_file_size_mb,
+        max_files: link.max_files,
+        allowed_extensions: parseExtensionList(link.allowed_extensions),
+        expires_at: link.expires_at ? parseDbDate(link.expires_at) : null,
+        files_received: link.files_received,
+        bytes_received: link.bytes_received,
+        last_upload_at: link.last_upload_at ? parseDbDate(link.last_upload_at) : null,
+        created_at: parseDbDate(link.created_at),
+        status: uploadLinkState(link)
+    };
+}
+
+// List current user's upload links
+app.get('/api/upload-links', requireAuth, (req, res) => {
+    db.getUploadLinksByUser(req.session.userId, (err, links) => {
+        if (err) return res.status(500).json({ error: 'Failed to load upload links' });
+        res.json(links.map(formatUploadLink));
+    });
 });
 
-// Delete file
-app.delete('/api/files/:filename', requireAuth, (req, res) => {
-    const userDir = getUserUploadDir(req.session.username);
-    const filePath = path.join(userDir, req.params.filename);
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' });
+// Create an upload link into one of the current user's folders
+app.post('/api/upload-links', requireAuth, (req, res) => {
+    const { label, folder, max_file_size_mb, max_files, allowed_extensions, expires_at, expires_in_days } = req.body;
+    
+    const targetFolder = normalizeFolder(folder);
+    if (targetFolder === null) {
+        return res.status(400).json({ error: 'Invalid folder' });
+    }
+    
+    let expiresAt = null;
+    if (expires_at || expires_in_days) {
+        expiresAt = expires_at
+            ? new Date(expires_at)
+            : new Date(Date.now() + parseFloat(expires_in_days) * 24 * 60 * 60 * 1000);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return res.status(400).json({ error: 'Expiry must be a date in the future' });
+        }
+    }
+    
+    const maxFileSize = max_file_size_mb ? parseInt(max_file_size_mb) : null;
+    if (max_file_size_mb && !(maxFileSize >= 1 && maxFileSize <= MAX_FILE_SIZE_MB)) {
+        return res.status(400).json({ error: `File size limit must be between 1 and ${MAX_FILE_SIZE_MB} MB` });
     }
     
-    fs.unlink(filePath, (err) => {
-        if (err) return res.status(500).json({ error: 'Failed to delete file' });
+    const maxFiles = max_files ? parseInt(max_files) : null;
+    if (max_files && !(maxFiles >= 1)) {
+        return res.status(400).json({ error: 'File count limit must be at least 1' });
+    }
+    
+    const extensions = parseExtensionList(allowed_extensions);
+    
+    db.createUploadLink({
+        token: crypto.randomBytes(24).toString('base64url'),
+        user_id: req.session.userId,
+        label: label ? String(label).slice(0, 200) : null,
+        folder: targetFolder,
+        max_file_size_mb: maxFileSize,
+        max_files: maxFiles,
+        allowed_extensions: extensions ? extensions.join(',') : null,
+        expires_at: expiresAt ? toDbDate(expiresAt) : null
+    }, (err, link) => {
+        if (err) return res.status(500).json({ error: 'Failed to create upload link' });
+        res.json({ success: true, link: formatUploadLink(link) });
+    });
+});
+
+// Files received through one of the current user's upload links
+app.get('/api/upload-links/:id/files', requireAuth, (req, res) => {
+    db.getUploadLinkById(parseInt(req.params.id), (err, link) => {
+        if (err || !link || link.user_id !== req.session.userId) {
+            return res.status(404).json({ error: 'Upload link not found' });
+        }
+        
+        db.getFilesByUploadLink(link.id, (err, records) => {
+            if (err) return res.status(500).json({ error: 'Failed to load files' });
+            res.json(records.map(record => Object.assign(formatFileRecord(record), {
+                uploader_ip: record.uploader_ip
+            })));
+        });
+    });
+});
+
+// Revoke an upload link (files already received are kept)
+app.delete('/api/upload-links/:id', requireAuth, (req, res) => {
+    db.deleteUploadLink(parseInt(req.params.id), req.session.userId, (err, deleted) => {
+        if (err) return res.status(500).json({ error: 'Failed to revoke upload link' });
+        if (!deleted) return res.status(404).json({ error: 'Upload link not found' });
         res.json({ success: true });
     });
 });
 
-// ========== SIMPLE UPLOAD ENDPOINT ==========
+// Resolve a public upload link; its owner becomes the upload owner
+function loadUploadLink(req, res, next) {
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    
+    db.getUploadLinkByToken(req.params.token, (err, link) => {
+        if (err || !link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+        
+        const state = uploadLinkState(link);
+        if (state === 'expired') return res.status(410).json({ error: 'This upload link has expired' });
+        if (state === 'full') return res.status(410).json({ error: 'This upload link has received all the files it accepts' });
+        
+        req.uploadLink = link;
+        req.uploadOwner = { id: link.user_id, username: link.username };
+        next();
+    });
+}
 
-// Upload endpoint (POST /upload) - Simple version
-app.post('/upload', requireAuth, upload.array('files', MAX_FILES_PER_UPLOAD), (req, res) => {
+// Multer configured from the link's own limits
+function uploadLinkFiles(req, res, next) {
+    const link = req.uploadLink;
+    const allowed = parseExtensionList(link.allowed_extensions);
+    const remaining = link.max_files ? link.max_files - link.files_received : MAX_FILES_PER_UPLOAD;
+    
+    req.uploadLimits = {
+        fileSizeMb: Math.min(link.max_file_size_mb || MAX_FILE_SIZE_MB, MAX_FILE_SIZE_MB),
+        files: Math.min(remaining, MAX_FILES_PER_UPLOAD)
+    };
+    
+    multer({
+        storage: storage,
+        limits: {
+            fileSize: req.uploadLimits.fileSizeMb * 1024 * 1024,
+            files: req.uploadLimits.files
+        },
+        fileFilter: (req, file, cb) => {
+            const ext = path.extname(file.originalname).slice(1).toLowerCase();
+            if (allowed && !allowed.includes(ext)) {
+                return cb(rejectedTypeError(`File type not allowed: ${file.originalname}. Allowed: ${allowed.join(', ')}`));
+            }
+            // The owner's own lists apply on top of the link's
+            filterUploadType(req, file, cb);
+        }
+    }).array('files')(req, res, next);
+}
+
+// Public drop page
+app.get('/d/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'drop.html'));
+});
+
+// What the drop page needs to know about a link (nothing about the owner)
+app.get('/d/:token/info', loadUploadLink, (req, res) => {
+    const link = req.uploadLink;
+    res.json({
+        label: link.label,
+        max_file_size_mb: Math.min(link.max_file_size_mb || MAX_FILE_SIZE_MB, MAX_FILE_SIZE_MB),
+        files_remaining: link.max_files ? link.max_files - link.files_received : null,
+        max_files_per_upload: MAX_FILES_PER_UPLOAD,
+        allowed_extensions: parseExtensionList(link.allowed_extensions),
+        expires_at: link.expires_at ? parseDbDate(link.expires_at) : null
+    });
+});
+
+// Public upload into the link owner's storage. Same quota rules as POST /upload;
+// name collisions are always resolved by renaming.
+app.post('/d/:token', auditAs('file.upload'), loadUploadLink, reserveUploadQuota, trackUploadProgress('upload_link'), uploadLinkFiles, (req, res, next) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: 'No files uploaded' });
     }
     
-    const uploadedFiles = [];
-    let totalSize = 0;
+    const link = req.uploadLink;
+    const ownerId = link.user_id;
     
-    req.files.forEach(file => {
-        uploadedFiles.push({
-            originalname: file.originalname,
-            filename: file.originalname,
-            size: file.size
+    inspectUploads(req, req.uploadOwner, req.uploadPolicy, req.files, (err) => {
+        if (err) {
+            return discardFiles(storageDriver, req.files, () => next(err));
+        }
+        
+        resolveUploadNames(ownerId, link.folder, req.files, 'rename', (err) => {
+            if (err) {
+                return discardFiles(storageDriver, req.files, () => next(err));
+            }
+            
+            blobs.commit(req.files, (err) => {
+                if (err) {
+                    return discardFiles(storageDriver, req.files, () => next(err));
+                }
+                
+                const origin = {
+                    uploader_ip: req.ip,
+                    folder: link.folder,
+                    upload_link_id: link.id,
+                    uploader_name: req.body.sender_name ? String(req.body.sender_name).trim().slice(0, 100) : null
+                };
+                
+                recordUploadedFiles(ownerId, origin, req.files, 'rename', (err, results) => {
+                    if (err) return releaseUnrecorded(req.files, err, next);
+                    auditUploads(req, link.username, results, { upload_link_id: link.id, sender: origin.uploader_name });
+                    
+                    const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
+                    db.recordUploadLinkUse(link.id, results.length, totalSize, (err) => {
+                        if (err) return next(err);
+                        
+                        res.json({
+                            success: true,
+                            files: results.map(result => ({
+                                originalname: result.originalname,
+                                size: result.record.size
+                            })),
+                            total_size: totalSize,
+                            file_count: results.length
+                        });
+                    });
+                });
+            });
         });
-        totalSize += file.size;
     });
+});
+
+// ========== RESUMABLE UPLOADS (tus 1.0) ==========
+
+const resumableUploads = new TusUploads({
+    stagingDir: STAGING_DIR,
+    maxSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    expiryMs: RESUMABLE_EXPIRY_HOURS * 60 * 60 * 1000
+});
+
+// Expire idle uploads
+setInterval(() => resumableUploads.sweepExpired(), 60 * 60 * 1000).unref();
+
+app.use('/upload/tus', requireAuth, resumableUploads.router({
+    // The name must pass the user's type lists before any data is sent
+    checkFile: (req, metadata, cb) => {
+        loadUploadPolicy(req.session.userId, (err, policy) => {
+            if (err) return cb(err);
+            const problem = extensionProblem(policy, metadata.filename);
+            cb(problem ? rejectedTypeError(problem) : null);
+        });
+    },
     
-    // Get user info for quota check
-    db.getUserById(req.session.userId, (err, user) => {
-        if (err || !user) {
-            return res.status(404).json({ error: 'User not found' });
+    // Same quota rule as POST /upload (loadUploadQuota): stored files,
+    // unfinished resumable uploads and multipart uploads in progress
+    checkQuota: (req, bytes, cb) => {
+        db.getUserById(req.session.userId, (err, user) => {
+            if (err || !user) return cb(err || new Error('User not found'));
+            
+            loadUploadQuota(user, (err, quota) => {
+                if (err) return cb(err);
+                if (quota.used + bytes > quota.limit) return cb(quotaExceededError(quota));
+                cb(null);
+            });
+        });
+    },
+    
+    // Progress of each PATCH request, reported from where the upload stood
+    onData: (req, res, state, bytes) => {
+        if (!req.liveUpload) {
+            req.liveUpload = trackUpload(req, res, {
+                id: state.id,
+                kind: 'resumable',
+                owner: req.session.username,
+                spaceId: req.session.userId,
+                file: state.metadata.filename,
+                received: state.offset,
+                total: state.length
+            });
+        }
+        liveEvents.uploadData(req.liveUpload, state.metadata.filename, bytes);
+    },
+    
+    // Catalog the finished file exactly like a single-file POST /upload
+    onComplete: (req, state, dataPath, done) => {
+        const cb = (err, result) => {
+            if (err) {
+                audit(req, 'file.upload', {
+                    target: req.session.username,
+                    result: 'failure',
+                    details: { name: state.metadata.filename, resumable: true, error: err.message }
+                });
+            }
+            done(err, result);
+        };
+        
+        const policy = state.metadata.on_conflict || DEFAULT_CONFLICT_POLICY;
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            const err = new Error(`Invalid conflict policy. Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+            err.status = 400;
+            return cb(err);
         }
         
-        const userDir = getUserUploadDir(user.username);
-        const quotaBytes = user.storage_quota_mb * 1024 * 1024;
+        const folder = normalizeFolder(state.metadata.path);
+        if (folder === null) {
+            const err = new Error('Invalid path');
+            err.status = 400;
+            return cb(err);
+        }
+        
+        const owner = { id: req.session.userId, username: req.session.username };
+        const file = { originalname: state.metadata.filename, path: dataPath, size: state.length };
+        storeStagedFile(req, owner, folder, file, policy, { resumable: true }, (err, result) => {
+            if (err) return cb(err);
+            cb(null, { id: result.record.id });
+        });
+    }
+}));
+
+// ========== WEBDAV ==========
+// Each user's folders and files (the tree of the web interface) at /dav/,
+// for file managers and office apps. Clients send HTTP Basic credentials
+// with every request: the account's password, or an API token as the
+// password (required for accounts with two-factor authentication).
+
+const WEBDAV_REALM = 'File Upload Server';
+// How long a verified password is remembered for a client's next requests
+const WEBDAV_LOGIN_CACHE_MS = 5 * 60 * 1000;
+
+const webdav = new WebDav();
+
+// HMAC(username, password) -> { userId, passwordHash, expires }. Entries
+// end early once the password (hash) changes.
+const webdavLogins = new Map();
+const webdavLoginKey = crypto.randomBytes(32);
+
+function challengeWebdav(res, message) {
+    res.set('WWW-Authenticate', `Basic realm="${WEBDAV_REALM}", charset="UTF-8"`);
+    res.status(401).json({ error: message });
+}
+
+// Basic authentication for /dav (OPTIONS needs none); a Bearer token was
+// already checked by the token middleware
+function webdavAuth(req, res, next) {
+    if (req.method === 'OPTIONS') return next();
+    if (req.apiToken) return checkAccess(req, res, next);
+    
+    const credentials = basicCredentials(req);
+    if (!credentials) return challengeWebdav(res, 'Authentication required');
+    if (isApiToken(credentials.password)) return webdavTokenLogin(req, res, next, credentials);
+    webdavPasswordLogin(req, res, next, credentials);
+}
+
+// An API token as the password; it must belong to the named user
+function webdavTokenLogin(req, res, next, credentials) {
+    db.getApiTokenByHash(hashToken(credentials.password), (err, record) => {
+        if (err) return next(err);
+        if (!usableToken(record) || record.username !== credentials.username) {
+            return challengeWebdav(res, 'Invalid or expired token');
+        }
+        
+        signInWithToken(req, record);
+        checkAccess(req, res, next);
+    });
+}
+
+// Username and password, with the same throttling and lockout as the login
+// form. A verified password is remembered for a few minutes.
+function webdavPasswordLogin(req, res, next, credentials) {
+    const { username, password } = credentials;
+    
+    const ipWait = loginThrottle.retryAfter(req.ip);
+    if (ipWait > 0) {
+        audit(req, 'auth.login', { user: { username: username.slice(0, 100) }, result: 'failure', details: { reason: 'ip_backoff', via: 'webdav' } });
+        return tooManyAttempts(res, ipWait, 'Too many failed logins from your address.');
+    }
+    
+    db.getUserByUsername(username, (err, account) => {
+        if (err) return next(err);
+        if (account && account.deleted_at) {
+            loginThrottle.recordFailure(req.ip);
+            audit(req, 'auth.login', { user: account, result: 'failure', details: { reason: 'deleted_account', via: 'webdav' } });
+            return challengeWebdav(res, 'Invalid credentials');
+        }
+        if (refuseLockedAccount(req, res, account)) return;
+        
+        const cacheKey = crypto.createHmac('sha256', webdavLoginKey).update(`${username}\0${password}`).digest('hex');
+        const cached = webdavLogins.get(cacheKey);
+        if (cached && account && !account.disabled_at && cached.userId === account.id && cached.passwordHash === account.password_hash && cached.expires > Date.now()) {
+            return webdavSignIn(req, res, next, account);
+        }
+        
+        db.verifyPassword(username, password, (err, user) => {
+            if (err || !user) {
+                res.set('WWW-Authenticate', `Basic realm="${WEBDAV_REALM}", charset="UTF-8"`);
+                return recordFailedLogin(req, res, username, account, 'wrong_password', 'Invalid credentials');
+            }
+            if (user.disabled_at) {
+                audit(req, 'auth.login', { user: user, result: 'failure', details: { reason: 'disabled_account', via: 'webdav' } });
+                return challengeWebdav(res, 'This account has been disabled');
+            }
+            if (user.totp_enabled) {
+                audit(req, 'auth.login', { user: user, result: 'failure', details: { reason: 'two_factor_required', via: 'webdav' } });
+                return challengeWebdav(res, 'This account uses two-factor authentication: sign in with an API token as the password');
+            }
+            
+            loginThrottle.recordSuccess(req.ip);
+            audit(req, 'auth.login', { user: user, details: { method: 'password', via: 'webdav' } });
+            db.clearLoginFailures(user.id, (err) => {
+                if (err) return next(err);
+                
+                const now = Date.now();
+                webdavLogins.forEach((entry, key) => {
+                    if (entry.expires <= now) webdavLogins.delete(key);
+                });
+                webdavLogins.set(cacheKey, { userId: user.id, passwordHash: user.password_hash, expires: now + WEBDAV_LOGIN_CACHE_MS });
+                webdavSignIn(req, res, next, user);
+            });
+        });
+    });
+}
+
+// A session for this one request, held to the same rules as a browser's
+function webdavSignIn(req, res, next, user) {
+    if (user.totp_enabled) {
+        return challengeWebdav(res, 'This account uses two-factor authentication: sign in with an API token as the password');
+    }
+    req.session = {
+        userId: user.id,
+        username: user.username,
+        role: user.role,
+        mustChangePassword: !!user.must_change_password,
+        twoFactorEnabled: false,
+        destroy: (callback) => callback && callback()
+    };
+    checkAccess(req, res, next);
+}
+
+// WebDAV paths become catalog folders and names, which never start or end
+// with blanks
+function checkWebdavPath(resourcePath) {
+    if (normalizeFolder(resourcePath) === resourcePath) return null;
+    const err = new Error('Names cannot start or end with a space');
+    err.status = 400;
+    return err;
+}
+
+function webdavFolder(folder) {
+    return { path: folder, name: folder.split('/').pop(), collection: true };
+}
+
+function webdavFile(record) {
+    const created = parseDbDate(record.created_at);
+    return {
+        path: record.folder ? `${record.folder}/${record.original_name}` : record.original_name,
+        name: record.original_name,
+        collection: false,
+        size: record.size,
+        type: record.mime,
+        etag: record.sha256 ? etagFor(record.sha256) : null,
+        modified: created,
+        created: created,
+        record: record
+    };
+}
+
+// One more reference to a file's content for a copy: its blob, or for
+// content stored before deduplication a new blob made from it.
+// callback(err, sha256)
+function retainContent(username, record, callback) {
+    if (record.blob_id) return blobs.retain(record.blob_id, (err) => callback(err, record.blob_id));
+    
+    const key = storedFileKey(username, record.stored_name);
+    if (!key) return callback(new Error('missing in storage'));
+    let dir;
+    try {
+        dir = ensureUserDirectory(username);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    storageDriver.get(key, null, (err, stream) => {
+        if (err) return callback(err);
+        
+        stageStream(stream, dir, { limit: Infinity, used: 0 }, null, (err, staged) => {
+            if (err) return callback(err);
+            blobs.add(staged.path, staged.sha256, staged.size, (err) => callback(err, staged.sha256));
+        });
+    });
+}
+
+// Catalog copies of files: entries [{ record, folder, name }], checked
+// against the quota as a whole and audited as uploads
+function copyWebdavFiles(req, entries, callback) {
+    const owner = { id: req.session.userId, username: req.session.username };
+    db.getUserById(owner.id, (err, user) => {
+        if (err || !user) return callback(err || new Error('User not found'));
+        
+        loadUploadQuota(user, (err, quota) => {
+            if (err) return callback(err);
+            
+            const total = entries.reduce((sum, entry) => sum + entry.record.size, 0);
+            if (quota.used + total > quota.limit) return callback(quotaExceededError(quota));
+            
+            const next = () => {
+                const entry = entries.shift();
+                if (!entry) return callback(null);
+                
+                retainContent(owner.username, entry.record, (err, sha256) => {
+                    if (err) return callback(err);
+                    
+                    const id = crypto.randomUUID();
+                    const file = {
+                        id: id,
+                        originalname: entry.name,
+                        targetName: entry.name,
+                        filename: storedNameFor(id, entry.name),
+                        blobId: sha256,
+                        sha256: sha256,
+                        size: entry.record.size,
+                        mimetype: entry.record.mime
+                    };
+                    recordUploadedFiles(owner.id, { uploader_ip: req.ip, folder: entry.folder }, [file], 'version', (err, results) => {
+                        if (err) return blobs.release(sha256, () => callback(err));
+                        auditUploads(req, owner.username, results, { via: 'webdav', copied_from: entry.record.id });
+                        next();
+                    });
+                });
+            };
+            next();
+        });
+    });
+}
+
+const webdavRouter = express.Router();
+webdavRouter.use(webdavAuth, webdav.router({
+    stat: (req, resourcePath, cb) => {
+        if (resourcePath === '') return cb(null, webdavFolder(''));
+        
+        const name = resourcePath.split('/').pop();
+        db.getFileByName(req.session.userId, parentFolder(resourcePath), name, (err, record) => {
+            if (err) return cb(err);
+            if (record) return cb(null, webdavFile(record));
+            
+            loadFolderTotals(req.session.userId, (err, totals) => {
+                if (err) return cb(err);
+                cb(null, totals.has(resourcePath) ? webdavFolder(resourcePath) : null);
+            });
+        });
+    },
+    
+    list: (req, folder, cb) => {
+        loadFolderTotals(req.session.userId, (err, totals) => {
+            if (err) return cb(err);
+            
+            const subfolders = Array.from(totals.keys())
+                .filter(folderPath => folderPath !== '' && parentFolder(folderPath) === folder)
+                .sort()
+                .map(webdavFolder);
+            db.getFilesInFolder(req.session.userId, folder, (err, records) => {
+                if (err) return cb(err);
+                cb(null, subfolders.concat(records.map(webdavFile)));
+            });
+        });
+    },
+    
+    quota: (req, cb) => {
+        db.getUserById(req.session.userId, (err, user) => {
+            if (err || !user) return cb(err || new Error('User not found'));
+            
+            loadUploadQuota(user, (err, quota) => {
+                if (err) return cb(err);
+                cb(null, { used: quota.used, available: Math.max(0, quota.limit - quota.used) });
+            });
+        });
+    },
+    
+    read: (req, res, resource) => {
+        sendFileRecord(req, res, resource.record, req.session.username, { via: 'webdav' });
+    },
+    
+    // Same checks as POST /upload; writing onto a file keeps the old content
+    // as a revision (the 'version' conflict policy)
+    write: (req, resourcePath, existing, source, length, done) => {
+        const owner = { id: req.session.userId, username: req.session.username };
+        const name = resourcePath.split('/').pop();
+        const maxBytes = MAX_FILE_SIZE_MB * 1024 * 1024;
+        const cb = (err) => {
+            if (err) {
+                audit(req, 'file.upload', {
+                    target: `${owner.username}/${resourcePath}`,
+                    result: 'failure',
+                    details: { via: 'webdav', error: err.message }
+                });
+            }
+            done(err);
+        };
         
-        // Calculate current usage in user's directory
-        let currentUsage = 0;
-        if (fs.existsSync(userDir)) {
-            const files = fs.readdirSync(userDir);
-            files.forEach(file => {
-                const filePath = path.join(userDir, file);
-                const stats = fs.statSync(filePath);
-                currentUsage += stats.size;
+        const pathProblem = checkWebdavPath(resourcePath);
+        if (pathProblem) return cb(pathProblem);
+        if (length > maxBytes) return cb(contentError(`File too large. Maximum size is ${MAX_FILE_SIZE_MB}MB`, 413));
+        
+        db.getUserById(owner.id, (err, user) => {
+            if (err || !user) return cb(err || new Error('User not found'));
+            
+            const problem = extensionProblem(effectivePolicy(user), name);
+            if (problem) return cb(rejectedTypeError(problem));
+            
+            loadUploadQuota(user, (err, quota) => {
+                if (err) return cb(err);
+                if (length !== null && quota.used + length > quota.limit) return cb(quotaExceededError(quota));
+                
+                let dir;
+                try {
+                    dir = ensureUserDirectory(owner.username, describeRequester(req));
+                } catch (err) {
+                    return cb(err);
+                }
+                
+                stageStream(source, dir, quota, maxBytes, (err, staged) => {
+                    if (err) return cb(err);
+                    
+                    const file = Object.assign({ originalname: name }, staged);
+                    storeStagedFile(req, owner, parentFolder(resourcePath), file, 'version', { via: 'webdav' }, (err) => {
+                        if (err) return discardFiles(storageDriver, [file], () => cb(err));
+                        cb(null);
+                    });
+                });
             });
+        });
+    },
+    
+    mkcol: (req, folder, cb) => {
+        const pathProblem = checkWebdavPath(folder);
+        if (pathProblem) return cb(pathProblem);
+        db.createFolder(req.session.userId, folder, (err) => {
+            if (err) return cb(err);
+            publishFolderEvent(req.session.userId, 'folder.created', folder);
+            cb(null);
+        });
+    },
+    
+    // Deleted files go to the trash, as everywhere else
+    remove: (req, resource, cb) => {
+        if (resource.collection) {
+            const owner = { id: req.session.userId, username: req.session.username };
+            return deleteFolderTree(req, owner, resource.path, (err) => cb(err));
         }
         
-        // Check quota
-        if (currentUsage + totalSize > quotaBytes) {
-            const available = quotaBytes - currentUsage;
-            return res.status(400).json({ 
-                error: `Quota exceeded. You have ${formatFileSize(available)} available, need ${formatFileSize(totalSize)}` 
+        const record = resource.record;
+        const target = fileTarget(req.session.username, record);
+        trashFileRecord(record, false, (err) => {
+            if (err) {
+                audit(req, 'file.delete', { target, result: 'failure', details: { file_id: record.id, error: err.message, via: 'webdav' } });
+                return cb(err);
+            }
+            audit(req, 'file.delete', { target, details: { file_id: record.id, size: record.size, via: 'webdav' } });
+            cb(null);
+        });
+    },
+    
+    move: (req, resource, to, cb) => {
+        const pathProblem = checkWebdavPath(to);
+        if (pathProblem) return cb(pathProblem);
+        if (!resource.collection) {
+            const record = resource.record;
+            const renamed = Object.assign({}, record, { folder: parentFolder(to), original_name: to.split('/').pop() });
+            return db.renameFile(record.id, renamed.folder, renamed.original_name, (err) => {
+                if (err) return cb(err);
+                publishFileEvent('file.moved', renamed, { from_folder: record.folder, from_name: record.original_name });
+                cb(null);
             });
         }
         
-        const newUsage = currentUsage + totalSize;
-        const usagePercentage = quotaBytes > 0 ? Math.min(100, (newUsage / quotaBytes) * 100) : 0;
+        db.moveFolder(req.session.userId, resource.path, to, (err) => {
+            if (err) return cb(err);
+            db.createFolder(req.session.userId, to, (err) => {
+                if (err) return cb(err);
+                publishFolderEvent(req.session.userId, 'folder.moved', to, resource.path);
+                cb(null);
+            });
+        });
+    },
+    
+    // Copies share the original's content (one more blob reference) but
+    // count against the quota like any other file
+    copy: (req, resource, to, depth, cb) => {
+        const pathProblem = checkWebdavPath(to);
+        if (pathProblem) return cb(pathProblem);
+        if (!resource.collection) {
+            return copyWebdavFiles(req, [{ record: resource.record, folder: parentFolder(to), name: to.split('/').pop() }], cb);
+        }
         
-        res.json({
-            success: true,
-            files: uploadedFiles,
-            total_size: totalSize,
-            file_count: uploadedFiles.length,
-            storage_used: newUsage,
-            storage_quota: quotaBytes,
-            usage_percentage: usagePercentage
+        const userId = req.session.userId;
+        const from = resource.path;
+        const relocate = (folder) => to + folder.slice(from.length);
+        loadFolderTotals(userId, (err, totals) => {
+            if (err) return cb(err);
+            
+            const folders = [to].concat(depth === 'infinity'
+                ? Array.from(totals.keys()).filter(folder => folder.startsWith(from + '/')).sort().map(relocate)
+                : []);
+            const loadFiles = (done) => depth === 'infinity' ? db.getFilesInTree(userId, from, done) : done(null, []);
+            loadFiles((err, records) => {
+                if (err) return cb(err);
+                
+                const createNext = (err) => {
+                    if (err) return cb(err);
+                    const folder = folders.shift();
+                    if (folder !== undefined) return db.createFolder(userId, folder, createNext);
+                    
+                    copyWebdavFiles(req, records.map(record => ({
+                        record: record,
+                        folder: relocate(record.folder),
+                        name: record.original_name
+                    })), cb);
+                };
+                createNext();
+            });
         });
-    });
-});
+    }
+}));
 
 // ========== HEALTH ENDPOINT ==========
 
@@ -472,16 +5328,22 @@ app.use(express.static('public'));
 
 // Error handling for file uploads
 app.use((err, req, res, next) => {
+    if (req.auditAction) {
+        const owner = req.uploadOwner ? req.uploadOwner.username : req.session && req.session.username;
+        audit(req, req.auditAction, { target: owner, result: 'failure', details: { error: err.message } });
+    }
+    
     if (err instanceof multer.MulterError) {
         // Multer errors
+        const limits = req.uploadLimits || { fileSizeMb: MAX_FILE_SIZE_MB, files: MAX_FILES_PER_UPLOAD };
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(413).json({ 
-                error: `File too large. Maximum size is ${MAX_FILE_SIZE_MB}MB` 
+                error: `File too large. Maximum size is ${limits.fileSizeMb}MB` 
             });
         }
         if (err.code === 'LIMIT_FILE_COUNT') {
             return res.status(400).json({ 
-                error: `Too many files. Maximum is ${MAX_FILES_PER_UPLOAD} files per upload` 
+                error: `Too many files. Maximum is ${limits.files} files per upload` 
             });
         }
         if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -492,6 +5354,27 @@ app.use((err, req, res, next) => {
         return res.status(400).json({ error: 'Upload error: ' + err.message });
     }
     
+    if (err.status && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    
+    if (err.code === 'QUOTA_EXCEEDED' && req.uploadLink) {
+        // Don't disclose the owner's storage figures to external senders
+        return res.status(413).json({ error: 'The recipient does not have enough storage space for these files' });
+    }
+    
+    if (err.code === 'QUOTA_EXCEEDED') {
+        const available = Math.max(0, err.quota.quotaBytes - err.quota.initialUsage);
+        return res.status(413).json({ 
+            error: `Quota exceeded. You have ${formatFileSize(available)} available` 
+        });
+    }
+    
+    if (err.code === 'SCAN_FAILED') {
+        console.error('File scan failed:', err.cause);
+        return res.status(503).json({ error: err.message });
+    }
+    
     console.error('Server error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -501,10 +5384,12 @@ app.listen(PORT, () => {
     console.log(`🚀 File Upload Server running on port ${PORT}`);
     console.log(`📁 Upload base directory: ${UPLOAD_BASE_DIR}`);
     console.log(`👤 User directories: ${UPLOAD_BASE_DIR}/<username>/`);
+    console.log(`🗄️  Storage driver: ${storageDriver.name}`);
     console.log(`🔐 Login: http://[IP]:${PORT}/login`);
     console.log(`👤 Default admin: admin/manni`);
     console.log(`📤 Upload endpoint: POST /upload`);
     console.log(`📥 Download endpoint: GET /download/:filename`);
     console.log(`📋 File list: GET /api/files (user-specific)`);
+    console.log(`📂 WebDAV: http://[IP]:${PORT}/dav/`);
     console.log(`❤️  Health check: GET /health`);
 });
\ No newline at end of file
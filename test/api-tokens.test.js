@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseScopes, tokenAllows } = require('../lib/api-tokens');
+const { Client, startServer } = require('./helpers/server');
+
+// A client that sends a new token of the signed-in user instead of a cookie
+async function tokenClient(server, user, scopes) {
+    const created = await user.json('/api/tokens', { method: 'POST', json: { name: scopes.join('+'), scopes } });
+    assert.strictEqual(created.status, 201);
+    const client = new Client(server.url);
+    const request = client.request.bind(client);
+    client.request = (pathname, opts = {}) => request(pathname, Object.assign({}, opts, {
+        headers: Object.assign({ authorization: `Bearer ${created.body.token}` }, opts.headers)
+    }));
+    return client;
+}
+
+test('parseScopes accepts known scopes only', () => {
+    assert.deepStrictEqual(parseScopes('upload, READ'), ['read', 'upload']);
+    assert.deepStrictEqual(parseScopes(['delete']), ['delete']);
+    assert.strictEqual(parseScopes(''), null);
+    assert.strictEqual(parseScopes('read,write'), null);
+    assert.strictEqual(tokenAllows(['read'], 'read'), true);
+    assert.strictEqual(tokenAllows(['upload'], 'read'), false);
+    assert.strictEqual(tokenAllows(['admin'], 'delete'), true);
+});
+
+test('POST /api/files/zip needs the read scope, not upload', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const uploaded = await alice.upload({ 'a.txt': 'hello' });
+    const fileId = uploaded.body.files[0].id;
+    const zipRequest = { method: 'POST', json: { ids: [fileId] } };
+
+    const reader = await tokenClient(server, alice, ['read']);
+    const zip = await reader.request('/api/files/zip', zipRequest);
+    assert.strictEqual(zip.status, 200);
+    assert.strictEqual(zip.headers.get('content-type'), 'application/zip');
+    assert.strictEqual((await zip.arrayBuffer()).byteLength > 0, true);
+
+    const uploader = await tokenClient(server, alice, ['upload']);
+    const refused = await uploader.json('/api/files/zip', zipRequest);
+    assert.strictEqual(refused.status, 403);
+    assert.match(refused.body.error, /"read" scope/);
+
+    // Other POST routes still need upload
+    const folder = await reader.json('/api/folders', { method: 'POST', json: { path: 'docs' } });
+    assert.strictEqual(folder.status, 403);
+    assert.strictEqual((await uploader.json('/api/folders', { method: 'POST', json: { path: 'docs' } })).status, 201);
+});
+
+test('creating or changing a retention policy needs the delete scope', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const policy = { name: 'keep one', keep_newest: 1 };
+
+    const uploader = await tokenClient(server, alice, ['upload']);
+    const refused = await uploader.json('/api/retention-policies', { method: 'POST', json: policy });
+    assert.strictEqual(refused.status, 403);
+    assert.match(refused.body.error, /"delete" scope/);
+
+    const deleter = await tokenClient(server, alice, ['delete']);
+    const created = await deleter.json('/api/retention-policies', { method: 'POST', json: policy });
+    assert.strictEqual(created.status, 201);
+    const policyPath = `/api/retention-policies/${created.body.policy.id}`;
+    assert.strictEqual((await uploader.json(policyPath, { method: 'PUT', json: { keep_newest: 0, max_age_days: 1 } })).status, 403);
+    const updated = await deleter.json(policyPath, { method: 'PUT', json: { name: 'keep two', keep_newest: 2 } });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.policy.keep_newest, 2);
+});
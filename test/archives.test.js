@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Readable } = require('stream');
+const { ZipWriter, archiveFormat, extractArchive } = require('../lib/archives');
+
+const LIMITS = {
+    maxEntries: 100,
+    maxFileBytes: 16 * 1024 * 1024,
+    maxBytes: 32 * 1024 * 1024,
+    available: 32 * 1024 * 1024,
+    maxRatio: 100,
+    quotaError: () => Object.assign(new Error('Storage quota exceeded'), { code: 'QUOTA_EXCEEDED', status: 413 })
+};
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Rejected entries are logged; keep the output quiet and check it happened
+function quietWarnings(t) {
+    return t.mock.method(console, 'warn', () => {});
+}
+
+// A ZIP of entries { name: content } (a name ending in "/" is a directory)
+async function zipBuffer(entries) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => output.on('end', resolve));
+
+    const zip = new ZipWriter(output);
+    for (const name of Object.keys(entries)) {
+        if (name.endsWith('/')) {
+            zip.addDirectory(name, new Date(2024, 0, 2, 3, 4, 6));
+            continue;
+        }
+        await new Promise((resolve, reject) => {
+            zip.addFile(name, Readable.from([Buffer.from(entries[name])]), new Date(2024, 0, 2, 3, 4, 6),
+                err => err ? reject(err) : resolve());
+        });
+    }
+    zip.finish();
+    await ended;
+    return Buffer.concat(chunks);
+}
+
+// Mark an entry of a ZIP as a Unix file of the given mode (a symlink, say)
+function setZipMode(zip, name, mode) {
+    for (let pos = zip.length - 22; pos >= 0; pos--) {
+        if (zip.readUInt32LE(pos) !== 0x02014b50) continue;
+        const nameLength = zip.readUInt16LE(pos + 28);
+        if (zip.slice(pos + 46, pos + 46 + nameLength).toString() === name) {
+            zip.writeUInt32LE((mode << 16) >>> 0, pos + 38);
+            return zip;
+        }
+    }
+    throw new Error(`${name} is not in the archive`);
+}
+
+// A ustar header block
+function tarHeader(name, size, type) {
+    const block = Buffer.alloc(512);
+    block.write(name, 0, 100);
+    block.write('0000644\0', 100);
+    block.write('0000000\0', 108);
+    block.write('0000000\0', 116);
+    block.write(size.toString(8).padStart(11, '0') + '\0', 124);
+    block.write('00000000000\0', 136);
+    block.write(type, 156);
+    if (type === '2') block.write('/etc/passwd', 157);
+    block.write('ustar\0' + '00', 257);
+    block.fill(' ', 148, 156);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += block[i];
+    block.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return block;
+}
+
+// A .tar.gz of entries [name, content, type] (type '0' file, '5' directory, '2' symlink)
+function tarGzBuffer(entries) {
+    const blocks = [];
+    entries.forEach(([name, content = '', type = '0']) => {
+        const body = Buffer.from(content);
+        blocks.push(tarHeader(name, body.length, type), body, Buffer.alloc((512 - body.length % 512) % 512));
+    });
+    blocks.push(Buffer.alloc(1024));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+function extract(t, buffer, format, limits = LIMITS) {
+    const dir = tempDir(t);
+    const archivePath = path.join(dir, `upload.${format}`);
+    fs.writeFileSync(archivePath, buffer);
+    const destination = path.join(dir, 'staging');
+    fs.mkdirSync(destination);
+    return new Promise((resolve, reject) => {
+        extractArchive(archivePath, format, destination, limits, 'test', (err, result) => {
+            if (err) return reject(Object.assign(err, { staged: fs.readdirSync(destination) }));
+            resolve(Object.assign(result, { destination }));
+        });
+    });
+}
+
+// { "folder/name": content } of the extracted files
+function contents(result) {
+    const files = {};
+    result.files.forEach(file => {
+        files[file.folder ? `${file.folder}/${file.originalname}` : file.originalname] = fs.readFileSync(file.path, 'utf8');
+    });
+    return files;
+}
+
+async function assertRejected(promise, status, message, code = 'ARCHIVE_REJECTED') {
+    await assert.rejects(promise, (err) => {
+        assert.strictEqual(err.code, code);
+        assert.strictEqual(err.status, status);
+        assert.match(err.message, message);
+        // Nothing is left in the staging directory
+        assert.deepStrictEqual(err.staged, []);
+        return true;
+    });
+}
+
+test('archiveFormat recognises .zip, .tar.gz and .tgz', () => {
+    assert.strictEqual(archiveFormat('Photos.ZIP'), 'zip');
+    assert.strictEqual(archiveFormat('backup.tar.gz'), 'tar.gz');
+    assert.strictEqual(archiveFormat('backup.tgz'), 'tar.gz');
+    assert.strictEqual(archiveFormat('backup.tar'), null);
+    assert.strictEqual(archiveFormat('notes.gz'), null);
+});
+
+test('a ZipWriter archive extracts back to the same files and folders', async (t) => {
+    const big = 'line of text\n'.repeat(20000);
+    const zip = await zipBuffer({
+        'docs/': '',
+        'docs/readme.txt': 'hello',
+        'docs/sub/big.txt': big,
+        'empty.txt': '',
+        'Résumé.txt': 'unicode'
+    });
+    const result = await extract(t, zip, 'zip');
+
+    assert.deepStrictEqual(result.folders, ['docs']);
+    assert.strictEqual(result.skipped, 0);
+    assert.deepStrictEqual(contents(result), {
+        'docs/readme.txt': 'hello',
+        'docs/sub/big.txt': big,
+        'empty.txt': '',
+        'Résumé.txt': 'unicode'
+    });
+    const readme = result.files.find(file => file.originalname === 'readme.txt');
+    assert.strictEqual(readme.size, 5);
+    assert.strictEqual(readme.sha256, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    assert.strictEqual(readme.crc, undefined);
+    // Staging files are all in the destination
+    assert.strictEqual(fs.readdirSync(result.destination).length, 4);
+});
+
+test('ZipWriter lays out headers, deflated data and the central directory', async (t) => {
+    const zip = await zipBuffer({ 'a.txt': 'first', 'b/c.txt': 'second' });
+    // End of central directory: two entries, the directory right before it
+    const end = zip.length - 22;
+    assert.strictEqual(zip.readUInt32LE(end), 0x06054b50);
+    assert.strictEqual(zip.readUInt16LE(end + 10), 2);
+    assert.strictEqual(zip.readUInt32LE(end + 16) + zip.readUInt32LE(end + 12), end);
+    // The first entry is deflated data straight after its local header
+    assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+    const nameLength = zip.readUInt16LE(26);
+    assert.strictEqual(zip.slice(30, 30 + nameLength).toString(), 'a.txt');
+    const compressedSize = zip.readUInt32LE(zip.readUInt32LE(end + 16) + 20);
+    const data = zip.slice(30 + nameLength, 30 + nameLength + compressedSize);
+    assert.strictEqual(zlib.inflateRawSync(data).toString(), 'first');
+});
+
+test('a tar.gz archive extracts files and folders', async (t) => {
+    const tgz = tarGzBuffer([
+        ['./', '', '5'],
+        ['./docs/', '', '5'],
+        ['./docs/readme.txt', 'hello'],
+        ['notes.txt', 'x'.repeat(1500)]
+    ]);
+    const result = await extract(t, tgz, 'tar.gz');
+    assert.deepStrictEqual(result.folders, ['docs']);
+    assert.deepStrictEqual(contents(result), { 'docs/readme.txt': 'hello', 'notes.txt': 'x'.repeat(1500) });
+});
+
+test('ZIP entries that climb out or are absolute are rejected', async (t) => {
+    const warn = quietWarnings(t);
+    const attacks = {
+        '../evil.txt': 'path traversal',
+        'docs/../../evil.txt': 'path traversal',
+        '..\\..\\evil.txt': 'path traversal',
+        '/etc/cron.d/evil': 'absolute path',
+        'C:\\Windows\\evil.dll': 'absolute path',
+        'docs/nul': 'reserved name'
+    };
+    for (const name of Object.keys(attacks)) {
+        const zip = await zipBuffer({ 'fine.txt': 'fine', [name]: 'evil' });
+        await assertRejected(extract(t, zip, 'zip'), 400, new RegExp(`is not allowed \\(${attacks[name]}\\)`));
+    }
+    assert.strictEqual(warn.mock.callCount(), Object.keys(attacks).length);
+    assert.match(warn.mock.calls[0].arguments[0], /Rejected unsafe path "\.\.\/evil\.txt" \(archive entry: path traversal\) from test/);
+});
+
+test('tar.gz entries that climb out or are absolute are rejected', async (t) => {
+    quietWarnings(t);
+    // The file before the bad entry is already staged, and is removed again
+    await assertRejected(extract(t, tarGzBuffer([['fine.txt', 'fine'], ['../evil.txt', 'evil']]), 'tar.gz'),
+        400, /path traversal/);
+    await assertRejected(extract(t, tarGzBuffer([['/etc/evil', 'evil']]), 'tar.gz'), 400, /absolute path/);
+    await assertRejected(extract(t, tarGzBuffer([['docs/../../', '', '5']]), 'tar.gz'), 400, /path traversal/);
+});
+
+test('symlink entries are skipped, not written', async (t) => {
+    const zip = setZipMode(await zipBuffer({ 'fine.txt': 'fine', 'passwd': '/etc/passwd' }), 'passwd', 0o120777);
+    const fromZip = await extract(t, zip, 'zip');
+    assert.strictEqual(fromZip.skipped, 1);
+    assert.deepStrictEqual(contents(fromZip), { 'fine.txt': 'fine' });
+    assert.strictEqual(fs.readdirSync(fromZip.destination).length, 1);
+
+    const fromTar = await extract(t, tarGzBuffer([['fine.txt', 'fine'], ['passwd', '', '2']]), 'tar.gz');
+    assert.strictEqual(fromTar.skipped, 1);
+    assert.deepStrictEqual(contents(fromTar), { 'fine.txt': 'fine' });
+});
+
+test('a zip bomb is refused by its compression ratio before anything is inflated', async (t) => {
+    const zeros = Buffer.alloc(2 * 1024 * 1024).toString();
+    const zip = await zipBuffer({ 'zeros.bin': zeros });
+    await assertRejected(extract(t, zip, 'zip', Object.assign({}, LIMITS, { maxRatio: 10 })), 413, /suspicious compression ratio/);
+
+    // Small entries are not judged, however well they compress
+    const small = await zipBuffer({ 'zeros.bin': zeros.slice(0, 512 * 1024) });
+    assert.strictEqual((await extract(t, small, 'zip', Object.assign({}, LIMITS, { maxRatio: 10 }))).files.length, 1);
+    // and a generous limit lets the big one through
+    assert.strictEqual((await extract(t, zip, 'zip', Object.assign({}, LIMITS, { maxRatio: 2000 }))).files[0].size, zeros.length);
+});
+
+test('a tar.gz bomb is refused by the ratio of the whole stream', async (t) => {
+    const tgz = tarGzBuffer([['zeros.bin', Buffer.alloc(2 * 1024 * 1024)]]);
+    await assertRejected(extract(t, tgz, 'tar.gz', Object.assign({}, LIMITS, { maxRatio: 10 })), 413, /suspicious compression ratio/);
+});
+
+test('entry count, size and quota limits apply', async (t) => {
+    const zip = await zipBuffer({ 'a.txt': 'aaaa', 'b.txt': 'bbbb', 'c.txt': 'cccc' });
+    await assertRejected(extract(t, zip, 'zip', Object.assign({}, LIMITS, { maxEntries: 2 })), 413, /too many entries/);
+    await assertRejected(extract(t, zip, 'zip', Object.assign({}, LIMITS, { maxBytes: 10 })), 413, /content too large/);
+    await assertRejected(extract(t, zip, 'zip', Object.assign({}, LIMITS, { available: 10 })), 413, /quota exceeded/, 'QUOTA_EXCEEDED');
+
+    const tgz = tarGzBuffer([['a.txt', 'aaaa'], ['b.txt', 'bbbb'], ['c.txt', 'cccc']]);
+    await assertRejected(extract(t, tgz, 'tar.gz', Object.assign({}, LIMITS, { maxFileBytes: 3 })), 413, /entry too large/);
+    await assertRejected(extract(t, tgz, 'tar.gz', Object.assign({}, LIMITS, { available: 10 })), 413, /quota exceeded/, 'QUOTA_EXCEEDED');
+});
+
+test('a ZIP whose data does not match its directory is corrupt', async (t) => {
+    const zip = await zipBuffer({ 'a.txt': 'hello there' });
+    // Flip a bit of the CRC in the central directory
+    const directory = zip.readUInt32LE(zip.length - 22 + 16);
+    zip[directory + 16] ^= 1;
+    await assertRejected(extract(t, zip, 'zip'), 400, /Invalid archive: a\.txt is corrupt/);
+    await assertRejected(extract(t, Buffer.from('not a zip at all'), 'zip'), 400, /not a ZIP file/);
+    await assertRejected(extract(t, Buffer.from('not gzip'), 'tar.gz'), 400, /corrupt gzip data/);
+});
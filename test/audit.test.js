@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { auditCsv } = require('../lib/audit');
+const { openDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+test('auditCsv writes a header row and defuses formula cells', () => {
+    const csv = auditCsv([{
+        id: 1,
+        time: new Date('2024-05-01T10:00:00Z'),
+        actor: 'alice',
+        ip: '127.0.0.1',
+        action: 'file.upload',
+        target: '=HYPERLINK("x")',
+        result: 'success',
+        details: { size: 3 }
+    }]);
+    assert.strictEqual(csv, 'id,time,actor,ip,action,target,result,details\r\n' +
+        '1,2024-05-01T10:00:00.000Z,alice,127.0.0.1,file.upload,"\'=HYPERLINK(""x"")",success,"{""size"":3}"\r\n');
+});
+
+test('logins, file actions and admin changes are audited and can be searched', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const file = (await alice.upload({ 'notes.txt': 'notes' })).body.files[0];
+    await alice.request('/download/notes.txt');
+    await alice.json(`/api/files/id/${file.id}`, { method: 'DELETE' });
+    assert.strictEqual((await server.client().json('/login', { method: 'POST', json: { username: 'alice', password: 'wrong' } })).status, 401);
+    const admin = await server.admin();
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    assert.strictEqual((await admin.json(`/api/users/${aliceId}/quota`, { method: 'PUT', json: { storage_quota_mb: 20 } })).status, 200);
+    const search = async (query) => (await admin.json(`/api/audit?${query}`)).body;
+
+    const fileEntries = (await search('action=file&actor=alice')).entries;
+    assert.deepStrictEqual(fileEntries.map(entry => [entry.action, entry.target]), [
+        ['file.delete', 'alice/notes.txt'],
+        ['file.download', 'alice/notes.txt'],
+        ['file.upload', 'alice/notes.txt']
+    ]);
+    assert.ok(fileEntries.every(entry => entry.ip && entry.time && entry.result === 'success'));
+
+    const failures = (await search('action=auth.login&result=failure')).entries;
+    assert.deepStrictEqual(failures.map(entry => [entry.actor, entry.details.reason]), [['alice', 'wrong_password']]);
+    const quota = (await search('action=user.quota')).entries;
+    assert.deepStrictEqual(quota.map(entry => [entry.actor, entry.target, entry.details.to_mb]), [['admin', 'alice', 20]]);
+    assert.ok((await search('target=alice')).entries.some(entry => entry.action === 'user.create'));
+
+    const all = await search('');
+    const paged = await search('limit=2&page=2');
+    assert.deepStrictEqual([paged.total, paged.pages, paged.entries.length], [all.total, Math.ceil(all.total / 2), 2]);
+    assert.deepStrictEqual(paged.entries.map(entry => entry.id), all.entries.slice(2, 4).map(entry => entry.id));
+    assert.strictEqual((await admin.json('/api/audit?result=maybe')).status, 400);
+    assert.strictEqual((await admin.json('/api/audit?from=yesterday')).status, 400);
+    assert.strictEqual((await alice.json('/api/audit')).status, 403);
+
+    const csv = await admin.request('/api/audit?format=csv&action=file');
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = (await csv.text()).trim().split('\r\n');
+    assert.strictEqual(lines[0], 'id,time,actor,ip,action,target,result,details');
+    assert.strictEqual(lines.length, 1 + 3);
+
+    // Entries cannot be changed afterwards
+    const db = openDatabase(t, server);
+    await assert.rejects(db.run(`UPDATE audit_log SET actor = 'nobody'`), /append-only/);
+});
+
+test('entries older than the retention period are removed', async (t) => {
+    const server = await startServer(t, { AUDIT_RETENTION_DAYS: '30' });
+    await server.admin();
+    const db = openDatabase(t, server);
+    await db.run(`INSERT INTO audit_log (created_at, actor, action, result) VALUES (datetime('now', '-40 days'), 'old', 'auth.login', 'success')`);
+    await db.run(`INSERT INTO audit_log (created_at, actor, action, result) VALUES (datetime('now', '-20 days'), 'recent', 'auth.login', 'success')`);
+
+    // Pruning runs when the server starts
+    await server.restart();
+    const admin = await server.admin();
+    const actors = (await admin.json('/api/audit?action=auth.login')).body.entries.map(entry => entry.actor);
+    assert.ok(actors.includes('recent'));
+    assert.ok(!actors.includes('old'));
+});
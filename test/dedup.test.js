@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const DATASET = Buffer.alloc(64 * 1024, 7);
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function blobPath(server, hash) {
+    return path.join(server.dir, 'uploads', '.blobs', hash.slice(0, 2), hash.slice(2, 4), hash);
+}
+
+async function usedBytes(client) {
+    return (await client.json('/api/me/usage')).body.storage_used_bytes;
+}
+
+// Delete a file and purge it from the trash
+async function purge(client, fileId) {
+    assert.strictEqual((await client.json(`/api/files/id/${fileId}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await client.json(`/api/trash/${fileId}`, { method: 'DELETE' })).status, 200);
+}
+
+test('identical content is stored once and each owner is charged its full size', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const bob = await server.user('bob');
+    const hash = sha256(DATASET);
+
+    const [first, second] = (await alice.upload({ 'dataset.bin': DATASET, 'dataset-copy.bin': DATASET })).body.files;
+    const [third] = (await bob.upload({ 'dataset.bin': DATASET })).body.files;
+    assert.ok([first, second, third].every(file => file.sha256 === hash));
+    assert.strictEqual(await usedBytes(alice), 2 * DATASET.length);
+    assert.strictEqual(await usedBytes(bob), DATASET.length);
+
+    const db = openDatabase(t, server);
+    assert.deepStrictEqual(await db.all('SELECT sha256, size, ref_count FROM blobs'), [{ sha256: hash, size: DATASET.length, ref_count: 3 }]);
+    assert.strictEqual(fs.readFileSync(blobPath(server, hash)).length, DATASET.length);
+    assert.ok(Buffer.from(await (await bob.request('/download/dataset.bin')).arrayBuffer()).equals(DATASET));
+
+    const admin = await server.admin();
+    const storage = (await admin.json('/api/admin/storage')).body;
+    assert.deepStrictEqual([storage.logical_bytes, storage.stored_bytes, storage.saved_bytes, storage.entries, storage.blobs],
+        [3 * DATASET.length, DATASET.length, 2 * DATASET.length, 3, 1]);
+    assert.strictEqual(Math.round(storage.saved_percentage), 67);
+    assert.strictEqual(storage.blob_objects, 1);
+    assert.strictEqual((await alice.json('/api/admin/storage')).status, 403);
+});
+
+test('a blob is removed only with its last reference', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const bob = await server.user('bob');
+    const hash = sha256(DATASET);
+    const [first, second] = (await alice.upload({ 'dataset.bin': DATASET, 'dataset-copy.bin': DATASET })).body.files;
+    const [third] = (await bob.upload({ 'dataset.bin': DATASET })).body.files;
+    const db = openDatabase(t, server);
+    const refCount = async () => (await db.all('SELECT ref_count FROM blobs WHERE sha256 = ?', [hash])).map(row => row.ref_count);
+
+    // A file in the trash still holds its reference
+    assert.strictEqual((await alice.json(`/api/files/id/${first.id}`, { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual(await refCount(), [3]);
+    assert.strictEqual((await alice.json(`/api/trash/${first.id}`, { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual(await refCount(), [2]);
+
+    await purge(bob, third.id);
+    assert.deepStrictEqual(await refCount(), [1]);
+    assert.ok(fs.existsSync(blobPath(server, hash)));
+    assert.ok(Buffer.from(await (await alice.request(`/download/id/${second.id}`)).arrayBuffer()).equals(DATASET));
+
+    await purge(alice, second.id);
+    assert.deepStrictEqual(await refCount(), []);
+    assert.ok(!fs.existsSync(blobPath(server, hash)));
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { contentDisposition, inlineTypeFor, startsTransfer } = require('../lib/file-serving');
+const { startServer } = require('./helpers/server');
+
+const CONTENT = 'abcdefghijklmnopqrstuvwxyz';
+
+test('contentDisposition keeps an ASCII fallback next to the UTF-8 name', () => {
+    assert.strictEqual(contentDisposition('attachment', 'Résumé "v2".pdf'),
+        `attachment; filename="R_sum_ _v2_.pdf"; filename*=UTF-8''R%C3%A9sum%C3%A9%20%22v2%22.pdf`);
+});
+
+test('inlineTypeFor only allows types that cannot run script', () => {
+    assert.strictEqual(inlineTypeFor('text/plain'), 'text/plain; charset=utf-8');
+    assert.strictEqual(inlineTypeFor('image/png'), 'image/png');
+    assert.strictEqual(inlineTypeFor('text/html'), null);
+    assert.strictEqual(inlineTypeFor('image/svg+xml'), null);
+});
+
+test('startsTransfer leaves out HEAD requests and ranges that resume a transfer', () => {
+    const req = (method, range) => ({ method, get: () => range });
+    assert.strictEqual(startsTransfer(req('GET')), true);
+    assert.strictEqual(startsTransfer(req('GET', 'bytes=0-99')), true);
+    assert.strictEqual(startsTransfer(req('GET', 'bytes=100-')), false);
+    assert.strictEqual(startsTransfer(req('HEAD')), false);
+});
+
+test('downloads answer ranges, conditional requests and HEAD', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    await alice.upload({ 'letters.txt': CONTENT });
+    const url = '/download/letters.txt';
+    const etag = `"${crypto.createHash('sha256').update(CONTENT).digest('hex')}"`;
+
+    const full = await alice.request(url);
+    assert.strictEqual(full.status, 200);
+    assert.strictEqual(full.headers.get('etag'), etag);
+    assert.strictEqual(full.headers.get('accept-ranges'), 'bytes');
+    assert.match(full.headers.get('content-disposition'), /^attachment; filename="letters.txt"/);
+    assert.strictEqual(await full.text(), CONTENT);
+    const lastModified = full.headers.get('last-modified');
+
+    // fetch() adds "Cache-Control: no-cache" to conditional requests unless
+    // told otherwise; a browser revalidating its copy sends max-age=0
+    const revalidate = (headers) => alice.request(url, { headers: Object.assign({ 'cache-control': 'max-age=0' }, headers) });
+    const notModified = await revalidate({ 'if-none-match': etag });
+    assert.strictEqual(notModified.status, 304);
+    assert.strictEqual(await notModified.text(), '');
+    assert.strictEqual((await revalidate({ 'if-modified-since': lastModified })).status, 304);
+    assert.strictEqual((await revalidate({ 'if-none-match': '"other"' })).status, 200);
+
+    const part = await alice.request(url, { headers: { range: 'bytes=2-5' } });
+    assert.strictEqual(part.status, 206);
+    assert.strictEqual(part.headers.get('content-range'), `bytes 2-5/${CONTENT.length}`);
+    assert.strictEqual(await part.text(), 'cdef');
+    const unsatisfiable = await alice.request(url, { headers: { range: 'bytes=100-' } });
+    assert.strictEqual(unsatisfiable.status, 416);
+    assert.strictEqual(unsatisfiable.headers.get('content-range'), `bytes */${CONTENT.length}`);
+    // A range of content that has changed since gets the whole file
+    const stale = await alice.request(url, { headers: { range: 'bytes=2-5', 'if-range': '"other"' } });
+    assert.strictEqual(stale.status, 200);
+    assert.strictEqual(await stale.text(), CONTENT);
+    assert.strictEqual((await alice.request(url, { headers: { 'if-match': '"other"' } })).status, 412);
+
+    const head = await alice.request(url, { method: 'HEAD' });
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.headers.get('content-length'), String(CONTENT.length));
+    assert.strictEqual(await head.text(), '');
+
+    // Only transfers that start count as downloads: not 304s, resumed ranges or HEAD
+    const admin = await server.admin();
+    const downloads = (await admin.json('/api/audit?action=file.download&result=success')).body.entries;
+    assert.strictEqual(downloads.length, 2);
+});
+
+test('safe types can be shown inline, anything else is still downloaded', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    await alice.upload({ 'notes.txt': 'plain words', 'page.html': '<script>alert(1)</script>' });
+
+    const text = await alice.request('/download/notes.txt?inline=1');
+    assert.strictEqual(text.headers.get('content-type'), 'text/plain; charset=utf-8');
+    assert.match(text.headers.get('content-disposition'), /^inline;/);
+    assert.match(text.headers.get('content-security-policy'), /default-src 'none'.*; sandbox$/);
+    assert.strictEqual(text.headers.get('x-content-type-options'), 'nosniff');
+
+    const html = await alice.request('/download/page.html?inline=1');
+    assert.match(html.headers.get('content-disposition'), /^attachment;/);
+    assert.strictEqual(html.headers.get('content-security-policy'), null);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeFolder, folderTotals } = require('../lib/catalog');
+const { startServer } = require('./helpers/server');
+
+async function fileNames(client, folder) {
+    return (await client.json(`/api/files?path=${encodeURIComponent(folder)}`)).body.map(file => file.name).sort();
+}
+
+test('normalizeFolder tidies folder paths and rejects unsafe segments', () => {
+    assert.strictEqual(normalizeFolder(undefined), '');
+    assert.strictEqual(normalizeFolder('/Projects//2024/ '), 'Projects/2024');
+    assert.strictEqual(normalizeFolder('Projects/../../etc'), null);
+    assert.strictEqual(normalizeFolder('a/\0b'), null);
+});
+
+test('folderTotals adds what subfolders hold to every folder above them', () => {
+    const totals = folderTotals(['Empty', 'a/b'], [
+        { folder: '', size: 1, file_count: 1 },
+        { folder: 'a', size: 10, file_count: 1 },
+        { folder: 'a/b', size: 100, file_count: 2 }
+    ]);
+    assert.deepStrictEqual(Array.from(totals.values()).map(total => [total.path, total.size, total.file_count]).sort(), [
+        ['', 111, 4],
+        ['Empty', 0, 0],
+        ['a', 110, 3],
+        ['a/b', 100, 2]
+    ]);
+});
+
+test('files can be uploaded, listed, downloaded and deleted by folder', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+
+    assert.strictEqual((await alice.upload({ 'top.txt': 'top' })).status, 200);
+    assert.strictEqual((await alice.upload({ 'plan.txt': 'plan 2024' }, '?path=Projects/2024')).status, 200);
+    assert.strictEqual((await alice.upload({ 'plan.txt': 'plan' }, '?path=Projects')).status, 200);
+    assert.strictEqual((await alice.upload({ 'x.txt': 'x' }, '?path=../outside')).status, 400);
+
+    assert.deepStrictEqual(await fileNames(alice, ''), ['top.txt']);
+    assert.deepStrictEqual(await fileNames(alice, 'Projects/2024'), ['plan.txt']);
+    // Without ?path= every file is listed
+    assert.strictEqual((await alice.json('/api/files')).body.length, 3);
+    assert.strictEqual(await (await alice.request('/download/plan.txt?path=Projects/2024')).text(), 'plan 2024');
+    assert.strictEqual(await (await alice.request('/download/plan.txt?path=Projects')).text(), 'plan');
+    assert.strictEqual((await alice.request('/download/plan.txt')).status, 404);
+    assert.strictEqual((await alice.request('/download/plan.txt?path=..%2F..')).status, 400);
+
+    const usage = (await alice.json('/api/me/usage')).body;
+    assert.strictEqual(usage.storage_used_bytes, 3 + 9 + 4);
+    assert.deepStrictEqual(usage.folders.map(folder => [folder.path, folder.size, folder.file_count]),
+        [['Projects', 13, 2], ['Projects/2024', 9, 1]]);
+
+    assert.strictEqual((await alice.json('/api/files/plan.txt?path=Projects', { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual(await fileNames(alice, 'Projects'), []);
+    assert.deepStrictEqual(await fileNames(alice, 'Projects/2024'), ['plan.txt']);
+});
+
+test('folders can be created, browsed, moved and deleted', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const folders = (options) => alice.json('/api/folders', options);
+
+    assert.strictEqual((await folders({ method: 'POST', json: { path: 'Clients/Acme' } })).status, 201);
+    assert.strictEqual((await folders({ method: 'POST', json: { path: 'Clients' } })).status, 409);
+    assert.strictEqual((await folders({ method: 'POST', json: { path: '../Acme' } })).status, 400);
+    await alice.upload({ 'contract.txt': 'signed' }, '?path=Clients/Acme');
+
+    const root = (await alice.json('/api/folders')).body;
+    assert.deepStrictEqual(root.folders.map(folder => [folder.path, folder.size]), [['Clients', 6]]);
+    const acme = (await alice.json('/api/folders?path=Clients/Acme')).body;
+    assert.deepStrictEqual(acme.breadcrumbs, [
+        { name: 'Home', path: '' },
+        { name: 'Clients', path: 'Clients' },
+        { name: 'Acme', path: 'Clients/Acme' }
+    ]);
+    assert.strictEqual(acme.file_count, 1);
+    assert.strictEqual((await alice.json('/api/folders?path=Nowhere')).status, 404);
+
+    // Moving takes the files along
+    assert.strictEqual((await folders({ method: 'PUT', json: { path: 'Clients', new_path: 'Clients/Old' } })).status, 400);
+    const moved = await folders({ method: 'PUT', json: { path: 'Clients/Acme', new_path: 'Archive/Acme' } });
+    assert.strictEqual(moved.status, 200);
+    assert.deepStrictEqual(await fileNames(alice, 'Archive/Acme'), ['contract.txt']);
+    assert.strictEqual(await (await alice.request('/download/contract.txt?path=Archive/Acme')).text(), 'signed');
+    assert.deepStrictEqual((await alice.json('/api/folders?path=Clients')).body.folders, []);
+
+    // Folders with content need ?recursive=1; their files go to the trash
+    assert.strictEqual((await alice.json('/api/folders?path=Archive', { method: 'DELETE' })).status, 409);
+    const deleted = await alice.json('/api/folders?path=Archive&recursive=1', { method: 'DELETE' });
+    assert.deepStrictEqual([deleted.status, deleted.body.deleted_files], [200, 1]);
+    assert.strictEqual((await alice.json('/api/folders?path=Archive')).status, 404);
+    assert.deepStrictEqual((await alice.json('/api/trash')).body.map(item => item.name), ['contract.txt']);
+    assert.strictEqual((await alice.json('/api/folders?path=Clients', { method: 'DELETE' })).status, 200);
+
+    // Each user has their own tree
+    const bob = await server.user('bob');
+    assert.deepStrictEqual((await bob.json('/api/folders')).body.folders, []);
+});
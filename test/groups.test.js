@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+test('a group whose space cannot be created leaves nothing behind', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const db = openDatabase(t, server);
+    await db.run(`CREATE TRIGGER fail_space BEFORE INSERT ON users WHEN NEW.role = 'group'
+                  BEGIN SELECT RAISE(ABORT, 'no space today'); END`);
+
+    const failed = await admin.json('/api/groups', { method: 'POST', json: { name: 'Design', storage_quota_mb: 50 } });
+    assert.strictEqual(failed.status, 500);
+    assert.deepStrictEqual(await db.all('SELECT * FROM groups'), []);
+
+    // The name is free again once spaces can be created
+    await db.run('DROP TRIGGER fail_space');
+    const created = await admin.json('/api/groups', { method: 'POST', json: { name: 'Design', storage_quota_mb: 50 } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.group.name, 'Design');
+    const rows = await db.all(`SELECT g.name, u.role, u.storage_quota_mb FROM groups g JOIN users u ON u.id = g.space_user_id`);
+    assert.deepStrictEqual(rows, [{ name: 'Design', role: 'group', storage_quota_mb: 50 }]);
+});
+
+test('group members get the access of their role in the group space', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const [alice, bob, carol, dave] = [await server.user('alice'), await server.user('bob'), await server.user('carol'), await server.user('dave')];
+    const group = (await admin.json('/api/groups', { method: 'POST', json: { name: 'Design', storage_quota_mb: 1 } })).body.group;
+    const space = `space=${group.space_id}`;
+    const addMember = (client, username, role) => client.json(`/api/groups/${group.id}/members`, { method: 'POST', json: { username, role } });
+
+    assert.strictEqual((await addMember(admin, 'alice', 'manager')).status, 200);
+    // Managers manage the members
+    assert.strictEqual((await addMember(alice, 'bob', 'contributor')).status, 200);
+    assert.strictEqual((await addMember(alice, 'carol', 'viewer')).status, 200);
+    assert.strictEqual((await addMember(alice, 'carol', 'owner')).status, 400);
+    assert.strictEqual((await addMember(bob, 'dave', 'viewer')).status, 403);
+    assert.deepStrictEqual((await carol.json(`/api/groups/${group.id}/members`)).body.map(member => [member.username, member.role]).sort(),
+        [['alice', 'manager'], ['bob', 'contributor'], ['carol', 'viewer']]);
+
+    // Uploads are charged to the group's quota
+    const [logo] = (await bob.upload({ 'logo.txt': 'the logo' }, `?${space}`)).body.files;
+    assert.strictEqual((await bob.json('/api/me/usage')).body.storage_used_bytes, 0);
+    assert.strictEqual((await bob.json('/api/groups')).body[0].storage_used_bytes, 8);
+    assert.strictEqual((await bob.upload({ 'big.bin': Buffer.alloc(1024 * 1024) }, `?${space}`)).status, 413);
+
+    // Viewers list and download, nothing more
+    assert.deepStrictEqual((await carol.json(`/api/files?${space}`)).body.map(file => file.name), ['logo.txt']);
+    assert.strictEqual(await (await carol.request(`/download/logo.txt?${space}`)).text(), 'the logo');
+    assert.strictEqual((await carol.upload({ 'mine.txt': 'x' }, `?${space}`)).status, 403);
+    assert.strictEqual((await carol.json(`/api/files/id/${logo.id}`, { method: 'DELETE' })).status, 403);
+    assert.strictEqual((await carol.json(`/api/trash?${space}`)).status, 403);
+
+    // Outsiders cannot see the space or the group
+    assert.strictEqual((await dave.json(`/api/files?${space}`)).status, 404);
+    assert.strictEqual((await dave.request(`/download/id/${logo.id}`)).status, 404);
+    assert.strictEqual((await dave.json(`/api/groups/${group.id}/members`)).status, 404);
+    assert.deepStrictEqual((await dave.json('/api/groups')).body, []);
+
+    assert.deepStrictEqual((await bob.json('/api/shared-with-me')).body.groups.map(entry => [entry.name, entry.role]), [['Design', 'contributor']]);
+    assert.strictEqual((await bob.json(`/api/files/id/${logo.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await bob.json(`/api/trash/${logo.id}?${space}`, { method: 'DELETE' })).status, 403);
+    assert.strictEqual((await alice.json(`/api/trash/${logo.id}?${space}`, { method: 'DELETE' })).status, 200);
+
+    // Members may leave on their own
+    const carolId = (await carol.json('/api/me')).body.userId;
+    assert.strictEqual((await carol.json(`/api/groups/${group.id}/members/${carolId}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await carol.json(`/api/files?${space}`)).status, 404);
+});
+
+test('files and folders can be shared with individual users', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const bob = await server.user('bob');
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    const space = `space=${aliceId}`;
+    const [report, secret] = (await alice.upload({ 'report.txt': 'report', 'secret.txt': 'secret' })).body.files;
+    await alice.upload({ 'plan.txt': 'plan' }, '?path=Projects');
+    const share = (json) => alice.json('/api/user-shares', { method: 'POST', json: Object.assign({ username: 'bob' }, json) });
+
+    const fileShare = await share({ file_id: report.id });
+    assert.deepStrictEqual([fileShare.status, fileShare.body.share.type, fileShare.body.share.role], [201, 'file', 'viewer']);
+    const folderShare = await share({ path: 'Projects', role: 'contributor' });
+    assert.strictEqual(folderShare.status, 201);
+    assert.strictEqual((await share({ path: 'Projects', role: 'manager' })).status, 400);
+    assert.strictEqual((await share({ path: 'Nowhere' })).status, 404);
+    assert.strictEqual((await alice.json('/api/user-shares', { method: 'POST', json: { file_id: report.id, username: 'alice' } })).status, 400);
+
+    const shared = (await bob.json('/api/shared-with-me')).body.items;
+    assert.deepStrictEqual(shared.map(item => [item.type, item.name, item.owner, item.role]).sort(),
+        [['file', 'report.txt', 'alice', 'viewer'], ['folder', 'Projects', 'alice', 'contributor']]);
+    assert.strictEqual(shared.find(item => item.type === 'file').file.size, 6);
+
+    // Only what was shared is visible, with the role it was shared with
+    assert.deepStrictEqual((await bob.json(`/api/files?${space}`)).body.map(file => file.name).sort(), ['plan.txt', 'report.txt']);
+    assert.strictEqual(await (await bob.request(`/download/id/${report.id}`)).text(), 'report');
+    assert.strictEqual((await bob.request(`/download/id/${secret.id}`)).status, 404);
+    assert.strictEqual((await bob.json(`/api/files/id/${report.id}`, { method: 'DELETE' })).status, 403);
+    assert.strictEqual((await bob.upload({ 'notes.txt': 'notes' }, `?${space}&path=Projects`)).status, 200);
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 6 + 6 + 4 + 5);
+    // Sharing further needs the owner (or a group manager)
+    assert.strictEqual((await bob.json('/api/user-shares', { method: 'POST', json: { space: aliceId, file_id: report.id, username: 'alice' } })).status, 404);
+
+    assert.strictEqual((await alice.json(`/api/user-shares/${folderShare.body.share.id}`, { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual((await bob.json(`/api/files?${space}`)).body.map(file => file.name), ['report.txt']);
+    assert.strictEqual((await bob.upload({ 'more.txt': 'more' }, `?${space}&path=Projects`)).status, 403);
+});
@@ -0,0 +1,20 @@
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+/**
+ * Open the database of a test server (see startServer) from the test, to
+ * look at rows or break things on purpose. Closed when the test ends.
+ * Resolves statements as promises: run(sql, params), all(sql, params).
+ */
+function openDatabase(t, server) {
+    const db = new sqlite3.Database(path.join(server.dir, 'users.db'));
+    t.after(() => new Promise(resolve => db.close(resolve)));
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, err => err ? reject(err) : resolve())),
+        all: (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)))
+    };
+}
+
+module.exports = {
+    openDatabase
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const ACCESS_KEY_ID = 'TESTACCESSKEY';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+const REGION = 'us-east-1';
+const BUCKET = 'uploads';
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// RFC 3986 encoding, as Signature Version 4 wants it
+function encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function xml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+function etagOf(body) {
+    return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+function sendXml(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+}
+
+function sendError(res, status, code) {
+    if (res.req.method === 'HEAD') {
+        res.writeHead(status);
+        return res.end();
+    }
+    sendXml(res, status, `<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+// Query parameters of a raw request URL, decoded: [[name, value]]
+function queryPairs(rawQuery) {
+    if (!rawQuery) return [];
+    return rawQuery.split('&').map(pair => {
+        const eq = pair.indexOf('=');
+        const name = eq < 0 ? pair : pair.slice(0, eq);
+        const value = eq < 0 ? '' : pair.slice(eq + 1);
+        return [decodeURIComponent(name), decodeURIComponent(value)];
+    });
+}
+
+// Why the Signature Version 4 of a request does not check out, or null.
+// The canonical request is rebuilt from the decoded path and query, the way
+// S3 itself does, so a client that encodes differently fails here too.
+function signatureProblem(req, rawPath, rawQuery, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match) return 'AccessDenied';
+    const [, accessKeyId, day, region, signedHeaders, signature] = match;
+    if (accessKeyId !== ACCESS_KEY_ID) return 'InvalidAccessKeyId';
+    if (region !== REGION) return 'AuthorizationHeaderMalformed';
+
+    const names = signedHeaders.split(';');
+    const unsigned = Object.keys(req.headers).filter(name => /^x-amz-/.test(name) && !names.includes(name));
+    if (!['host', 'x-amz-date', 'x-amz-content-sha256'].every(name => names.includes(name)) || unsigned.length > 0) {
+        return 'AccessDenied';
+    }
+    const amzDate = req.headers['x-amz-date'];
+    if (amzDate.slice(0, 8) !== day) return 'SignatureDoesNotMatch';
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256(body)) return 'XAmzContentSHA256Mismatch';
+
+    const canonicalRequest = [
+        req.method,
+        rawPath.split('/').map(segment => encode(decodeURIComponent(segment))).join('/'),
+        queryPairs(rawQuery)
+            .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+            .sort()
+            .join('&'),
+        names.map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac('AWS4' + SECRET_ACCESS_KEY, day), region), 's3'), 'aws4_request');
+    const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+}
+
+/**
+ * In-memory S3 stand-in for tests: one bucket, path-style addressing, and a
+ * Signature Version 4 check on every request. It speaks the part of the API
+ * lib/s3-storage.js uses: PUT (copies included), GET (with ranges), HEAD,
+ * DELETE, ListObjectsV2 and multipart uploads. opts.pageSize: keys per list
+ * page (default 1000). Stopped when the test ends.
+ *
+ * Resolves to { endpoint, bucket, accessKeyId, secretAccessKey, region,
+ * objects, requests }: objects maps keys to { body, mtime, etag }; requests
+ * lists { method, key, query } of every signed request.
+ */
+async function startS3Server(t, opts = {}) {
+    const pageSize = opts.pageSize || 1000;
+    const objects = new Map();
+    const uploads = new Map();
+    const requests = [];
+
+    const handle = (req, res, body) => {
+        const [rawPath, rawQuery] = req.url.split('?');
+        const problem = signatureProblem(req, rawPath, rawQuery, body);
+        if (problem) return sendError(res, 403, problem);
+
+        const query = Object.fromEntries(queryPairs(rawQuery));
+        const segments = rawPath.split('/').slice(1);
+        if (decodeURIComponent(segments[0]) !== BUCKET) return sendError(res, 404, 'NoSuchBucket');
+        const key = segments.length > 1 ? decodeURIComponent(segments.slice(1).join('/')) : null;
+        requests.push({ method: req.method, key, query });
+
+        if (key === null) {
+            if (req.method !== 'GET' || query['list-type'] !== '2') return sendError(res, 501, 'NotImplemented');
+            return listObjects(res, query);
+        }
+
+        if (req.method === 'POST' && 'uploads' in query) {
+            const uploadId = crypto.randomBytes(8).toString('hex');
+            uploads.set(uploadId, { key, parts: new Map() });
+            return sendXml(res, 200, `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${xml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+        if (query.uploadId !== undefined) {
+            const upload = uploads.get(query.uploadId);
+            if (!upload || upload.key !== key) return sendError(res, 404, 'NoSuchUpload');
+
+            if (req.method === 'PUT') {
+                const etag = etagOf(body);
+                upload.parts.set(Number(query.partNumber), { body, etag });
+                res.writeHead(200, { ETag: etag });
+                return res.end();
+            }
+            if (req.method === 'DELETE') {
+                uploads.delete(query.uploadId);
+                res.writeHead(204);
+                return res.end();
+            }
+            if (req.method === 'POST') {
+                const listed = [...body.toString().matchAll(/<Part><PartNumber>(\d+)<\/PartNumber><ETag>([^<]*)<\/ETag><\/Part>/g)];
+                const parts = listed.map(([, number, etag]) => {
+                    const part = upload.parts.get(Number(number));
+                    return part && part.etag === etag.replace(/&quot;/g, '"') ? part : null;
+                });
+                if (parts.length === 0 || parts.includes(null)) return sendError(res, 400, 'InvalidPart');
+                const content = Buffer.concat(parts.map(part => part.body));
+                uploads.delete(query.uploadId);
+                objects.set(key, { body: content, mtime: new Date(), etag: etagOf(content) });
+                return sendXml(res, 200, `<CompleteMultipartUploadResult><Key>${xml(key)}</Key><ETag>${xml(etagOf(content))}</ETag></CompleteMultipartUploadResult>`);
+            }
+            return sendError(res, 501, 'NotImplemented');
+        }
+
+        const object = objects.get(key);
+        if (req.method === 'PUT') {
+            const copySource = req.headers['x-amz-copy-source'];
+            if (copySource) {
+                const [, sourceBucket, ...sourceKey] = copySource.split('/');
+                const source = decodeURIComponent(sourceBucket) === BUCKET && objects.get(decodeURIComponent(sourceKey.join('/')));
+                if (!source) return sendError(res, 404, 'NoSuchKey');
+                objects.set(key, { body: source.body, mtime: new Date(), etag: source.etag });
+                return sendXml(res, 200, `<CopyObjectResult><ETag>${xml(source.etag)}</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+            }
+            if (req.headers['content-length'] === undefined) return sendError(res, 411, 'MissingContentLength');
+            if (Number(req.headers['content-length']) !== body.length) return sendError(res, 400, 'IncompleteBody');
+            objects.set(key, { body, mtime: new Date(), etag: etagOf(body) });
+            res.writeHead(200, { ETag: etagOf(body) });
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') return sendError(res, 405, 'MethodNotAllowed');
+        if (!object) return sendError(res, 404, 'NoSuchKey');
+
+        const headers = { 'Last-Modified': object.mtime.toUTCString(), ETag: object.etag, 'Content-Type': 'application/octet-stream' };
+        const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        if (range && req.method === 'GET') {
+            const start = Number(range[1]);
+            const end = Math.min(Number(range[2]), object.body.length - 1);
+            if (start > end) return sendError(res, 416, 'InvalidRange');
+            res.writeHead(206, Object.assign(headers, {
+                'Content-Range': `bytes ${start}-${end}/${object.body.length}`,
+                'Content-Length': end - start + 1
+            }));
+            return res.end(object.body.slice(start, end + 1));
+        }
+        res.writeHead(200, Object.assign(headers, { 'Content-Length': object.body.length }));
+        res.end(req.method === 'HEAD' ? undefined : object.body);
+    };
+
+    // ListObjectsV2; the continuation token is the last key of the page before
+    const listObjects = (res, query) => {
+        const prefix = query.prefix || '';
+        const after = query['continuation-token'] ? Buffer.from(query['continuation-token'], 'base64').toString() : null;
+        const keys = [...objects.keys()].filter(key => key.startsWith(prefix) && (after === null || key > after)).sort();
+        const page = keys.slice(0, pageSize);
+        const truncated = keys.length > page.length;
+        const contents = page.map(key => {
+            const object = objects.get(key);
+            return `<Contents><Key>${xml(key)}</Key><LastModified>${object.mtime.toISOString()}</LastModified>` +
+                `<ETag>${xml(object.etag)}</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+        }).join('');
+        const next = truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64')}</NextContinuationToken>` : '';
+        sendXml(res, 200, `<ListBucketResult><Name>${BUCKET}</Name><Prefix>${xml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+            `<MaxKeys>${pageSize}</MaxKeys><IsTruncated>${truncated}</IsTruncated>${next}${contents}</ListBucketResult>`);
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket: BUCKET,
+        accessKeyId: ACCESS_KEY_ID,
+        secretAccessKey: SECRET_ACCESS_KEY,
+        region: REGION,
+        objects,
+        requests
+    };
+}
+
+module.exports = {
+    startS3Server
+};
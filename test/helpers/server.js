@@ -0,0 +1,164 @@
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ADMIN_PASSWORD = 'Str0ng-Passw0rd!';
+const USER_PASSWORD = 'Sunny-Passw0rd-1';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const port = probe.address().port;
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * A signed-in (or anonymous) HTTP client of a test server. Keeps the session
+ * cookie; redirects are returned, not followed.
+ */
+class Client {
+    constructor(url) {
+        this.url = url;
+        this.cookie = null;
+    }
+
+    // opts: { method, headers, body, json }
+    async request(pathname, opts = {}) {
+        const headers = Object.assign({}, opts.headers);
+        if (this.cookie) headers.cookie = this.cookie;
+        let body = opts.body;
+        if (opts.json !== undefined) {
+            headers['content-type'] = 'application/json';
+            body = JSON.stringify(opts.json);
+        }
+
+        const res = await fetch(this.url + pathname, { method: opts.method || 'GET', headers, body, redirect: 'manual' });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) this.cookie = setCookie.split(';')[0];
+        return res;
+    }
+
+    async json(pathname, opts) {
+        const res = await this.request(pathname, opts);
+        return { status: res.status, body: await res.json() };
+    }
+
+    async login(username, password) {
+        const res = await this.request('/login', { method: 'POST', json: { username, password } });
+        assert.strictEqual(res.status, 200, `login as ${username}`);
+        return this;
+    }
+
+    // POST /upload with files: { name: content }
+    async upload(files, query = '') {
+        const form = new FormData();
+        Object.keys(files).forEach(name => form.append('files', new Blob([files[name]]), name));
+        return this.json(`/upload${query}`, { method: 'POST', body: form });
+    }
+}
+
+/**
+ * Start server.js on a free port with a database and upload directory of its
+ * own; it is stopped and its files removed when the test ends. env: extra
+ * environment variables. server.restart() runs it again on the same data.
+ */
+async function startServer(t, env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-server-'));
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    let output = '';
+    let child = null;
+    let exited = null;
+
+    const launch = async () => {
+        child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+            cwd: ROOT,
+            env: Object.assign({}, process.env, {
+                PORT: String(port),
+                UPLOAD_DIR: path.join(dir, 'uploads'),
+                DB_PATH: path.join(dir, 'users.db'),
+                SESSION_SECRET: 'test-secret'
+            }, env),
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+        exited = new Promise(resolve => child.once('exit', resolve));
+
+        // Ready once it answers and the default admin (seeded in the
+        // background after the database opens) exists
+        for (let attempt = 0; ; attempt++) {
+            if (child.exitCode !== null) throw new Error(`Server exited:\n${output}`);
+            if (attempt > 100) throw new Error(`Server did not start:\n${output}`);
+            try {
+                if ((await fetch(`${url}/health`)).ok && output.includes('Default admin user created')) break;
+            } catch (err) {
+                // not listening yet
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    };
+
+    const stop = async () => {
+        child.kill();
+        await exited;
+    };
+
+    t.after(async () => {
+        await stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    await launch();
+
+    const server = {
+        url,
+        dir,
+        output: () => output,
+        client: () => new Client(url),
+
+        // Stop the server and start it again; sessions do not survive
+        async restart() {
+            await stop();
+            await launch();
+        },
+
+        // The seeded admin, with its first-login password change done
+        async admin() {
+            const admin = await new Client(url).login('admin', 'manni');
+            const res = await admin.request('/api/change-password', {
+                method: 'POST',
+                json: { currentPassword: 'manni', newPassword: ADMIN_PASSWORD }
+            });
+            assert.strictEqual(res.status, 200, 'admin password change');
+            server.admin = async () => new Client(url).login('admin', ADMIN_PASSWORD);
+            return admin;
+        },
+
+        // A new user account, signed in
+        async user(username, quotaMB = 10) {
+            const admin = await server.admin();
+            const created = await admin.json('/api/users', {
+                method: 'POST',
+                json: { username, password: USER_PASSWORD, storage_quota_mb: quotaMB }
+            });
+            assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+            return new Client(url).login(username, USER_PASSWORD);
+        }
+    };
+    return server;
+}
+
+module.exports = {
+    ADMIN_PASSWORD,
+    USER_PASSWORD,
+    Client,
+    startServer
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { LiveEvents } = require('../lib/live-events');
+const { startServer } = require('./helpers/server');
+
+/**
+ * An open event stream of a client. next(type) resolves to the data of the
+ * next event of that type not taken yet; received() lists every event type
+ * so far. Closed when the test ends.
+ */
+async function openEvents(t, client, pathname = '/api/events') {
+    const controller = new AbortController();
+    const res = await fetch(client.url + pathname, { headers: { cookie: client.cookie }, signal: controller.signal });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'text/event-stream');
+    t.after(() => controller.abort());
+
+    const events = [];
+    const types = [];
+    let waiting = null;
+    (async () => {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const type = /^event: (.*)$/m.exec(block);
+                    const data = /^data: (.*)$/m.exec(block);
+                    if (!type) continue;
+                    events.push({ type: type[1], data: JSON.parse(data[1]) });
+                    types.push(type[1]);
+                    if (waiting) waiting();
+                }
+            }
+        } catch (err) {
+            // Aborted, or the server stopped first
+        }
+    })();
+
+    return {
+        received: () => types.slice(),
+        async next(type) {
+            const deadline = Date.now() + 5000;
+            for (;;) {
+                const index = events.findIndex(event => event.type === type);
+                if (index !== -1) return events.splice(index, 1)[0].data;
+                assert.ok(Date.now() < deadline, `no ${type} event in time`);
+                await new Promise(resolve => {
+                    waiting = resolve;
+                    setTimeout(resolve, 100);
+                });
+            }
+        }
+    };
+}
+
+// A response the LiveEvents class can write to, keeping what was written
+function fakeStream() {
+    const req = new EventEmitter();
+    const res = { chunks: [], writeHead() {}, write(chunk) { this.chunks.push(chunk); } };
+    return { req, res, types: () => res.chunks.join('').match(/^event: .*$/gm) || [] };
+}
+
+test('LiveEvents sends space events only to streams that may see them', (t) => {
+    const live = new LiveEvents({
+        visible: (space, places) => !places || places.some(place => space.folders.includes(place.folder)),
+        heartbeatMs: 60000,
+        statsMs: 60000,
+        progressMs: 60000
+    });
+    const alice = fakeStream();
+    const bob = fakeStream();
+    live.subscribe(alice.req, alice.res, 1, new Map([[1, { folders: ['', 'docs'] }]]));
+    live.subscribe(bob.req, bob.res, 2, new Map([[1, { folders: ['docs'] }]]));
+    t.after(() => [alice, bob].forEach(stream => stream.req.emit('close')));
+
+    live.notifySpace(1, 'file.created', {}, [{ folder: '' }]);
+    live.notifySpace(1, 'file.deleted', {}, [{ folder: 'docs' }]);
+    live.notifySpace(2, 'file.created', {}, [{ folder: '' }]);
+    live.notifySpace(1, 'usage', {}, null);
+    assert.deepStrictEqual(alice.types(), ['event: ready', 'event: file.created', 'event: file.deleted', 'event: usage']);
+    assert.deepStrictEqual(bob.types(), ['event: ready', 'event: file.deleted', 'event: usage']);
+
+    // Progress is reported when a file starts and then at most every progressMs
+    const upload = live.startUpload({ id: 'page-upload-1', userId: 1, ip: '127.0.0.1' });
+    live.uploadData(upload, 'a.bin', 10);
+    live.uploadData(upload, 'a.bin', 10);
+    live.uploadData(upload, 'b.bin', 5);
+    live.finishUpload(upload, 200);
+    const progress = alice.types().filter(type => type === 'event: upload.progress');
+    assert.strictEqual(progress.length, 2);
+    assert.strictEqual(alice.types().pop(), 'event: upload.finished');
+    assert.ok(!bob.types().includes('event: upload.progress'));
+});
+
+test('a user stream follows their uploads, files and usage', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const bob = await server.user('bob');
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    const aliceEvents = await openEvents(t, alice);
+    const bobEvents = await openEvents(t, bob);
+    assert.deepStrictEqual((await aliceEvents.next('ready')).spaces, [aliceId]);
+    await bobEvents.next('ready');
+
+    const [file] = (await alice.upload({ 'notes.txt': 'live notes' }, '?upload_id=page-upload-1')).body.files;
+    const progress = await aliceEvents.next('upload.progress');
+    assert.deepStrictEqual([progress.upload_id, progress.kind, progress.file], ['page-upload-1', 'upload', 'notes.txt']);
+    const finished = await aliceEvents.next('upload.finished');
+    assert.deepStrictEqual([finished.upload_id, finished.status], ['page-upload-1', 200]);
+    const created = await aliceEvents.next('file.created');
+    assert.deepStrictEqual([created.id, created.name, created.size], [file.id, 'notes.txt', 10]);
+    assert.strictEqual((await aliceEvents.next('usage')).storage_used_bytes, 10);
+
+    await alice.json(`/api/files/id/${file.id}`, { method: 'DELETE' });
+    assert.strictEqual((await aliceEvents.next('file.deleted')).id, file.id);
+    // Nothing of this reached bob
+    assert.deepStrictEqual(bobEvents.received(), ['ready']);
+});
+
+test('events of a shared folder reach the user it is shared with', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const bob = await server.user('bob');
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    await alice.json('/api/folders', { method: 'POST', json: { path: 'Shared' } });
+    const bobEvents = await openEvents(t, bob);
+    await bobEvents.next('ready');
+
+    await alice.json('/api/user-shares', { method: 'POST', json: { path: 'Shared', username: 'bob' } });
+    assert.ok((await bobEvents.next('ready')).spaces.includes(aliceId));
+
+    await alice.upload({ 'private.txt': 'not for bob' });
+    await alice.upload({ 'public.txt': 'for bob' }, '?path=Shared');
+    // The first file, outside the shared folder, was not announced to bob
+    const created = await bobEvents.next('file.created');
+    assert.deepStrictEqual([created.name, created.folder, created.space_id], ['public.txt', 'Shared', aliceId]);
+});
+
+test('admins watch every active upload', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const alice = await server.user('alice');
+    assert.strictEqual((await alice.request('/api/admin/events')).status, 403);
+    const adminEvents = await openEvents(t, admin, '/api/admin/events');
+    assert.deepStrictEqual((await adminEvents.next('uploads')).active, []);
+
+    await alice.upload({ 'big.bin': Buffer.alloc(256 * 1024) }, '?upload_id=alice-upload-1');
+    const started = await adminEvents.next('upload.started');
+    assert.deepStrictEqual([started.upload_id, started.username, started.owner], ['alice-upload-1', 'alice', 'alice']);
+    const finished = await adminEvents.next('upload.finished');
+    assert.deepStrictEqual([finished.upload_id, finished.status, finished.received], ['alice-upload-1', 200, 256 * 1024]);
+});
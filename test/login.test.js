@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { backoffSeconds, LOGIN_LIMITS } = require('../lib/login-throttle');
+const { passwordProblem } = require('../lib/password-policy');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+function attempt(client, username, password) {
+    return client.json('/login', { method: 'POST', json: { username, password } });
+}
+
+async function userId(client) {
+    return (await client.json('/api/me')).body.userId;
+}
+
+test('backoffSeconds doubles after the free attempts up to the maximum', () => {
+    const free = LOGIN_LIMITS.freeAttempts;
+    assert.strictEqual(backoffSeconds(free - 1), 0);
+    assert.strictEqual(backoffSeconds(free), 1);
+    assert.strictEqual(backoffSeconds(free + 3), 8);
+    assert.strictEqual(backoffSeconds(free + 100), LOGIN_LIMITS.maxBackoffSeconds);
+});
+
+test('passwordProblem enforces length, character mix, common passwords and the username', () => {
+    assert.strictEqual(passwordProblem('Sunny-Passw0rd-1', 'alice'), null);
+    assert.match(passwordProblem('Sh0rt!', 'alice'), /at least 10 characters/);
+    assert.match(passwordProblem('alllowercaseletters', 'alice'), /mix at least 3/);
+    assert.strictEqual(passwordProblem('Password123', 'alice'), 'Password is too common');
+    assert.match(passwordProblem('Alice-2024-Rocks', 'alice'), /username/);
+});
+
+test('failed logins from one address are backed off', async (t) => {
+    const server = await startServer(t, { LOGIN_FREE_ATTEMPTS: '2' });
+    await server.user('alice');
+    const client = server.client();
+
+    assert.strictEqual((await attempt(client, 'nobody', 'guess')).status, 401);
+    assert.strictEqual((await attempt(client, 'alice', 'guess')).status, 401);
+    // Even the right password has to wait now
+    const throttled = await attempt(client, 'alice', USER_PASSWORD);
+    assert.strictEqual(throttled.status, 429);
+    assert.ok(throttled.body.retry_after >= 1);
+    await new Promise(resolve => setTimeout(resolve, throttled.body.retry_after * 1000 + 100));
+    assert.strictEqual((await attempt(client, 'alice', USER_PASSWORD)).status, 200);
+});
+
+test('an account is locked after repeated failures until an admin unlocks it', async (t) => {
+    const server = await startServer(t, { LOGIN_FREE_ATTEMPTS: '20', LOGIN_LOCKOUT_THRESHOLD: '3' });
+    const alice = await server.user('alice');
+    const id = await userId(alice);
+    const client = server.client();
+
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await attempt(client, 'alice', 'guess')).status, 401);
+    }
+    const locked = await attempt(client, 'alice', USER_PASSWORD);
+    assert.strictEqual(locked.status, 429);
+    assert.match(locked.body.error, /temporarily locked/);
+    // Other accounts can still sign in
+    const admin = await server.admin();
+    assert.strictEqual((await alice.json(`/api/users/${id}/unlock`, { method: 'POST' })).status, 403);
+    assert.strictEqual((await admin.json(`/api/users/${id}/unlock`, { method: 'POST' })).status, 200);
+    assert.strictEqual((await attempt(client, 'alice', USER_PASSWORD)).status, 200);
+    const entries = (await admin.json('/api/audit?action=auth.login')).body.entries;
+    assert.ok(entries.some(entry => entry.result === 'failure' && entry.details.reason === 'locked'));
+});
+
+test('the seeded admin and users whose password an admin reset must pick a new one', async (t) => {
+    const server = await startServer(t);
+    const seeded = await server.client().login('admin', 'manni');
+    assert.strictEqual((await seeded.json('/api/me')).body.must_change_password, true);
+    const blocked = await seeded.json('/api/users');
+    assert.deepStrictEqual([blocked.status, blocked.body.must_change_password], [403, true]);
+    const page = await seeded.request('/admin', { headers: { accept: 'text/html' } });
+    assert.strictEqual(page.headers.get('location'), '/change-password');
+
+    const change = (newPassword) => seeded.json('/api/change-password', { method: 'POST', json: { currentPassword: 'manni', newPassword } });
+    assert.strictEqual((await change('manni')).status, 400);
+    assert.strictEqual((await change('short')).status, 400);
+    assert.strictEqual((await change('Another-Str0ng-One')).status, 200);
+    assert.strictEqual((await seeded.json('/api/users')).status, 200);
+
+    const created = await seeded.json('/api/users', { method: 'POST', json: { username: 'alice', password: USER_PASSWORD } });
+    const id = created.body.user.id;
+    const alice = await server.client().login('alice', USER_PASSWORD);
+    const reset = (password) => seeded.json(`/api/users/${id}/password`, { method: 'PUT', json: { password } });
+    assert.strictEqual((await reset('weak')).status, 400);
+    assert.strictEqual((await reset('Temp0rary-Secret')).status, 200);
+    // The reset applies to sessions already open
+    assert.strictEqual((await alice.json('/api/files')).status, 403);
+
+    const again = await server.client().login('alice', 'Temp0rary-Secret');
+    assert.strictEqual((await again.json('/api/me')).body.must_change_password, true);
+    assert.strictEqual((await again.json('/api/change-password', {
+        method: 'POST',
+        json: { currentPassword: 'Temp0rary-Secret', newPassword: 'My-Own-Passw0rd' }
+    })).status, 200);
+    assert.strictEqual((await again.json('/api/files')).status, 200);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { previewKindFor } = require('../lib/previews');
+const { openDatabase } = require('./helpers/database');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+// Ask for a thumbnail until it is no longer being made (a few seconds at most)
+async function thumbnail(client, name) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const res = await client.request(`/api/files/${encodeURIComponent(name)}/thumbnail`);
+        if (res.status !== 202) return res;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail(`no preview of ${name} in time`);
+}
+
+test('previewKindFor picks thumbnails for images and PDFs and snippets for text', () => {
+    assert.strictEqual(previewKindFor('photo.JPG'), 'image');
+    assert.strictEqual(previewKindFor('scan.pdf'), 'pdf');
+    assert.strictEqual(previewKindFor('notes.md'), 'text');
+    assert.strictEqual(previewKindFor('data.json'), 'text');
+    assert.strictEqual(previewKindFor('archive.zip'), null);
+});
+
+test('text files get a snippet that does not count toward the quota', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    const content = lines.join('\r\n');
+    assert.strictEqual((await alice.upload({ 'notes.txt': content, 'data.bin': 'xy' })).status, 200);
+
+    const notes = (await alice.json('/api/files')).body.find(file => file.name === 'notes.txt');
+    assert.strictEqual(notes.thumbnail_type, 'text');
+    const snippet = await thumbnail(alice, 'notes.txt');
+    assert.strictEqual(snippet.status, 200);
+    assert.strictEqual(snippet.headers.get('content-type'), 'text/plain; charset=utf-8');
+    assert.strictEqual(await snippet.text(), lines.slice(0, 20).join('\n'));
+    assert.strictEqual((await alice.request('/api/files/data.bin/thumbnail')).status, 404);
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, content.length + 2);
+
+    // Jobs cut short by a restart are picked up again
+    const db = openDatabase(t, server);
+    await db.run(`UPDATE previews SET status = 'running' WHERE file_id = ?`, [notes.id]);
+    fs.unlinkSync(path.join(server.dir, 'uploads', '.derived', `${notes.id}.txt`));
+    assert.strictEqual((await alice.request('/api/files/notes.txt/thumbnail')).status, 202);
+    await server.restart();
+    const again = await server.client().login('alice', USER_PASSWORD);
+    assert.strictEqual(await (await thumbnail(again, 'notes.txt')).text(), lines.slice(0, 20).join('\n'));
+});
+
+test('images are thumbnailed by the configured command and failures reach the admin', async (t) => {
+    const server = await startServer(t, {
+        THUMBNAIL_IMAGE_COMMAND: 'cp {input} {output}',
+        THUMBNAIL_PDF_COMMAND: 'false {input} {output}'
+    });
+    const alice = await server.user('alice');
+    const image = Buffer.from('89504e470d0a1a0a', 'hex');
+    const uploaded = (await alice.upload({ 'photo.png': image, 'scan.pdf': '%PDF-1.4' })).body.files;
+
+    const thumb = await thumbnail(alice, 'photo.png');
+    assert.strictEqual(thumb.headers.get('content-type'), 'image/png');
+    assert.ok(Buffer.from(await thumb.arrayBuffer()).equals(image));
+
+    // The PDF job fails every attempt
+    const failed = await thumbnail(alice, 'scan.pdf');
+    assert.strictEqual(failed.status, 404);
+    assert.strictEqual((await failed.json()).status, 'failed');
+    const admin = await server.admin();
+    const jobs = (await admin.json('/api/admin/previews')).body;
+    assert.deepStrictEqual([jobs.counts.done, jobs.counts.failed], [1, 1]);
+    const pdfId = uploaded.find(file => file.filename === 'scan.pdf').id;
+    assert.deepStrictEqual(jobs.failed.map(job => [job.file_id, job.username, job.kind, job.attempts]), [[pdfId, 'alice', 'pdf', 3]]);
+
+    assert.strictEqual((await admin.json(`/api/admin/previews/${pdfId}/retry`, { method: 'POST' })).status, 200);
+    assert.strictEqual((await thumbnail(alice, 'scan.pdf')).status, 404);
+    assert.strictEqual((await admin.json('/api/admin/previews/nope/retry', { method: 'POST' })).status, 404);
+    assert.strictEqual((await alice.json('/api/admin/previews')).status, 403);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+const KB = 1024;
+
+async function usedBytes(client) {
+    return (await client.json('/api/me/usage')).body.storage_used_bytes;
+}
+
+// Wait (up to a few seconds) until check() returns true
+async function eventually(check) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail('condition not met in time');
+}
+
+test('files retention removes go to the trash but stop counting toward the quota', async (t) => {
+    const server = await startServer(t);
+    let alice = await server.user('alice', 1);
+    assert.strictEqual((await alice.upload({ 'old.bin': Buffer.alloc(400 * KB, 1) })).status, 200);
+    // Creation times are kept to the second
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.strictEqual((await alice.upload({ 'new.bin': Buffer.alloc(400 * KB, 2) })).status, 200);
+    const policy = await alice.json('/api/retention-policies', { method: 'POST', json: { name: 'newest only', keep_newest: 1 } });
+    assert.strictEqual(policy.status, 201);
+    assert.strictEqual(await usedBytes(alice), 800 * KB);
+
+    // The scheduler runs when the server starts
+    await server.restart();
+    alice = await server.client().login('alice', USER_PASSWORD);
+    await eventually(async () => await usedBytes(alice) === 400 * KB);
+
+    const trash = (await alice.json('/api/trash')).body;
+    assert.deepStrictEqual(trash.map(item => [item.name, item.expired]), [['old.bin', true]]);
+    assert.deepStrictEqual((await alice.json('/api/files')).body.map(file => file.name), ['new.bin']);
+    // The freed space can be used again
+    const another = await alice.upload({ 'another.bin': Buffer.alloc(400 * KB, 3) });
+    assert.strictEqual(another.status, 200);
+
+    // Bringing it back needs room for it
+    const refused = await alice.json(`/api/trash/${trash[0].id}/restore`, { method: 'POST', json: {} });
+    assert.strictEqual(refused.status, 413);
+    assert.match(refused.body.error, /Quota exceeded/);
+
+    assert.strictEqual((await alice.json(`/api/retention-policies/${policy.body.policy.id}`, { method: 'DELETE' })).status, 200);
+    const anotherId = another.body.files[0].id;
+    assert.strictEqual((await alice.json(`/api/files/id/${anotherId}`, { method: 'DELETE' })).status, 200);
+    // A deleted file in the trash still counts; purged, it does not
+    assert.strictEqual(await usedBytes(alice), 800 * KB);
+    assert.strictEqual((await alice.json(`/api/trash/${anotherId}`, { method: 'DELETE' })).status, 200);
+    const restored = await alice.json(`/api/trash/${trash[0].id}/restore`, { method: 'POST', json: {} });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(await usedBytes(alice), 800 * KB);
+});
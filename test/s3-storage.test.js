@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { S3Storage } = require('../lib/s3-storage');
+const { startS3Server } = require('./helpers/s3-server');
+const { startServer } = require('./helpers/server');
+
+function driverFor(s3, opts) {
+    return new S3Storage(Object.assign({
+        endpoint: s3.endpoint,
+        region: s3.region,
+        bucket: s3.bucket,
+        accessKeyId: s3.accessKeyId,
+        secretAccessKey: s3.secretAccessKey
+    }, opts));
+}
+
+// The driver's callback methods as promises: call(driver, 'get', key, null)
+function call(driver, method, ...args) {
+    return new Promise((resolve, reject) => {
+        driver[method](...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+}
+
+async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+function put(driver, key, content, size = Buffer.byteLength(content)) {
+    return call(driver, 'put', key, Readable.from([Buffer.from(content)]), size);
+}
+
+test('put, get, stat and delete an object', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { prefix: 'files' });
+
+    assert.deepStrictEqual(await put(driver, 'alice/notes.txt', 'hello world'), { size: 11 });
+    assert.strictEqual(s3.objects.get('files/alice/notes.txt').body.toString(), 'hello world');
+    assert.strictEqual(await read(await call(driver, 'get', 'alice/notes.txt', null)), 'hello world');
+
+    const stats = await call(driver, 'stat', 'alice/notes.txt');
+    assert.strictEqual(stats.size, 11);
+    assert.ok(Math.abs(stats.mtime - Date.now()) < 5000);
+    assert.strictEqual(await call(driver, 'stat', 'alice/missing.txt'), null);
+
+    await call(driver, 'delete', 'alice/notes.txt');
+    assert.strictEqual(s3.objects.size, 0);
+    // Deleting what is not there is fine; reading it is ENOENT
+    await call(driver, 'delete', 'alice/notes.txt');
+    await assert.rejects(call(driver, 'get', 'alice/notes.txt', null), { code: 'ENOENT', status: 404 });
+    assert.strictEqual(driver.localPath('alice/notes.txt'), null);
+});
+
+test('byte ranges come back as 206 slices', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3);
+    await put(driver, 'alice/abc.txt', 'abcdefghij');
+
+    assert.strictEqual(await read(await call(driver, 'get', 'alice/abc.txt', { start: 2, end: 5 })), 'cdef');
+    assert.strictEqual(await read(await call(driver, 'get', 'alice/abc.txt', { start: 9, end: 9 })), 'j');
+    assert.deepStrictEqual(s3.requests.filter(request => request.method === 'GET').length, 2);
+});
+
+test('keys that need encoding are signed the way S3 checks them', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { prefix: 'my files/' });
+    const keys = ['alice/with space.txt', "alice/(it's)+[1]!*.txt", 'alice/Résumé ☃.txt', 'alice/100%~a=b&c.txt'];
+
+    for (const key of keys) await put(driver, key, key);
+    for (const key of keys) assert.strictEqual(await read(await call(driver, 'get', key, null)), key);
+    assert.deepStrictEqual((await call(driver, 'list', 'alice/')).map(object => object.key).sort(), keys.slice().sort());
+});
+
+test('a wrong secret is refused by the signature check', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { secretAccessKey: 'not-the-secret' });
+    await assert.rejects(put(driver, 'alice/a.txt', 'a'), { code: 'S3_ERROR', status: 403, message: /SignatureDoesNotMatch/ });
+    await assert.rejects(call(driver, 'list', ''), { code: 'S3_ERROR', message: /SignatureDoesNotMatch/ });
+    assert.strictEqual(s3.objects.size, 0);
+});
+
+test('list follows ListObjectsV2 continuation tokens across pages', async (t) => {
+    const s3 = await startS3Server(t, { pageSize: 2 });
+    const driver = driverFor(s3, { prefix: 'data' });
+    for (const name of ['a', 'b', 'c', 'd', 'e']) await put(driver, `alice/${name}.txt`, name.repeat(3));
+    await put(driver, 'bob/x.txt', 'x');
+    await put(driverFor(s3), 'outside.txt', 'not under the prefix');
+
+    const listed = await call(driver, 'list', 'alice/');
+    assert.deepStrictEqual(listed.map(object => object.key), ['alice/a.txt', 'alice/b.txt', 'alice/c.txt', 'alice/d.txt', 'alice/e.txt']);
+    listed.forEach(object => {
+        assert.strictEqual(object.size, 3);
+        assert.ok(object.mtime instanceof Date && !isNaN(object.mtime));
+    });
+    // Three pages of at most two keys
+    const pages = s3.requests.filter(request => request.key === null);
+    assert.strictEqual(pages.length, 3);
+    assert.strictEqual(pages[0].query['continuation-token'], undefined);
+    assert.ok(pages[2].query['continuation-token']);
+
+    assert.deepStrictEqual(await call(driver, 'usage', ''), { bytes: 16, count: 6 });
+    assert.deepStrictEqual(await call(driver, 'list', 'carol/'), []);
+});
+
+test('streams of unknown size go up as multipart uploads', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { partSize: 64 * 1024 });
+    const content = Buffer.alloc(200 * 1024);
+    for (let i = 0; i < content.length; i++) content[i] = i % 251;
+
+    const chunks = [];
+    for (let i = 0; i < content.length; i += 16 * 1024) chunks.push(content.slice(i, i + 16 * 1024));
+    assert.deepStrictEqual(await call(driver, 'put', 'alice/big.bin', Readable.from(chunks), null), { size: content.length });
+    assert.ok(s3.objects.get('alice/big.bin').body.equals(content));
+    // Three full parts and the rest
+    assert.strictEqual(s3.requests.filter(request => request.query.partNumber).length, 4);
+
+    // One part's worth or less is a single PUT
+    await call(driver, 'put', 'alice/small.txt', Readable.from([Buffer.from('small')]), null);
+    assert.strictEqual(s3.objects.get('alice/small.txt').body.toString(), 'small');
+    assert.strictEqual(s3.requests.filter(request => 'uploads' in request.query).length, 1);
+});
+
+test('a failing stream aborts its multipart upload', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { partSize: 1024 });
+    const failing = new Readable({ read() {} });
+    const stored = call(driver, 'put', 'alice/broken.bin', failing, null);
+    failing.push(Buffer.alloc(3000));
+    setTimeout(() => failing.destroy(new Error('client went away')), 100);
+
+    await assert.rejects(stored, /client went away/);
+    assert.strictEqual(s3.objects.size, 0);
+    const abort = s3.requests.find(request => request.method === 'DELETE');
+    assert.ok(abort && abort.query.uploadId);
+});
+
+test('move copies on the server side and removes the source; putFile consumes the file', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3, { prefix: 'p' });
+    await put(driver, 'alice/.upload-1.part', 'staged content');
+
+    await call(driver, 'move', 'alice/.upload-1.part', '.blobs/ab/cd/abcd');
+    assert.deepStrictEqual([...s3.objects.keys()], ['p/.blobs/ab/cd/abcd']);
+    assert.strictEqual(await read(await call(driver, 'get', '.blobs/ab/cd/abcd', null)), 'staged content');
+    await assert.rejects(call(driver, 'move', 'alice/missing', 'alice/elsewhere'), { code: 'ENOENT' });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const local = path.join(dir, 'local.txt');
+    fs.writeFileSync(local, 'from disk');
+    await call(driver, 'putFile', 'alice/local.txt', local);
+    assert.strictEqual(fs.existsSync(local), false);
+    assert.strictEqual(s3.objects.get('p/alice/local.txt').body.toString(), 'from disk');
+});
+
+test('keys that lead out of the store are refused before any request', async (t) => {
+    const s3 = await startS3Server(t);
+    const driver = driverFor(s3);
+    t.mock.method(console, 'warn', () => {});
+    await assert.rejects(put(driver, '../outside.txt', 'x'), { code: 'UNSAFE_PATH' });
+    await assert.rejects(call(driver, 'get', 'alice/../../x', null), { code: 'UNSAFE_PATH' });
+    assert.strictEqual(s3.requests.length, 0);
+});
+
+// server.js with the S3 driver pointed at the stand-in
+function s3Env(s3) {
+    return {
+        STORAGE_DRIVER: 's3',
+        S3_ENDPOINT: s3.endpoint,
+        S3_REGION: s3.region,
+        S3_BUCKET: s3.bucket,
+        S3_ACCESS_KEY_ID: s3.accessKeyId,
+        S3_SECRET_ACCESS_KEY: s3.secretAccessKey
+    };
+}
+
+// Files below a local directory, recursively
+function localFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { recursive: true }).filter(name => fs.statSync(path.join(dir, name)).isFile());
+}
+
+test('uploads stream into the S3 backend and are moved into the blob store there', async (t) => {
+    const s3 = await startS3Server(t);
+    const server = await startServer(t, s3Env(s3));
+    const alice = await server.user('alice');
+
+    const uploaded = await alice.upload({ 'notes.txt': 'hello from s3', 'copy.txt': 'hello from s3' });
+    assert.strictEqual(uploaded.status, 200);
+    const [notes, copy] = uploaded.body.files;
+
+    // Staged under alice/ in the bucket, then copied into place; nothing on local disk
+    const staged = s3.requests.filter(request => request.method === 'PUT' && /^alice\/\.upload-[0-9a-f]+\.part$/.test(request.key));
+    assert.strictEqual(staged.length, 2);
+    assert.deepStrictEqual([...s3.objects.keys()], [`.blobs/${notes.sha256.slice(0, 2)}/${notes.sha256.slice(2, 4)}/${notes.sha256}`]);
+    assert.deepStrictEqual(localFiles(path.join(server.dir, 'uploads', 'alice')), []);
+
+    const download = await alice.request(copy.url);
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(await download.text(), 'hello from s3');
+    const range = await alice.request(notes.url, { headers: { range: 'bytes=6-9' } });
+    assert.strictEqual(range.status, 206);
+    assert.strictEqual(await range.text(), 'from');
+});
+
+test('rejected S3 uploads leave no staged objects behind', async (t) => {
+    const s3 = await startS3Server(t);
+    const server = await startServer(t, s3Env(s3));
+    const alice = await server.user('alice', 1);
+
+    assert.strictEqual((await alice.upload({ 'first.bin': Buffer.alloc(600 * 1024, 1) })).status, 200);
+    // Small enough for the Content-Length check, too big once the bytes arrive
+    const over = await alice.upload({ 'second.bin': Buffer.alloc(450 * 1024, 2) });
+    assert.strictEqual(over.status, 413);
+    // Refused by type after it was staged
+    const refused = await alice.upload({ 'fake.png': 'not a png' });
+    assert.strictEqual(refused.status, 415);
+
+    assert.strictEqual(s3.objects.size, 1);
+    assert.ok([...s3.objects.keys()][0].startsWith('.blobs/'));
+    assert.strictEqual((await alice.json('/api/files')).body.length, 1);
+});
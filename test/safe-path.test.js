@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { unsafeNameReason, checkName, checkUsername, checkRelativePath, resolveWithin } = require('../lib/safe-path');
+
+// A fresh directory tree: root/ holding alice/notes.txt, and a sibling
+// outside/ that nothing should reach
+function makeRoot(t) {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-path-'));
+    t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+    const root = path.join(base, 'root');
+    fs.mkdirSync(path.join(root, 'alice'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'alice', 'notes.txt'), 'hi');
+    fs.mkdirSync(path.join(base, 'outside'));
+    fs.writeFileSync(path.join(base, 'outside', 'secret.txt'), 'secret');
+    return { base, root };
+}
+
+// Rejected paths are logged; keep the output quiet and check it happened
+function quietWarnings(t) {
+    return t.mock.method(console, 'warn', () => {});
+}
+
+function assertUnsafe(fn, reason) {
+    assert.throws(fn, (err) => {
+        assert.strictEqual(err.code, 'UNSAFE_PATH');
+        assert.strictEqual(err.status, 400);
+        if (reason) assert.strictEqual(err.reason, reason);
+        return true;
+    });
+}
+
+test('resolveWithin resolves plain relative paths inside the root', (t) => {
+    const { root } = makeRoot(t);
+    assert.strictEqual(resolveWithin(root, 'alice/notes.txt'), path.join(root, 'alice', 'notes.txt'));
+    assert.strictEqual(resolveWithin(root, 'alice/new/file.txt'), path.join(root, 'alice', 'new', 'file.txt'));
+    assert.strictEqual(resolveWithin(root, 'alice//notes.txt'), path.join(root, 'alice', 'notes.txt'));
+});
+
+test('resolveWithin rejects traversal, including URL-decoded ..%2F names', (t) => {
+    const { root } = makeRoot(t);
+    const warn = quietWarnings(t);
+    const attacks = [
+        '..',
+        '../outside/secret.txt',
+        'alice/../../outside/secret.txt',
+        decodeURIComponent('..%2F..%2Fetc%2Fpasswd'),
+        decodeURIComponent('alice%2F..%2F..%2Foutside'),
+        '..\\outside\\secret.txt',
+        decodeURIComponent('..%5C..%5Cwindows')
+    ];
+    attacks.forEach(attack => assertUnsafe(() => resolveWithin(root, attack, 'test'), 'path traversal'));
+    assert.strictEqual(warn.mock.callCount(), attacks.length);
+    assert.match(warn.mock.calls[0].arguments[0], /Rejected unsafe path .* from test/);
+});
+
+test('resolveWithin keeps a double-encoded name as a literal file name', (t) => {
+    const { root } = makeRoot(t);
+    // Decoded once by the router, "..%252F" is the harmless name "..%2F"
+    const name = decodeURIComponent('..%252Fsecret');
+    assert.strictEqual(resolveWithin(root, name), path.join(root, '..%2Fsecret'));
+});
+
+test('resolveWithin rejects absolute paths', (t) => {
+    const { root, base } = makeRoot(t);
+    quietWarnings(t);
+    ['/etc/passwd', path.join(base, 'outside', 'secret.txt'), 'C:\\Windows\\win.ini', 'c:/boot.ini', '\\\\server\\share\\file']
+        .forEach(attack => assertUnsafe(() => resolveWithin(root, attack), 'absolute path'));
+});
+
+test('resolveWithin rejects NUL bytes and empty paths', (t) => {
+    const { root } = makeRoot(t);
+    quietWarnings(t);
+    assertUnsafe(() => resolveWithin(root, 'alice/notes.txt\0.png'), 'NUL byte');
+    assertUnsafe(() => resolveWithin(root, decodeURIComponent('notes.txt%00.jpg')), 'NUL byte');
+    assertUnsafe(() => resolveWithin(root, ''), 'empty path');
+    assertUnsafe(() => resolveWithin(root, undefined), 'empty path');
+});
+
+test('resolveWithin rejects reserved device names', (t) => {
+    const { root } = makeRoot(t);
+    quietWarnings(t);
+    ['CON', 'alice/nul', 'aux.txt', 'alice/COM1.log', 'lpt9'].forEach(attack => {
+        assertUnsafe(() => resolveWithin(root, attack), 'reserved name');
+    });
+    // Only the exact device names are reserved
+    assert.strictEqual(resolveWithin(root, 'console.txt'), path.join(root, 'console.txt'));
+});
+
+test('resolveWithin rejects symlinks that lead out of the root', (t) => {
+    const { root, base } = makeRoot(t);
+    quietWarnings(t);
+    fs.symlinkSync(path.join(base, 'outside'), path.join(root, 'alice', 'escape'));
+    fs.symlinkSync(path.join(base, 'outside', 'secret.txt'), path.join(root, 'alice', 'secret-link.txt'));
+    assertUnsafe(() => resolveWithin(root, 'alice/escape/secret.txt'), 'symlink escape');
+    assertUnsafe(() => resolveWithin(root, 'alice/escape/not-there-yet.txt'), 'symlink escape');
+    assertUnsafe(() => resolveWithin(root, 'alice/secret-link.txt'), 'symlink escape');
+});
+
+test('resolveWithin follows symlinks that stay inside the root', (t) => {
+    const { root } = makeRoot(t);
+    fs.symlinkSync(path.join(root, 'alice'), path.join(root, 'alias'));
+    assert.strictEqual(resolveWithin(root, 'alias/notes.txt'), path.join(root, 'alias', 'notes.txt'));
+});
+
+test('checkName accepts ordinary names and rejects unsafe ones', (t) => {
+    quietWarnings(t);
+    ['report.pdf', 'Résumé 2024.docx', '.hidden', 'a..b'].forEach(name => assert.strictEqual(checkName(name), name));
+    const cases = {
+        '': 'empty name',
+        '.': 'path traversal',
+        '..': 'path traversal',
+        '../x': 'path separator',
+        'a/b': 'path separator',
+        'a\\b': 'path separator',
+        'a\0b': 'NUL byte',
+        'tab\there': 'control character',
+        'prn.txt': 'reserved name',
+        ['x'.repeat(256)]: 'name too long'
+    };
+    Object.keys(cases).forEach(name => assertUnsafe(() => checkName(name), cases[name]));
+    // Bytes count, not characters
+    assert.strictEqual(unsafeNameReason('é'.repeat(128)), 'name too long');
+});
+
+test('checkUsername only allows directory-safe names', (t) => {
+    quietWarnings(t);
+    assert.strictEqual(checkUsername('alice.smith-2'), 'alice.smith-2');
+    ['../alice', '.alice', '-alice', 'al ice', 'al/ice', 'nul', 'a'.repeat(65)].forEach(name => {
+        assertUnsafe(() => checkUsername(name));
+    });
+});
+
+test('checkRelativePath checks every segment of a storage key', (t) => {
+    quietWarnings(t);
+    assert.strictEqual(checkRelativePath('alice/uuid.pdf'), 'alice/uuid.pdf');
+    assertUnsafe(() => checkRelativePath('alice/../bob/uuid.pdf'), 'path traversal');
+    assertUnsafe(() => checkRelativePath('/alice/uuid.pdf'), 'empty name');
+    assertUnsafe(() => checkRelativePath('alice//uuid.pdf'), 'empty name');
+    assertUnsafe(() => checkRelativePath(''), 'empty path');
+});
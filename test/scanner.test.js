@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { commandScanner, moveToQuarantine } = require('../lib/scanner');
+const { startServer } = require('./helpers/server');
+
+const SCAN_EICAR = `${process.execPath} ${path.join(__dirname, '..', 'scripts', 'scan-eicar.js')}`;
+// The EICAR test string, built in two halves so this file itself is not flagged
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$' + 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function scan(scanner, filePath) {
+    return new Promise((resolve, reject) => {
+        scanner(filePath, (err, verdict) => err ? reject(err) : resolve(verdict));
+    });
+}
+
+test('the stand-in scanner passes clean files and flags EICAR', async (t) => {
+    const dir = tempDir(t);
+    const clean = path.join(dir, 'clean.txt');
+    const infected = path.join(dir, 'infected.txt');
+    fs.writeFileSync(clean, 'nothing to see here');
+    fs.writeFileSync(infected, `prefix ${EICAR} suffix`);
+
+    const scanner = commandScanner(SCAN_EICAR, 10000);
+    assert.deepStrictEqual(await scan(scanner, clean), { clean: true });
+    // The staging path is left out of the reason
+    assert.deepStrictEqual(await scan(scanner, infected), { clean: false, reason: 'Eicar-Test-Signature FOUND' });
+});
+
+test('{file} places the path among the arguments', async (t) => {
+    const dir = tempDir(t);
+    const infected = path.join(dir, 'infected.txt');
+    fs.writeFileSync(infected, EICAR);
+    const verdict = await scan(commandScanner(`${SCAN_EICAR} {file}`, 10000), infected);
+    assert.strictEqual(verdict.clean, false);
+});
+
+test('a scanner that is missing, fails or hangs is reported as unavailable', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'file.txt');
+    fs.writeFileSync(file, 'hi');
+
+    const scanners = [
+        commandScanner(path.join(dir, 'no-such-scanner'), 10000),
+        commandScanner(`${process.execPath} -e process.exit(2)`, 10000),
+        commandScanner(`${process.execPath} -e setTimeout(()=>{},10000)`, 200)
+    ];
+    for (const scanner of scanners) {
+        await assert.rejects(scan(scanner, file), { code: 'SCAN_FAILED' });
+    }
+});
+
+test('moveToQuarantine moves a file under an inert name', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'evil.exe');
+    fs.writeFileSync(file, EICAR);
+
+    const quarantineDir = path.join(dir, 'quarantine');
+    const name = await new Promise((resolve, reject) => {
+        moveToQuarantine(file, quarantineDir, (err, name) => err ? reject(err) : resolve(name));
+    });
+    assert.match(name, /^[0-9a-f-]{36}\.quarantined$/);
+    assert.strictEqual(fs.existsSync(file), false);
+    assert.strictEqual(fs.readFileSync(path.join(quarantineDir, name), 'utf8'), EICAR);
+});
+
+test('an EICAR upload is quarantined and rejected; clean files in the batch are not stored', async (t) => {
+    const server = await startServer(t, { UPLOAD_SCAN_COMMAND: SCAN_EICAR });
+    const alice = await server.user('alice');
+
+    const rejected = await alice.upload({ 'notes.txt': 'fine', 'eicar.txt': EICAR });
+    assert.strictEqual(rejected.status, 422);
+    assert.match(rejected.body.error, /eicar\.txt was rejected by the file scanner: Eicar-Test-Signature FOUND/);
+    assert.deepStrictEqual((await alice.json('/api/files')).body, []);
+
+    const admin = await server.admin();
+    const quarantine = (await admin.json('/api/admin/quarantine')).body;
+    assert.strictEqual(quarantine.length, 1);
+    assert.strictEqual(quarantine[0].username, 'alice');
+    assert.strictEqual(quarantine[0].name, 'eicar.txt');
+    assert.strictEqual(quarantine[0].reason, 'Eicar-Test-Signature FOUND');
+    const held = fs.readdirSync(path.join(server.dir, 'uploads', '.quarantine'));
+    assert.strictEqual(held.length, 1);
+
+    const accepted = await alice.upload({ 'notes.txt': 'fine' });
+    assert.strictEqual(accepted.status, 200);
+    assert.strictEqual(accepted.body.files[0].filename, 'notes.txt');
+});
+
+test('uploads are refused with 503 while the scanner is unavailable', async (t) => {
+    const server = await startServer(t, { UPLOAD_SCAN_COMMAND: path.join(os.tmpdir(), 'no-such-scanner') });
+    const alice = await server.user('alice');
+
+    const res = await alice.upload({ 'notes.txt': 'fine' });
+    assert.strictEqual(res.status, 503);
+    assert.match(res.body.error, /scanner is not available/);
+    assert.deepStrictEqual((await alice.json('/api/files')).body, []);
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 0);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// A share link of the user's file: { id, token, url, ... }
+async function share(user, fileId, opts = {}) {
+    const created = await user.json('/api/shares', { method: 'POST', json: Object.assign({ file_id: fileId }, opts) });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    return created.body.share;
+}
+
+test('downloads through a share link are audited with the file id', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const file = (await alice.upload({ 'report.txt': 'quarterly numbers' }, '?path=docs')).body.files[0];
+    const link = await share(alice, file.id);
+
+    const download = await server.client().request(link.url);
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(await download.text(), 'quarterly numbers');
+
+    const admin = await server.admin();
+    const entries = (await admin.json('/api/audit?action=file.download')).body.entries;
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].target, 'alice/docs/report.txt');
+    assert.strictEqual(entries[0].actor, null);
+    assert.deepStrictEqual(entries[0].details, { file_id: file.id, size: 17, share_link_id: link.id });
+});
+
+test('a link stops working after its download limit, expiry or revocation', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const file = (await alice.upload({ 'photo.txt': 'holiday' })).body.files[0];
+    const visitor = server.client();
+
+    const limited = await share(alice, file.id, { max_downloads: 2 });
+    // HEAD requests are not counted
+    assert.strictEqual((await visitor.request(limited.url, { method: 'HEAD' })).status, 200);
+    assert.strictEqual(await (await visitor.request(limited.url)).text(), 'holiday');
+    assert.strictEqual(await (await visitor.request(limited.url)).text(), 'holiday');
+    assert.strictEqual((await visitor.request(limited.url)).status, 410);
+    assert.deepStrictEqual((await alice.json('/api/shares')).body, []);
+    const [exhausted] = (await alice.json('/api/shares?all=1')).body;
+    assert.deepStrictEqual([exhausted.status, exhausted.download_count], ['exhausted', 2]);
+
+    assert.strictEqual((await alice.json('/api/shares', { method: 'POST', json: { file_id: file.id, expires_in_days: -1 } })).status, 400);
+    assert.strictEqual((await alice.json('/api/shares', { method: 'POST', json: { file_id: file.id, max_downloads: 0.5 } })).status, 400);
+    // Expiry is kept to the second, so this one ends one to two seconds from now
+    const shortLived = await share(alice, file.id, { expires_in_days: 2 / 86400 });
+    assert.strictEqual((await visitor.request(shortLived.url)).status, 200);
+    await new Promise(resolve => setTimeout(resolve, 2100));
+    assert.strictEqual((await visitor.request(shortLived.url)).status, 410);
+
+    const revoked = await share(alice, file.id);
+    assert.strictEqual((await alice.json(`/api/shares/${revoked.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await visitor.request(revoked.url)).status, 404);
+
+    // Only the owner can share or revoke
+    const bob = await server.user('bob');
+    assert.strictEqual((await bob.json('/api/shares', { method: 'POST', json: { file_id: file.id } })).status, 404);
+    assert.strictEqual((await bob.json(`/api/shares/${limited.id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('a password-protected link asks for the password and backs off wrong guesses', async (t) => {
+    const server = await startServer(t, { LOGIN_FREE_ATTEMPTS: '2' });
+    const alice = await server.user('alice');
+    const file = (await alice.upload({ 'secret.txt': 'for your eyes only' })).body.files[0];
+    const link = await share(alice, file.id, { password: 'open sesame' });
+    assert.strictEqual(link.password_protected, true);
+    const visitor = server.client();
+    const submit = (password) => visitor.request(link.url, { method: 'POST', body: new URLSearchParams({ password }) });
+
+    const form = await visitor.request(link.url);
+    assert.strictEqual(form.status, 200);
+    assert.match(form.headers.get('content-type'), /text\/html/);
+    assert.doesNotMatch(await form.text(), /for your eyes only/);
+
+    const wrong = await submit('guess');
+    assert.strictEqual(wrong.status, 303);
+    assert.strictEqual(wrong.headers.get('location'), `${link.url}?error=1`);
+    const right = await submit('open sesame');
+    assert.strictEqual(await right.text(), 'for your eyes only');
+
+    // Past the free attempts, even the right password waits
+    await submit('guess');
+    await submit('guess');
+    const throttled = await submit('open sesame');
+    assert.strictEqual(throttled.status, 429);
+    assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, hotp, timeStep, totp, verifyTotp, otpauthUri, generateSecret, generateRecoveryCodes, hashRecoveryCode } = require('../lib/totp');
+
+// The SHA-1 secret of the RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 appendix B (SHA-1), last six of the eight digits
+const RFC_VECTORS = [
+    { seconds: 59, code: '287082' },
+    { seconds: 1111111109, code: '081804' },
+    { seconds: 1111111111, code: '050471' },
+    { seconds: 1234567890, code: '005924' },
+    { seconds: 2000000000, code: '279037' },
+    { seconds: 20000000000, code: '353130' }
+];
+
+test('base32 round-trips and decodes leniently', () => {
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepStrictEqual(base32Decode(RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ')), Buffer.from('12345678901234567890'));
+    assert.deepStrictEqual(base32Decode('MZXW6==='), Buffer.from('foo'));
+    assert.strictEqual(base32Decode('not base32!'), null);
+    assert.strictEqual(base32Decode(generateSecret()).length, 20);
+});
+
+test('hotp matches the RFC 4226 vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => assert.strictEqual(hotp(RFC_SECRET, counter), code));
+});
+
+test('totp matches the RFC 6238 vectors with a fixed clock', () => {
+    RFC_VECTORS.forEach(({ seconds, code }) => {
+        assert.strictEqual(totp(RFC_SECRET, seconds * 1000), code, `t=${seconds}`);
+    });
+    assert.strictEqual(timeStep(59 * 1000), 1);
+    assert.strictEqual(timeStep(1111111109 * 1000), 37037036);
+});
+
+test('verifyTotp accepts the current step and one step of drift either way', () => {
+    const time = 1111111109 * 1000;
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { time }), 37037036);
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081 804', { time }), 37037036);
+    // The code of t=1111111109 is still good one step later and one step earlier
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { time: time + 30 * 1000 }), 37037036);
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { time: time - 30 * 1000 }), 37037036);
+    // but not two steps away
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { time: time + 60 * 1000 }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { time: time - 60 * 1000 }), null);
+});
+
+test('verifyTotp refuses malformed and wrong codes', () => {
+    const time = 59 * 1000;
+    ['', '28708', '2870822', 'abcdef', null, undefined].forEach(code => {
+        assert.strictEqual(verifyTotp(RFC_SECRET, code, { time }), null);
+    });
+    assert.strictEqual(verifyTotp(RFC_SECRET, '287083', { time }), null);
+});
+
+test('a code cannot be reused for the same step (lastStep)', () => {
+    const time = 59 * 1000;
+    const step = verifyTotp(RFC_SECRET, '287082', { time });
+    assert.strictEqual(step, 1);
+    // The login records step 1; the same code is refused from then on
+    assert.strictEqual(verifyTotp(RFC_SECRET, '287082', { time, lastStep: step }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, '287082', { time: time + 30 * 1000, lastStep: step }), null);
+    // and so are older steps; the next step's code still works
+    assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 0), { time, lastStep: step }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 2), { time, lastStep: step }), 2);
+});
+
+test('otpauthUri carries the secret, issuer and parameters', () => {
+    const uri = new URL(otpauthUri(RFC_SECRET, 'alice', 'Test Server'));
+    assert.strictEqual(uri.protocol, 'otpauth:');
+    assert.strictEqual(uri.host, 'totp');
+    assert.strictEqual(decodeURIComponent(uri.pathname), '/Test Server:alice');
+    assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.strictEqual(uri.searchParams.get('issuer'), 'Test Server');
+    assert.strictEqual(uri.searchParams.get('digits'), '6');
+    assert.strictEqual(uri.searchParams.get('period'), '30');
+});
+
+test('recovery codes are unique and hashed without case or dashes', () => {
+    const codes = generateRecoveryCodes();
+    assert.strictEqual(codes.length, 10);
+    assert.strictEqual(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    assert.strictEqual(hashRecoveryCode('ABCDE-fghij'), hashRecoveryCode('abcdefghij'));
+    assert.notStrictEqual(hashRecoveryCode(codes[0]), hashRecoveryCode(codes[1]));
+});
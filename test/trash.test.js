@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./helpers/database');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function fileNames(client) {
+    return (await client.json('/api/files')).body.map(file => file.name).sort();
+}
+
+// Wait (up to a few seconds) until check() returns true
+async function eventually(check) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail('condition not met in time');
+}
+
+test('deleted files wait in the trash until they are restored or purged', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const [report] = (await alice.upload({ 'report.txt': 'first draft' }, '?path=docs')).body.files;
+    await alice.upload({ 'other.txt': 'other' });
+
+    assert.strictEqual((await alice.json('/api/files/report.txt?path=docs', { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual(await fileNames(alice), ['other.txt']);
+    assert.strictEqual((await alice.request(`/download/id/${report.id}`)).status, 404);
+    const [trashed] = (await alice.json('/api/trash')).body;
+    assert.deepStrictEqual([trashed.id, trashed.name, trashed.folder, trashed.size], [report.id, 'report.txt', 'docs', 11]);
+    assert.strictEqual(new Date(trashed.purge_at) - new Date(trashed.deleted_at), 30 * DAY);
+    // Files in the trash still count toward the quota
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 16);
+
+    // Restored where it was, renamed if the name was taken in the meantime
+    await alice.upload({ 'report.txt': 'second draft' }, '?path=docs');
+    const restore = (options) => alice.json(`/api/trash/${report.id}/restore`, { method: 'POST', json: options });
+    assert.strictEqual((await restore({ on_conflict: 'overwrite' })).status, 400);
+    assert.strictEqual((await restore({ on_conflict: 'reject' })).status, 409);
+    const restored = await restore({});
+    assert.deepStrictEqual([restored.status, restored.body.renamed, restored.body.file.name], [200, true, 'report (1).txt']);
+    assert.strictEqual(await (await alice.request('/download/report (1).txt?path=docs')).text(), 'first draft');
+    assert.deepStrictEqual((await alice.json('/api/trash')).body, []);
+
+    // Purged files are gone for good
+    const bob = await server.user('bob');
+    await alice.json('/api/files/other.txt', { method: 'DELETE' });
+    const [other] = (await alice.json('/api/trash')).body;
+    assert.strictEqual((await bob.json(`/api/trash/${other.id}/restore`, { method: 'POST', json: {} })).status, 404);
+    assert.strictEqual((await bob.json(`/api/trash/${other.id}`, { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await alice.json(`/api/trash/${other.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await alice.json(`/api/trash/${other.id}/restore`, { method: 'POST', json: {} })).status, 404);
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 11 + 12);
+
+    await alice.json('/api/files/report.txt?path=docs', { method: 'DELETE' });
+    const emptied = await alice.json('/api/trash', { method: 'DELETE' });
+    assert.deepStrictEqual([emptied.status, emptied.body.purged_files], [200, 1]);
+    assert.deepStrictEqual((await alice.json('/api/trash')).body, []);
+});
+
+test('deleted users can be restored by an admin or removed for good', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const bob = await server.user('bob');
+    await bob.upload({ 'keep.txt': 'kept' });
+    const bobId = (await bob.json('/api/me')).body.userId;
+    const adminId = (await admin.json('/api/me')).body.userId;
+
+    assert.strictEqual((await admin.json(`/api/users/${adminId}`, { method: 'DELETE' })).status, 400);
+    const deleted = await admin.json(`/api/users/${bobId}`, { method: 'DELETE' });
+    assert.strictEqual(deleted.status, 200);
+    assert.ok(new Date(deleted.body.purge_at) > new Date(Date.now() + 29 * DAY));
+    assert.strictEqual((await admin.json(`/api/users/${bobId}`, { method: 'DELETE' })).status, 409);
+    // Open sessions end and signing in fails like for an unknown user
+    assert.strictEqual((await bob.json('/api/files')).status, 401);
+    assert.strictEqual((await server.client().json('/login', { method: 'POST', json: { username: 'bob', password: USER_PASSWORD } })).status, 401);
+    const [listed] = (await admin.json('/api/users?status=deleted')).body.users;
+    assert.deepStrictEqual([listed.username, listed.status], ['bob', 'deleted']);
+
+    assert.strictEqual((await admin.json(`/api/users/${bobId}/restore`, { method: 'POST' })).status, 200);
+    assert.strictEqual((await admin.json(`/api/users/${bobId}/restore`, { method: 'POST' })).status, 409);
+    const back = await server.client().login('bob', USER_PASSWORD);
+    assert.deepStrictEqual(await fileNames(back), ['keep.txt']);
+
+    const removed = await admin.json(`/api/users/${bobId}?permanent=1`, { method: 'DELETE' });
+    assert.deepStrictEqual([removed.status, removed.body.permanent], [200, true]);
+    assert.strictEqual((await admin.json(`/api/users/${bobId}/restore`, { method: 'POST' })).status, 404);
+    assert.ok(!fs.existsSync(path.join(server.dir, 'uploads', 'bob')));
+});
+
+test('files and accounts deleted longer ago than the retention period are purged', async (t) => {
+    const server = await startServer(t, { TRASH_RETENTION_DAYS: '7' });
+    const admin = await server.admin();
+    const alice = await server.user('alice');
+    const carol = await server.user('carol');
+    const [old, recent] = (await alice.upload({ 'old.txt': 'old', 'recent.txt': 'recent' })).body.files;
+    await alice.json(`/api/files/id/${old.id}`, { method: 'DELETE' });
+    await alice.json(`/api/files/id/${recent.id}`, { method: 'DELETE' });
+    const carolId = (await carol.json('/api/me')).body.userId;
+    await admin.json(`/api/users/${carolId}`, { method: 'DELETE' });
+
+    const db = openDatabase(t, server);
+    await db.run(`UPDATE trash SET deleted_at = datetime('now', '-8 days') WHERE id = ?`, [old.id]);
+    await db.run(`UPDATE users SET deleted_at = datetime('now', '-8 days') WHERE id = ?`, [carolId]);
+
+    // The purge runs when the server starts
+    await server.restart();
+    const again = await server.client().login('alice', USER_PASSWORD);
+    await eventually(async () => (await again.json('/api/trash')).body.length === 1);
+    assert.deepStrictEqual((await again.json('/api/trash')).body.map(item => item.name), ['recent.txt']);
+    await eventually(async () => (await db.all('SELECT id FROM users WHERE id = ?', [carolId])).length === 0);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { TusUploads, parseMetadata } = require('../lib/tus');
+const { startServer } = require('./helpers/server');
+
+const TUS = { 'tus-resumable': '1.0.0' };
+
+function metadata(fields) {
+    return Object.keys(fields).map(key => `${key} ${Buffer.from(fields[key]).toString('base64')}`).join(',');
+}
+
+// POST /upload/tus; resolves to the upload's URL path
+async function create(client, length, fields = { filename: 'big.bin' }) {
+    const res = await client.request('/upload/tus', {
+        method: 'POST',
+        headers: Object.assign({ 'upload-length': String(length), 'upload-metadata': metadata(fields) }, TUS)
+    });
+    assert.strictEqual(res.status, 201);
+    return new URL(res.headers.get('location'), client.url).pathname;
+}
+
+function patch(client, uploadPath, offset, body) {
+    return client.request(uploadPath, {
+        method: 'PATCH',
+        headers: Object.assign({ 'upload-offset': String(offset), 'content-type': 'application/offset+octet-stream' }, TUS),
+        body
+    });
+}
+
+async function offsetOf(client, uploadPath) {
+    const res = await client.request(uploadPath, { method: 'HEAD', headers: TUS });
+    return res.status === 200 ? Number(res.headers.get('upload-offset')) : res.status;
+}
+
+function content(size) {
+    const buffer = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) buffer[i] = i % 251;
+    return buffer;
+}
+
+test('parseMetadata decodes tus Upload-Metadata', () => {
+    assert.deepStrictEqual(parseMetadata(metadata({ filename: 'Résumé.pdf', path: 'a/b' }) + ',flag'),
+        { filename: 'Résumé.pdf', path: 'a/b', flag: '' });
+    assert.deepStrictEqual(parseMetadata(undefined), {});
+});
+
+test('an upload sent in chunks is catalogued when the last byte arrives', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const data = content(300 * 1024);
+
+    const options = await alice.request('/upload/tus', { method: 'OPTIONS' });
+    assert.strictEqual(options.status, 204);
+    assert.match(options.headers.get('tus-extension'), /creation/);
+    assert.strictEqual((await alice.request('/upload/tus', { method: 'POST', headers: { 'upload-length': '10' } })).status, 412);
+
+    const uploadPath = await create(alice, data.length, { filename: 'big.bin', path: 'Backups' });
+    assert.strictEqual(await offsetOf(alice, uploadPath), 0);
+    const first = await patch(alice, uploadPath, 0, data.subarray(0, 100 * 1024));
+    assert.strictEqual(first.status, 204);
+    assert.strictEqual(first.headers.get('upload-offset'), String(100 * 1024));
+    assert.strictEqual(await offsetOf(alice, uploadPath), 100 * 1024);
+
+    // The offset must match what the server has
+    assert.strictEqual((await patch(alice, uploadPath, 0, data.subarray(0, 10))).status, 409);
+    assert.strictEqual((await patch(alice, uploadPath, 100 * 1024, Buffer.concat([data.subarray(100 * 1024), Buffer.alloc(1)]))).status, 413);
+    assert.strictEqual(await offsetOf(alice, uploadPath), 100 * 1024);
+
+    const last = await patch(alice, uploadPath, 100 * 1024, data.subarray(100 * 1024));
+    assert.strictEqual(last.status, 204);
+    const fileId = last.headers.get('upload-file-id');
+    const file = (await alice.json(`/api/files/id/${fileId}`)).body;
+    assert.deepStrictEqual([file.name, file.folder, file.size], ['big.bin', 'Backups', data.length]);
+    assert.ok(Buffer.from(await (await alice.request(file.url)).arrayBuffer()).equals(data));
+    // Finished uploads leave the staging area
+    assert.strictEqual(await offsetOf(alice, uploadPath), 404);
+});
+
+test('a dropped PATCH keeps what arrived and the upload resumes from there', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const data = content(256 * 1024);
+    const uploadPath = await create(alice, data.length);
+
+    // Send part of the body, then drop the connection
+    const req = http.request(server.url + uploadPath, {
+        method: 'PATCH',
+        headers: Object.assign({
+            cookie: alice.cookie,
+            'upload-offset': '0',
+            'content-type': 'application/offset+octet-stream',
+            'content-length': String(data.length)
+        }, TUS)
+    });
+    req.on('error', () => {});
+    req.write(data.subarray(0, 64 * 1024));
+    await new Promise(resolve => setTimeout(resolve, 300));
+    req.destroy();
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const offset = await offsetOf(alice, uploadPath);
+    assert.strictEqual(offset, 64 * 1024);
+    const rest = await patch(alice, uploadPath, offset, data.subarray(offset));
+    assert.strictEqual(rest.status, 204);
+    const file = (await alice.json(`/api/files/id/${rest.headers.get('upload-file-id')}`)).body;
+    assert.ok(Buffer.from(await (await alice.request(file.url)).arrayBuffer()).equals(data));
+});
+
+test('resumable uploads follow the size and quota rules and can be terminated', async (t) => {
+    const server = await startServer(t, { MAX_FILE_SIZE_MB: '1' });
+    const alice = await server.user('alice', 2);
+    const headers = (length) => Object.assign({ 'upload-length': String(length), 'upload-metadata': metadata({ filename: 'a.bin' }) }, TUS);
+
+    const tooBig = await alice.request('/upload/tus', { method: 'POST', headers: headers(1024 * 1024 + 1) });
+    assert.strictEqual(tooBig.status, 413);
+    // Promised space counts: two uploads of 1 MB fill the 2 MB quota
+    const first = await create(alice, 1024 * 1024);
+    const second = await create(alice, 1024 * 1024);
+    assert.strictEqual((await alice.request('/upload/tus', { method: 'POST', headers: headers(1) })).status, 413);
+
+    const terminated = await alice.request(first, { method: 'DELETE', headers: TUS });
+    assert.strictEqual(terminated.status, 204);
+    assert.strictEqual(await offsetOf(alice, first), 404);
+    assert.strictEqual((await alice.request('/upload/tus', { method: 'POST', headers: headers(1) })).status, 201);
+
+    // Another user's upload is not found
+    const bob = await server.user('bob');
+    assert.strictEqual(await offsetOf(bob, second), 404);
+    assert.strictEqual(await offsetOf(alice, second), 0);
+});
+
+test('idle uploads expire', async (t) => {
+    const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-'));
+    t.after(() => fs.rmSync(stagingDir, { recursive: true, force: true }));
+    const uploads = new TusUploads({ stagingDir, maxSize: 1024, expiryMs: 50 });
+    const id = 'a'.repeat(32);
+    fs.mkdirSync(uploads.userDir('alice'));
+    fs.writeFileSync(uploads.dataPath('alice', id), 'abc');
+    uploads.save('alice', { id, length: 10, metadata: {}, expires: Date.now() + 50 });
+
+    assert.strictEqual(uploads.load('alice', id).offset, 3);
+    assert.strictEqual(uploads.reservedBytes('alice'), 10);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    uploads.sweepExpired();
+    assert.deepStrictEqual(fs.readdirSync(uploads.userDir('alice')), []);
+    assert.strictEqual(uploads.load('alice', id), null);
+});
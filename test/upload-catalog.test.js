@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+
+const ROOT = path.join(__dirname, '..');
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function blobPath(server, hash) {
+    return path.join(server.dir, 'uploads', '.blobs', hash.slice(0, 2), hash.slice(2, 4), hash);
+}
+
+test('uploads are catalogued with UUID names and reachable by id', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+
+    const uploaded = await alice.upload({ 'notes.txt': 'catalogued content' });
+    assert.strictEqual(uploaded.status, 200);
+    const [file] = uploaded.body.files;
+    assert.match(file.id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    assert.strictEqual(file.stored_name, `${file.id}.txt`);
+    assert.strictEqual(file.sha256, sha256('catalogued content'));
+
+    const files = (await alice.json('/api/files')).body;
+    assert.deepStrictEqual(files.map(entry => [entry.id, entry.name, entry.size, entry.mime]),
+        [[file.id, 'notes.txt', 18, 'text/plain']]);
+    assert.strictEqual((await alice.json(`/api/files/id/${file.id}`)).body.name, 'notes.txt');
+    assert.strictEqual(await (await alice.request(`/download/id/${file.id}`)).text(), 'catalogued content');
+    assert.strictEqual(await (await alice.request('/download/notes.txt')).text(), 'catalogued content');
+    // Usage comes from the catalog
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 18);
+
+    // Other users cannot reach it by id
+    const bob = await server.user('bob');
+    assert.strictEqual((await bob.json(`/api/files/id/${file.id}`)).status, 404);
+    assert.strictEqual((await bob.request(`/download/id/${file.id}`)).status, 404);
+    assert.strictEqual((await bob.json(`/api/files/id/${file.id}`, { method: 'DELETE' })).status, 404);
+
+    assert.strictEqual((await alice.json(`/api/files/id/${file.id}`, { method: 'DELETE' })).status, 200);
+    assert.deepStrictEqual((await alice.json('/api/files')).body, []);
+    assert.strictEqual((await alice.request(`/download/id/${file.id}`)).status, 404);
+});
+
+test('the reconcile command indexes files found in a user directory', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const userDir = path.join(server.dir, 'uploads', 'alice');
+    fs.mkdirSync(userDir, { recursive: true });
+    fs.writeFileSync(path.join(userDir, 'legacy report.txt'), 'from before the catalog');
+
+    const stdout = await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(ROOT, 'scripts', 'reconcile.js'), 'alice'], {
+            cwd: ROOT,
+            timeout: 30000,
+            env: Object.assign({}, process.env, { DB_PATH: path.join(server.dir, 'users.db'), UPLOAD_DIR: path.join(server.dir, 'uploads') })
+        }, (err, stdout) => err ? reject(err) : resolve(stdout));
+    });
+    assert.match(stdout, /alice: 1 indexed, 0 stale records removed/);
+
+    const [file] = (await alice.json('/api/files')).body;
+    assert.strictEqual(file.name, 'legacy report.txt');
+    assert.deepStrictEqual(fs.readdirSync(userDir), [`${file.id}.txt`]);
+    assert.strictEqual(await (await alice.request(file.url)).text(), 'from before the catalog');
+});
+
+test('content of files that fail to be catalogued is released again', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const db = openDatabase(t, server);
+    await db.run(`CREATE TRIGGER fail_catalog BEFORE INSERT ON files WHEN NEW.original_name = 'broken.txt'
+                  BEGIN SELECT RAISE(ABORT, 'catalog unavailable'); END`);
+
+    const failed = await alice.upload({ 'fine.txt': 'fine content', 'broken.txt': 'broken content' });
+    assert.strictEqual(failed.status, 500);
+
+    // The file that was catalogued keeps its blob; the other one is gone
+    const blobs = await db.all('SELECT sha256, ref_count FROM blobs');
+    assert.deepStrictEqual(blobs, [{ sha256: sha256('fine content'), ref_count: 1 }]);
+    assert.ok(fs.existsSync(blobPath(server, sha256('fine content'))));
+    assert.ok(!fs.existsSync(blobPath(server, sha256('broken content'))));
+    assert.deepStrictEqual((await alice.json('/api/files')).body.map(file => file.name), ['fine.txt']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const KB = 1024;
+
+// An upload link of the user's: { id, token, url, ... }
+async function createLink(user, opts) {
+    const created = await user.json('/api/upload-links', { method: 'POST', json: opts });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    return created.body.link;
+}
+
+// POST files ({ name: content }) and form fields to a drop link
+function drop(client, link, files, fields = {}) {
+    const form = new FormData();
+    Object.keys(fields).forEach(name => form.append(name, fields[name]));
+    Object.keys(files).forEach(name => form.append('files', new Blob([files[name]]), name));
+    return client.json(link.url, { method: 'POST', body: form });
+}
+
+test('anyone with the link can drop files into the chosen folder within its limits', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const link = await createLink(alice, { label: 'Invoices', folder: 'Inbox', max_files: 3, allowed_extensions: 'pdf, .TXT' });
+    assert.deepStrictEqual(link.allowed_extensions, ['pdf', 'txt']);
+    const sender = server.client();
+
+    const page = await sender.request(link.url);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    const info = (await sender.json(`${link.url}/info`)).body;
+    assert.deepStrictEqual([info.label, info.files_remaining], ['Invoices', 3]);
+
+    const sent = await drop(sender, link, { 'march.txt': 'march invoice' }, { sender_name: 'Carol' });
+    assert.strictEqual(sent.status, 200);
+    assert.deepStrictEqual([sent.body.file_count, sent.body.total_size], [1, 13]);
+    // Names already taken are renamed
+    assert.strictEqual((await drop(sender, link, { 'march.txt': 'again' })).status, 200);
+    const files = (await alice.json('/api/files')).body;
+    assert.deepStrictEqual(files.map(file => [file.folder, file.name]).sort(),
+        [['Inbox', 'march (1).txt'], ['Inbox', 'march.txt']]);
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 18);
+
+    // The owner sees who sent what
+    const received = (await alice.json(`/api/upload-links/${link.id}/files`)).body;
+    assert.deepStrictEqual(received.map(file => [file.name, file.uploader_name]).sort(),
+        [['march (1).txt', null], ['march.txt', 'Carol']]);
+    assert.ok(received.every(file => file.uploader_ip));
+    const [listed] = (await alice.json('/api/upload-links')).body;
+    assert.deepStrictEqual([listed.files_received, listed.bytes_received], [2, 18]);
+
+    assert.strictEqual((await drop(sender, link, { 'setup.exe': 'MZ' })).status, 415);
+    assert.strictEqual((await drop(sender, link, { 'a.txt': 'a', 'b.txt': 'b' })).status, 400);
+    assert.strictEqual((await drop(sender, link, { 'april.pdf': '%PDF-1.4' })).status, 200);
+    // All three files have arrived
+    assert.strictEqual((await drop(sender, link, { 'may.pdf': '%PDF-1.4' })).status, 410);
+    assert.strictEqual((await alice.json('/api/upload-links')).body[0].status, 'full');
+
+    // Links and what they received are the owner's alone
+    const bob = await server.user('bob');
+    assert.strictEqual((await bob.json(`/api/upload-links/${link.id}/files`)).status, 404);
+    assert.strictEqual((await bob.json(`/api/upload-links/${link.id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('drops count against the owner quota and stop when the link is revoked', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice', 1);
+    const link = await createLink(alice, { max_file_size_mb: 1 });
+    const sender = server.client();
+
+    const tooLarge = await drop(sender, link, { 'video.bin': Buffer.alloc(1024 * KB + 1) });
+    assert.strictEqual(tooLarge.status, 413);
+    assert.match(tooLarge.body.error, /Maximum size is 1MB/);
+
+    assert.strictEqual((await drop(sender, link, { 'first.bin': Buffer.alloc(700 * KB) })).status, 200);
+    const full = await drop(sender, link, { 'second.bin': Buffer.alloc(700 * KB) });
+    assert.strictEqual(full.status, 413);
+    // The sender is not told the owner's figures
+    assert.strictEqual(full.body.error, 'The recipient does not have enough storage space for these files');
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 700 * KB);
+
+    assert.strictEqual((await alice.json('/api/upload-links', { method: 'POST', json: { expires_in_days: -1 } })).status, 400);
+    assert.strictEqual((await alice.json('/api/upload-links', { method: 'POST', json: { folder: '../elsewhere' } })).status, 400);
+
+    assert.strictEqual((await alice.json(`/api/upload-links/${link.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await sender.json(`${link.url}/info`)).status, 404);
+    assert.strictEqual((await drop(sender, link, { 'late.txt': 'late' })).status, 404);
+    // Files already received are kept
+    assert.deepStrictEqual((await alice.json('/api/files')).body.map(file => file.name), ['first.bin']);
+});
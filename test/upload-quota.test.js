@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+// Start a multipart upload to POST /upload that announces `size` bytes but
+// sends only its first part; destroy() the request to abandon it
+function openUpload(server, client, size) {
+    const boundary = 'test-boundary';
+    const head = `--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="big.bin"\r\n` +
+        'Content-Type: application/octet-stream\r\n\r\n';
+    const req = http.request(`${server.url}/upload`, {
+        method: 'POST',
+        headers: {
+            cookie: client.cookie,
+            'content-type': `multipart/form-data; boundary=${boundary}`,
+            'content-length': String(size)
+        }
+    });
+    req.on('error', () => {});
+    req.write(head);
+    req.write(Buffer.alloc(16 * 1024, 1));
+    return req;
+}
+
+// POST /upload/tus for a file of `length` bytes
+function createResumable(client, length) {
+    return client.request('/upload/tus', {
+        method: 'POST',
+        headers: {
+            'tus-resumable': '1.0.0',
+            'upload-length': String(length),
+            'upload-metadata': `filename ${Buffer.from('resumable.bin').toString('base64')}`
+        }
+    });
+}
+
+test('resumable uploads count the bytes held by multipart uploads in progress', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice', 1);
+
+    const pending = openUpload(server, alice, 700 * 1024);
+    // Held once the request is in
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const refused = await createResumable(alice, 500 * 1024);
+    assert.strictEqual(refused.status, 413);
+    assert.match((await refused.json()).error, /Quota exceeded/);
+    assert.strictEqual((await createResumable(alice, 200 * 1024)).status, 201);
+
+    // Abandoned: its bytes are free again, the 200 KiB resumable upload is not
+    pending.destroy();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual((await createResumable(alice, 900 * 1024)).status, 413);
+    assert.strictEqual((await createResumable(alice, 700 * 1024)).status, 201);
+});
+
+test('an upload whose Content-Length exceeds the quota gets a 413 the client can read', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice', 1);
+    assert.strictEqual((await alice.upload({ 'small.txt': 'hello' })).status, 200);
+    const before = (await alice.json('/api/me/usage')).body.storage_used_bytes;
+
+    // fetch is still sending when the answer comes; it must not see a reset
+    const refused = await alice.upload({ 'big.bin': Buffer.alloc(3 * 1024 * 1024, 1) });
+    assert.strictEqual(refused.status, 413);
+    assert.match(refused.body.error, /Quota exceeded/);
+
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, before);
+    assert.deepStrictEqual((await alice.json('/api/files')).body.map(file => file.name), ['small.txt']);
+    // The connection is still good for the next request
+    assert.strictEqual((await alice.upload({ 'other.txt': 'still fine' })).status, 200);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseImportRow, readImportRows } = require('../lib/user-import');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+const ROLES = ['user', 'admin'];
+
+// POST a CSV document to the import
+function importCsv(admin, csv, query = '') {
+    return admin.json(`/api/users/import${query}`, { method: 'POST', headers: { 'content-type': 'text/csv' }, body: csv });
+}
+
+async function userNamed(admin, username) {
+    return (await admin.json(`/api/users?q=${encodeURIComponent(username)}`)).body.users.find(user => user.username === username);
+}
+
+test('readImportRows takes CSV text, a JSON array or { users }', () => {
+    assert.deepStrictEqual(readImportRows('username,role\r\nalice,admin\r\n'), [{ username: 'alice', role: 'admin' }]);
+    assert.deepStrictEqual(readImportRows([{ username: 'bob' }]), [{ username: 'bob' }]);
+    assert.deepStrictEqual(readImportRows({ users: [{ username: 'carol' }] }), [{ username: 'carol' }]);
+    assert.throws(() => readImportRows({}), /CSV document or a JSON array/);
+    assert.throws(() => readImportRows([]), /No users to import/);
+});
+
+test('parseImportRow fills in defaults and rejects bad cells', () => {
+    assert.deepStrictEqual(parseImportRow({ username: ' alice ', storage_quota_mb: '50' }, ROLES),
+        { username: 'alice', password: null, role: 'user', quotaMB: 50, plan: null, disabled: false });
+    // A plan sets the quota
+    assert.strictEqual(parseImportRow({ username: 'bob', storage_quota_mb: '50', plan: 'Team' }, ROLES).quotaMB, null);
+    assert.strictEqual(parseImportRow({ username: 'carol', status: 'disabled' }, ROLES).disabled, true);
+    assert.throws(() => parseImportRow({ role: 'user' }, ROLES), /Username is required/);
+    assert.throws(() => parseImportRow({ username: 'dave', role: 'owner' }, ROLES), /Invalid role/);
+    assert.throws(() => parseImportRow({ username: 'dave', storage_quota_mb: '0' }, ROLES), /whole number/);
+    assert.throws(() => parseImportRow({ username: 'dave', status: 'deleted' }, ROLES), /active or disabled/);
+});
+
+test('an import is checked row by row and a dry run creates nothing', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    await admin.json('/api/quota-plans', { method: 'POST', json: { name: 'Team', storage_quota_mb: 25 } });
+    const csv = [
+        'username,password,role,storage_quota_mb,plan,status',
+        `alice,${USER_PASSWORD},user,40,,`,
+        'bob,,admin,,Team,',
+        'carol,,user,,,disabled',
+        'admin,,user,,,',
+        'Alice,,user,,,',
+        'dave,short,user,,,',
+        'erin,,user,,Gold,'
+    ].join('\r\n');
+
+    const dryRun = await importCsv(admin, csv, '?dry_run=1');
+    assert.strictEqual(dryRun.status, 200);
+    assert.deepStrictEqual([dryRun.body.dry_run, dryRun.body.total, dryRun.body.valid, dryRun.body.created, dryRun.body.failed],
+        [true, 7, 3, 0, 4]);
+    assert.deepStrictEqual(dryRun.body.results.filter(result => !result.success).map(result => [result.row, result.username]),
+        [[4, 'admin'], [5, 'Alice'], [6, 'dave'], [7, 'erin']]);
+    assert.match(dryRun.body.results[3].error, /already exists/);
+    assert.match(dryRun.body.results[4].error, /more than once/);
+    assert.match(dryRun.body.results[6].error, /'Gold' not found/);
+    assert.strictEqual(await userNamed(admin, 'alice'), undefined);
+
+    const imported = await importCsv(admin, csv);
+    assert.deepStrictEqual([imported.body.created, imported.body.failed], [3, 4]);
+    const [alice, bob, carol] = imported.body.results;
+    // Only generated passwords are returned
+    assert.strictEqual(alice.password, undefined);
+    assert.strictEqual(typeof bob.password, 'string');
+
+    const listedBob = await userNamed(admin, 'bob');
+    assert.deepStrictEqual([listedBob.role, listedBob.quota_plan, listedBob.storage_quota_mb], ['admin', 'Team', 25]);
+    assert.strictEqual((await userNamed(admin, 'alice')).storage_quota_mb, 40);
+
+    // Imported accounts change their password first; disabled ones cannot sign in
+    const aliceClient = await server.client().login('alice', USER_PASSWORD);
+    assert.strictEqual((await aliceClient.json('/api/files')).status, 403);
+    await server.client().login('bob', bob.password);
+    const refused = await server.client().json('/login', { method: 'POST', json: { username: 'carol', password: carol.password } });
+    assert.strictEqual(refused.status, 403);
+
+    // JSON works too
+    const fromJson = await admin.json('/api/users/import', { method: 'POST', json: { users: [{ username: 'frank' }] } });
+    assert.deepStrictEqual([fromJson.status, fromJson.body.created], [200, 1]);
+    assert.strictEqual((await importCsv(admin, 'username\r\n"frank')).status, 400);
+    const grace = await server.user('grace');
+    assert.strictEqual((await grace.json('/api/users/import', { method: 'POST', json: [{ username: 'heidi' }] })).status, 403);
+});
+
+test('users can be searched, filtered, paged and exported', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    await admin.json('/api/users/import', {
+        method: 'POST',
+        json: ['anna', 'annika', 'bert', 'berta', 'carl'].map(username => ({ username, status: username === 'carl' ? 'disabled' : 'active' }))
+    });
+
+    const page = await admin.json('/api/users?q=ANN&limit=1&page=2');
+    assert.deepStrictEqual([page.body.total, page.body.page, page.body.limit, page.body.pages], [2, 2, 1, 2]);
+    assert.deepStrictEqual(page.body.users.map(user => user.username), ['annika']);
+    const disabled = (await admin.json('/api/users?status=disabled')).body.users;
+    assert.deepStrictEqual(disabled.map(user => [user.username, user.status]), [['carl', 'disabled']]);
+    const admins = (await admin.json('/api/users?role=admin')).body.users;
+    assert.deepStrictEqual(admins.map(user => user.username), ['admin']);
+    assert.strictEqual((await admin.json('/api/users?status=gone')).status, 400);
+    assert.strictEqual((await admin.json('/api/users?plan=x')).status, 400);
+
+    const csv = await admin.request('/api/users/export?q=ber');
+    assert.strictEqual(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(csv.headers.get('content-disposition'), /^attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = (await csv.text()).trim().split('\r\n');
+    assert.strictEqual(lines[0], 'username,role,storage_quota_mb,plan,status,created_at');
+    assert.deepStrictEqual(lines.slice(1).map(line => line.split(',').slice(0, 5).join(',')), ['bert,user,100,,active', 'berta,user,100,,active']);
+
+    const json = await admin.json('/api/users/export?format=json&status=disabled');
+    assert.deepStrictEqual(json.body.map(user => [user.username, user.status]), [['carl', 'disabled']]);
+    assert.strictEqual((await admin.json('/api/users/export?format=xml')).status, 400);
+});
+
+test('quota plans set the quota of everyone on them', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const alice = await server.user('alice');
+    await server.user('bob');
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    const bobId = (await userNamed(admin, 'bob')).id;
+
+    const created = await admin.json('/api/quota-plans', { method: 'POST', json: { name: 'Team', storage_quota_mb: 25 } });
+    assert.strictEqual(created.status, 201);
+    const planId = created.body.plan.id;
+    assert.strictEqual((await admin.json('/api/quota-plans', { method: 'POST', json: { name: 'Team', storage_quota_mb: 5 } })).status, 409);
+    assert.strictEqual((await admin.json('/api/quota-plans', { method: 'POST', json: { name: ' ', storage_quota_mb: 5 } })).status, 400);
+    assert.strictEqual((await admin.json('/api/quota-plans', { method: 'POST', json: { name: 'Tiny', storage_quota_mb: 0 } })).status, 400);
+
+    const assigned = await admin.json(`/api/quota-plans/${planId}/users`, { method: 'POST', json: { user_ids: [aliceId, bobId] } });
+    assert.deepStrictEqual([assigned.status, assigned.body.updated], [200, 2]);
+    assert.strictEqual((await admin.json(`/api/quota-plans/${planId}/users`, { method: 'POST', json: { user_ids: [] } })).status, 400);
+    assert.strictEqual((await admin.json('/api/quota-plans/999/users', { method: 'POST', json: { user_ids: [aliceId] } })).status, 404);
+    const onPlan = (await admin.json(`/api/users?plan=${planId}`)).body.users;
+    assert.deepStrictEqual(onPlan.map(user => [user.username, user.storage_quota_mb]), [['alice', 25], ['bob', 25]]);
+
+    // A new quota on the plan reaches its users; a quota of their own takes a user off it
+    assert.strictEqual((await admin.json(`/api/quota-plans/${planId}`, { method: 'PUT', json: { storage_quota_mb: 30 } })).status, 200);
+    assert.strictEqual((await userNamed(admin, 'alice')).storage_quota_mb, 30);
+    await admin.json(`/api/users/${bobId}/quota`, { method: 'PUT', json: { storage_quota_mb: 12 } });
+    const bob = await userNamed(admin, 'bob');
+    assert.deepStrictEqual([bob.quota_plan_id, bob.storage_quota_mb], [null, 12]);
+    const [plan] = (await admin.json('/api/quota-plans')).body;
+    assert.deepStrictEqual([plan.name, plan.storage_quota_mb, plan.user_count], ['Team', 30, 1]);
+
+    // Users of a deleted plan keep its quota
+    assert.strictEqual((await admin.json(`/api/quota-plans/${planId}`, { method: 'DELETE' })).status, 200);
+    const aliceAfter = await userNamed(admin, 'alice');
+    assert.deepStrictEqual([aliceAfter.quota_plan_id, aliceAfter.storage_quota_mb], [null, 30]);
+    assert.strictEqual((await admin.json(`/api/quota-plans/${planId}`, { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await alice.json('/api/quota-plans')).status, 403);
+});
+
+test('disabled accounts cannot sign in until they are enabled again', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.admin();
+    const alice = await server.user('alice');
+    await alice.upload({ 'kept.txt': 'kept' });
+    const aliceId = (await alice.json('/api/me')).body.userId;
+    const adminId = (await admin.json('/api/me')).body.userId;
+
+    assert.strictEqual((await admin.json(`/api/users/${adminId}/disable`, { method: 'POST' })).status, 400);
+    assert.strictEqual((await admin.json(`/api/users/${aliceId}/disable`, { method: 'POST' })).status, 200);
+    assert.strictEqual((await admin.json(`/api/users/${aliceId}/disable`, { method: 'POST' })).status, 409);
+    assert.strictEqual((await admin.json('/api/users/999/disable', { method: 'POST' })).status, 404);
+    // Open sessions end
+    assert.strictEqual((await alice.json('/api/files')).status, 401);
+    const refused = await server.client().json('/login', { method: 'POST', json: { username: 'alice', password: USER_PASSWORD } });
+    assert.deepStrictEqual([refused.status, refused.body.error], [403, 'This account has been disabled. Please contact an administrator.']);
+    assert.strictEqual((await userNamed(admin, 'alice')).status, 'disabled');
+
+    assert.strictEqual((await admin.json(`/api/users/${aliceId}/enable`, { method: 'POST' })).status, 200);
+    assert.strictEqual((await admin.json(`/api/users/${aliceId}/enable`, { method: 'POST' })).status, 409);
+    const back = await server.client().login('alice', USER_PASSWORD);
+    assert.deepStrictEqual((await back.json('/api/files')).body.map(file => file.name), ['kept.txt']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+async function fileNames(client) {
+    return (await client.json('/api/files')).body.map(file => file.name).sort();
+}
+
+test('a name that is taken gets a number under the default rename policy', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+
+    assert.strictEqual((await alice.upload({ 'report.txt': 'first' })).body.files[0].action, 'created');
+    const second = (await alice.upload({ 'report.txt': 'second' })).body.files[0];
+    assert.deepStrictEqual([second.filename, second.action], ['report (1).txt', 'renamed']);
+    const third = (await alice.upload({ 'report.txt': 'third' }, '?on_conflict=rename')).body.files[0];
+    assert.strictEqual(third.filename, 'report (2).txt');
+
+    assert.deepStrictEqual(await fileNames(alice), ['report (1).txt', 'report (2).txt', 'report.txt']);
+    assert.strictEqual(await (await alice.request('/download/report.txt')).text(), 'first');
+});
+
+test('the reject policy refuses the whole batch with 409', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    await alice.upload({ 'report.txt': 'original' });
+
+    const refused = await alice.upload({ 'new.txt': 'new', 'report.txt': 'overwrite?' }, '?on_conflict=reject');
+    assert.strictEqual(refused.status, 409);
+    assert.match(refused.body.error, /report\.txt/);
+    assert.deepStrictEqual(await fileNames(alice), ['report.txt']);
+    assert.strictEqual(await (await alice.request('/download/report.txt')).text(), 'original');
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 8);
+
+    const invalid = await alice.upload({ 'other.txt': 'x' }, '?on_conflict=overwrite');
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('the version policy keeps numbered revisions that can be listed, downloaded and restored', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    await alice.upload({ 'plan.txt': 'draft one' });
+
+    const versioned = (await alice.upload({ 'plan.txt': 'draft two!' }, '?on_conflict=version')).body.files[0];
+    assert.deepStrictEqual([versioned.filename, versioned.action, versioned.version], ['plan.txt', 'versioned', 2]);
+    assert.deepStrictEqual(await fileNames(alice), ['plan.txt']);
+    // Revisions count toward the quota
+    assert.strictEqual((await alice.json('/api/me/usage')).body.storage_used_bytes, 9 + 10);
+
+    const listed = (await alice.json('/api/files/plan.txt/versions')).body;
+    assert.strictEqual(listed.current_version, 2);
+    assert.deepStrictEqual(listed.versions.map(version => [version.version, version.size]), [[1, 9]]);
+    assert.strictEqual(await (await alice.request(listed.versions[0].url)).text(), 'draft one');
+    assert.strictEqual(await (await alice.request('/download/plan.txt')).text(), 'draft two!');
+    assert.strictEqual((await alice.request('/api/files/plan.txt/versions/7')).status, 404);
+
+    const restored = await alice.json('/api/files/plan.txt/versions/1/restore', { method: 'POST' });
+    assert.strictEqual(restored.status, 200);
+    assert.deepStrictEqual([restored.body.restored_version, restored.body.archived_version], [1, 2]);
+    assert.strictEqual(await (await alice.request('/download/plan.txt')).text(), 'draft one');
+    const after = (await alice.json('/api/files/plan.txt/versions')).body;
+    assert.deepStrictEqual(after.versions.map(version => version.version), [2]);
+    assert.strictEqual(await (await alice.request(after.versions[0].url)).text(), 'draft two!');
+
+    // Revisions are private to the owner
+    const bob = await server.user('bob');
+    assert.strictEqual((await bob.request('/api/files/plan.txt/versions')).status, 404);
+});
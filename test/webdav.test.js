@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { totp } = require('../lib/totp');
+const { USER_PASSWORD, startServer } = require('./helpers/server');
+
+/**
+ * A scripted WebDAV client: every request carries Basic credentials, the
+ * way file managers and office apps send them.
+ */
+class DavClient {
+    constructor(url, username, password) {
+        this.url = url;
+        this.authorization = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+    }
+
+    request(method, davPath, opts = {}) {
+        return fetch(`${this.url}/dav${davPath}`, {
+            method,
+            headers: Object.assign({ authorization: this.authorization }, opts.headers),
+            body: opts.body
+        });
+    }
+
+    // { href: props } of a PROPFIND multistatus, props being the text of each
+    // property element
+    async propfind(davPath, depth) {
+        const res = await this.request('PROPFIND', davPath, {
+            headers: { depth: String(depth), 'content-type': 'application/xml' },
+            body: '<?xml version="1.0"?><D:propfind xmlns:D="DAV:"><D:allprop/></D:propfind>'
+        });
+        assert.strictEqual(res.status, 207);
+        const responses = {};
+        for (const [, response] of (await res.text()).matchAll(/<D:response>([\s\S]*?)<\/D:response>/g)) {
+            const href = decodeURIComponent(/<D:href>([^<]*)<\/D:href>/.exec(response)[1]);
+            const props = {};
+            for (const [, name, value] of response.matchAll(/<D:([a-z-]+)>([^<]*)<\/D:\1>/g)) props[name] = value;
+            props.collection = /<D:collection\/>/.test(response);
+            responses[href] = props;
+        }
+        return responses;
+    }
+
+    lock(davPath) {
+        return this.request('LOCK', davPath, {
+            headers: { 'content-type': 'application/xml', timeout: 'Second-600' },
+            body: '<?xml version="1.0"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope>' +
+                '<D:locktype><D:write/></D:locktype><D:owner>test script</D:owner></D:lockinfo>'
+        });
+    }
+}
+
+// Turn on 2FA for a signed-in user, with a code computed from the secret
+async function enableTwoFactor(client) {
+    const setup = await client.json('/api/2fa/setup', { method: 'POST', json: { password: USER_PASSWORD } });
+    assert.strictEqual(setup.status, 200);
+    const enabled = await client.json('/api/2fa/enable', { method: 'POST', json: { code: totp(setup.body.secret, Date.now()) } });
+    assert.strictEqual(enabled.status, 200);
+}
+
+test('a DAV client can list, upload, move and lock files with Basic auth', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const dav = new DavClient(server.url, 'alice', USER_PASSWORD);
+
+    const options = await fetch(`${server.url}/dav/`, { method: 'OPTIONS' });
+    assert.strictEqual(options.status, 200);
+    assert.match(options.headers.get('dav'), /\b2\b/);
+
+    assert.strictEqual((await dav.request('MKCOL', '/docs')).status, 201);
+    const put = await dav.request('PUT', '/docs/notes.txt', { body: 'first draft' });
+    assert.strictEqual(put.status, 201);
+    assert.strictEqual((await dav.request('PUT', '/docs/notes.txt', { body: 'second draft' })).status, 204);
+
+    const root = await dav.propfind('/', 1);
+    assert.deepStrictEqual(Object.keys(root).sort(), ['/dav/', '/dav/docs/']);
+    assert.strictEqual(root['/dav/docs/'].collection, true);
+    const docs = await dav.propfind('/docs/', 1);
+    assert.strictEqual(docs['/dav/docs/notes.txt'].getcontentlength, '12');
+    assert.strictEqual(docs['/dav/docs/notes.txt'].collection, false);
+    assert.strictEqual(await (await dav.request('GET', '/docs/notes.txt')).text(), 'second draft');
+
+    const move = await dav.request('MOVE', '/docs/notes.txt', { headers: { destination: `${server.url}/dav/final%20notes.txt` } });
+    assert.strictEqual(move.status, 201);
+    assert.strictEqual((await dav.request('GET', '/docs/notes.txt')).status, 404);
+    // The web interface sees the same tree
+    const files = (await alice.json('/api/files')).body;
+    assert.deepStrictEqual(files.map(file => [file.name, file.folder || '']), [['final notes.txt', '']]);
+
+    // Locked: writes without the token are refused, with it they go through
+    const lock = await dav.lock('/final%20notes.txt');
+    assert.strictEqual(lock.status, 200);
+    const token = lock.headers.get('lock-token');
+    assert.match(token, /^<urn:uuid:[0-9a-f-]+>$/);
+    assert.match(await lock.text(), /<D:owner>test script<\/D:owner>/);
+    assert.strictEqual((await dav.request('PUT', '/final%20notes.txt', { body: 'sneaky' })).status, 423);
+    assert.strictEqual((await dav.request('DELETE', '/final%20notes.txt')).status, 423);
+    assert.strictEqual((await dav.lock('/final%20notes.txt')).status, 423);
+    const locked = await dav.request('PUT', '/final%20notes.txt', { body: 'third draft', headers: { if: `(${token})` } });
+    assert.strictEqual(locked.status, 204);
+
+    assert.strictEqual((await dav.request('UNLOCK', '/final%20notes.txt', { headers: { 'lock-token': '<urn:uuid:not-the-token>' } })).status, 409);
+    assert.strictEqual((await dav.request('UNLOCK', '/final%20notes.txt', { headers: { 'lock-token': token } })).status, 204);
+    assert.strictEqual((await dav.request('DELETE', '/final%20notes.txt')).status, 204);
+    assert.deepStrictEqual((await alice.json('/api/files')).body, []);
+});
+
+test('DAV requests need valid Basic credentials', async (t) => {
+    const server = await startServer(t);
+    await server.user('alice');
+
+    const anonymous = await fetch(`${server.url}/dav/`, { method: 'PROPFIND', headers: { depth: '0' } });
+    assert.strictEqual(anonymous.status, 401);
+    assert.match(anonymous.headers.get('www-authenticate'), /^Basic realm=/);
+
+    const wrong = await new DavClient(server.url, 'alice', 'Wrong-Passw0rd-1').request('PROPFIND', '/', { headers: { depth: '0' } });
+    assert.strictEqual(wrong.status, 401);
+    assert.match(wrong.headers.get('www-authenticate'), /^Basic realm=/);
+    assert.strictEqual((await new DavClient(server.url, 'nobody', USER_PASSWORD).request('GET', '/')).status, 401);
+});
+
+test('accounts with two-factor authentication cannot use their password over DAV, only a token', async (t) => {
+    const server = await startServer(t);
+    const alice = await server.user('alice');
+    const withPassword = new DavClient(server.url, 'alice', USER_PASSWORD);
+
+    // The password works (and is remembered for a while) until 2FA is on
+    assert.strictEqual((await withPassword.request('PROPFIND', '/', { headers: { depth: '0' } })).status, 207);
+    await enableTwoFactor(alice);
+
+    const refused = await withPassword.request('PROPFIND', '/', { headers: { depth: '0' } });
+    assert.strictEqual(refused.status, 401);
+    assert.match((await refused.json()).error, /two-factor authentication: sign in with an API token/);
+    assert.strictEqual((await withPassword.request('PUT', '/sneaky.txt', { body: 'x' })).status, 401);
+    // Nor can an account that never used DAV before it turned 2FA on
+    const carol = await server.user('carol');
+    await enableTwoFactor(carol);
+    const carolRefused = await new DavClient(server.url, 'carol', USER_PASSWORD).request('PROPFIND', '/', { headers: { depth: '0' } });
+    assert.strictEqual(carolRefused.status, 401);
+    assert.match((await carolRefused.json()).error, /two-factor authentication/);
+
+    const created = await alice.json('/api/tokens', { method: 'POST', json: { name: 'file manager', scopes: ['read', 'upload'] } });
+    assert.strictEqual(created.status, 201);
+    const withToken = new DavClient(server.url, 'alice', created.body.token);
+    assert.strictEqual((await withToken.request('PUT', '/report.txt', { body: 'via token' })).status, 201);
+    assert.ok((await withToken.propfind('/', 1))['/dav/report.txt']);
+    // The token is tied to its owner's name
+    await server.user('bob');
+    assert.strictEqual((await new DavClient(server.url, 'bob', created.body.token).request('GET', '/')).status, 401);
+});